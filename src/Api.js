@@ -56,6 +56,22 @@ Api.prototype.stop = function stop() {
   this.sendApiMessage('stop');
 };
 
+Api.prototype.suspend = function suspend() {
+  this.sendApiMessage('suspend');
+};
+
+Api.prototype.unsuspend = function unsuspend() {
+  this.sendApiMessage('unsuspend');
+};
+
+Api.prototype.fireTimer = function fireTimer(message, options) {
+  this.sendApiMessage('fire', { message }, options);
+};
+
+Api.prototype.rescheduleTimer = function rescheduleTimer(reschedule, options) {
+  this.sendApiMessage('reschedule', { reschedule }, options);
+};
+
 Api.prototype.resolveExpression = function resolveExpression(expression) {
   return this.environment.resolveExpression(
     expression,
@@ -81,6 +97,11 @@ Api.prototype.getPostponed = function getPostponed(...args) {
   return [];
 };
 
+Api.prototype.getTimers = function getTimers() {
+  if (this.owner.getTimers) return this.owner.getTimers();
+  return [];
+};
+
 Api.prototype.createMessage = function createMessage(content) {
   return {
     ...this.content,
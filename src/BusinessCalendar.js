@@ -0,0 +1,181 @@
+import { ISODuration } from '@0dep/piso';
+import { assertTimeZone, fromZonedParts, getZonedParts } from './timezone.js';
+
+const MS_PER_MINUTE = 60000;
+const MAX_DAYS = 3660;
+
+const timePattern = /^(\d{1,2}):(\d{2})$/;
+const datePattern = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Business calendar
+ * counts durations in working time, i.e. within working hours on weekdays that are not holidays
+ * @param {import('types').BusinessCalendarOptions} [options]
+ */
+export function BusinessCalendar(options) {
+  const { workingHours = [{ from: '08:00', to: '17:00' }], weekdays = [1, 2, 3, 4, 5], holidays = [], timezone } = options || {};
+
+  assertTimeZone(timezone);
+  this.timezone = timezone;
+
+  if (!Array.isArray(weekdays) || !weekdays.length || weekdays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    throw new TypeError('business calendar weekdays must be a non-empty list of day numbers 0-6');
+  }
+  this.weekdays = new Set(weekdays);
+
+  if (!Array.isArray(workingHours) || !workingHours.length) {
+    throw new TypeError('business calendar workingHours must be a non-empty list of from and to times');
+  }
+  this.workingHours = workingHours
+    .map(({ from, to }) => ({ from: parseTime(from), to: parseTime(to) }))
+    .sort((a, b) => a.from - b.from)
+    .map((period, idx, periods) => {
+      if (period.from >= period.to || (idx && periods[idx - 1].to > period.from)) {
+        throw new TypeError('business calendar workingHours must be ascending and non-overlapping');
+      }
+      return period;
+    });
+
+  this.holidays = new Set(holidays.map((holiday) => this._getDateKey(holiday)));
+}
+
+/**
+ * Working milliseconds per working day
+ */
+Object.defineProperty(BusinessCalendar.prototype, 'workingDayLength', {
+  get() {
+    return this.workingHours.reduce((result, { from, to }) => result + to - from, 0) * MS_PER_MINUTE;
+  },
+});
+
+/**
+ * Check if date is on a working day
+ * @param {Date|number} date
+ */
+BusinessCalendar.prototype.isWorkingDay = function isWorkingDay(date) {
+  return this._isWorkingDay(getZonedParts(date, this.timezone));
+};
+
+/**
+ * Check if date is within working hours on a working day
+ * @param {Date|number} date
+ */
+BusinessCalendar.prototype.isWorkingTime = function isWorkingTime(date) {
+  const time = new Date(date).getTime();
+  return this._getPeriods(getZonedParts(date, this.timezone)).some(({ start, end }) => time >= start && time < end);
+};
+
+/**
+ * Get date if working time, otherwise the start of the next working period
+ * @param {Date|number} date
+ * @returns {Date}
+ */
+BusinessCalendar.prototype.nextWorkingTime = function nextWorkingTime(date) {
+  const time = new Date(date).getTime();
+  const period = this._getPeriodAt(time);
+  return new Date(Math.max(period.start, time));
+};
+
+/**
+ * Add duration in working time
+ * whole days are counted as working days, keeping the time of day, and weeks as the number of weekdays.
+ * Hours, minutes, seconds, and fractions of days are counted within working hours.
+ * Years and months are added in calendar time
+ * @param {Date|number} from
+ * @param {string|number} duration ISO8601 duration, e.g. P3D or PT4H, or milliseconds
+ * @returns {Date} expire date
+ */
+BusinessCalendar.prototype.addDuration = function addDuration(from, duration) {
+  const { Y = 0, M = 0, W = 0, D = 0, H = 0, m = 0, S = 0 } = parseDuration(duration);
+  const timezone = this.timezone;
+
+  let time = this.nextWorkingTime(from).getTime();
+
+  if (Y || M) {
+    const parts = getZonedParts(time, timezone);
+    const months = parts.month - 1 + Y * 12 + M;
+    const year = parts.year + Math.floor(months / 12);
+    const month = (months % 12) + 1;
+    const day = Math.min(parts.day, new Date(Date.UTC(year, month, 0)).getUTCDate());
+    time = this.nextWorkingTime(fromZonedParts({ ...parts, year, month, day }, timezone)).getTime();
+  }
+
+  const days = W * this.weekdays.size + D;
+  const wholeDays = Math.floor(days);
+  if (wholeDays) {
+    const parts = getZonedParts(time, timezone);
+    let day = parts;
+    for (let i = 0; i < wholeDays; i++) {
+      do {
+        day = getNextDay(day);
+      } while (!this._isWorkingDay(day));
+    }
+    time = this.nextWorkingTime(fromZonedParts({ ...parts, year: day.year, month: day.month, day: day.day }, timezone)).getTime();
+  }
+
+  let remaining = (days - wholeDays) * this.workingDayLength + ((H * 60 + m) * 60 + S) * 1000;
+  while (remaining > 0) {
+    const { start, end } = this._getPeriodAt(time);
+    if (time < start) time = start;
+    if (remaining <= end - time) return new Date(time + remaining);
+    remaining -= end - time;
+    time = end;
+  }
+
+  return new Date(time);
+};
+
+BusinessCalendar.prototype._isWorkingDay = function isWorkingDay(parts) {
+  return this.weekdays.has(parts.weekday) && !this.holidays.has(toDateKey(parts));
+};
+
+BusinessCalendar.prototype._getPeriods = function getPeriods(parts) {
+  if (!this._isWorkingDay(parts)) return [];
+  const { year, month, day } = parts;
+  return this.workingHours.map(({ from, to }) => ({
+    start: fromZonedParts({ year, month, day, hour: Math.floor(from / 60), minute: from % 60 }, this.timezone).getTime(),
+    end: fromZonedParts({ year, month, day, hour: Math.floor(to / 60), minute: to % 60 }, this.timezone).getTime(),
+  }));
+};
+
+BusinessCalendar.prototype._getPeriodAt = function getPeriodAt(time) {
+  let day = getZonedParts(time, this.timezone);
+  for (let i = 0; i < MAX_DAYS; i++) {
+    for (const period of this._getPeriods(day)) {
+      if (time < period.end) return period;
+    }
+    day = getNextDay(day);
+  }
+  throw new RangeError(`no working time found within ${MAX_DAYS} days from ${new Date(time).toISOString()}`);
+};
+
+BusinessCalendar.prototype._getDateKey = function getDateKey(date) {
+  if (typeof date === 'string' && datePattern.test(date)) return date;
+  const value = new Date(date);
+  if (isNaN(value.getTime())) throw new TypeError(`business calendar holiday ${date} is not a valid date`);
+  return toDateKey(getZonedParts(value, this.timezone));
+};
+
+function parseDuration(duration) {
+  if (typeof duration === 'number') return { S: duration / 1000 };
+  const parsed = new ISODuration(duration).parse();
+  return parsed.result;
+}
+
+function parseTime(value) {
+  const match = typeof value === 'string' && value.match(timePattern);
+  const minutes = match && Number(match[1]) * 60 + Number(match[2]);
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new TypeError(`business calendar working hour ${value} is not a valid time, expected HH:mm`);
+  }
+  return minutes;
+}
+
+function getNextDay({ year, month, day }) {
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate(), weekday: next.getUTCDay() };
+}
+
+function toDateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
@@ -0,0 +1,226 @@
+import { isSubExecution, subscribeEvents } from './shared.js';
+
+const kContext = Symbol.for('context');
+const kActivities = Symbol.for('activities');
+const kFlows = Symbol.for('flows');
+const kRuns = Symbol.for('runs');
+const kAttached = Symbol.for('attached');
+const kEpoch = Symbol.for('epoch');
+
+/**
+ * Model coverage collector
+ * collects activity and sequence flow coverage of definitions created from context
+ * @param {import('types').ContextInstance} context
+ */
+export function CoverageCollector(context) {
+  if (!context || typeof context.getActivities !== 'function') throw new TypeError('coverage requires a context');
+  this[kContext] = context;
+  this[kRuns] = 0;
+  // weakly held to not keep definitions for the life of the collector
+  this[kAttached] = new WeakMap();
+  this[kEpoch] = 0;
+
+  const elementContext = context.clone();
+  this[kActivities] = new Map(
+    elementContext.getActivities().map((activity) => [
+      activity.id,
+      {
+        id: activity.id,
+        type: activity.type,
+        ...(activity.name && { name: activity.name }),
+        parentId: activity.parent?.id,
+        ...(activity.attachedTo && { attachedToId: activity.attachedTo.id }),
+        taken: 0,
+        discarded: 0,
+      },
+    ]),
+  );
+  this[kFlows] = new Map(
+    elementContext.getSequenceFlows().map((flow) => [
+      flow.id,
+      {
+        id: flow.id,
+        type: flow.type,
+        ...(flow.name && { name: flow.name }),
+        parentId: flow.parent?.id,
+        sourceId: flow.sourceId,
+        targetId: flow.targetId,
+        taken: 0,
+        discarded: 0,
+      },
+    ]),
+  );
+}
+
+Object.defineProperty(CoverageCollector.prototype, 'runs', {
+  get() {
+    return this[kRuns];
+  },
+});
+
+/**
+ * Attach to definition
+ * @param {import('types').Definition} definition created from coverage context
+ */
+CoverageCollector.prototype.attach = function attach(definition) {
+  const contextId = this[kContext].id;
+  if (definition.id !== contextId) {
+    throw new Error(`definition <${definition.id}> is not created from coverage context <${contextId}>`);
+  }
+  const attached = this[kAttached].get(definition);
+  if (attached?.epoch === this[kEpoch]) return this;
+  attached?.unsubscribe();
+
+  const unsubscribe = subscribeEvents(definition.broker, [
+    ['_coverage-definition', 'definition.enter', this._onDefinitionEnter.bind(this, definition)],
+    ['_coverage-activity', 'activity.#', this._onActivityEvent.bind(this, definition)],
+    ['_coverage-flow', 'flow.*', this._onFlowEvent.bind(this, definition)],
+  ]);
+  this[kAttached].set(definition, { epoch: this[kEpoch], unsubscribe });
+  return this;
+};
+
+/**
+ * Detach from definition
+ * @param {import('types').Definition} [definition] detach from all definitions if omitted
+ */
+CoverageCollector.prototype.detach = function detach(definition) {
+  // definitions detached from all are unsubscribed when they publish their next event
+  if (!definition) return this[kEpoch]++;
+
+  const attached = this[kAttached].get(definition);
+  if (!attached) return;
+  this[kAttached].delete(definition);
+  attached.unsubscribe();
+};
+
+/**
+ * Get coverage
+ * @returns {import('types').Coverage}
+ */
+CoverageCollector.prototype.getCoverage = function getCoverage() {
+  const activities = [...this[kActivities].values()].map(toCoverageElement);
+  const sequenceFlows = [...this[kFlows].values()].map(toCoverageElement);
+
+  const gatewayIds = new Set(activities.filter(({ type }) => /Gateway$/.test(type)).map(({ id }) => id));
+
+  return {
+    definitionId: this[kContext].id,
+    runs: this[kRuns],
+    summary: {
+      activities: summarize(activities),
+      sequenceFlows: summarize(sequenceFlows),
+      gatewayBranches: summarize(sequenceFlows.filter(({ sourceId }) => gatewayIds.has(sourceId))),
+      boundaryEvents: summarize(activities.filter(({ attachedToId }) => attachedToId)),
+    },
+    activities,
+    sequenceFlows,
+  };
+};
+
+CoverageCollector.prototype.toJSON = function toJSON() {
+  return this.getCoverage();
+};
+
+/**
+ * Format coverage as text summary
+ */
+CoverageCollector.prototype.toText = function toText() {
+  return formatCoverageText(this.getCoverage());
+};
+
+/**
+ * Reset coverage
+ */
+CoverageCollector.prototype.reset = function reset() {
+  this[kRuns] = 0;
+  for (const element of [...this[kActivities].values(), ...this[kFlows].values()]) {
+    element.taken = element.discarded = 0;
+  }
+};
+
+CoverageCollector.prototype._onDefinitionEnter = function onDefinitionEnter(definition) {
+  if (this._isAttached(definition)) this[kRuns]++;
+};
+
+CoverageCollector.prototype._onActivityEvent = function onActivityEvent(definition, routingKey, message) {
+  if (!this._isAttached(definition)) return;
+
+  const content = message.content;
+  if (isSubExecution(content)) return;
+
+  const activity = this[kActivities].get(content.id);
+  if (!activity) return;
+
+  switch (routingKey) {
+    case 'activity.end':
+      activity.taken++;
+      break;
+    case 'activity.discard':
+    case 'activity.execution.discard':
+      activity.discarded++;
+      break;
+  }
+};
+
+CoverageCollector.prototype._onFlowEvent = function onFlowEvent(definition, routingKey, message) {
+  if (!this._isAttached(definition)) return;
+
+  const flow = this[kFlows].get(message.content.id);
+  if (!flow) return;
+
+  switch (routingKey) {
+    case 'flow.take':
+      flow.taken++;
+      break;
+    case 'flow.discard':
+      flow.discarded++;
+      break;
+  }
+};
+
+CoverageCollector.prototype._isAttached = function isAttached(definition) {
+  const attached = this[kAttached].get(definition);
+  if (attached?.epoch === this[kEpoch]) return true;
+  if (attached) {
+    this[kAttached].delete(definition);
+    attached.unsubscribe();
+  }
+  return false;
+};
+
+/**
+ * Format coverage as text summary
+ * @param {import('types').Coverage} coverage
+ */
+export function formatCoverageText(coverage) {
+  const { definitionId, runs, summary, activities, sequenceFlows } = coverage;
+  const lines = [`Definition: ${definitionId}`, `Runs: ${runs}`, ''];
+
+  for (const [label, stats] of [
+    ['Activities', summary.activities],
+    ['Sequence flows', summary.sequenceFlows],
+    ['Gateway branches', summary.gatewayBranches],
+    ['Boundary events', summary.boundaryEvents],
+  ]) {
+    lines.push(`${label.padEnd(18)}${`${stats.covered}/${stats.total}`.padStart(9)}${`${stats.percent.toFixed(2)}%`.padStart(9)}`);
+  }
+
+  const uncovered = [
+    ...activities.filter(({ covered }) => !covered).map(({ id, type }) => `  activity ${id} (${type})`),
+    ...sequenceFlows.filter(({ covered }) => !covered).map(({ id, sourceId, targetId }) => `  flow ${id} (${sourceId} -> ${targetId})`),
+  ];
+  if (uncovered.length) lines.push('', 'Not covered:', ...uncovered);
+
+  return lines.join('\n') + '\n';
+}
+
+function toCoverageElement(element) {
+  return { ...element, covered: element.taken > 0 };
+}
+
+function summarize(elements) {
+  const total = elements.length;
+  const covered = elements.filter((element) => element.covered).length;
+  return { total, covered, percent: total ? Math.round((covered / total) * 10000) / 100 : 100 };
+}
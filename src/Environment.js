@@ -1,32 +1,91 @@
 import Expressions from './Expressions.js';
+import FeelExpressions, { isFeelLanguage, toFeelExpression } from './FeelExpressions.js';
 import { Scripts } from './Scripts.js';
 import { Timers } from './Timers.js';
+import { BusinessCalendar } from './BusinessCalendar.js';
+import { createExpressionCondition } from './condition.js';
 
 const kServices = Symbol.for('services');
 const kVariables = Symbol.for('variables');
+const kFeelExpressions = Symbol.for('feel expressions');
+const kConditionLanguages = Symbol.for('condition languages');
+const kFunctions = Symbol.for('functions');
+const kCustomExpressions = Symbol.for('custom expressions');
+const kSharedExpressions = Symbol.for('shared expressions');
+const kDefinitionScope = Symbol.for('definition scope');
 
-const defaultOptions = new Set(['expressions', 'extensions', 'Logger', 'output', 'scripts', 'services', 'settings', 'timers', 'variables']);
+const defaultConditionLanguages = ['expression', 'feel', 'https://www.omg.org/spec/feel/20140401', 'http://www.omg.org/spec/feel/20140401'];
+
+const defaultOptions = new Set([
+  'businessCalendar',
+  'conditionLanguages',
+  'expressions',
+  'extensions',
+  'functions',
+  'Logger',
+  'output',
+  'scripts',
+  'services',
+  'settings',
+  'timers',
+  'variables',
+]);
 
 export default function Environment(options = {}) {
   this.options = validateOptions(options);
 
-  this.expressions = options.expressions || Expressions();
+  this[kFunctions] = { ...options.functions };
+  if (options[kSharedExpressions]) {
+    this.expressions = options.expressions;
+    this[kSharedExpressions] = true;
+  } else if (options.expressions) {
+    this.expressions = options.expressions;
+    this[kCustomExpressions] = true;
+    if (options.functions) {
+      for (const [name, fn] of Object.entries(options.functions)) this.expressions.registerFunction(name, fn);
+    }
+  } else {
+    this.expressions = Expressions({ functions: options.functions });
+  }
   this.extensions = options.extensions;
   this.output = options.output || {};
   this.scripts = options.scripts || new Scripts();
   this.timers = options.timers || new Timers();
   this.settings = { ...options.settings };
+  this.businessCalendar = getBusinessCalendar(options.businessCalendar, this.settings.timezone);
   this.Logger = options.Logger || DummyLogger;
   this[kServices] = options.services || {};
   this[kVariables] = options.variables || {};
+  this[kDefinitionScope] = options[kDefinitionScope];
+
+  const conditionLanguages = (this[kConditionLanguages] = {});
+  for (const language of defaultConditionLanguages) conditionLanguages[language] = createExpressionCondition;
+  for (const [language, createCondition] of Object.entries(options.conditionLanguages || {})) {
+    conditionLanguages[language.toLowerCase()] = createCondition;
+  }
 }
 
 Object.defineProperties(Environment.prototype, {
+  functions: {
+    get() {
+      return this.expressions.functions;
+    },
+  },
   variables: {
     get() {
       return this[kVariables];
     },
   },
+  conditionLanguages: {
+    get() {
+      return this[kConditionLanguages];
+    },
+  },
+  definitionScope: {
+    get() {
+      return this[kDefinitionScope];
+    },
+  },
   services: {
     get() {
       return this[kServices];
@@ -68,13 +127,29 @@ Environment.prototype.clone = function clone(overrideOptions) {
     extensions: this.extensions,
     scripts: this.scripts,
     timers: this.timers,
+    businessCalendar: this.businessCalendar,
     expressions: this.expressions,
+    conditionLanguages: this[kConditionLanguages],
     ...this.options,
     ...overrideOptions,
     services,
+    [kDefinitionScope]: this[kDefinitionScope],
   };
 
   if (overrideOptions?.services) newOptions.services = { ...services, ...overrideOptions.services };
+  const functions = { ...this[kFunctions], ...overrideOptions?.functions };
+  if (Object.keys(functions).length) newOptions.functions = functions;
+  if (!overrideOptions?.expressions && !this[kCustomExpressions]) {
+    if (overrideOptions?.functions) {
+      newOptions.expressions = undefined;
+    } else {
+      // the built-in expressions handler is shared until a function is registered
+      newOptions[kSharedExpressions] = this[kSharedExpressions] = true;
+    }
+  }
+  if (overrideOptions?.conditionLanguages) {
+    newOptions.conditionLanguages = { ...this[kConditionLanguages], ...overrideOptions.conditionLanguages };
+  }
 
   return new this.constructor(newOptions);
 };
@@ -97,6 +172,15 @@ Environment.prototype.assignSettings = function assignSettings(newSettings) {
   };
 };
 
+/**
+ * Current date according to timers clock
+ * @returns {Date}
+ */
+Environment.prototype.now = function now() {
+  const timers = this.timers;
+  return new Date(typeof timers.now === 'function' ? timers.now() : Date.now());
+};
+
 Environment.prototype.getScript = function getScript(...args) {
   return this.scripts.getScript(...args);
 };
@@ -118,10 +202,88 @@ Environment.prototype.resolveExpression = function resolveExpression(expression,
   return this.expressions.resolveExpression(expression, from, expressionFnContext);
 };
 
+/**
+ * Get expressions handler for language
+ * @param {string} [language] optional expression language, FEEL languages returns a FEEL expressions handler
+ */
+Environment.prototype.getExpressions = function getExpressions(language) {
+  const expressions = this.expressions;
+  if (!isFeelLanguage(language) || expressions.language === 'feel') return expressions;
+  return this[kFeelExpressions] || (this[kFeelExpressions] = FeelExpressions({ functions: this[kFunctions] }));
+};
+
+/**
+ * Compile expression
+ * @param {string} expression expression string
+ * @param {string} [language] optional expression language, e.g. feel
+ * @returns {{expression: string, evaluate: CallableFunction}} evaluate with message, environment is added to context
+ */
+Environment.prototype.compileExpression = function compileExpression(expression, language) {
+  const environment = this;
+  const expressions = this.getExpressions(language);
+  if (isFeelLanguage(language)) expression = toFeelExpression(expression);
+  const compiled = typeof expressions.compile === 'function' ? expressions.compile(expression) : undefined;
+
+  return {
+    expression,
+    evaluate(message, expressionFnContext) {
+      const from = { environment, ...message };
+      if (compiled) return compiled.evaluate(from, expressionFnContext);
+      return expressions.resolveExpression(expression, from, expressionFnContext);
+    },
+  };
+};
+
+/**
+ * Register named expression function
+ * functions registered with a clone are not registered with the environment it was cloned from, or vice versa,
+ * unless a custom expressions handler is passed as expressions option, the handler is shared by clones
+ * @param {string} name function name
+ * @param {CallableFunction} fn function
+ */
+Environment.prototype.registerFunction = function registerFunction(name, fn) {
+  if (typeof this.expressions.registerFunction !== 'function') throw new Error('expressions.registerFunction is not a function');
+  if (this[kSharedExpressions]) {
+    this.expressions = Expressions({ functions: this[kFunctions] });
+    this[kSharedExpressions] = false;
+  }
+  this.expressions.registerFunction(name, fn);
+  this[kFeelExpressions]?.registerFunction(name, fn);
+  this[kFunctions][name] = fn;
+};
+
+/**
+ * Add condition language
+ * @param {string} language condition language, e.g. javascript, feel, or jsonata, case insensitive
+ * @param {CallableFunction} createCondition condition factory, called with owner element and condition, must return condition with execute function
+ */
+Environment.prototype.addConditionLanguage = function addConditionLanguage(language, createCondition) {
+  if (typeof createCondition !== 'function') throw new TypeError(`condition language ${language} is not a function`);
+  this[kConditionLanguages][language.toLowerCase()] = createCondition;
+};
+
+/**
+ * Get condition language factory
+ * @param {string} language condition language
+ * @returns {CallableFunction|undefined}
+ */
+Environment.prototype.getConditionLanguage = function getConditionLanguage(language) {
+  if (typeof language !== 'string') return;
+  const conditionLanguages = this[kConditionLanguages];
+  const key = language.toLowerCase();
+  return Object.prototype.hasOwnProperty.call(conditionLanguages, key) ? conditionLanguages[key] : undefined;
+};
+
 Environment.prototype.addService = function addService(name, fn) {
   this[kServices][name] = fn;
 };
 
+function getBusinessCalendar(businessCalendar, timezone) {
+  if (!businessCalendar) return;
+  if (typeof businessCalendar.addDuration === 'function') return businessCalendar;
+  return new BusinessCalendar({ timezone, ...businessCalendar });
+}
+
 function validateOptions(input) {
   const options = {};
   for (const key in input) {
@@ -141,6 +303,20 @@ function validateOptions(input) {
     if (typeof input.scripts.getScript !== 'function') throw new Error('scripts.getScript is not a function');
   }
 
+  if (input.functions) {
+    if (typeof input.functions !== 'object') throw new Error('functions is not an object');
+    if (input.expressions && typeof input.expressions.registerFunction !== 'function') {
+      throw new Error('expressions.registerFunction is not a function');
+    }
+  }
+
+  if (input.conditionLanguages) {
+    if (typeof input.conditionLanguages !== 'object') throw new Error('conditionLanguages is not an object');
+    for (const key in input.conditionLanguages) {
+      if (typeof input.conditionLanguages[key] !== 'function') throw new Error(`conditionLanguages[${key}] is not a function`);
+    }
+  }
+
   if (input.extensions) {
     if (typeof input.extensions !== 'object') throw new Error('extensions is not an object');
     for (const key in input.extensions) {
@@ -60,6 +60,7 @@ export function EventBroker(brokerOwner, options, onBrokerReturn) {
   this.on = this.on.bind(this);
   this.once = this.once.bind(this);
   this.waitFor = this.waitFor.bind(this);
+  this.events = this.events.bind(this);
   this.emit = this.emit.bind(this);
   this.emitFatal = this.emitFatal.bind(this);
 }
@@ -109,6 +110,80 @@ EventBroker.prototype.waitFor = function waitFor(eventName, onMessage) {
   });
 };
 
+/**
+ * Iterate events
+ * ends when broker owner leaves or stops, throws on error
+ * @param {string} [eventName] event name or routing key pattern, defaults to all events
+ * @returns {AsyncIterableIterator<import('types').Api<any>>}
+ */
+EventBroker.prototype.events = function events(eventName = '#') {
+  const key = this._getEventRoutingKey(eventName);
+  const prefix = this.eventPrefix;
+  const broker = this.broker;
+
+  const buffer = [];
+  let waiting, error, ended;
+
+  const consumers = [
+    broker.subscribeTmp('event', key, eventCallback, { noAck: true }),
+    broker.subscribeTmp('event', '*.error', errorCallback, { noAck: true }),
+    broker.subscribeTmp('event', `${prefix}.leave`, end, { noAck: true }),
+    broker.subscribeTmp('event', `${prefix}.stop`, end, { noAck: true }),
+  ];
+
+  return {
+    next() {
+      if (buffer.length) return Promise.resolve({ value: buffer.shift(), done: false });
+      if (error) return Promise.reject(takeError());
+      if (ended) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+      });
+    },
+    return() {
+      end();
+      buffer.splice(0);
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+
+  function eventCallback(routingKey, message, owner) {
+    const api = owner.getApi(message);
+    if (!waiting) return buffer.push(api);
+    const { resolve } = waiting;
+    waiting = undefined;
+    resolve({ value: api, done: false });
+  }
+
+  function errorCallback(routingKey, message, owner) {
+    if (!message.properties.mandatory) return;
+    error = makeErrorFromMessage(message, owner);
+    end();
+  }
+
+  function end() {
+    if (ended) return;
+    ended = true;
+    for (const consumer of consumers) {
+      consumer.cancel();
+    }
+    if (!waiting) return;
+    const { resolve, reject } = waiting;
+    waiting = undefined;
+    if (error) reject(takeError());
+    else resolve({ value: undefined, done: true });
+  }
+
+  function takeError() {
+    const err = error;
+    error = undefined;
+    return err;
+  }
+};
+
 EventBroker.prototype.emit = function emit(eventName, content, props) {
   this.broker.publish('event', `${this.eventPrefix}.${eventName}`, { ...content }, { type: eventName, ...props });
 };
@@ -0,0 +1,218 @@
+import { subscribeEvents } from './shared.js';
+
+const kRecords = Symbol.for('records');
+const kSequence = Symbol.for('sequence');
+const kDefinition = Symbol.for('definition');
+const kMessageHandlers = Symbol.for('messageHandlers');
+const kLastStates = Symbol.for('lastStates');
+const kUnsubscribe = Symbol.for('unsubscribe');
+
+const activityStates = new Set(['enter', 'start', 'wait', 'end', 'discard', 'error']);
+const flowStates = new Set(['take', 'discard']);
+
+/**
+ * Execution history
+ * records activity and sequence flow lifecycle transitions of an attached definition
+ * @param {import('types').ExecutionHistoryState} [state] recovered history state
+ */
+export function ExecutionHistory(state) {
+  this[kRecords] = [];
+  this[kSequence] = 0;
+  this[kLastStates] = new Map();
+  this[kDefinition] = null;
+  this[kMessageHandlers] = { onEvent: this._onEvent.bind(this) };
+  if (state) this.recover(state);
+}
+
+Object.defineProperty(ExecutionHistory.prototype, 'size', {
+  get() {
+    return this[kRecords].length;
+  },
+});
+
+/**
+ * Attach to definition
+ * records events published by the definition until detached
+ * @param {import('types').Definition} definition
+ */
+ExecutionHistory.prototype.attach = function attach(definition) {
+  if (this[kDefinition]) throw new Error('execution history is already attached to a definition');
+  this[kDefinition] = definition;
+  const onEvent = this[kMessageHandlers].onEvent;
+  this[kUnsubscribe] = subscribeEvents(definition.broker, [
+    ['_execution-history-activity', 'activity.*', onEvent],
+    ['_execution-history-flow', 'flow.*', onEvent],
+  ]);
+  return this;
+};
+
+/**
+ * Detach from definition
+ */
+ExecutionHistory.prototype.detach = function detach() {
+  if (!this[kDefinition]) return;
+  this[kUnsubscribe]();
+  this[kDefinition] = null;
+};
+
+/**
+ * Query records
+ * @param {import('types').ExecutionHistoryFilter} [filter]
+ * @returns {import('types').ExecutionHistoryRecord[]} matching records in recorded order
+ */
+ExecutionHistory.prototype.query = function query(filter) {
+  if (!filter) return this[kRecords].map(toRecord);
+
+  const { id, executionId, elementType, parentExecutionId } = filter;
+  const states = filter.state && new Set([].concat(filter.state));
+  const from = filter.from !== undefined && new Date(filter.from).getTime();
+  const to = filter.to !== undefined && new Date(filter.to).getTime();
+
+  const result = [];
+  for (const record of this[kRecords]) {
+    if (id !== undefined && record.id !== id) continue;
+    if (executionId !== undefined && record.executionId !== executionId) continue;
+    if (elementType !== undefined && record.elementType !== elementType) continue;
+    if (states && !states.has(record.state)) continue;
+    if (from !== false && record.timestamp.getTime() < from) continue;
+    if (to !== false && record.timestamp.getTime() > to) continue;
+    if (parentExecutionId !== undefined && !record.parents.some((parent) => parent.executionId === parentExecutionId)) continue;
+    result.push(toRecord(record));
+  }
+  return result;
+};
+
+/**
+ * Get activity records
+ * @param {string} activityId
+ */
+ExecutionHistory.prototype.getActivityHistory = function getActivityHistory(activityId) {
+  return this.query({ id: activityId, elementType: 'activity' });
+};
+
+/**
+ * Get records in time range
+ * @param {Date|number|string} [from] inclusive
+ * @param {Date|number|string} [to] inclusive
+ */
+ExecutionHistory.prototype.getByTimeRange = function getByTimeRange(from, to) {
+  return this.query({ from, to });
+};
+
+/**
+ * Get records by state, e.g. error
+ * @param {string|string[]} state
+ */
+ExecutionHistory.prototype.getByState = function getByState(state) {
+  return this.query({ state });
+};
+
+ExecutionHistory.prototype.clear = function clear() {
+  this[kRecords] = [];
+  this[kSequence] = 0;
+  this[kLastStates].clear();
+};
+
+/**
+ * Get serializable history state
+ * @returns {import('types').ExecutionHistoryState}
+ */
+ExecutionHistory.prototype.getState = function getState() {
+  return {
+    sequence: this[kSequence],
+    records: this[kRecords].map(toRecord),
+  };
+};
+
+/**
+ * Recover history state
+ * @param {import('types').ExecutionHistoryState} state
+ */
+ExecutionHistory.prototype.recover = function recover(state) {
+  if (!state) return this;
+  const records = (this[kRecords] = (state.records || []).map(toRecord));
+  this[kSequence] = state.sequence ?? (records.length ? records[records.length - 1].sequence : 0);
+
+  const lastStates = this[kLastStates];
+  lastStates.clear();
+  for (const record of records) {
+    if (record.executionId) lastStates.set(record.executionId, record.state);
+  }
+  return this;
+};
+
+ExecutionHistory.prototype._onEvent = function onEvent(routingKey, message) {
+  const [elementType, state] = routingKey.split('.');
+  const states = elementType === 'flow' ? flowStates : activityStates;
+  if (!states.has(state)) return;
+
+  const content = message.content;
+  const executionId = content.executionId;
+  const lastStates = this[kLastStates];
+  // a resumed activity publishes the current state again
+  if (executionId && lastStates.get(executionId) === state) return;
+
+  const record = {
+    sequence: ++this[kSequence],
+    timestamp: this[kDefinition].environment.now(),
+    elementType,
+    id: content.id,
+    type: content.type,
+    ...(content.name && { name: content.name }),
+    state,
+    ...(executionId && { executionId }),
+    ...(elementType === 'flow' && {
+      sourceId: content.sourceId,
+      targetId: content.targetId,
+      sequenceId: content.sequenceId,
+    }),
+    parents: getParentChain(content.parent),
+  };
+
+  const input = snapshot(content.input);
+  if (input !== undefined) record.input = input;
+  const output = snapshot(content.output);
+  if (output !== undefined) record.output = output;
+  if (content.error) record.error = getErrorSnapshot(content.error);
+
+  if (executionId) lastStates.set(executionId, state);
+  this[kRecords].push(record);
+};
+
+function getParentChain(parent) {
+  if (!parent) return [];
+  const { path, ...nearest } = parent;
+  const chain = [nearest].concat(path || []);
+  return chain.map(({ id, type, executionId }) => ({ id, type, ...(executionId && { executionId }) }));
+}
+
+function getErrorSnapshot(error) {
+  const { name, message, code, description } = error;
+  return {
+    name,
+    message: message ?? description,
+    ...(code !== undefined && { code }),
+  };
+}
+
+function snapshot(value) {
+  if (value === undefined) return;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return;
+  }
+}
+
+function toRecord(record) {
+  const { sequence, timestamp, parents, input, output, error, ...rest } = record;
+  return {
+    sequence,
+    timestamp: new Date(timestamp),
+    ...rest,
+    parents: (parents || []).map((parent) => ({ ...parent })),
+    ...(input !== undefined && { input: snapshot(input) }),
+    ...(output !== undefined && { output: snapshot(output) }),
+    ...(error && { error: { ...error } }),
+  };
+}
@@ -1,43 +1,57 @@
 import getPropertyValue from './getPropertyValue.js';
+import { parseExpression, evaluateExpression } from './expressionParser.js';
+import { standardFunctions } from './expressionFunctions.js';
 
 const isExpressionPattern = /^\${(.+?)}$/;
 const expressionPattern = /\${(.+?)}/;
+const hyphenatedPathPattern = /^[a-z_$][\w$]*(?:[.-][\w$]+|\[-?[\w$]+\])*$/i;
+const hyphenPattern = /[\w$]-[\w$]/;
+
+const DEFAULT_CACHE_SIZE = 1000;
+
+/**
+ * Expressions handler
+ * @param {{cacheSize?: number, functions?: Record<string, CallableFunction>}} [options]
+ * cacheSize is the max number of compiled expressions to keep, 0 disables cache,
+ * functions are named functions that can be called without prefix, added to the standard functions
+ */
+export default function Expressions(options) {
+  const cache = new ExpressionCache(options?.cacheSize ?? DEFAULT_CACHE_SIZE);
+  const functions = Object.assign(Object.create(null), standardFunctions);
+
+  if (options?.functions) {
+    for (const [name, fn] of Object.entries(options.functions)) registerFunction(name, fn);
+  }
 
-export default function Expressions() {
   return {
+    functions,
     resolveExpression,
     isExpression,
     hasExpression,
+    compile,
+    registerFunction,
   };
-}
-
-function resolveExpression(templatedString, context, expressionFnContext) {
-  let result = templatedString;
 
-  while (expressionPattern.test(result)) {
-    const expressionMatch = result.match(expressionPattern);
-    const innerProperty = expressionMatch[1];
+  function registerFunction(name, fn) {
+    if (typeof fn !== 'function') throw new TypeError(`function ${name} is not a function`);
+    functions[name] = fn;
+  }
 
-    if (innerProperty === 'true') {
-      return true;
-    } else if (innerProperty === 'false') {
-      return false;
-    } else if (innerProperty === 'null') {
-      return null;
-    } else {
-      const n = Number(innerProperty);
-      if (!isNaN(n)) return n;
-    }
+  function resolveExpression(templatedString, context, expressionFnContext) {
+    if (typeof templatedString !== 'string') return templatedString;
+    return compile(templatedString).evaluate(context, expressionFnContext);
+  }
 
-    const contextValue = getPropertyValue(context, innerProperty, expressionFnContext);
+  function compile(templatedString) {
+    if (typeof templatedString !== 'string') return new CompiledExpression(templatedString, [templatedString]);
 
-    if (expressionMatch.input === expressionMatch[0]) {
-      return contextValue;
+    let compiled = cache.get(templatedString);
+    if (!compiled) {
+      compiled = new CompiledExpression(templatedString, compileTemplate(templatedString, functions));
+      cache.set(templatedString, compiled);
     }
-
-    result = result.replace(expressionMatch[0], contextValue === undefined ? '' : contextValue);
+    return compiled;
   }
-  return result;
 }
 
 function isExpression(text) {
@@ -49,3 +63,169 @@ function hasExpression(text) {
   if (!text) return false;
   return expressionPattern.test(text);
 }
+
+/**
+ * Compiled expression
+ * @param {any} expression source expression
+ * @param {Array<string|ExpressionPart>} parts string parts and expression parts
+ */
+function CompiledExpression(expression, parts) {
+  this.expression = expression;
+  this.parts = parts;
+}
+
+/**
+ * Evaluate compiled expression
+ * @param {any} [context] context from where to resolve expressions
+ * @param {any} [expressionFnContext] optional call context (this)
+ */
+CompiledExpression.prototype.evaluate = function evaluate(context, expressionFnContext) {
+  const parts = this.parts;
+  if (parts.length === 1) {
+    const [part] = parts;
+    return part instanceof ExpressionPart ? part.evaluate(context, expressionFnContext) : part;
+  }
+
+  let result = '';
+  for (const part of parts) {
+    if (!(part instanceof ExpressionPart)) {
+      result += part;
+      continue;
+    }
+    const value = part.evaluate(context, expressionFnContext);
+    result += value === undefined ? '' : value;
+  }
+  return result;
+};
+
+function ExpressionPart(node, path, functions) {
+  this.node = node;
+  this.path = path;
+  this.functions = functions;
+}
+
+ExpressionPart.prototype.evaluate = function evaluate(context, expressionFnContext) {
+  if (this.node) return evaluateExpression(this.node, context, expressionFnContext, this.functions);
+  return getPropertyValue(context, this.path, expressionFnContext);
+};
+
+export function ExpressionCache(maxSize) {
+  this.maxSize = maxSize;
+  this.entries = new Map();
+}
+
+ExpressionCache.prototype.get = function get(key) {
+  const entries = this.entries;
+  const value = entries.get(key);
+  if (value === undefined) return;
+  entries.delete(key);
+  entries.set(key, value);
+  return value;
+};
+
+ExpressionCache.prototype.set = function set(key, value) {
+  if (!this.maxSize) return;
+  const entries = this.entries;
+  entries.set(key, value);
+  if (entries.size > this.maxSize) entries.delete(entries.keys().next().value);
+};
+
+ExpressionCache.prototype.clear = function clear() {
+  this.entries.clear();
+};
+
+function compileTemplate(templatedString, functions) {
+  const parts = [];
+  let rest = templatedString;
+  let expression;
+  while ((expression = getNextExpression(rest, functions))) {
+    if (expression.start) parts.push(rest.substring(0, expression.start));
+    parts.push(expression.part);
+    rest = rest.substring(expression.end);
+  }
+
+  if (rest || !parts.length) parts.push(rest);
+  return parts;
+}
+
+/**
+ * Find next expression in templated string
+ * scans to the matching closing brace, respecting nested braces and quoted strings,
+ * if the enclosed text is not a valid expression the first closing brace ends the expression,
+ * a bare property path with hyphenated names, e.g. content.output.my-key, is resolved as property path
+ * @param {string} text
+ * @param {Record<string, CallableFunction>} functions
+ */
+function getNextExpression(text, functions) {
+  const match = text.match(expressionPattern);
+  if (!match) return;
+
+  const start = match.index;
+  const constant = getConstant(match[1]);
+  if (constant) return { start, end: start + match[0].length, part: constant };
+
+  if (isHyphenatedPath(match[1])) return { start, end: start + match[0].length, part: new ExpressionPart(null, match[1]) };
+
+  const end = findClosingBrace(text, start + 2);
+  if (end > -1) {
+    const inner = text.substring(start + 2, end);
+    try {
+      return { start, end: end + 1, part: new ExpressionPart(parseExpression(inner), null, functions) };
+    } catch {
+      // fall through to property path
+    }
+  }
+
+  return { start, end: start + match[0].length, part: new ExpressionPart(null, match[1]) };
+}
+
+export function findClosingBrace(text, from) {
+  let depth = 0;
+  let quote;
+  for (let idx = from; idx < text.length; idx++) {
+    const char = text[idx];
+    if (quote) {
+      if (char === '\\') idx++;
+      else if (char === quote) quote = undefined;
+      continue;
+    }
+
+    switch (char) {
+      case '"':
+      case "'":
+        quote = char;
+        break;
+      case '{':
+        depth++;
+        break;
+      case '}':
+        if (!depth) return idx;
+        depth--;
+        break;
+    }
+  }
+  return -1;
+}
+
+function isHyphenatedPath(inner) {
+  return hyphenPattern.test(inner) && hyphenatedPathPattern.test(inner);
+}
+
+function getConstant(inner) {
+  let value;
+  switch (inner) {
+    case 'true':
+      value = true;
+      break;
+    case 'false':
+      value = false;
+      break;
+    case 'null':
+      value = null;
+      break;
+    default:
+      value = Number(inner);
+      if (isNaN(value)) return;
+  }
+  return new ExpressionPart({ type: 'Literal', value });
+}
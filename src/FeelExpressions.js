@@ -0,0 +1,135 @@
+import { ExpressionCache, findClosingBrace } from './Expressions.js';
+import { parseFeel, evaluateFeel } from './feelParser.js';
+import { feelFunctions } from './feelFunctions.js';
+
+const feelLanguages = new Set(['feel', 'https://www.omg.org/spec/feel/20140401', 'http://www.omg.org/spec/feel/20140401']);
+const templatePattern = /\${/;
+
+const DEFAULT_CACHE_SIZE = 1000;
+
+/**
+ * Check if language is FEEL
+ * @param {string} language expression or script language, e.g. the language attribute of a condition expression
+ */
+export function isFeelLanguage(language) {
+  return typeof language === 'string' && feelLanguages.has(language.toLowerCase());
+}
+
+/**
+ * Prefix FEEL source with = unless it already is a FEEL expression
+ * @param {string} source FEEL expression, e.g. condition expression body
+ */
+export function toFeelExpression(source) {
+  if (typeof source !== 'string' || isFeelExpression(source)) return source;
+  return `=${source}`;
+}
+
+/**
+ * FEEL expressions handler
+ * strings prefixed with = are evaluated as FEEL, as are the contents of ${} in templated strings
+ * @param {{cacheSize?: number, functions?: Record<string, CallableFunction>}} [options]
+ */
+export default function FeelExpressions(options) {
+  const cache = new ExpressionCache(options?.cacheSize ?? DEFAULT_CACHE_SIZE);
+  const functions = Object.assign(Object.create(null), feelFunctions);
+
+  if (options?.functions) {
+    for (const [name, fn] of Object.entries(options.functions)) registerFunction(name, fn);
+  }
+
+  return {
+    language: 'feel',
+    functions,
+    resolveExpression,
+    isExpression: isFeelExpression,
+    hasExpression,
+    compile,
+    registerFunction,
+  };
+
+  function registerFunction(name, fn) {
+    if (typeof fn !== 'function') throw new TypeError(`function ${name} is not a function`);
+    // names with spaces are parsed as function names, expressions compiled without the name are parsed again
+    if (name.includes(' ') && !(name in functions)) cache.clear();
+    functions[name] = fn;
+  }
+
+  function resolveExpression(expression, context, expressionFnContext) {
+    if (typeof expression !== 'string') return expression;
+    return compile(expression).evaluate(context, expressionFnContext);
+  }
+
+  function compile(expression) {
+    if (typeof expression !== 'string') return new CompiledFeelExpression(expression, [expression]);
+
+    let compiled = cache.get(expression);
+    if (!compiled) {
+      compiled = new CompiledFeelExpression(expression, compileParts(expression));
+      cache.set(expression, compiled);
+    }
+    return compiled;
+  }
+
+  function compileParts(expression) {
+    const names = Object.keys(functions).filter((name) => name.includes(' '));
+    if (expression[0] === '=') return [new FeelPart(parseFeel(expression.substring(1), names), functions)];
+
+    const parts = [];
+    let rest = expression;
+    let start;
+    while ((start = rest.search(templatePattern)) > -1) {
+      const end = findClosingBrace(rest, start + 2);
+      if (end === -1) break;
+      if (start) parts.push(rest.substring(0, start));
+      parts.push(new FeelPart(parseFeel(rest.substring(start + 2, end), names), functions));
+      rest = rest.substring(end + 1);
+    }
+
+    if (rest || !parts.length) parts.push(rest);
+    return parts;
+  }
+}
+
+function isFeelExpression(text) {
+  if (!text || typeof text !== 'string') return false;
+  if (text[0] === '=') return true;
+  return text.startsWith('${') && findClosingBrace(text, 2) === text.length - 1;
+}
+
+function hasExpression(text) {
+  if (!text || typeof text !== 'string') return false;
+  return text[0] === '=' || templatePattern.test(text);
+}
+
+function CompiledFeelExpression(expression, parts) {
+  this.expression = expression;
+  this.parts = parts;
+}
+
+CompiledFeelExpression.prototype.evaluate = function evaluate(context, expressionFnContext) {
+  const parts = this.parts;
+  if (parts.length === 1) {
+    const [part] = parts;
+    return part instanceof FeelPart ? part.evaluate(context, expressionFnContext) : part;
+  }
+
+  let result = '';
+  for (const part of parts) {
+    if (!(part instanceof FeelPart)) {
+      result += part;
+      continue;
+    }
+    const value = part.evaluate(context, expressionFnContext);
+    result += value === null || value === undefined ? '' : value;
+  }
+  return result;
+};
+
+function FeelPart(node, functions) {
+  this.node = node;
+  this.functions = functions;
+}
+
+FeelPart.prototype.evaluate = function evaluate(context, expressionFnContext) {
+  return evaluateFeel(this.node, context, expressionFnContext, this.functions);
+};
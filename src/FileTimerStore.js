@@ -0,0 +1,39 @@
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { MemoryTimerStore } from './TimerStore.js';
+
+/**
+ * File timer store
+ * in-memory timer store that writes timers to a JSON file on every change, timers are read from file when created
+ * @param {string} filePath path to JSON file
+ */
+export function FileTimerStore(filePath) {
+  if (!filePath || typeof filePath !== 'string') throw new TypeError('file timer store requires a file path');
+  this.filePath = filePath;
+  MemoryTimerStore.call(this, existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf8')) : undefined);
+}
+
+FileTimerStore.prototype = Object.create(MemoryTimerStore.prototype, {
+  constructor: { value: FileTimerStore, writable: true, configurable: true },
+});
+
+FileTimerStore.prototype.set = function set(entry) {
+  MemoryTimerStore.prototype.set.call(this, entry);
+  this._write();
+};
+
+FileTimerStore.prototype.delete = function deleteEntry(entry) {
+  const deleted = MemoryTimerStore.prototype.delete.call(this, entry);
+  if (deleted) this._write();
+  return deleted;
+};
+
+FileTimerStore.prototype.clear = function clear() {
+  MemoryTimerStore.prototype.clear.call(this);
+  this._write();
+};
+
+FileTimerStore.prototype._write = function write() {
+  const tmpPath = `${this.filePath}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(this.list(), null, 2));
+  renameSync(tmpPath, this.filePath);
+};
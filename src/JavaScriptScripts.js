@@ -0,0 +1,161 @@
+import { Script, createContext } from 'node:vm';
+
+const DEFAULT_TIMEOUT = 5000;
+const javascriptPattern = /^(javascript|js)$/i;
+const awaitPattern = /\bawait\b/;
+const drainScript = new Script('');
+
+/**
+ * Sandboxed JavaScript scripts handler
+ * compiles javascript and js script formats once per element and runs them in a vm context,
+ * scripts with top-level await are wrapped in an async function that completes the script when resolved
+ * @param {{timeout?: number, globals?: Record<string, any>}} [options]
+ * timeout is max number of milliseconds to run a script synchronously, 0 disables timeout,
+ * scripts with top-level await are timed out when running synchronously between awaits,
+ * globals are added to the script context
+ */
+export function JavaScriptScripts(options) {
+  this.options = {
+    timeout: DEFAULT_TIMEOUT,
+    ...options,
+  };
+  this.scripts = new Map();
+}
+
+/**
+ * Register script
+ * @param {import('types').ElementBase} element activity, sequence flow, or conditional event definition
+ * @returns {JavaScript|undefined}
+ */
+JavaScriptScripts.prototype.register = function register({ id, type, behaviour, environment }) {
+  let scriptBody, language;
+
+  switch (type) {
+    case 'bpmn:SequenceFlow': {
+      if (!behaviour.conditionExpression) return;
+      language = behaviour.conditionExpression.language;
+      scriptBody = behaviour.conditionExpression.body;
+      break;
+    }
+    default: {
+      language = behaviour.scriptFormat;
+      scriptBody = behaviour.script;
+    }
+  }
+
+  if (!scriptBody || !javascriptPattern.test(language)) return;
+
+  const registered = this.scripts.get(id);
+  if (registered?.body === scriptBody) return registered;
+
+  const script = new JavaScript(language, `${type}/${id}`, scriptBody, environment, this.options);
+  this.scripts.set(id, script);
+
+  return script;
+};
+
+/**
+ * Get registered script
+ * @param {string} language script format
+ * @param {{id: string}} element
+ * @returns {JavaScript|undefined}
+ */
+JavaScriptScripts.prototype.getScript = function getScript(language, { id }) {
+  return this.scripts.get(id);
+};
+
+/**
+ * Compiled JavaScript
+ * @param {string} language
+ * @param {string} filename
+ * @param {string} body
+ * @param {import('types').Environment} environment
+ * @param {{timeout?: number, globals?: Record<string, any>}} options
+ */
+function JavaScript(language, filename, body, environment, options) {
+  this.id = filename;
+  this.language = language;
+  this.body = body;
+  this.environment = environment;
+  this.timeout = options.timeout;
+  this.globals = options.globals;
+  const { script, isAsync } = compile(body, filename);
+  this.script = script;
+  this.isAsync = isAsync;
+}
+
+/**
+ * Execute script
+ * @param {ReturnType<import('./activity/ExecutionScope.js').default>} executionContext
+ * @param {CallableFunction} callback called by script with next(err, result)
+ */
+JavaScript.prototype.execute = function execute(executionContext, callback) {
+  const timers = this.environment.timers.register(executionContext);
+
+  let completed = false;
+  const next = (...args) => {
+    completed = true;
+    return callback(...args);
+  };
+
+  const timeout = this.timeout;
+  // async script microtasks are run by the context, i.e. under the timeout
+  const timedAsync = this.isAsync && !!timeout;
+  const context = createContext(
+    { ...this.globals, ...executionContext, ...timers, next },
+    timedAsync ? { microtaskMode: 'afterEvaluate' } : undefined,
+  );
+
+  try {
+    const result = this.script.runInContext(context, { ...(timeout && { timeout }) });
+    return timedAsync ? runMicrotasks(context, result, timeout) : result;
+  } catch (err) {
+    if (completed) throw err;
+    return next(err);
+  }
+};
+
+/**
+ * Run context microtasks until async script settles
+ * continuations of awaited promises are queued in the context and are not run until the context is evaluated again,
+ * hence the context is evaluated until the script settles, every evaluation with the script timeout
+ * @param {import('node:vm').Context} context
+ * @param {Promise<any>} promise async script result
+ * @param {number} timeout
+ * @returns {Promise<any>}
+ */
+function runMicrotasks(context, promise, timeout) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let ref;
+    const settle = (fn) => (value) => {
+      settled = true;
+      clearTimeout(ref);
+      fn(value);
+    };
+    promise.then(settle(resolve), settle(reject));
+
+    (function drain() {
+      if (settled) return;
+      try {
+        drainScript.runInContext(context, { timeout });
+      } catch (err) {
+        return settle(reject)(err);
+      }
+      if (!settled) ref = setTimeout(drain, 1);
+    })();
+  });
+}
+
+function compile(body, filename) {
+  try {
+    return { script: new Script(body, { filename }), isAsync: false };
+  } catch (err) {
+    if (!(err instanceof SyntaxError) || !awaitPattern.test(body)) throw err;
+    try {
+      return { script: new Script(`(async () => {\n${body}\n})()`, { filename, lineOffset: -1 }), isAsync: true };
+    } catch {
+      throw err;
+    }
+  }
+}
@@ -0,0 +1,351 @@
+import { isSubExecution, subscribeEvents } from './shared.js';
+
+const kOptions = Symbol.for('options');
+const kMetrics = Symbol.for('metrics');
+const kExecutions = Symbol.for('executions');
+const kAttached = Symbol.for('attached');
+const kEpoch = Symbol.for('epoch');
+
+export const DEFAULT_BUCKETS = Object.freeze([10, 50, 100, 500, 1000, 5000, 10000, 30000, 60000, 300000, 3600000, 86400000]);
+
+/**
+ * Metrics collector
+ * aggregates element metrics of attached definitions, e.g. runs of the same context
+ * @param {{buckets?: number[]}} [options] histogram bucket upper bounds in milliseconds
+ */
+export function MetricsCollector(options) {
+  const buckets = options?.buckets ?? DEFAULT_BUCKETS;
+  if (!Array.isArray(buckets) || !buckets.length || buckets.some((le) => typeof le !== 'number' || !(le > 0))) {
+    throw new TypeError('metrics buckets must be a list of positive numbers');
+  }
+  this[kOptions] = { buckets: [...buckets].sort((a, b) => a - b) };
+  this[kMetrics] = new Map();
+  this[kExecutions] = new Map();
+  // weakly held to not keep definitions for the life of the collector
+  this[kAttached] = new WeakMap();
+  this[kEpoch] = 0;
+}
+
+/**
+ * Attach to definition
+ * @param {import('types').Definition} definition
+ */
+MetricsCollector.prototype.attach = function attach(definition) {
+  const attached = this[kAttached].get(definition);
+  if (attached?.epoch === this[kEpoch]) return this;
+  attached?.unsubscribe();
+
+  const onElementEvent = this._onElementEvent.bind(this, definition);
+  const onFlowEvent = this._onFlowEvent.bind(this, definition);
+  const unsubscribe = subscribeEvents(definition.broker, [
+    ['_metrics-definition', 'definition.*', onElementEvent],
+    ['_metrics-process', 'process.*', onElementEvent],
+    ['_metrics-activity', 'activity.#', onElementEvent],
+    ['_metrics-flow', 'flow.*', onFlowEvent],
+  ]);
+  this[kAttached].set(definition, { epoch: this[kEpoch], unsubscribe });
+  return this;
+};
+
+/**
+ * Detach from definition
+ * @param {import('types').Definition} [definition] detach from all definitions if omitted
+ */
+MetricsCollector.prototype.detach = function detach(definition) {
+  if (!definition) {
+    // definitions detached from all are unsubscribed when they publish their next event
+    this[kEpoch]++;
+    return this._endExecutions();
+  }
+
+  const attached = this[kAttached].get(definition);
+  if (!attached) return;
+  this[kAttached].delete(definition);
+  attached.unsubscribe();
+  this._endExecutions(definition);
+};
+
+/**
+ * Get metrics snapshot
+ * @returns {import('types').Metrics}
+ */
+MetricsCollector.prototype.getMetrics = function getMetrics() {
+  const result = { definitions: [], processes: [], activities: [], flows: [] };
+  for (const metric of this[kMetrics].values()) {
+    const { elementType, executionTime, waitTime, ...rest } = metric;
+    switch (elementType) {
+      case 'definition':
+        result.definitions.push({ ...rest, executionTime: snapshotHistogram(executionTime) });
+        break;
+      case 'process':
+        result.processes.push({ ...rest, executionTime: snapshotHistogram(executionTime) });
+        break;
+      case 'activity':
+        result.activities.push({ ...rest, executionTime: snapshotHistogram(executionTime), waitTime: snapshotHistogram(waitTime) });
+        break;
+      case 'flow':
+        result.flows.push({ ...rest });
+        break;
+    }
+  }
+  return result;
+};
+
+/**
+ * Format metrics in Prometheus text exposition format
+ * @param {{prefix?: string}} [options]
+ */
+MetricsCollector.prototype.toPrometheus = function toPrometheus(options) {
+  return formatPrometheus(this.getMetrics(), options);
+};
+
+/**
+ * Reset counters and histograms, active gauges are kept
+ */
+MetricsCollector.prototype.reset = function reset() {
+  for (const metric of this[kMetrics].values()) {
+    const active = metric.active;
+    Object.assign(metric, this._createMetric(metric.elementType, metric));
+    if (active !== undefined) metric.active = active;
+  }
+};
+
+MetricsCollector.prototype._onElementEvent = function onElementEvent(definition, routingKey, message) {
+  if (!this._isAttached(definition)) return;
+
+  const [elementType, ...rest] = routingKey.split('.');
+  const state = rest.join('.');
+  const content = message.content;
+  if (isSubExecution(content)) return;
+
+  const executionId = content.executionId;
+  switch (state) {
+    case 'enter': {
+      const metric = this._getMetric(definition, elementType, content);
+      metric.executions++;
+      return this._startExecution(definition, metric, content, true);
+    }
+    case 'start':
+    case 'resume':
+      return this._getExecution(definition, elementType, content);
+    case 'wait': {
+      const execution = this._getExecution(definition, elementType, content);
+      if (execution?.timed && !execution.waitAt) execution.waitAt = now(definition);
+      return;
+    }
+    case 'end':
+      this._getMetric(definition, elementType, content).completed++;
+      return this._endWait(definition, this._getExecution(definition, elementType, content));
+    case 'discard':
+    case 'execution.discard':
+      this._getMetric(definition, elementType, content).discarded++;
+      return this._endWait(definition, this[kExecutions].get(executionId));
+    case 'error':
+      this._getMetric(definition, elementType, content).errors++;
+      this._endExecution(definition, this._getExecution(definition, elementType, content));
+      if (elementType === 'activity') return;
+      return this._endExecutions(definition, executionId);
+    case 'leave':
+      this._endExecution(definition, this[kExecutions].get(executionId));
+      // completed definition run ends what is left of its executions, the definition may run again
+      if (elementType === 'definition') this._endExecutions(definition);
+      return;
+    case 'stop':
+      if (elementType === 'activity') return;
+      return this._endExecutions(definition, executionId);
+  }
+};
+
+MetricsCollector.prototype._onFlowEvent = function onFlowEvent(definition, routingKey, message) {
+  if (!this._isAttached(definition)) return;
+
+  const content = message.content;
+  switch (routingKey) {
+    case 'flow.take':
+      this._getMetric(definition, 'flow', content).taken++;
+      break;
+    case 'flow.discard':
+      this._getMetric(definition, 'flow', content).discarded++;
+      break;
+  }
+};
+
+MetricsCollector.prototype._isAttached = function isAttached(definition) {
+  const attached = this[kAttached].get(definition);
+  if (attached?.epoch === this[kEpoch]) return true;
+  if (attached) {
+    this[kAttached].delete(definition);
+    attached.unsubscribe();
+  }
+  return false;
+};
+
+MetricsCollector.prototype._getMetric = function getMetric(definition, elementType, content) {
+  const key = `${definition.id}:${elementType}:${content.id}`;
+  const metrics = this[kMetrics];
+  let metric = metrics.get(key);
+  if (!metric) {
+    metric = this._createMetric(elementType, { definitionId: definition.id, id: content.id, type: content.type, name: content.name });
+    metrics.set(key, metric);
+  }
+  return metric;
+};
+
+MetricsCollector.prototype._createMetric = function createMetric(elementType, { definitionId, id, type, name }) {
+  const element = { elementType, definitionId, id, type, ...(name && { name }) };
+  if (elementType === 'flow') return { ...element, taken: 0, discarded: 0 };
+
+  const buckets = this[kOptions].buckets;
+  return {
+    ...element,
+    executions: 0,
+    completed: 0,
+    discarded: 0,
+    errors: 0,
+    active: 0,
+    executionTime: createHistogram(buckets),
+    ...(elementType === 'activity' && { waitTime: createHistogram(buckets) }),
+  };
+};
+
+MetricsCollector.prototype._startExecution = function startExecution(definition, metric, content, timed) {
+  const parent = content.parent;
+  const ancestors = parent ? [parent.executionId, ...(parent.path || []).map((p) => p.executionId)].filter(Boolean) : [];
+  const executionId = content.executionId;
+  const execution = { executionId, definition, metric, ancestors, timed, startedAt: timed && now(definition), waitAt: null };
+  this[kExecutions].set(executionId, execution);
+  metric.active++;
+  return execution;
+};
+
+MetricsCollector.prototype._getExecution = function getExecution(definition, elementType, content) {
+  const executionId = content.executionId;
+  if (!executionId) return;
+  const execution = this[kExecutions].get(executionId);
+  if (execution) return execution;
+  // resumed execution without known start time
+  return this._startExecution(definition, this._getMetric(definition, elementType, content), content, false);
+};
+
+MetricsCollector.prototype._endWait = function endWait(definition, execution) {
+  if (!execution?.waitAt) return;
+  observe(execution.metric.waitTime, now(definition) - execution.waitAt);
+  execution.waitAt = null;
+};
+
+MetricsCollector.prototype._endExecution = function endExecution(definition, execution, stopped) {
+  if (!execution) return;
+  this[kExecutions].delete(execution.executionId);
+
+  const metric = execution.metric;
+  metric.active = Math.max(metric.active - 1, 0);
+  if (stopped || !execution.timed) return;
+
+  this._endWait(definition, execution);
+  observe(metric.executionTime, now(definition) - execution.startedAt);
+};
+
+MetricsCollector.prototype._endExecutions = function endExecutions(definition, scopeExecutionId) {
+  for (const execution of [...this[kExecutions].values()]) {
+    if (definition && execution.definition !== definition) continue;
+    if (scopeExecutionId && execution.executionId !== scopeExecutionId && !execution.ancestors.includes(scopeExecutionId)) continue;
+    this._endExecution(definition, execution, true);
+  }
+};
+
+/**
+ * Format metrics snapshot in Prometheus text exposition format
+ * @param {import('types').Metrics} metrics
+ * @param {{prefix?: string}} [options]
+ */
+export function formatPrometheus(metrics, options) {
+  const prefix = options?.prefix ?? 'bpmn';
+  const lines = [];
+
+  for (const [group, elementType] of [
+    ['definitions', 'definition'],
+    ['processes', 'process'],
+    ['activities', 'activity'],
+  ]) {
+    const elements = metrics[group];
+    if (!elements?.length) continue;
+    const name = `${prefix}_${elementType}`;
+
+    writeCounter(lines, `${name}_executions_total`, `${elementType} executions`, elements, 'executions');
+    writeCounter(lines, `${name}_completed_total`, `${elementType} completed executions`, elements, 'completed');
+    writeCounter(lines, `${name}_discarded_total`, `${elementType} discarded executions`, elements, 'discarded');
+    writeCounter(lines, `${name}_errors_total`, `${elementType} errors`, elements, 'errors');
+    writeMetric(lines, `${name}_active`, `${elementType} active executions`, 'gauge', elements, 'active');
+    writeHistogram(lines, `${name}_execution_duration_seconds`, `${elementType} execution time`, elements, 'executionTime');
+    if (elementType === 'activity') {
+      writeHistogram(lines, `${name}_wait_duration_seconds`, `${elementType} wait time`, elements, 'waitTime');
+    }
+  }
+
+  if (metrics.flows?.length) {
+    writeCounter(lines, `${prefix}_flow_taken_total`, 'sequence flow taken', metrics.flows, 'taken');
+    writeCounter(lines, `${prefix}_flow_discarded_total`, 'sequence flow discarded', metrics.flows, 'discarded');
+  }
+
+  return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+function writeCounter(lines, name, help, elements, prop) {
+  writeMetric(lines, name, help, 'counter', elements, prop);
+}
+
+function writeMetric(lines, name, help, type, elements, prop) {
+  lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  for (const element of elements) {
+    lines.push(`${name}{${formatLabels(element)}} ${element[prop]}`);
+  }
+}
+
+function writeHistogram(lines, name, help, elements, prop) {
+  lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+  for (const element of elements) {
+    const labels = formatLabels(element);
+    const { buckets, count, sum } = element[prop];
+    for (const bucket of buckets) {
+      lines.push(`${name}_bucket{${labels},le="${bucket.le / 1000}"} ${bucket.count}`);
+    }
+    lines.push(`${name}_bucket{${labels},le="+Inf"} ${count}`, `${name}_sum{${labels}} ${sum / 1000}`, `${name}_count{${labels}} ${count}`);
+  }
+}
+
+function formatLabels({ definitionId, id, type }) {
+  return [
+    ['definition_id', definitionId],
+    ['element_id', id],
+    ['element_type', type],
+  ]
+    .map(([label, value]) => `${label}="${escapeLabelValue(value)}"`)
+    .join(',');
+}
+
+function escapeLabelValue(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+function createHistogram(buckets) {
+  return { count: 0, sum: 0, buckets: buckets.map((le) => ({ le, count: 0 })) };
+}
+
+function observe(histogram, value) {
+  histogram.count++;
+  histogram.sum += value;
+  for (const bucket of histogram.buckets) {
+    if (value <= bucket.le) bucket.count++;
+  }
+}
+
+function snapshotHistogram({ count, sum, buckets }) {
+  return { count, sum, buckets: buckets.map((bucket) => ({ ...bucket })) };
+}
+
+function now(definition) {
+  return definition.environment.now().getTime();
+}
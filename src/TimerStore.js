@@ -0,0 +1,65 @@
+const kEntries = Symbol.for('entries');
+
+/**
+ * In-memory timer store
+ * keeps timers reported by environment timers, keyed by timer execution id
+ * @param {import('types').TimerStoreEntry[]} [entries] initial entries
+ */
+export function MemoryTimerStore(entries) {
+  this[kEntries] = new Map();
+  if (entries) {
+    for (const entry of entries) this[kEntries].set(entry.timerExecutionId, toEntry(entry));
+  }
+}
+
+Object.defineProperty(MemoryTimerStore.prototype, 'size', {
+  get() {
+    return this[kEntries].size;
+  },
+});
+
+/**
+ * Add or replace timer
+ * @param {import('types').TimerStoreEntry} entry
+ */
+MemoryTimerStore.prototype.set = function set(entry) {
+  this[kEntries].set(entry.timerExecutionId, toEntry(entry));
+};
+
+/**
+ * Delete timer
+ * @param {{timerExecutionId: string}} entry
+ * @returns {boolean} true if timer was deleted
+ */
+MemoryTimerStore.prototype.delete = function deleteEntry(entry) {
+  return this[kEntries].delete(entry.timerExecutionId);
+};
+
+/**
+ * Get timers that are due
+ * @param {Date|number} [now] defaults to current time
+ * @returns {import('types').TimerStoreEntry[]} due timers ordered by expire at
+ */
+MemoryTimerStore.prototype.getDue = function getDue(now = Date.now()) {
+  const time = new Date(now).getTime();
+  return this.list().filter((entry) => entry.expireAt.getTime() <= time);
+};
+
+/**
+ * List timers
+ * @returns {import('types').TimerStoreEntry[]} timers ordered by expire at
+ */
+MemoryTimerStore.prototype.list = function list() {
+  return [...this[kEntries].values()].map(toEntry).sort((a, b) => a.expireAt - b.expireAt);
+};
+
+/**
+ * Delete all timers
+ */
+MemoryTimerStore.prototype.clear = function clear() {
+  this[kEntries].clear();
+};
+
+function toEntry({ definitionId, executionId, activityId, timerExecutionId, expireAt }) {
+  return { definitionId, executionId, activityId, timerExecutionId, expireAt: new Date(expireAt) };
+}
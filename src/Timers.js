@@ -1,18 +1,26 @@
 const kExecuting = Symbol.for('executing');
 const kTimerApi = Symbol.for('timers api');
+const kScheduled = Symbol.for('scheduled');
 
 const MAX_DELAY = 2147483647;
 
 export function Timers(options) {
+  const store = options?.store;
+  if (store && (typeof store.set !== 'function' || typeof store.delete !== 'function')) {
+    throw new TypeError('timers store must implement set and delete');
+  }
+
   this.count = 0;
   this.options = {
     setTimeout,
     clearTimeout,
+    maxDelay: MAX_DELAY,
     ...options,
   };
   this[kExecuting] = new Set();
   this.setTimeout = this.setTimeout.bind(this);
   this.clearTimeout = this.clearTimeout.bind(this);
+  this.stopTimeout = this.stopTimeout.bind(this);
 }
 
 Object.defineProperty(Timers.prototype, 'executing', {
@@ -21,8 +29,21 @@ Object.defineProperty(Timers.prototype, 'executing', {
   },
 });
 
-Timers.prototype.register = function register(owner) {
-  return new RegisteredTimers(this, owner);
+/**
+ * Current time
+ * @returns {number} milliseconds since epoch
+ */
+Timers.prototype.now = function now() {
+  return Date.now();
+};
+
+/**
+ * Register timers owner
+ * @param {any} owner timers owner, usually the execution message content
+ * @param {{definitionId?: string, executionId?: string}} [scope] definition scope, timers with scope are reported to the timer store
+ */
+Timers.prototype.register = function register(owner, scope) {
+  return new RegisteredTimers(this, owner, scope);
 };
 
 Timers.prototype.setTimeout = function wrappedSetTimeout(callback, delay, ...args) {
@@ -30,6 +51,20 @@ Timers.prototype.setTimeout = function wrappedSetTimeout(callback, delay, ...arg
 };
 
 Timers.prototype.clearTimeout = function wrappedClearTimeout(ref) {
+  if (this[kExecuting].delete(ref)) {
+    ref.timerRef = this.options.clearTimeout(ref.timerRef);
+    this._unstore(ref);
+    return;
+  }
+  return this.options.clearTimeout(ref);
+};
+
+/**
+ * Stop timer without removing it from the timer store
+ * used when the timer owner is stopped and is expected to be resumed
+ * @param {Timer} ref
+ */
+Timers.prototype.stopTimeout = function stopTimeout(ref) {
   if (this[kExecuting].delete(ref)) {
     ref.timerRef = this.options.clearTimeout(ref.timerRef);
     return;
@@ -37,47 +72,195 @@ Timers.prototype.clearTimeout = function wrappedClearTimeout(ref) {
   return this.options.clearTimeout(ref);
 };
 
-Timers.prototype._setTimeout = function setTimeout(owner, callback, delay, ...args) {
+Timers.prototype._setTimeout = function setTimeout(registration, callback, delay, ...args) {
   const executing = this[kExecuting];
-  const ref = this._getReference(owner, callback, delay, args);
+  const options = this.options;
+  const maxDelay = options.maxDelay;
+  const ref = this._getReference(registration ? registration.owner : null, callback, delay, args);
+  if (registration?.scope) ref.scope = registration.scope;
   executing.add(ref);
-  if (delay < MAX_DELAY) {
-    ref.timerRef = this.options.setTimeout(onTimeout, ref.delay, ...ref.args);
-  }
+
+  // a delay that is not a number never expires, the timer is kept but neither scheduled nor stored
+  if (isNaN(delay)) return ref;
+  this._store(ref);
+
+  const timers = this;
+
+  let left = delay;
+  schedule();
   return ref;
 
+  function schedule() {
+    const chunk = Math.min(left, maxDelay);
+    left -= chunk;
+    ref.timerRef = options.setTimeout(onTimeout, chunk, ...ref.args);
+  }
+
   function onTimeout(...rargs) {
+    if (left > 0) {
+      const remaining = ref.remaining;
+      if (remaining < left) left = remaining;
+      if (left > 0) return schedule();
+    }
     executing.delete(ref);
+    timers._unstore(ref);
     return callback(...rargs);
   }
 };
 
+Timers.prototype._store = function storeTimer(ref) {
+  const store = this.options.store;
+  if (store && ref.scope) store.set(getStoreEntry(ref));
+};
+
+Timers.prototype._unstore = function unstoreTimer(ref) {
+  const store = this.options.store;
+  if (store && ref.scope) store.delete(getStoreEntry(ref));
+};
+
 Timers.prototype._getReference = function getReference(owner, callback, delay, args) {
-  return new Timer(owner, `timer_${this.count++}`, callback, delay, args);
+  return new Timer(this, owner, `timer_${this.count++}`, callback, delay, args);
 };
 
-function RegisteredTimers(timersApi, owner) {
+function RegisteredTimers(timersApi, owner, scope) {
   this[kTimerApi] = timersApi;
   this.owner = owner;
+  this.scope = scope;
   this.setTimeout = this.setTimeout.bind(this);
   this.clearTimeout = this.clearTimeout.bind(this);
 }
 
 RegisteredTimers.prototype.setTimeout = function registeredSetTimeout(callback, delay, ...args) {
   const timersApi = this[kTimerApi];
-  return timersApi._setTimeout(this.owner, callback, delay, ...args);
+  return timersApi._setTimeout(this, callback, delay, ...args);
 };
 
 RegisteredTimers.prototype.clearTimeout = function registeredClearTimeout(ref) {
   this[kTimerApi].clearTimeout(ref);
 };
 
-function Timer(owner, timerId, callback, delay, args) {
+function Timer(timersApi, owner, timerId, callback, delay, args) {
+  this[kTimerApi] = timersApi;
   this.callback = callback;
   this.delay = delay;
   this.args = args;
   this.owner = owner;
   this.timerId = timerId;
-  this.expireAt = new Date(Date.now() + delay);
+  this.expireAt = new Date(timersApi.now() + delay);
   this.timerRef = null;
 }
+
+Object.defineProperty(Timer.prototype, 'remaining', {
+  get() {
+    return Math.max(this.expireAt.getTime() - this[kTimerApi].now(), 0);
+  },
+});
+
+function getStoreEntry(ref) {
+  const { owner, scope } = ref;
+  return {
+    definitionId: scope.definitionId,
+    executionId: scope.executionId,
+    activityId: owner?.id,
+    timerExecutionId: owner?.executionId ?? ref.timerId,
+    expireAt: new Date(ref.expireAt),
+  };
+}
+
+/**
+ * Virtual clock timers
+ * timers are only fired when the clock is advanced, the clock is the engine's notion of now
+ * @param {{now?: Date|number|string}} [options] now is the clock start time, defaults to current time
+ */
+export function VirtualTimers(options) {
+  const clock = new Date(options?.now ?? Date.now()).getTime();
+  if (isNaN(clock)) throw new TypeError(`virtual timers now ${options.now} is not a valid date`);
+
+  this.clock = clock;
+  this[kScheduled] = [];
+
+  Timers.call(this, {
+    ...options,
+    setTimeout: this._schedule.bind(this),
+    clearTimeout: this._unschedule.bind(this),
+    maxDelay: Infinity,
+  });
+}
+
+VirtualTimers.prototype = Object.create(Timers.prototype, {
+  constructor: { value: VirtualTimers, writable: true, configurable: true },
+});
+
+/**
+ * Current virtual time
+ * @returns {number} milliseconds since epoch
+ */
+VirtualTimers.prototype.now = function now() {
+  return this.clock;
+};
+
+/**
+ * Advance clock and fire timers that expire on the way
+ * @param {number} ms milliseconds to advance
+ * @returns {number} number of fired timers
+ */
+VirtualTimers.prototype.advance = function advance(ms) {
+  if (typeof ms !== 'number' || isNaN(ms) || ms < 0) throw new TypeError(`advance ms ${ms} is not a positive number`);
+  return this.advanceTo(this.clock + ms);
+};
+
+/**
+ * Advance clock to date and fire timers that expire on the way
+ * @param {Date|number|string} date
+ * @returns {number} number of fired timers
+ */
+VirtualTimers.prototype.advanceTo = function advanceTo(date) {
+  const to = new Date(date).getTime();
+  if (isNaN(to)) throw new TypeError(`advanceTo date ${date} is not a valid date`);
+
+  let fired = 0;
+  let next;
+  while ((next = this[kScheduled][0]) && next.fireAt <= to) {
+    this._fire(next);
+    fired++;
+  }
+  if (to > this.clock) this.clock = to;
+  return fired;
+};
+
+/**
+ * Advance clock and fire timers until there are no more timers
+ * @param {number} [limit] max number of timers to fire, defaults to 1000, protects against endless repeating timers
+ * @returns {number} number of fired timers
+ */
+VirtualTimers.prototype.runAll = function runAll(limit = 1000) {
+  let fired = 0;
+  let next;
+  while ((next = this[kScheduled][0])) {
+    if (fired >= limit) throw new RangeError(`runAll fired ${limit} timers and there are still more, aborting to prevent endless loop`);
+    this._fire(next);
+    fired++;
+  }
+  return fired;
+};
+
+VirtualTimers.prototype._schedule = function schedule(callback, delay, ...args) {
+  const scheduled = this[kScheduled];
+  const entry = { callback, args, fireAt: this.clock + Math.max(Number(delay) || 0, 0) };
+  let idx = scheduled.length;
+  while (idx > 0 && scheduled[idx - 1].fireAt > entry.fireAt) idx--;
+  scheduled.splice(idx, 0, entry);
+  return entry;
+};
+
+VirtualTimers.prototype._unschedule = function unschedule(entry) {
+  const scheduled = this[kScheduled];
+  const idx = scheduled.indexOf(entry);
+  if (idx > -1) scheduled.splice(idx, 1);
+};
+
+VirtualTimers.prototype._fire = function fire(entry) {
+  this._unschedule(entry);
+  if (entry.fireAt > this.clock) this.clock = entry.fireAt;
+  entry.callback(...entry.args);
+};
@@ -0,0 +1,284 @@
+import { isSubExecution, subscribeEvents } from './shared.js';
+
+const kTracer = Symbol.for('tracer');
+const kSpans = Symbol.for('spans');
+const kDefinition = Symbol.for('definition');
+const kMessageHandlers = Symbol.for('messageHandlers');
+const kSequence = Symbol.for('sequence');
+const kUnsubscribe = Symbol.for('unsubscribe');
+
+export const SpanStatusCode = Object.freeze({ UNSET: 0, OK: 1, ERROR: 2 });
+
+const outcomes = { end: 'completed', discard: 'discarded', error: 'error', stop: 'stopped' };
+
+/**
+ * Tracing
+ * opens a span per definition run, process execution, and activity execution of an attached definition
+ * @param {import('types').Tracer} tracer
+ */
+export function Tracing(tracer) {
+  if (!tracer || typeof tracer.startSpan !== 'function') throw new TypeError('tracer must implement startSpan');
+  this[kTracer] = tracer;
+  this[kSpans] = new Map();
+  this[kDefinition] = null;
+  this[kMessageHandlers] = {
+    onDefinitionEvent: this._onDefinitionEvent.bind(this),
+    onProcessEvent: this._onProcessEvent.bind(this),
+    onActivityEvent: this._onActivityEvent.bind(this),
+  };
+}
+
+/**
+ * Attach to definition
+ * @param {import('types').Definition} definition
+ */
+Tracing.prototype.attach = function attach(definition) {
+  if (this[kDefinition]) throw new Error('tracing is already attached to a definition');
+  this[kDefinition] = definition;
+  const { onDefinitionEvent, onProcessEvent, onActivityEvent } = this[kMessageHandlers];
+  this[kUnsubscribe] = subscribeEvents(definition.broker, [
+    ['_tracing-definition', 'definition.*', onDefinitionEvent],
+    ['_tracing-process', 'process.*', onProcessEvent],
+    ['_tracing-activity', 'activity.#', onActivityEvent],
+  ]);
+  return this;
+};
+
+/**
+ * Detach from definition, open spans are left as is
+ */
+Tracing.prototype.detach = function detach() {
+  if (!this[kDefinition]) return;
+  this[kUnsubscribe]();
+  this[kSpans].clear();
+  this[kDefinition] = null;
+};
+
+Tracing.prototype._onDefinitionEvent = function onDefinitionEvent(routingKey, message) {
+  const content = message.content;
+  switch (routingKey) {
+    case 'definition.enter':
+      return this._startSpan(content);
+    case 'definition.resume':
+      return this._getSpan(content, true);
+    case 'definition.end':
+      return this._setOutcome(content, 'end');
+    case 'definition.leave':
+      return this._endSpan(content);
+    case 'definition.error':
+    case 'definition.stop':
+      this._setOutcome(content, routingKey.split('.')[1]);
+      return this._endSpan(content);
+  }
+};
+
+Tracing.prototype._onProcessEvent = function onProcessEvent(routingKey, message) {
+  const content = message.content;
+  switch (routingKey) {
+    case 'process.enter':
+      return this._startSpan(content);
+    case 'process.end':
+    case 'process.discard':
+      return this._setOutcome(content, routingKey.split('.')[1], true);
+    case 'process.leave':
+      return this._endSpan(content);
+    case 'process.error':
+      this._setOutcome(content, 'error', true);
+      return this._endSpan(content);
+    case 'process.stop':
+      this._setOutcome(content, 'stop');
+      return this._endSpan(content);
+  }
+};
+
+Tracing.prototype._onActivityEvent = function onActivityEvent(routingKey, message) {
+  const content = message.content;
+  if (isSubExecution(content)) return;
+
+  switch (routingKey) {
+    case 'activity.enter':
+      return this._startSpan(content);
+    case 'activity.start':
+    case 'activity.wait':
+      return this._getSpan(content, true);
+    case 'activity.discard':
+      if (!this._getSpan(content)) this._startSpan(content);
+      return this._setOutcome(content, 'discard');
+    case 'activity.end':
+      return this._setOutcome(content, 'end', true);
+    case 'activity.execution.discard':
+      return this._setOutcome(content, 'discard', true);
+    case 'activity.leave':
+      return this._endSpan(content);
+    case 'activity.error':
+      this._setOutcome(content, 'error', true);
+      return this._endSpan(content);
+  }
+};
+
+Tracing.prototype._startSpan = function startSpan(content, resumed) {
+  const { id, type, name, executionId } = content;
+  const parent = content.parent && this._getParentSpan(content.parent);
+
+  const attributes = {
+    'bpmn.element.id': id,
+    'bpmn.element.type': type,
+    ...(name && { 'bpmn.element.name': name }),
+    'bpmn.execution.id': executionId,
+    ...(resumed && { 'bpmn.resumed': true }),
+  };
+
+  const span = this[kTracer].startSpan(id, { startTime: this[kDefinition].environment.now(), attributes }, parent?.span);
+  const entry = { span, parentExecutionId: parent && content.parent.executionId };
+  this[kSpans].set(executionId, entry);
+  return entry;
+};
+
+Tracing.prototype._getSpan = function getSpan(content, resume) {
+  const entry = this[kSpans].get(content.executionId);
+  if (entry || !resume || !content.executionId) return entry;
+  return this._startSpan(content, true);
+};
+
+Tracing.prototype._getParentSpan = function getParentSpan(parent) {
+  const entry = this[kSpans].get(parent.executionId);
+  if (entry || !parent.executionId) return entry;
+  const [grandParent, ...path] = parent.path || [];
+  return this._startSpan({ ...parent, parent: grandParent && { ...grandParent, path } }, true);
+};
+
+Tracing.prototype._setOutcome = function setOutcome(content, state, resume) {
+  const entry = this._getSpan(content, resume);
+  if (!entry) return;
+  const span = entry.span;
+  span.setAttribute('bpmn.outcome', outcomes[state]);
+  if (state !== 'error') return;
+
+  const error = content.error;
+  if (error) span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, ...(error?.message && { message: error.message }) });
+};
+
+Tracing.prototype._endSpan = function endSpan(content) {
+  const executionId = content.executionId;
+  const spans = this[kSpans];
+  const entry = spans.get(executionId);
+  if (!entry) return;
+
+  const endTime = this[kDefinition].environment.now();
+  for (const [childExecutionId, child] of [...spans].reverse()) {
+    if (childExecutionId === executionId || !this._isDescendant(child, executionId)) continue;
+    child.span.setAttribute('bpmn.outcome', outcomes.stop);
+    child.span.end(endTime);
+    spans.delete(childExecutionId);
+  }
+
+  entry.span.end(endTime);
+  spans.delete(executionId);
+};
+
+Tracing.prototype._isDescendant = function isDescendant(entry, ancestorExecutionId) {
+  const spans = this[kSpans];
+  let parentExecutionId = entry.parentExecutionId;
+  while (parentExecutionId) {
+    if (parentExecutionId === ancestorExecutionId) return true;
+    parentExecutionId = spans.get(parentExecutionId)?.parentExecutionId;
+  }
+  return false;
+};
+
+/**
+ * In-memory tracer
+ * keeps started spans, intended for tests
+ */
+export function MemoryTracer() {
+  this[kSpans] = [];
+  this[kSequence] = 0;
+}
+
+Object.defineProperty(MemoryTracer.prototype, 'spans', {
+  get() {
+    return this[kSpans].slice();
+  },
+});
+
+/**
+ * Start span
+ * @param {string} name
+ * @param {import('types').SpanOptions} [options]
+ * @param {MemorySpan} [parent]
+ */
+MemoryTracer.prototype.startSpan = function startSpan(name, options, parent) {
+  const span = new MemorySpan(name, options, parent, String(++this[kSequence]));
+  this[kSpans].push(span);
+  return span;
+};
+
+/**
+ * Get spans by name
+ * @param {string} name
+ */
+MemoryTracer.prototype.getSpans = function getSpans(name) {
+  return this[kSpans].filter((span) => span.name === name);
+};
+
+MemoryTracer.prototype.clear = function clear() {
+  this[kSpans] = [];
+};
+
+function MemorySpan(name, options, parent, spanId) {
+  this.name = name;
+  this.spanId = spanId;
+  this.traceId = parent ? parent.traceId : spanId;
+  this.parentSpanId = parent?.spanId;
+  this.startTime = new Date(options?.startTime ?? Date.now());
+  this.endTime = undefined;
+  this.attributes = { ...options?.attributes };
+  this.status = { code: SpanStatusCode.UNSET };
+  this.exceptions = [];
+}
+
+Object.defineProperties(MemorySpan.prototype, {
+  ended: {
+    get() {
+      return !!this.endTime;
+    },
+  },
+  duration: {
+    get() {
+      return this.endTime && this.endTime - this.startTime;
+    },
+  },
+});
+
+MemorySpan.prototype.spanContext = function spanContext() {
+  return { traceId: this.traceId, spanId: this.spanId };
+};
+
+MemorySpan.prototype.isRecording = function isRecording() {
+  return !this.endTime;
+};
+
+MemorySpan.prototype.setAttribute = function setAttribute(key, value) {
+  if (!this.endTime) this.attributes[key] = value;
+  return this;
+};
+
+MemorySpan.prototype.setAttributes = function setAttributes(attributes) {
+  if (!this.endTime) Object.assign(this.attributes, attributes);
+  return this;
+};
+
+MemorySpan.prototype.setStatus = function setStatus(status) {
+  if (!this.endTime) this.status = { ...status };
+  return this;
+};
+
+MemorySpan.prototype.recordException = function recordException(exception) {
+  if (!this.endTime) this.exceptions.push(exception);
+};
+
+MemorySpan.prototype.end = function end(endTime) {
+  if (this.endTime) return;
+  this.endTime = new Date(endTime ?? Date.now());
+};
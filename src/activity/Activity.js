@@ -206,6 +206,11 @@ Object.defineProperties(Activity.prototype, {
       return this[kFlags].isForCompensation;
     },
   },
+  isParallelJoin: {
+    get() {
+      return this[kFlags].isParallelJoin;
+    },
+  },
   triggeredByEvent: {
     get() {
       return this[kActivityDef].triggeredByEvent;
@@ -404,6 +409,12 @@ Activity.prototype.getApi = function getApi(message) {
   return ActivityApi(this.broker, message || this[kStateMessage]);
 };
 
+Activity.prototype.getTimers = function getTimers() {
+  const execution = this[kExec].get('execution');
+  if (!execution || execution.completed) return [];
+  return execution.getTimers();
+};
+
 Activity.prototype.getActivityById = function getActivityById(elementId) {
   return this.context.getActivityById(elementId);
 };
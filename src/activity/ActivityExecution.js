@@ -134,6 +134,18 @@ ActivityExecution.prototype.getPostponed = function getPostponed() {
   return apis;
 };
 
+ActivityExecution.prototype.getTimers = function getTimers() {
+  let timers = [];
+  for (const msg of this[kPostponed]) {
+    if (msg.fields.routingKey === 'execute.timer') timers.push(this.getApi(msg));
+  }
+  if (!this.activity.isSubProcess || !this.source) return timers;
+  for (const api of this.source.getPostponed()) {
+    timers = timers.concat(api.getTimers());
+  }
+  return timers;
+};
+
 ActivityExecution.prototype.getState = function getState() {
   const result = { completed: this[kCompleted] };
   const source = this.source;
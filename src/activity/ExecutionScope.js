@@ -19,6 +19,8 @@ export default function ExecutionScope(activity, initMessage) {
     BpmnError,
   };
 
+  if (initMessage.signal) scope.signal = initMessage.signal;
+
   return scope;
 
   function resolveExpression(expression) {
@@ -1,4 +1,6 @@
 import ExecutionScope from './activity/ExecutionScope.js';
+import { ActivityError } from './error/Errors.js';
+import { executeScript } from './shared.js';
 
 /**
  * Script condition
@@ -21,7 +23,7 @@ export function ScriptCondition(owner, script, language) {
 ScriptCondition.prototype.execute = function execute(message, callback) {
   const owner = this._owner;
   try {
-    return this._script.execute(ExecutionScope(owner, message), callback);
+    return executeScript(this._script, ExecutionScope(owner, message), callback);
   } catch (err) {
     if (!callback) throw err;
     owner.logger.error(`<${owner.id}>`, err);
@@ -33,11 +35,14 @@ ScriptCondition.prototype.execute = function execute(message, callback) {
  * Expression condition
  * @param {import('types').ElementBase} owner
  * @param {string} expression
+ * @param {string} [language] optional expression language, e.g. feel
  */
-export function ExpressionCondition(owner, expression) {
+export function ExpressionCondition(owner, expression, language) {
   this.type = 'expression';
   this.expression = expression;
+  this.language = language;
   this._owner = owner;
+  this._compiled = undefined;
 }
 
 /**
@@ -48,7 +53,8 @@ export function ExpressionCondition(owner, expression) {
 ExpressionCondition.prototype.execute = function execute(message, callback) {
   const owner = this._owner;
   try {
-    const result = owner.environment.resolveExpression(this.expression, message);
+    const compiled = this._compiled || (this._compiled = owner.environment.compileExpression(this.expression, this.language));
+    const result = compiled.evaluate(message);
     if (callback) return callback(null, result);
     return result;
   } catch (err) {
@@ -56,3 +62,37 @@ ExpressionCondition.prototype.execute = function execute(message, callback) {
     throw err;
   }
 };
+
+/**
+ * Create expression condition, condition language factory for expression languages
+ * @param {import('types').ElementBase} owner
+ * @param {{language?: string, body?: string}} condition
+ */
+export function createExpressionCondition(owner, { language, body }) {
+  return new ExpressionCondition(owner, body, language);
+}
+
+/**
+ * Unsupported condition, fails when executed
+ * @param {import('types').ElementBase} owner
+ * @param {string} language
+ */
+export function UnsupportedCondition(owner, language) {
+  this.type = 'unsupported';
+  this.language = language;
+  this._owner = owner;
+}
+
+/**
+ * Execute
+ * @param {any} message
+ * @param {CallableFunction} callback
+ */
+UnsupportedCondition.prototype.execute = function execute(message, callback) {
+  const err = new ActivityError(
+    `Condition language ${this.language} is unsupported or was not registered for <${this._owner.id}>`,
+    message,
+  );
+  if (callback) return callback(err);
+  throw err;
+};
@@ -0,0 +1,147 @@
+import { fromWallTime, getWallTime } from './timezone.js';
+
+const MAX_YEARS = 8;
+
+const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const dayNames = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const fieldPattern = /^[\d*?,\-/a-z]+$/i;
+
+const secondField = { name: 'second', min: 0, max: 59 };
+const minuteField = { name: 'minute', min: 0, max: 59 };
+const hourField = { name: 'hour', min: 0, max: 23 };
+const dayOfMonthField = { name: 'day of month', min: 1, max: 31 };
+const monthField = { name: 'month', min: 1, max: 12, names: monthNames, offset: 1 };
+const dayOfWeekField = { name: 'day of week', min: 0, max: 7, names: dayNames, offset: 0 };
+
+/**
+ * Check if value looks like a 5 or 6 field cron expression
+ * @param {string} value e.g. a resolved time cycle
+ */
+export function isCronExpression(value) {
+  if (typeof value !== 'string') return false;
+  const fields = value.trim().split(/\s+/);
+  return (fields.length === 5 || fields.length === 6) && fields.every((field) => fieldPattern.test(field));
+}
+
+/**
+ * Cron expression
+ * supports 5 field, minute hour day-of-month month day-of-week, and 6 field, with leading seconds, expressions.
+ * Fields may contain lists, ranges, steps, and month and day names, e.g. 0 8 * * MON-FRI
+ * @param {string} expression
+ * @param {string} [timezone] IANA time zone to evaluate expression in, defaults to local time
+ */
+export function CronExpression(expression, timezone) {
+  if (!isCronExpression(expression)) throw new TypeError(`Invalid cron expression "${expression}", expected 5 or 6 fields`);
+
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length === 5) fields.unshift('0');
+
+  this.expression = expression;
+  this.timezone = timezone;
+
+  const [second, minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  this.seconds = parseField(expression, second, secondField);
+  this.minutes = parseField(expression, minute, minuteField);
+  this.hours = parseField(expression, hour, hourField);
+  this.daysOfMonth = parseField(expression, dayOfMonth, dayOfMonthField);
+  this.months = parseField(expression, month, monthField);
+  this.daysOfWeek = parseField(expression, dayOfWeek, dayOfWeekField);
+  if (this.daysOfWeek.delete(7)) this.daysOfWeek.add(0);
+
+  this.anyDayOfMonth = isWildcard(dayOfMonth);
+  this.anyDayOfWeek = isWildcard(dayOfWeek);
+}
+
+/**
+ * Get next occurrence after date
+ * @param {Date|number} from
+ * @returns {Date|undefined} next occurrence in time zone, undefined if none within eight years
+ */
+CronExpression.prototype.next = function next(from) {
+  const fromTime = new Date(from).getTime();
+  const timezone = this.timezone;
+
+  // wall clock time expressed as UTC
+  const date = new Date(getWallTime(fromTime, timezone));
+  date.setUTCMilliseconds(0);
+  date.setUTCSeconds(date.getUTCSeconds() + 1);
+
+  const limit = date.getUTCFullYear() + MAX_YEARS;
+  while (date.getUTCFullYear() <= limit) {
+    if (!this.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!this._matchDay(date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!this.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!this.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else if (!this.seconds.has(date.getUTCSeconds())) {
+      date.setUTCSeconds(date.getUTCSeconds() + 1, 0);
+    } else {
+      const result = fromWallTime(date, timezone);
+      // a repeated wall clock time when clocks are turned back may resolve to a date before from
+      if (result.getTime() > fromTime) return result;
+      date.setUTCSeconds(date.getUTCSeconds() + 1, 0);
+    }
+  }
+};
+
+CronExpression.prototype._matchDay = function matchDay(date) {
+  const dayOfMonth = this.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = this.daysOfWeek.has(date.getUTCDay());
+  if (this.anyDayOfMonth) return dayOfWeek;
+  if (this.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+};
+
+function isWildcard(field) {
+  return field[0] === '*' || field === '?';
+}
+
+function parseField(expression, field, definition) {
+  const { name, min, max } = definition;
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepStr, ...rest] = part.split('/');
+    const step = stepStr === undefined ? 1 : Number(stepStr);
+    if (rest.length || !Number.isInteger(step) || step < 1) throw invalid(expression, `step in ${name} "${part}"`);
+
+    let from, to;
+    if (range === '*' || range === '?') {
+      from = min;
+      to = max;
+    } else {
+      const [fromStr, toStr, ...restRange] = range.split('-');
+      if (restRange.length) throw invalid(expression, `range in ${name} "${part}"`);
+      from = parseValue(expression, fromStr, definition);
+      to = toStr === undefined ? (stepStr === undefined ? from : max) : parseValue(expression, toStr, definition);
+    }
+
+    if (from > to) throw invalid(expression, `range in ${name} "${part}"`);
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+function parseValue(expression, value, { name, min, max, names, offset }) {
+  let result;
+  if (/^\d+$/.test(value)) {
+    result = Number(value);
+  } else if (names) {
+    const idx = names.indexOf(value.toUpperCase());
+    if (idx > -1) result = idx + offset;
+  }
+
+  if (result === undefined || result < min || result > max) throw invalid(expression, `${name} "${value}"`);
+  return result;
+}
+
+function invalid(expression, detail) {
+  return new TypeError(`Invalid cron expression "${expression}", unexpected ${detail}`);
+}
@@ -4,6 +4,8 @@ import { DefinitionBroker } from '../EventBroker.js';
 import { getUniqueId, getOptionsAndCallback } from '../shared.js';
 import { makeErrorFromMessage } from '../error/Errors.js';
 import { cloneMessage, cloneContent } from '../messageHelper.js';
+import { ExecutionHistory } from '../ExecutionHistory.js';
+import { Tracing } from '../Tracing.js';
 
 const kConsuming = Symbol.for('consuming');
 const kCounters = Symbol.for('counters');
@@ -26,9 +28,11 @@ export function Definition(context, options) {
   this.type = type;
   this.name = name;
 
+  const { history, tracer, metrics, coverage, ...environmentOptions } = options || {};
+
   let environment;
   if (options) {
-    environment = this.environment = context.environment.clone(options);
+    environment = this.environment = context.environment.clone(environmentOptions);
     this.context = context.clone(environment);
   } else {
     environment = this.environment = context.environment;
@@ -51,16 +55,22 @@ export function Definition(context, options) {
     onExecutionMessage: this._onExecutionMessage.bind(this),
   };
 
-  const { broker, on, once, waitFor, emit, emitFatal } = DefinitionBroker(this, onBrokerReturn);
+  const { broker, on, once, waitFor, events, emit, emitFatal } = DefinitionBroker(this, onBrokerReturn);
   this.broker = broker;
 
   this.on = on;
   this.once = once;
   this.waitFor = waitFor;
+  this.events = events;
   this.emit = emit;
   this.emitFatal = emitFatal;
 
   this.logger = environment.Logger(type.toLowerCase());
+
+  if (history) this.history = (history === true ? new ExecutionHistory() : history).attach(this);
+  if (tracer) this.tracing = (tracer instanceof Tracing ? tracer : new Tracing(tracer)).attach(this);
+  if (metrics) this.metrics = metrics.attach(this);
+  if (coverage) this.coverage = coverage.attach(this);
 }
 
 Object.defineProperties(Definition.prototype, {
@@ -111,6 +121,15 @@ Definition.prototype.run = function run(optionsOrCallback, optionalCallback) {
     throw err;
   }
 
+  if (runOptions?.startAt) {
+    try {
+      this._assertStartAt(runOptions.startAt);
+    } catch (err) {
+      if (callback) return callback(err);
+      throw err;
+    }
+  }
+
   if (callback) {
     addConsumerCallbacks(this, callback);
   }
@@ -132,6 +151,17 @@ Definition.prototype.run = function run(optionsOrCallback, optionalCallback) {
   return this;
 };
 
+Definition.prototype._assertStartAt = function assertStartAt(startAt) {
+  const startIds = [].concat(startAt);
+  if (!startIds.length) throw new TypeError('startAt requires at least one activity id');
+  for (const startId of startIds) {
+    const activity = this.context.getActivityById(startId);
+    if (!activity || !this.getProcessById(activity.parent.id)) {
+      throw new Error(`definition <${this.id}> has no process activity <${startId}> to start at`);
+    }
+  }
+};
+
 Definition.prototype.resume = function resume(callback) {
   if (this.isRunning) {
     const err = new Error('cannot resume running definition');
@@ -154,6 +184,28 @@ Definition.prototype.resume = function resume(callback) {
   return this;
 };
 
+/**
+ * Run definition as promised
+ * @param {Record<string, any>} [options] run options
+ * @returns {Promise<Record<string, any>>} resolves with definition output when run completes or is stopped, rejects on error
+ */
+Definition.prototype.runAsync = function runAsync(options) {
+  return new Promise((resolve, reject) => {
+    this.run({ ...options }, (err) => (err ? reject(err) : resolve(this.environment.output)));
+  });
+};
+
+/**
+ * Resume definition as promised
+ * @returns {Promise<Record<string, any>>} resolves with definition output when run completes or is stopped, rejects on error
+ */
+Definition.prototype.resumeAsync = function resumeAsync() {
+  if (!this.status) return Promise.resolve(this.environment.output);
+  return new Promise((resolve, reject) => {
+    this.resume((err) => (err ? reject(err) : resolve(this.environment.output)));
+  });
+};
+
 Definition.prototype.getState = function getState() {
   return this._createMessage({
     status: this.status,
@@ -162,6 +214,7 @@ Definition.prototype.getState = function getState() {
     environment: this.environment.getState(),
     execution: this.execution?.getState(),
     broker: this.broker.getState(true),
+    ...(this.history && { history: this.history.getState() }),
   });
 };
 
@@ -186,6 +239,8 @@ Definition.prototype.recover = function recover(state) {
 
   this.broker.recover(state.broker);
 
+  if (state.history && this.history) this.history.recover(state.history);
+
   return this;
 };
 
@@ -270,6 +325,14 @@ Definition.prototype.getPostponed = function getPostponed(...args) {
   return execution.getPostponed(...args);
 };
 
+Definition.prototype.getTimers = function getTimers() {
+  let result = [];
+  for (const bp of this.getRunningProcesses()) {
+    result = result.concat(bp.getTimers());
+  }
+  return result;
+};
+
 Definition.prototype.getApi = function getApi(message) {
   const execution = this.execution;
   if (execution) return execution.getApi(message);
@@ -286,6 +349,12 @@ Definition.prototype.cancelActivity = function cancelActivity(message) {
   return this.getApi().cancel(message, { delegate: true });
 };
 
+Definition.prototype.modify = function modify(instructions) {
+  const execution = this.execution;
+  if (!this.isRunning || !execution) throw new Error(`definition <${this.id}> is not running`);
+  return execution.modify(instructions);
+};
+
 Definition.prototype.sendMessage = function sendMessage(message) {
   const messageContent = { message };
   let messageType = 'message';
@@ -12,6 +12,7 @@ const kParent = Symbol.for('definition');
 const kProcesses = Symbol.for('processes');
 const kStatus = Symbol.for('status');
 const kStopped = Symbol.for('stopped');
+const kDefinitionScope = Symbol.for('definition scope');
 
 export default function DefinitionExecution(definition, context) {
   const broker = definition.broker;
@@ -140,7 +141,13 @@ DefinitionExecution.prototype.execute = function execute(executeMessage) {
 
   const { running, executable } = this[kProcesses];
 
-  if (content.processId) {
+  if (content.startAt) {
+    executable.clear();
+    for (const startId of [].concat(content.startAt)) {
+      const bp = this.getProcessById(this.context.getActivityById(startId)?.parent.id);
+      if (bp) executable.add(bp);
+    }
+  } else if (content.processId) {
     const startWithProcess = this.getProcessById(content.processId);
     if (startWithProcess) {
       executable.clear();
@@ -289,6 +296,34 @@ DefinitionExecution.prototype.getPostponed = function getPostponed(...args) {
   return result;
 };
 
+DefinitionExecution.prototype.modify = function modify(instructions) {
+  if (!Array.isArray(instructions) || !instructions.length) throw new TypeError('modify requires a list of instructions');
+
+  const byProcess = new Map();
+  for (const instruction of instructions) {
+    let modification;
+    for (const bp of this[kProcesses].running) {
+      const execution = bp.execution;
+      if (!execution) continue;
+      const modifications = byProcess.get(execution) || [];
+      if (!(modification = execution._resolveModification(instruction, modifications))) continue;
+      modifications.push(modification);
+      byProcess.set(execution, modifications);
+      break;
+    }
+    if (!modification) {
+      const { cancel, startBefore, startAfter } = instruction;
+      throw new Error(`cannot modify definition <${this.id}>, no running process matches <${cancel || startBefore || startAfter}>`);
+    }
+  }
+
+  let result = [];
+  for (const [execution, modifications] of byProcess) {
+    result = result.concat(execution._applyModifications(modifications));
+  }
+  return result;
+};
+
 DefinitionExecution.prototype._start = function start() {
   const { ids, executable, postponed } = this[kProcesses];
   if (!ids.size) {
@@ -301,8 +336,10 @@ DefinitionExecution.prototype._start = function start() {
 
   this[kStatus] = 'start';
 
+  const { startAt, variables } = this[kExecuteMessage].content;
+
   for (const bp of executable) bp.init();
-  for (const bp of executable) bp.run();
+  for (const bp of executable) bp.run(startAt && { startAt: getProcessStartAt(bp, startAt), variables });
 
   postponed.clear();
   this[kProcessesQ].assertConsumer(this[kMessageHandlers].onProcessMessage, {
@@ -323,6 +360,8 @@ DefinitionExecution.prototype._activate = function activate(processList) {
 DefinitionExecution.prototype._activateProcess = function activateProcess(bp) {
   const handlers = this[kMessageHandlers];
   const broker = bp.broker;
+  // process environment is cloned from the definition environment and is passed on to sub process environments
+  bp.environment[kDefinitionScope] = { definitionId: this.id, executionId: this.executionId };
 
   broker.subscribeTmp('message', 'message.outbound', handlers.onMessageOutbound, {
     noAck: true,
@@ -399,6 +438,8 @@ DefinitionExecution.prototype._onProcessMessage = function onProcessMessage(rout
     case 'process.leave': {
       return this._onProcessCompleted(message);
     }
+    case 'process.modify':
+      return message.ack();
   }
 
   this._stateChangeMessage(message, true);
@@ -747,3 +788,8 @@ DefinitionExecution.prototype._getProcessApiByExecutionId = function getProcessA
 DefinitionExecution.prototype._debug = function debug(logMessage) {
   this[kParent].logger.debug(`<${this.executionId} (${this.id})> ${logMessage}`);
 };
+
+function getProcessStartAt(bp, startAt) {
+  const activities = bp.getActivities();
+  return [].concat(startAt).filter((startId) => activities.some((a) => a.id === startId));
+}
@@ -1,6 +1,6 @@
 import { cloneContent, shiftParent } from '../messageHelper.js';
 import { ActivityError } from '../error/Errors.js';
-import { ScriptCondition, ExpressionCondition } from '../condition.js';
+import { ScriptCondition, ExpressionCondition, UnsupportedCondition } from '../condition.js';
 
 const kExecuteMessage = Symbol.for('executeMessage');
 
@@ -126,6 +126,9 @@ ConditionalEventDefinition.prototype.getCondition = function getCondition(index)
   if (behaviour.script) {
     const { language, body, resource } = behaviour.script;
 
+    const createCondition = this.environment.getConditionLanguage(language);
+    if (createCondition) return createCondition(this, behaviour.script);
+
     const scriptId = `${this.id}/${index}`;
 
     const script = this.environment.scripts.register({
@@ -142,6 +145,8 @@ ConditionalEventDefinition.prototype.getCondition = function getCondition(index)
     if (script) {
       return new ScriptCondition(this, script, language);
     }
+
+    return new UnsupportedCondition(this, language);
   } else if (behaviour.expression) {
     return new ExpressionCondition(this, behaviour.expression);
   }
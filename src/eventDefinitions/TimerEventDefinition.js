@@ -1,10 +1,14 @@
-import { ISOInterval, getDate } from '@0dep/piso';
+import { ISODate, ISOInterval, getDate } from '@0dep/piso';
 import { cloneContent } from '../messageHelper.js';
 import { RunError } from '../error/Errors.js';
+import { clearTimer, getDefinitionScope } from '../shared.js';
+import { CronExpression, isCronExpression } from '../cron.js';
+import { assertTimeZone, fromWallTime, getWallTime, getZonedParts } from '../timezone.js';
 
 const kStopped = Symbol.for('stopped');
 const kTimerContent = Symbol.for('timerContent');
 const kTimer = Symbol.for('timer');
+const kExpressions = Symbol.for('expressions');
 
 const timerTypes = new Set(['timeDuration', 'timeDate', 'timeCycle']);
 
@@ -24,6 +28,7 @@ export default function TimerEventDefinition(activity, eventDefinition) {
 
   this[kStopped] = false;
   this[kTimer] = null;
+  this[kExpressions] = new Map();
 }
 
 Object.defineProperties(TimerEventDefinition.prototype, {
@@ -56,7 +61,7 @@ TimerEventDefinition.prototype.execute = function execute(executeMessage) {
 
   const content = executeMessage.content;
   const executionId = content.executionId;
-  const startedAt = (this.startedAt = 'startedAt' in content ? new Date(content.startedAt) : new Date());
+  const startedAt = (this.startedAt = 'startedAt' in content ? new Date(content.startedAt) : this.environment.now());
 
   try {
     // eslint-disable-next-line no-var
@@ -83,20 +88,31 @@ TimerEventDefinition.prototype.execute = function execute(executeMessage) {
     noAck: true,
     consumerTag: `_api-delegated-${executionId}`,
   });
+  if (content.parent?.executionId) {
+    broker.subscribeTmp('api', `activity.*.${content.parent.executionId}`, this._onParentApiMessage.bind(this), {
+      noAck: true,
+      consumerTag: `_api-parent-${executionId}`,
+    });
+  }
 
   broker.publish('execution', 'execute.timer', cloneContent(timerContent));
   broker.publish('event', 'activity.timer', cloneContent(timerContent));
 
   if (this.stopped) return;
 
+  this._startTimer();
+};
+
+TimerEventDefinition.prototype._startTimer = function startTimer() {
+  const timerContent = this[kTimerContent];
   if (timerContent.timeout <= 0) return this._completed();
 
-  const timers = this.environment.timers.register(timerContent);
+  const timers = this.environment.timers.register(timerContent, getDefinitionScope(this.activity));
   const delay = timerContent.timeout;
   this[kTimer] = timers.setTimeout(this._completed.bind(this), delay, {
-    id: content.id,
+    id: timerContent.id,
     type: this.type,
-    executionId,
+    executionId: timerContent.executionId,
     state: 'timeout',
   });
   this._debug(`set timeout with delay ${delay}`);
@@ -110,7 +126,7 @@ TimerEventDefinition.prototype.stop = function stopTimer() {
 TimerEventDefinition.prototype._completed = function completed(completeContent, options) {
   this._stop();
 
-  const stoppedAt = new Date();
+  const stoppedAt = this.environment.now();
 
   const runningTime = stoppedAt.getTime() - this.startedAt.getTime();
   this._debug(`completed in ${runningTime}ms`);
@@ -159,10 +175,31 @@ TimerEventDefinition.prototype._onDelegatedApiMessage = function onDelegatedApiM
   return this._onApiMessage(routingKey, message);
 };
 
+TimerEventDefinition.prototype._onParentApiMessage = function onParentApiMessage(routingKey, message) {
+  switch (message.properties.type) {
+    case 'fire':
+    case 'reschedule':
+      return this._onApiMessage(routingKey, message);
+  }
+};
+
 TimerEventDefinition.prototype._onApiMessage = function onApiMessage(routingKey, message) {
   const { type: messageType, correlationId } = message.properties;
 
   switch (messageType) {
+    case 'fire': {
+      this._stop();
+      return this._completed(
+        {
+          state: 'timeout',
+          ...(message.content.message && { message: message.content.message }),
+        },
+        { correlationId },
+      );
+    }
+    case 'reschedule': {
+      return this._reschedule(message.content.reschedule, correlationId);
+    }
     case 'cancel': {
       this._stop();
       return this._completed(
@@ -173,8 +210,11 @@ TimerEventDefinition.prototype._onApiMessage = function onApiMessage(routingKey,
         { correlationId },
       );
     }
+    case 'suspend': {
+      return this._suspend();
+    }
     case 'stop': {
-      this._stop();
+      this._stop(true);
       return this._debug('stopped');
     }
     case 'discard': {
@@ -187,29 +227,90 @@ TimerEventDefinition.prototype._onApiMessage = function onApiMessage(routingKey,
   }
 };
 
-TimerEventDefinition.prototype._stop = function stop() {
-  this[kStopped] = true;
+TimerEventDefinition.prototype._reschedule = function reschedule(value, correlationId) {
+  const now = this.environment.now();
+  const expireAt = this._getRescheduledExpireAt(value, now);
+
   const timer = this[kTimer];
   if (timer) this[kTimer] = this.environment.timers.clearTimeout(timer);
+
+  const timerContent = (this[kTimerContent] = cloneContent(this[kTimerContent], {
+    expireAt,
+    timeout: expireAt.getTime() - now.getTime(),
+    rescheduled: true,
+  }));
+
+  this._debug(`rescheduled to ${expireAt.toISOString()}`);
+
+  const broker = this.broker;
+  broker.publish('execution', 'execute.timer', cloneContent(timerContent));
+  broker.publish('event', 'activity.timer', cloneContent(timerContent), { correlationId });
+
+  this._startTimer();
+};
+
+TimerEventDefinition.prototype._suspend = function suspend() {
+  const timer = this[kTimer];
+  if (timer) this[kTimer] = this.environment.timers.clearTimeout(timer);
+
+  const timerContent = this[kTimerContent];
+  const expireAt = 'expireAt' in timerContent ? new Date(timerContent.expireAt) : new Date(this.startedAt.getTime() + timerContent.timeout);
+  const remaining = Math.max(expireAt.getTime() - this.environment.now().getTime(), 0);
+
+  this[kTimerContent] = cloneContent(timerContent, { remaining });
+  this._debug(`suspended with ${remaining}ms remaining`);
+
+  this.broker.publish('execution', 'execute.timer', cloneContent(this[kTimerContent]));
+};
+
+TimerEventDefinition.prototype._getRescheduledExpireAt = function getRescheduledExpireAt(value, now) {
+  let expireAt;
+  if (value instanceof Date) expireAt = new Date(value);
+  else if (typeof value === 'number') expireAt = new Date(now.getTime() + value);
+  else if (typeof value === 'string') expireAt = this.parse(value[0] === 'P' ? 'timeDuration' : 'timeDate', value).expireAt;
+
+  if (!expireAt?.getTime || isNaN(expireAt.getTime())) {
+    throw new TypeError(`Cannot reschedule timer to "${value}", expected date, milliseconds, or ISO8601 date or duration`);
+  }
+  return expireAt;
+};
+
+TimerEventDefinition.prototype._stop = function stop(keepStored) {
+  this[kStopped] = true;
+  const timer = this[kTimer];
+  if (timer) this[kTimer] = clearTimer(this.environment.timers, timer, keepStored);
   const broker = this.broker;
   broker.cancel(`_api-${this.executionId}`);
   broker.cancel(`_api-delegated-${this.executionId}`);
+  broker.cancel(`_api-parent-${this.executionId}`);
 };
 
 TimerEventDefinition.prototype.parse = function parse(timerType, value) {
   let repeat, delay, expireAt;
-  const now = new Date();
+  const now = this.environment.now();
+  const timezone = this.environment.settings.timezone;
   switch (timerType) {
     case 'timeCycle':
     case 'timeDuration': {
+      if (timerType === 'timeCycle' && isCronExpression(value)) {
+        repeat = -1;
+        expireAt = new CronExpression(value, timezone).next(now);
+        delay = expireAt && expireAt.getTime() - now.getTime();
+        break;
+      }
       const parsed = new ISOInterval(value).parse();
       if (parsed.repeat) repeat = parsed.repeat;
-      expireAt = parsed.getExpireAt(now, now);
+      if (timezone && (isLocalDate(parsed.start) || isLocalDate(parsed.end))) {
+        expireAt = getZonedExpireAt(parsed, now, timezone);
+      } else {
+        const businessCalendar = !parsed.start && !parsed.end && this._getBusinessCalendar();
+        expireAt = businessCalendar ? businessCalendar.addDuration(now, parsed.duration.toISOString()) : parsed.getExpireAt(now, now);
+      }
       delay = expireAt.getTime() - now.getTime();
       break;
     }
     case 'timeDate': {
-      expireAt = getDate(value);
+      expireAt = timezone ? getZonedDate(value, timezone) : getDate(value);
       delay = now.getTime() - expireAt;
       break;
     }
@@ -229,11 +330,30 @@ TimerEventDefinition.prototype._getTimers = function getTimers(executeMessage) {
     ...('expireAt' in content && { expireAt: new Date(content.expireAt) }),
   };
 
-  const now = new Date();
+  const now = this.environment.now();
+  const timezone = this.environment.settings.timezone;
+  if (timezone) {
+    assertTimeZone(timezone);
+    result.timezone = timezone;
+  }
+
+  if (typeof content.remaining === 'number') {
+    // held by suspended process, expires remaining time from now
+    result.expireAt = new Date(now.getTime() + content.remaining);
+    result.timeout = content.remaining;
+    result.rescheduled = true;
+    result.remaining = undefined;
+    return result;
+  }
+
+  if (content.rescheduled) {
+    result.timeout = result.expireAt - now.getTime();
+    return result;
+  }
 
   for (const timerType of timerTypes) {
     if (timerType in content) result[timerType] = content[timerType];
-    else if (timerType in this) result[timerType] = this.environment.resolveExpression(this[timerType], executeMessage);
+    else if (timerType in this) result[timerType] = this._getTimerExpression(timerType).evaluate(executeMessage);
     else continue;
 
     let expireAtDate, repeat;
@@ -271,6 +391,59 @@ TimerEventDefinition.prototype._getTimers = function getTimers(executeMessage) {
   return result;
 };
 
+TimerEventDefinition.prototype._getBusinessCalendar = function getBusinessCalendar() {
+  const environment = this.environment;
+  if (!(this.eventDefinition.behaviour?.businessCalendar ?? environment.settings.businessCalendar)) return;
+  if (!environment.businessCalendar) throw new TypeError('business calendar is enabled but environment has no businessCalendar');
+  return environment.businessCalendar;
+};
+
+TimerEventDefinition.prototype._getTimerExpression = function getTimerExpression(timerType) {
+  const expressions = this[kExpressions];
+  let expression = expressions.get(timerType);
+  if (!expression) {
+    expression = this.environment.compileExpression(this[timerType]);
+    expressions.set(timerType, expression);
+  }
+  return expression;
+};
+
 TimerEventDefinition.prototype._debug = function debug(msg) {
   this.logger.debug(`<${this.executionId} (${this.activity.id})> ${msg}`);
 };
+
+function isLocalDate(isoDate) {
+  return !!isoDate && !isoDate.result.Z;
+}
+
+function getZonedDate(value, timezone) {
+  if (typeof value !== 'string') return getDate(value);
+  const isoDate = new ISODate(value).parse();
+  if (!isLocalDate(isoDate)) return isoDate.toDate();
+  setWallTime(isoDate, timezone);
+  return fromWallTime(isoDate.toDate(), timezone);
+}
+
+/**
+ * Get interval expire at in time zone
+ * start and end dates are treated as wall clock time in the time zone, durations are applied
+ * to the wall clock time, i.e. a daily cycle keeps its time of day across daylight saving time transitions
+ */
+function getZonedExpireAt(parsed, now, timezone) {
+  if (parsed.start) setWallTime(parsed.start, timezone);
+  if (parsed.end) setWallTime(parsed.end, timezone);
+  const wallNow = new Date(getWallTime(now, timezone));
+  return fromWallTime(parsed.getExpireAt(wallNow, wallNow), timezone);
+}
+
+/**
+ * Set parsed date to wall clock time in time zone expressed as UTC
+ */
+function setWallTime(isoDate, timezone) {
+  if (isLocalDate(isoDate)) {
+    isoDate.result.Z = 'Z';
+    return;
+  }
+  const { year, month, day, hour, minute, second, millisecond } = getZonedParts(isoDate.toDate(), timezone);
+  isoDate.result = { Y: year, M: month - 1, D: day, H: hour, m: minute, S: second, F: millisecond, Z: 'Z', isValid: true };
+}
@@ -0,0 +1,193 @@
+const MS_PER_DAY = 86400000;
+
+/**
+ * Standard expression functions
+ * resolvable without prefix in expressions, e.g. ${addDays(now(), 1)}
+ */
+export const standardFunctions = {
+  now,
+  today,
+  date: toDate,
+  addDays,
+  addHours,
+  addMinutes,
+  addSeconds,
+  daysBetween,
+  upper,
+  lower,
+  trim,
+  substring,
+  startsWith,
+  endsWith,
+  contains,
+  replace,
+  split,
+  join,
+  abs: Math.abs,
+  ceil: Math.ceil,
+  floor: Math.floor,
+  round,
+  min,
+  max,
+  number: toNumber,
+  isEmpty,
+  count,
+  sum,
+  avg,
+  first,
+  last,
+  includes,
+  distinct,
+};
+
+function now() {
+  return this?.environment?.now?.() ?? new Date();
+}
+
+function today() {
+  const result = now.call(this);
+  result.setHours(0, 0, 0, 0);
+  return result;
+}
+
+function toDate(value) {
+  if (value === undefined || value === null) return undefined;
+  const result = new Date(value instanceof Date ? value.getTime() : value);
+  return isNaN(result.getTime()) ? undefined : result;
+}
+
+function addDays(value, days) {
+  const result = toDate(value);
+  result?.setDate(result.getDate() + Number(days));
+  return result;
+}
+
+function addHours(value, hours) {
+  return addMilliseconds(value, Number(hours) * 3600000);
+}
+
+function addMinutes(value, minutes) {
+  return addMilliseconds(value, Number(minutes) * 60000);
+}
+
+function addSeconds(value, seconds) {
+  return addMilliseconds(value, Number(seconds) * 1000);
+}
+
+function addMilliseconds(value, ms) {
+  const result = toDate(value);
+  result?.setTime(result.getTime() + ms);
+  return result;
+}
+
+function daysBetween(from, to) {
+  const fromDate = toDate(from);
+  const toDateValue = toDate(to);
+  if (!fromDate || !toDateValue) return undefined;
+  return Math.trunc((toDateValue.getTime() - fromDate.getTime()) / MS_PER_DAY);
+}
+
+function upper(text) {
+  return text === undefined || text === null ? text : String(text).toUpperCase();
+}
+
+function lower(text) {
+  return text === undefined || text === null ? text : String(text).toLowerCase();
+}
+
+function trim(text) {
+  return text === undefined || text === null ? text : String(text).trim();
+}
+
+function substring(text, start, end) {
+  return text === undefined || text === null ? text : String(text).substring(start, end);
+}
+
+function startsWith(text, search) {
+  return text === undefined || text === null ? false : String(text).startsWith(search);
+}
+
+function endsWith(text, search) {
+  return text === undefined || text === null ? false : String(text).endsWith(search);
+}
+
+function contains(text, search) {
+  return text === undefined || text === null ? false : String(text).includes(search);
+}
+
+function replace(text, search, replacement) {
+  return text === undefined || text === null ? text : String(text).split(search).join(replacement);
+}
+
+function split(text, separator) {
+  return text === undefined || text === null ? [] : String(text).split(separator);
+}
+
+function join(list, separator) {
+  return Array.isArray(list) ? list.join(separator) : '';
+}
+
+function round(value, decimals = 0) {
+  const factor = 10 ** decimals;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+function min(...values) {
+  const list = getNumbers(values);
+  return list.length ? Math.min(...list) : undefined;
+}
+
+function max(...values) {
+  const list = getNumbers(values);
+  return list.length ? Math.max(...list) : undefined;
+}
+
+function toNumber(value) {
+  return Number(value);
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value) || typeof value === 'string') return !value.length;
+  if (value instanceof Map || value instanceof Set) return !value.size;
+  if (typeof value === 'object') return !Object.keys(value).length;
+  return false;
+}
+
+function count(value) {
+  if (value === undefined || value === null) return 0;
+  if (Array.isArray(value) || typeof value === 'string') return value.length;
+  if (value instanceof Map || value instanceof Set) return value.size;
+  if (typeof value === 'object') return Object.keys(value).length;
+  return 1;
+}
+
+function sum(...values) {
+  return getNumbers(values).reduce((result, value) => result + value, 0);
+}
+
+function avg(...values) {
+  const list = getNumbers(values);
+  return list.length ? sum(list) / list.length : undefined;
+}
+
+function first(list) {
+  return Array.isArray(list) ? list[0] : undefined;
+}
+
+function last(list) {
+  return Array.isArray(list) ? list[list.length - 1] : undefined;
+}
+
+function includes(list, value) {
+  return Array.isArray(list) ? list.includes(value) : false;
+}
+
+function distinct(list) {
+  return Array.isArray(list) ? [...new Set(list)] : [];
+}
+
+function getNumbers(values) {
+  const list = values.length === 1 && Array.isArray(values[0]) ? values[0] : values;
+  return list.filter((value) => value !== undefined && value !== null).map(Number);
+}
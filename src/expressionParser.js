@@ -0,0 +1,479 @@
+const identifierStartPattern = /[A-Za-z_$]/;
+const identifierPattern = /[\w$]/;
+const numberPattern = /^(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/;
+const punctuators = [
+  '===',
+  '!==',
+  '??',
+  '?.',
+  '&&',
+  '||',
+  '==',
+  '!=',
+  '<=',
+  '>=',
+  '<',
+  '>',
+  '+',
+  '-',
+  '*',
+  '/',
+  '%',
+  '!',
+  '?',
+  ':',
+  '.',
+  ',',
+  '(',
+  ')',
+  '[',
+  ']',
+  '{',
+  '}',
+];
+const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+const literals = new Map([
+  ['true', true],
+  ['false', false],
+  ['null', null],
+  ['undefined', undefined],
+]);
+const forbiddenProperties = new Set(['__proto__', 'constructor', 'prototype']);
+
+const binaryPrecedence = new Map([
+  ['??', 1],
+  ['||', 2],
+  ['&&', 3],
+  ['==', 4],
+  ['!=', 4],
+  ['===', 4],
+  ['!==', 4],
+  ['<', 5],
+  ['<=', 5],
+  ['>', 5],
+  ['>=', 5],
+  ['+', 6],
+  ['-', 6],
+  ['*', 7],
+  ['/', 7],
+  ['%', 7],
+]);
+
+/**
+ * Parse expression source into an abstract syntax tree
+ * @param {string} source expression without surrounding ${}
+ * @returns {any} expression node
+ * @throws {SyntaxError} if source is not a valid expression
+ */
+export function parseExpression(source) {
+  return new ExpressionParser(source).parse();
+}
+
+/**
+ * Evaluate expression syntax tree
+ * @param {any} node expression node as returned from parseExpression
+ * @param {any} context context to resolve identifiers from
+ * @param {any} [fnScope] optional function call scope (this)
+ * @param {Record<string, CallableFunction>} [functions] optional named functions, resolved if identifier is not found in context
+ */
+export function evaluateExpression(node, context, fnScope, functions) {
+  return evaluate(node, { context, fnScope, functions });
+}
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+    case 'Identifier':
+      return resolveIdentifier(node.name, scope);
+    case 'Member': {
+      const object = evaluate(node.object, scope);
+      return getMember(object, getMemberKey(node, scope));
+    }
+    case 'Call':
+      return callFunction(node, scope);
+    case 'Unary': {
+      const value = evaluate(node.argument, scope);
+      switch (node.operator) {
+        case '!':
+          return !value;
+        case '-':
+          return -value;
+        case '+':
+          return +value;
+      }
+      break;
+    }
+    case 'Logical': {
+      const left = evaluate(node.left, scope);
+      switch (node.operator) {
+        case '&&':
+          return left && evaluate(node.right, scope);
+        case '||':
+          return left || evaluate(node.right, scope);
+        case '??':
+          return left ?? evaluate(node.right, scope);
+      }
+      break;
+    }
+    case 'Binary':
+      return binaryOperation(node.operator, evaluate(node.left, scope), evaluate(node.right, scope));
+    case 'Conditional':
+      return evaluate(node.test, scope) ? evaluate(node.consequent, scope) : evaluate(node.alternate, scope);
+    case 'Array':
+      return node.elements.map((element) => evaluate(element, scope));
+    case 'Object': {
+      const result = {};
+      for (const { key, value } of node.properties) {
+        if (forbiddenProperties.has(key)) continue;
+        result[key] = evaluate(value, scope);
+      }
+      return result;
+    }
+  }
+}
+
+function ExpressionParser(source) {
+  this.source = source;
+  this.tokens = tokenize(source);
+  this.position = 0;
+}
+
+ExpressionParser.prototype.parse = function parse() {
+  if (!this.tokens.length) throw this._error('Empty expression');
+  const node = this._parseConditional();
+  const token = this._peek();
+  if (token) throw this._error(`Unexpected token ${token.value}`, token);
+  return node;
+};
+
+ExpressionParser.prototype._parseConditional = function parseConditional() {
+  const test = this._parseBinary(1);
+  if (!this._match('?')) return test;
+
+  const consequent = this._parseConditional();
+  this._expect(':');
+  const alternate = this._parseConditional();
+  return { type: 'Conditional', test, consequent, alternate };
+};
+
+ExpressionParser.prototype._parseBinary = function parseBinary(minPrecedence) {
+  let left = this._parseUnary();
+
+  for (;;) {
+    const token = this._peek();
+    if (!token || token.type !== 'punctuator') return left;
+    const precedence = binaryPrecedence.get(token.value);
+    if (!precedence || precedence < minPrecedence) return left;
+
+    this.position++;
+    const operator = token.value;
+    const right = this._parseBinary(precedence + 1);
+    switch (operator) {
+      case '&&':
+      case '||':
+      case '??':
+        left = { type: 'Logical', operator, left, right };
+        break;
+      default:
+        left = { type: 'Binary', operator, left, right };
+    }
+  }
+};
+
+ExpressionParser.prototype._parseUnary = function parseUnary() {
+  const token = this._peek();
+  if (token?.type === 'punctuator') {
+    switch (token.value) {
+      case '!':
+      case '-':
+      case '+':
+        this.position++;
+        return { type: 'Unary', operator: token.value, argument: this._parseUnary() };
+    }
+  }
+  return this._parsePostfix();
+};
+
+ExpressionParser.prototype._parsePostfix = function parsePostfix() {
+  let node = this._parsePrimary();
+
+  for (;;) {
+    if (this._match('.') || this._match('?.')) {
+      const token = this._next();
+      if (token?.type !== 'identifier') throw this._error('Expected property name', token);
+      node = { type: 'Member', object: node, property: token.value, computed: false };
+    } else if (this._match('[')) {
+      node = { type: 'Member', object: node, ...this._parseComputedProperty() };
+    } else if (this._match('(')) {
+      const args = this._parseList(')');
+      node = { type: 'Call', callee: node, arguments: args };
+    } else {
+      return node;
+    }
+  }
+};
+
+/**
+ * Bracket property access
+ * a bare word within brackets addresses the property with that name,
+ * e.g. list[length] equals list.length, as in the property path syntax
+ */
+ExpressionParser.prototype._parseComputedProperty = function parseComputedProperty() {
+  const token = this._peek();
+  const following = this.tokens[this.position + 1];
+  if (token?.type === 'identifier' && following?.value === ']') {
+    this.position += 2;
+    return { property: token.value, computed: false };
+  }
+
+  const property = this._parseConditional();
+  this._expect(']');
+  return { property, computed: true };
+};
+
+ExpressionParser.prototype._parsePrimary = function parsePrimary() {
+  const token = this._next();
+  if (!token) throw this._error('Unexpected end of expression');
+
+  switch (token.type) {
+    case 'number':
+    case 'string':
+      return { type: 'Literal', value: token.value };
+    case 'identifier':
+      if (literals.has(token.value)) return { type: 'Literal', value: literals.get(token.value) };
+      return { type: 'Identifier', name: token.value };
+  }
+
+  switch (token.value) {
+    case '(': {
+      const node = this._parseConditional();
+      this._expect(')');
+      return node;
+    }
+    case '[':
+      return { type: 'Array', elements: this._parseList(']') };
+    case '{':
+      return this._parseObject();
+  }
+
+  throw this._error(`Unexpected token ${token.value}`, token);
+};
+
+ExpressionParser.prototype._parseObject = function parseObject() {
+  const properties = [];
+  while (!this._match('}')) {
+    const token = this._next();
+    if (!token || token.type === 'punctuator') throw this._error('Expected property key', token);
+    this._expect(':');
+    properties.push({ key: String(token.value), value: this._parseConditional() });
+    if (!this._match(',')) {
+      this._expect('}');
+      break;
+    }
+  }
+  return { type: 'Object', properties };
+};
+
+ExpressionParser.prototype._parseList = function parseList(closing) {
+  const list = [];
+  while (!this._match(closing)) {
+    list.push(this._parseConditional());
+    if (!this._match(',')) {
+      this._expect(closing);
+      break;
+    }
+  }
+  return list;
+};
+
+ExpressionParser.prototype._peek = function peek() {
+  return this.tokens[this.position];
+};
+
+ExpressionParser.prototype._next = function next() {
+  return this.tokens[this.position++];
+};
+
+ExpressionParser.prototype._match = function match(punctuator) {
+  const token = this.tokens[this.position];
+  if (token?.type !== 'punctuator' || token.value !== punctuator) return false;
+  this.position++;
+  return true;
+};
+
+ExpressionParser.prototype._expect = function expect(punctuator) {
+  if (this._match(punctuator)) return;
+  const token = this._peek();
+  throw this._error(`Expected ${punctuator}${token ? ` but found ${token.value}` : ''}`, token);
+};
+
+ExpressionParser.prototype._error = function error(message, token) {
+  const position = token ? token.position : this.source.length;
+  return new SyntaxError(`${message} at position ${position} in expression "${this.source}"`);
+};
+
+function tokenize(source) {
+  const tokens = [];
+  let idx = 0;
+  while (idx < source.length) {
+    const char = source[idx];
+
+    if (/\s/.test(char)) {
+      idx++;
+      continue;
+    }
+
+    if (identifierStartPattern.test(char)) {
+      let end = idx + 1;
+      while (end < source.length && identifierPattern.test(source[end])) end++;
+      tokens.push({ type: 'identifier', value: source.substring(idx, end), position: idx });
+      idx = end;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const [value, end] = readString(source, idx);
+      tokens.push({ type: 'string', value, position: idx });
+      idx = end;
+      continue;
+    }
+
+    const numberMatch = /[\d.]/.test(char) && source.substring(idx).match(numberPattern);
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: Number(numberMatch[0]), position: idx });
+      idx += numberMatch[0].length;
+      continue;
+    }
+
+    const punctuator = getPunctuator(source, idx);
+    if (!punctuator) throw new SyntaxError(`Unexpected character ${char} at position ${idx} in expression "${source}"`);
+
+    tokens.push({ type: 'punctuator', value: punctuator, position: idx });
+    idx += punctuator.length;
+  }
+  return tokens;
+}
+
+function getPunctuator(source, idx) {
+  for (const punctuator of punctuators) {
+    if (!source.startsWith(punctuator, idx)) continue;
+    if (punctuator === '?.' && /\d/.test(source[idx + 2])) continue;
+    return punctuator;
+  }
+}
+
+function readString(source, start) {
+  const delimiter = source[start];
+  let value = '';
+  for (let idx = start + 1; idx < source.length; idx++) {
+    const char = source[idx];
+    if (char === delimiter) return [value, idx + 1];
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+
+    const escaped = source[++idx];
+    if (escaped === 'u') {
+      value += String.fromCharCode(parseInt(source.substring(idx + 1, idx + 5), 16));
+      idx += 4;
+    } else {
+      value += escapes[escaped] ?? escaped;
+    }
+  }
+  throw new SyntaxError(`Unterminated string at position ${start} in expression "${source}"`);
+}
+
+function resolveIdentifier(name, scope) {
+  const value = getMember(scope.context, name);
+  if (value !== undefined) return value;
+  return getFunction(scope.functions, name);
+}
+
+function getFunction(functions, name) {
+  if (!functions || forbiddenProperties.has(name) || !Object.prototype.hasOwnProperty.call(functions, name)) return undefined;
+  return functions[name];
+}
+
+function getMemberKey(node, scope) {
+  if (!node.computed) return node.property;
+  return evaluate(node.property, scope);
+}
+
+function getMember(object, key) {
+  if (object === undefined || object === null) return undefined;
+  // computed keys, e.g. arrays, are converted to property key when accessed
+  if (forbiddenProperties.has(typeof key === 'symbol' ? key : String(key))) return undefined;
+  if (Array.isArray(object) && typeof key === 'number' && key < 0) return object[object.length + key];
+  return object[key];
+}
+
+function callFunction(node, scope) {
+  const callee = node.callee;
+  let fn, receiver, isNamedFunction;
+  if (callee.type === 'Member') {
+    receiver = evaluate(callee.object, scope);
+    fn = getMember(receiver, getMemberKey(callee, scope));
+  } else if (callee.type === 'Identifier') {
+    fn = getMember(scope.context, callee.name);
+    if (fn === undefined) {
+      fn = getFunction(scope.functions, callee.name);
+      isNamedFunction = true;
+    }
+  } else {
+    fn = evaluate(callee, scope);
+  }
+
+  if (fn === undefined || fn === null) return undefined;
+  if (typeof fn !== 'function') throw new TypeError(`${getCalleeName(callee)} is not a function`);
+
+  const args = node.arguments.map((arg) => evaluate(arg, scope));
+  // named functions are called with the passed arguments only, others receive the context if called without arguments
+  if (isNamedFunction) return fn.apply(scope.fnScope ?? scope.context, args);
+  if (!args.length) args.push(scope.context);
+
+  return fn.apply(scope.fnScope ?? receiver, args);
+}
+
+function getCalleeName(callee) {
+  switch (callee.type) {
+    case 'Identifier':
+      return callee.name;
+    case 'Member':
+      return `${getCalleeName(callee.object)}.${callee.computed ? '[]' : callee.property}`;
+    default:
+      return callee.type.toLowerCase();
+  }
+}
+
+function binaryOperation(operator, left, right) {
+  switch (operator) {
+    case '+':
+      return left + right;
+    case '-':
+      return left - right;
+    case '*':
+      return left * right;
+    case '/':
+      return left / right;
+    case '%':
+      return left % right;
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+    case '===':
+      return left === right;
+    case '!==':
+      return left !== right;
+    case '==':
+      return left == right; // eslint-disable-line eqeqeq
+    case '!=':
+      return left != right; // eslint-disable-line eqeqeq
+  }
+}
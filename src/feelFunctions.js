@@ -0,0 +1,200 @@
+/**
+ * FEEL built-in functions
+ * a subset of the DMN FEEL built-in functions, called with positional arguments
+ */
+export const feelFunctions = {
+  not(negand) {
+    return typeof negand === 'boolean' ? !negand : null;
+  },
+  'is defined'(value) {
+    return value !== undefined && value !== null;
+  },
+  string(from) {
+    if (from === null || from === undefined) return null;
+    return from instanceof Date ? from.toISOString() : String(from);
+  },
+  number(from) {
+    if (from === null || from === undefined || from === '') return null;
+    const result = Number(from);
+    return isNaN(result) ? null : result;
+  },
+  date(from) {
+    const result = toDate(from);
+    result?.setUTCHours(0, 0, 0, 0);
+    return result;
+  },
+  'date and time'(from) {
+    return toDate(from);
+  },
+  duration(from) {
+    return typeof from === 'string' ? from : null;
+  },
+  now() {
+    return this?.environment?.now?.() ?? new Date();
+  },
+  today() {
+    const result = this?.environment?.now?.() ?? new Date();
+    result.setUTCHours(0, 0, 0, 0);
+    return result;
+  },
+  'string length'(string) {
+    return typeof string === 'string' ? string.length : null;
+  },
+  'upper case'(string) {
+    return typeof string === 'string' ? string.toUpperCase() : null;
+  },
+  'lower case'(string) {
+    return typeof string === 'string' ? string.toLowerCase() : null;
+  },
+  substring(string, startPosition, length) {
+    if (typeof string !== 'string' || typeof startPosition !== 'number') return null;
+    const start = startPosition < 0 ? string.length + startPosition : startPosition - 1;
+    return length === undefined ? string.substring(start) : string.substring(start, start + length);
+  },
+  'substring before'(string, match) {
+    if (typeof string !== 'string') return null;
+    const idx = string.indexOf(match);
+    return idx > -1 ? string.substring(0, idx) : '';
+  },
+  'substring after'(string, match) {
+    if (typeof string !== 'string') return null;
+    const idx = string.indexOf(match);
+    return idx > -1 ? string.substring(idx + match.length) : '';
+  },
+  contains(string, match) {
+    return typeof string === 'string' ? string.includes(match) : null;
+  },
+  'starts with'(string, match) {
+    return typeof string === 'string' ? string.startsWith(match) : null;
+  },
+  'ends with'(string, match) {
+    return typeof string === 'string' ? string.endsWith(match) : null;
+  },
+  matches(input, pattern, flags) {
+    return typeof input === 'string' ? new RegExp(pattern, flags).test(input) : null;
+  },
+  replace(input, pattern, replacement, flags = '') {
+    if (typeof input !== 'string') return null;
+    return input.replace(new RegExp(pattern, flags.includes('g') ? flags : flags + 'g'), replacement);
+  },
+  split(string, delimiter) {
+    return typeof string === 'string' ? string.split(new RegExp(delimiter)) : null;
+  },
+  'string join'(list, delimiter = '') {
+    return Array.isArray(list) ? list.filter((item) => item !== null && item !== undefined).join(delimiter) : null;
+  },
+  'list contains'(list, element) {
+    return Array.isArray(list) ? list.some((item) => item === element) : null;
+  },
+  count(list) {
+    return Array.isArray(list) ? list.length : null;
+  },
+  min(...list) {
+    const numbers = getList(list);
+    return numbers.length ? numbers.reduce((result, item) => (item < result ? item : result)) : null;
+  },
+  max(...list) {
+    const numbers = getList(list);
+    return numbers.length ? numbers.reduce((result, item) => (item > result ? item : result)) : null;
+  },
+  sum(...list) {
+    const numbers = getList(list);
+    return numbers.length ? numbers.reduce((result, item) => result + item, 0) : null;
+  },
+  mean(...list) {
+    const numbers = getList(list);
+    return numbers.length ? numbers.reduce((result, item) => result + item, 0) / numbers.length : null;
+  },
+  all(...list) {
+    const items = getList(list);
+    if (items.some((item) => item === false)) return false;
+    return items.every((item) => item === true) ? true : null;
+  },
+  any(...list) {
+    const items = getList(list);
+    if (items.some((item) => item === true)) return true;
+    return items.every((item) => item === false) ? false : null;
+  },
+  sublist(list, startPosition, length) {
+    if (!Array.isArray(list)) return null;
+    const start = startPosition < 0 ? list.length + startPosition : startPosition - 1;
+    return length === undefined ? list.slice(start) : list.slice(start, start + length);
+  },
+  append(list, ...items) {
+    return Array.isArray(list) ? [...list, ...items] : null;
+  },
+  concatenate(...lists) {
+    return lists.every(Array.isArray) ? lists.flat() : null;
+  },
+  remove(list, position) {
+    if (!Array.isArray(list)) return null;
+    const idx = position < 0 ? list.length + position : position - 1;
+    return list.filter((_, itemIdx) => itemIdx !== idx);
+  },
+  reverse(list) {
+    return Array.isArray(list) ? [...list].reverse() : null;
+  },
+  'index of'(list, match) {
+    if (!Array.isArray(list)) return null;
+    return list.reduce((result, item, idx) => (item === match ? [...result, idx + 1] : result), []);
+  },
+  union(...lists) {
+    return lists.every(Array.isArray) ? [...new Set(lists.flat())] : null;
+  },
+  'distinct values'(list) {
+    return Array.isArray(list) ? [...new Set(list)] : null;
+  },
+  flatten(list) {
+    return Array.isArray(list) ? list.flat(Infinity) : null;
+  },
+  sort(list, precedes) {
+    if (!Array.isArray(list)) return null;
+    if (typeof precedes === 'function') return [...list].sort((a, b) => (precedes(a, b) ? -1 : 1));
+    return [...list].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  },
+  decimal(n, scale) {
+    if (typeof n !== 'number' || typeof scale !== 'number') return null;
+    const factor = 10 ** scale;
+    return Math.round(n * factor) / factor;
+  },
+  floor(n) {
+    return typeof n === 'number' ? Math.floor(n) : null;
+  },
+  ceiling(n) {
+    return typeof n === 'number' ? Math.ceil(n) : null;
+  },
+  abs(n) {
+    return typeof n === 'number' ? Math.abs(n) : null;
+  },
+  modulo(dividend, divisor) {
+    if (typeof dividend !== 'number' || typeof divisor !== 'number' || !divisor) return null;
+    return dividend - divisor * Math.floor(dividend / divisor);
+  },
+  sqrt(number) {
+    return typeof number === 'number' && number >= 0 ? Math.sqrt(number) : null;
+  },
+  odd(number) {
+    return typeof number === 'number' ? Math.abs(number % 2) === 1 : null;
+  },
+  even(number) {
+    return typeof number === 'number' ? number % 2 === 0 : null;
+  },
+  'get value'(m, key) {
+    if (m === null || typeof m !== 'object' || !Object.prototype.hasOwnProperty.call(m, key)) return null;
+    return m[key];
+  },
+  'get entries'(m) {
+    if (m === null || typeof m !== 'object') return null;
+    return Object.entries(m).map(([key, value]) => ({ key, value }));
+  },
+};
+
+function toDate(from) {
+  if (from === null || from === undefined) return null;
+  const result = new Date(from instanceof Date ? from.getTime() : from);
+  return isNaN(result.getTime()) ? null : result;
+}
+
+function getList(args) {
+  return args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+}
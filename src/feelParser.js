@@ -0,0 +1,691 @@
+const nameStartPattern = /[A-Za-z_$?]/;
+const namePattern = /[\w$?]/;
+const numberPattern = /^(?:\d+(?:\.\d+)?|\.\d+)(?:[eE][+-]?\d+)?/;
+const punctuators = ['..', '**', '!=', '<=', '>=', '=', '<', '>', '+', '-', '*', '/', '(', ')', '[', ']', '{', '}', ',', '.', ':'];
+const comparisonOperators = new Set(['=', '!=', '<', '<=', '>', '>=']);
+const escapes = { n: '\n', r: '\r', t: '\t', '"': '"', "'": "'", '\\': '\\' };
+const literals = new Map([
+  ['true', true],
+  ['false', false],
+  ['null', null],
+]);
+const forbiddenProperties = new Set(['__proto__', 'constructor', 'prototype']);
+const dateProperties = {
+  year: (date) => date.getUTCFullYear(),
+  month: (date) => date.getUTCMonth() + 1,
+  day: (date) => date.getUTCDate(),
+  weekday: (date) => date.getUTCDay() || 7,
+  hour: (date) => date.getUTCHours(),
+  minute: (date) => date.getUTCMinutes(),
+  second: (date) => date.getUTCSeconds(),
+};
+
+/**
+ * Parse FEEL expression into an abstract syntax tree
+ * @param {string} source FEEL expression
+ * @param {string[]} [names] optional names containing spaces, e.g. function names like "string length"
+ * @returns {any} expression node
+ * @throws {SyntaxError} if source is not a valid expression
+ */
+export function parseFeel(source, names) {
+  return new FeelParser(source, names).parse();
+}
+
+/**
+ * Evaluate FEEL syntax tree
+ * @param {any} node expression node as returned from parseFeel
+ * @param {any} context context to resolve names from
+ * @param {any} [fnScope] optional function call scope (this)
+ * @param {Record<string, CallableFunction>} [functions] optional named functions
+ */
+export function evaluateFeel(node, context, fnScope, functions) {
+  return evaluate(node, new FeelScope(context, fnScope, functions));
+}
+
+function FeelParser(source, names) {
+  this.source = source;
+  this.tokens = tokenize(source, names ? [...names].sort((a, b) => b.length - a.length) : []);
+  this.position = 0;
+}
+
+FeelParser.prototype.parse = function parse() {
+  if (!this.tokens.length) throw this._error('Empty expression');
+  const node = this._parseExpression();
+  const token = this._peek();
+  if (token) throw this._error(`Unexpected token ${token.value}`, token);
+  return node;
+};
+
+FeelParser.prototype._parseExpression = function parseExpression() {
+  if (this._matchName('if')) {
+    const condition = this._parseExpression();
+    this._expectName('then');
+    const consequent = this._parseExpression();
+    this._expectName('else');
+    const alternate = this._parseExpression();
+    return { type: 'If', test: condition, consequent, alternate };
+  }
+
+  if (this._matchName('for')) {
+    const iterators = this._parseIterators();
+    this._expectName('return');
+    return { type: 'For', iterators, body: this._parseExpression() };
+  }
+
+  const quantifier = this._peekName('some') || this._peekName('every');
+  if (quantifier && this.tokens[this.position + 2]?.value === 'in') {
+    this.position++;
+    const iterators = this._parseIterators();
+    this._expectName('satisfies');
+    return { type: 'Quantified', quantifier, iterators, condition: this._parseExpression() };
+  }
+
+  return this._parseDisjunction();
+};
+
+FeelParser.prototype._parseIterators = function parseIterators() {
+  const iterators = [];
+  do {
+    const token = this._next();
+    if (token?.type !== 'name') throw this._error('Expected iteration variable name', token);
+    this._expectName('in');
+    let collection = this._parseExpression();
+    if (this._match('..')) {
+      collection = { type: 'Range', start: collection, end: this._parseExpression(), startIncluded: true, endIncluded: true };
+    }
+    iterators.push({ name: token.value, collection });
+  } while (this._match(','));
+  return iterators;
+};
+
+FeelParser.prototype._parseDisjunction = function parseDisjunction() {
+  let left = this._parseConjunction();
+  while (this._matchName('or')) {
+    left = { type: 'Logical', operator: 'or', left, right: this._parseConjunction() };
+  }
+  return left;
+};
+
+FeelParser.prototype._parseConjunction = function parseConjunction() {
+  let left = this._parseComparison();
+  while (this._matchName('and')) {
+    left = { type: 'Logical', operator: 'and', left, right: this._parseComparison() };
+  }
+  return left;
+};
+
+FeelParser.prototype._parseComparison = function parseComparison() {
+  const left = this._parseAdditive();
+  const token = this._peek();
+  if (!token) return left;
+
+  if (token.type === 'punctuator' && comparisonOperators.has(token.value)) {
+    this.position++;
+    return { type: 'Comparison', operator: token.value, left, right: this._parseAdditive() };
+  }
+
+  if (this._matchName('between')) {
+    const start = this._parseAdditive();
+    this._expectName('and');
+    return { type: 'Between', value: left, start, end: this._parseAdditive() };
+  }
+
+  if (this._matchName('in')) {
+    return { type: 'In', value: left, test: this._parseUnaryTests() };
+  }
+
+  return left;
+};
+
+FeelParser.prototype._parseUnaryTests = function parseUnaryTests() {
+  if (this._peek()?.value !== '(') return this._parseUnaryTest();
+
+  const start = this.position;
+  this.position++;
+  const tests = [this._parseUnaryTest()];
+  if (!this._match(',')) {
+    this.position = start;
+    return this._parseUnaryTest();
+  }
+  do {
+    tests.push(this._parseUnaryTest());
+  } while (this._match(','));
+  this._expect(')');
+  return { type: 'List', elements: tests };
+};
+
+FeelParser.prototype._parseUnaryTest = function parseUnaryTest() {
+  const token = this._peek();
+  if (token?.type === 'punctuator' && comparisonOperators.has(token.value)) {
+    this.position++;
+    return { type: 'UnaryTest', operator: token.value, value: this._parseAdditive() };
+  }
+  return this._parseAdditive();
+};
+
+FeelParser.prototype._parseAdditive = function parseAdditive() {
+  let left = this._parseMultiplicative();
+  for (;;) {
+    const operator = this._matchAny('+', '-');
+    if (!operator) return left;
+    left = { type: 'Arithmetic', operator, left, right: this._parseMultiplicative() };
+  }
+};
+
+FeelParser.prototype._parseMultiplicative = function parseMultiplicative() {
+  let left = this._parseExponentiation();
+  for (;;) {
+    const operator = this._matchAny('*', '/');
+    if (!operator) return left;
+    left = { type: 'Arithmetic', operator, left, right: this._parseExponentiation() };
+  }
+};
+
+FeelParser.prototype._parseExponentiation = function parseExponentiation() {
+  let left = this._parseUnary();
+  while (this._match('**')) {
+    left = { type: 'Arithmetic', operator: '**', left, right: this._parseUnary() };
+  }
+  return left;
+};
+
+FeelParser.prototype._parseUnary = function parseUnary() {
+  if (this._match('-')) return { type: 'Negation', argument: this._parseUnary() };
+  return this._parsePostfix();
+};
+
+FeelParser.prototype._parsePostfix = function parsePostfix() {
+  let node = this._parsePrimary();
+
+  for (;;) {
+    if (this._match('.')) {
+      const token = this._next();
+      if (token?.type !== 'name' && token?.type !== 'string') throw this._error('Expected property name', token);
+      node = { type: 'Path', object: node, name: token.value };
+    } else if (this._match('[')) {
+      const filter = this._parseExpression();
+      this._expect(']');
+      node = { type: 'Filter', object: node, filter };
+    } else if (this._match('(')) {
+      node = { type: 'Call', callee: node, arguments: this._parseList(')') };
+    } else {
+      return node;
+    }
+  }
+};
+
+FeelParser.prototype._parsePrimary = function parsePrimary() {
+  const token = this._next();
+  if (!token) throw this._error('Unexpected end of expression');
+
+  switch (token.type) {
+    case 'number':
+    case 'string':
+      return { type: 'Literal', value: token.value };
+    case 'name':
+      if (literals.has(token.value)) return { type: 'Literal', value: literals.get(token.value) };
+      return { type: 'Name', name: token.value };
+  }
+
+  switch (token.value) {
+    case '(':
+    case '[':
+    case ']': {
+      if (token.value === '[' && this._match(']')) return { type: 'List', elements: [] };
+      const first = this._parseExpression();
+      if (this._match('..')) return this._parseRange(token.value === '[', first);
+      if (token.value === ']') throw this._error('Expected ..', this._peek());
+      if (token.value === '(') {
+        this._expect(')');
+        return first;
+      }
+      const elements = [first];
+      while (this._match(',')) elements.push(this._parseExpression());
+      this._expect(']');
+      return { type: 'List', elements };
+    }
+    case '{':
+      return this._parseContext();
+  }
+
+  throw this._error(`Unexpected token ${token.value}`, token);
+};
+
+FeelParser.prototype._parseRange = function parseRange(startIncluded, start) {
+  const end = this._parseExpression();
+  const closing = this._matchAny(']', ')', '[');
+  if (!closing) throw this._error('Expected end of range', this._peek());
+  return { type: 'Range', start, end, startIncluded, endIncluded: closing === ']' };
+};
+
+FeelParser.prototype._parseContext = function parseContext() {
+  const entries = [];
+  if (this._match('}')) return { type: 'Context', entries };
+  do {
+    const token = this._next();
+    if (token?.type !== 'name' && token?.type !== 'string') throw this._error('Expected context key', token);
+    this._expect(':');
+    entries.push({ key: token.value, value: this._parseExpression() });
+  } while (this._match(','));
+  this._expect('}');
+  return { type: 'Context', entries };
+};
+
+FeelParser.prototype._parseList = function parseList(closing) {
+  const list = [];
+  if (this._match(closing)) return list;
+  do {
+    list.push(this._parseExpression());
+  } while (this._match(','));
+  this._expect(closing);
+  return list;
+};
+
+FeelParser.prototype._peek = function peek() {
+  return this.tokens[this.position];
+};
+
+FeelParser.prototype._next = function next() {
+  return this.tokens[this.position++];
+};
+
+FeelParser.prototype._peekName = function peekName(name) {
+  const token = this.tokens[this.position];
+  return token?.type === 'name' && token.value === name ? name : undefined;
+};
+
+FeelParser.prototype._match = function match(punctuator) {
+  const token = this.tokens[this.position];
+  if (token?.type !== 'punctuator' || token.value !== punctuator) return false;
+  this.position++;
+  return true;
+};
+
+FeelParser.prototype._matchAny = function matchAny(...values) {
+  const token = this.tokens[this.position];
+  if (token?.type !== 'punctuator' || !values.includes(token.value)) return;
+  this.position++;
+  return token.value;
+};
+
+FeelParser.prototype._matchName = function matchName(name) {
+  if (!this._peekName(name)) return false;
+  this.position++;
+  return true;
+};
+
+FeelParser.prototype._expect = function expect(punctuator) {
+  if (this._match(punctuator)) return;
+  const token = this._peek();
+  throw this._error(`Expected ${punctuator}${token ? ` but found ${token.value}` : ''}`, token);
+};
+
+FeelParser.prototype._expectName = function expectName(name) {
+  if (this._matchName(name)) return;
+  const token = this._peek();
+  throw this._error(`Expected ${name}${token ? ` but found ${token.value}` : ''}`, token);
+};
+
+FeelParser.prototype._error = function error(message, token) {
+  const position = token ? token.position : this.source.length;
+  return new SyntaxError(`${message} at position ${position} in FEEL expression "${this.source}"`);
+};
+
+function tokenize(source, names) {
+  const tokens = [];
+  let idx = 0;
+  while (idx < source.length) {
+    const char = source[idx];
+
+    if (/\s/.test(char)) {
+      idx++;
+      continue;
+    }
+
+    if (nameStartPattern.test(char)) {
+      const name = getSpacedName(source, idx, names);
+      let end = idx + (name ? name.length : 1);
+      if (!name) while (end < source.length && namePattern.test(source[end])) end++;
+      tokens.push({ type: 'name', value: name || source.substring(idx, end), position: idx });
+      idx = end;
+      continue;
+    }
+
+    if (char === '"') {
+      const [value, end] = readString(source, idx);
+      tokens.push({ type: 'string', value, position: idx });
+      idx = end;
+      continue;
+    }
+
+    const numberMatch = /[\d.]/.test(char) && source.substring(idx).match(numberPattern);
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: Number(numberMatch[0]), position: idx });
+      idx += numberMatch[0].length;
+      continue;
+    }
+
+    const punctuator = getPunctuator(source, idx);
+    if (!punctuator) throw new SyntaxError(`Unexpected character ${char} at position ${idx} in FEEL expression "${source}"`);
+
+    tokens.push({ type: 'punctuator', value: punctuator, position: idx });
+    idx += punctuator.length;
+  }
+  return tokens;
+}
+
+function getPunctuator(source, idx) {
+  for (const punctuator of punctuators) {
+    if (source.startsWith(punctuator, idx)) return punctuator;
+  }
+}
+
+function getSpacedName(source, idx, names) {
+  for (const name of names) {
+    if (source.startsWith(name, idx) && !namePattern.test(source[idx + name.length] || '')) return name;
+  }
+}
+
+function readString(source, start) {
+  let value = '';
+  for (let idx = start + 1; idx < source.length; idx++) {
+    const char = source[idx];
+    if (char === '"') return [value, idx + 1];
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+
+    const escaped = source[++idx];
+    if (escaped === 'u') {
+      value += String.fromCharCode(parseInt(source.substring(idx + 1, idx + 5), 16));
+      idx += 4;
+    } else {
+      value += escapes[escaped] ?? escaped;
+    }
+  }
+  throw new SyntaxError(`Unterminated string at position ${start} in FEEL expression "${source}"`);
+}
+
+function FeelScope(context, fnScope, functions, locals, parent) {
+  this.context = context;
+  this.fnScope = fnScope;
+  this.functions = functions;
+  this.locals = locals;
+  this.parent = parent;
+}
+
+FeelScope.prototype.lookup = function lookup(name) {
+  for (let scope = this; scope; scope = scope.parent) {
+    if (scope.locals && Object.prototype.hasOwnProperty.call(scope.locals, name)) return scope.locals[name];
+  }
+  const value = getProperty(this.context, name);
+  if (value !== undefined) return value;
+  return this.getFunction(name);
+};
+
+FeelScope.prototype.getFunction = function getFunction(name) {
+  const functions = this.functions;
+  if (!functions || forbiddenProperties.has(name) || !Object.prototype.hasOwnProperty.call(functions, name)) return undefined;
+  return functions[name];
+};
+
+FeelScope.prototype.with = function withLocals(locals) {
+  return new FeelScope(this.context, this.fnScope, this.functions, locals, this);
+};
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+    case 'Name':
+      return scope.lookup(node.name) ?? null;
+    case 'Path':
+      return getPath(evaluate(node.object, scope), node.name);
+    case 'Filter':
+      return filterList(node, scope);
+    case 'Call':
+      return callFunction(node, scope);
+    case 'Negation': {
+      const value = evaluate(node.argument, scope);
+      return typeof value === 'number' ? -value : null;
+    }
+    case 'Arithmetic':
+      return arithmetic(node.operator, evaluate(node.left, scope), evaluate(node.right, scope));
+    case 'Comparison':
+      return compare(node.operator, evaluate(node.left, scope), evaluate(node.right, scope));
+    case 'Logical':
+      return logical(node, scope);
+    case 'Between': {
+      const value = evaluate(node.value, scope);
+      return logicalAnd(compare('>=', value, evaluate(node.start, scope)), compare('<=', value, evaluate(node.end, scope)));
+    }
+    case 'In':
+      return test(evaluate(node.value, scope), node.test, scope);
+    case 'UnaryTest':
+    case 'Range':
+      return evaluateTest(node, scope);
+    case 'If':
+      return evaluate(node.test, scope) === true ? evaluate(node.consequent, scope) : evaluate(node.alternate, scope);
+    case 'For':
+      return iterate(node.iterators, scope, (itemScope) => evaluate(node.body, itemScope));
+    case 'Quantified': {
+      const results = iterate(node.iterators, scope, (itemScope) => evaluate(node.condition, itemScope));
+      return node.quantifier === 'some' ? results.some((result) => result === true) : results.every((result) => result === true);
+    }
+    case 'List':
+      return node.elements.map((element) => evaluate(element, scope));
+    case 'Context': {
+      const result = {};
+      const contextScope = scope.with(result);
+      for (const { key, value } of node.entries) {
+        if (forbiddenProperties.has(key)) continue;
+        result[key] = evaluate(value, contextScope);
+      }
+      return result;
+    }
+  }
+}
+
+function evaluateTest(node, scope) {
+  if (node.type === 'Range') {
+    return new FeelRange(evaluate(node.start, scope), evaluate(node.end, scope), node.startIncluded, node.endIncluded);
+  }
+  return new FeelUnaryTest(node.operator, evaluate(node.value, scope));
+}
+
+function FeelRange(start, end, startIncluded, endIncluded) {
+  this.start = start;
+  this.end = end;
+  this.startIncluded = startIncluded;
+  this.endIncluded = endIncluded;
+}
+
+function FeelUnaryTest(operator, value) {
+  this.operator = operator;
+  this.value = value;
+}
+
+function test(value, testNode, scope) {
+  if (testNode.type === 'List') {
+    return testNode.elements.some((element) => test(value, element, scope) === true);
+  }
+  return matches(value, evaluate(testNode, scope));
+}
+
+function matches(value, expected) {
+  if (expected instanceof FeelRange) {
+    const { start, end, startIncluded, endIncluded } = expected;
+    return logicalAnd(compare(startIncluded ? '>=' : '>', value, start), compare(endIncluded ? '<=' : '<', value, end));
+  }
+  if (expected instanceof FeelUnaryTest) return compare(expected.operator, value, expected.value);
+  if (Array.isArray(expected)) return expected.some((item) => matches(value, item) === true);
+  return compare('=', value, expected);
+}
+
+function iterate(iterators, scope, fn) {
+  const results = [];
+  const [{ name, collection }, ...rest] = iterators;
+  for (const item of toIterable(evaluate(collection, scope))) {
+    const itemScope = scope.with({ [name]: item });
+    if (rest.length) results.push(...iterate(rest, itemScope, fn));
+    else results.push(fn(itemScope));
+  }
+  return results;
+}
+
+function toIterable(value) {
+  if (Array.isArray(value)) return value;
+  if (value instanceof FeelRange && Number.isInteger(value.start) && Number.isInteger(value.end)) {
+    const result = [];
+    const step = value.start <= value.end ? 1 : -1;
+    const first = value.startIncluded ? value.start : value.start + step;
+    const last = value.endIncluded ? value.end : value.end - step;
+    for (let idx = first; step > 0 ? idx <= last : idx >= last; idx += step) result.push(idx);
+    return result;
+  }
+  if (value === null || value === undefined) return [];
+  return [value];
+}
+
+function filterList(node, scope) {
+  const value = evaluate(node.object, scope);
+  if (value === null || value === undefined) return null;
+  const list = Array.isArray(value) ? value : [value];
+
+  const index = evaluate(node.filter, scope);
+  if (typeof index === 'number') {
+    const item = index < 0 ? list[list.length + index] : list[index - 1];
+    return item ?? null;
+  }
+
+  return list.filter((item) => {
+    const locals = { item };
+    if (item !== null && typeof item === 'object' && !Array.isArray(item)) {
+      for (const key of Object.keys(item)) {
+        if (!forbiddenProperties.has(key)) locals[key] = item[key];
+      }
+    }
+    return evaluate(node.filter, scope.with(locals)) === true;
+  });
+}
+
+function callFunction(node, scope) {
+  const callee = node.callee;
+  let fn, receiver;
+  if (callee.type === 'Path') {
+    receiver = evaluate(callee.object, scope);
+    fn = getProperty(receiver, callee.name);
+  } else {
+    fn = evaluate(callee, scope);
+  }
+
+  if (fn === undefined || fn === null) return null;
+  if (typeof fn !== 'function') throw new TypeError(`${getCalleeName(callee)} is not a function`);
+
+  const args = node.arguments.map((arg) => evaluate(arg, scope));
+  return fn.apply(scope.fnScope ?? receiver ?? scope.context, args) ?? null;
+}
+
+function getCalleeName(callee) {
+  switch (callee.type) {
+    case 'Name':
+      return callee.name;
+    case 'Path':
+      return `${getCalleeName(callee.object)}.${callee.name}`;
+    default:
+      return callee.type.toLowerCase();
+  }
+}
+
+function getPath(object, name) {
+  if (Array.isArray(object)) return object.map((item) => getPath(item, name));
+  if (object instanceof Date && name in dateProperties) return dateProperties[name](object);
+  return getProperty(object, name) ?? null;
+}
+
+function getProperty(object, name) {
+  if (object === undefined || object === null) return undefined;
+  if (forbiddenProperties.has(name)) return undefined;
+  return object[name];
+}
+
+function logical(node, scope) {
+  const left = evaluate(node.left, scope);
+  if (node.operator === 'and') {
+    if (left === false) return false;
+    return logicalAnd(left, evaluate(node.right, scope));
+  }
+  if (left === true) return true;
+  const right = evaluate(node.right, scope);
+  if (right === true) return true;
+  return left === false && right === false ? false : null;
+}
+
+function logicalAnd(left, right) {
+  if (left === false || right === false) return false;
+  return left === true && right === true ? true : null;
+}
+
+function arithmetic(operator, left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) return null;
+  if (operator === '+' && typeof left === 'string' && typeof right === 'string') return left + right;
+  if (typeof left !== 'number' || typeof right !== 'number') return null;
+
+  switch (operator) {
+    case '+':
+      return left + right;
+    case '-':
+      return left - right;
+    case '*':
+      return left * right;
+    case '/':
+      return right === 0 ? null : left / right;
+    case '**':
+      return left ** right;
+  }
+}
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case '=':
+      return equals(left, right);
+    case '!=': {
+      const result = equals(left, right);
+      return result === null ? null : !result;
+    }
+  }
+
+  if (left === null || left === undefined || right === null || right === undefined) return null;
+  const a = left instanceof Date ? left.getTime() : left;
+  const b = right instanceof Date ? right.getTime() : right;
+  if (typeof a !== typeof b) return null;
+
+  switch (operator) {
+    case '<':
+      return a < b;
+    case '<=':
+      return a <= b;
+    case '>':
+      return a > b;
+    case '>=':
+      return a >= b;
+  }
+}
+
+function equals(left, right) {
+  const leftNull = left === null || left === undefined;
+  const rightNull = right === null || right === undefined;
+  if (leftNull || rightNull) return leftNull && rightNull;
+
+  if (left instanceof Date && right instanceof Date) return left.getTime() === right.getTime();
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return left.length === right.length && left.every((item, idx) => equals(item, right[idx]) === true);
+  }
+  if (typeof left !== typeof right) return null;
+  if (typeof left === 'object') {
+    const keys = Object.keys(left);
+    return keys.length === Object.keys(right).length && keys.every((key) => equals(left[key], right[key]) === true);
+  }
+  return left === right;
+}
@@ -2,7 +2,7 @@ import { cloneParent, cloneContent } from '../messageHelper.js';
 import { getUniqueId } from '../shared.js';
 import { EventBroker } from '../EventBroker.js';
 import { FlowApi } from '../Api.js';
-import { ScriptCondition, ExpressionCondition } from '../condition.js';
+import { ScriptCondition, ExpressionCondition, UnsupportedCondition } from '../condition.js';
 
 const kCounters = Symbol.for('counters');
 
@@ -117,20 +117,24 @@ SequenceFlow.prototype.getCondition = function getCondition() {
   const conditionExpression = this.behaviour.conditionExpression;
   if (!conditionExpression) return null;
 
-  const { language } = conditionExpression;
+  const { language, body } = conditionExpression;
+  const createCondition = language && this.environment.getConditionLanguage(language);
+  if (createCondition) return createCondition(this, conditionExpression);
+
   const script = this.environment.getScript(language, this);
   if (script) {
     return new ScriptCondition(this, script, language);
   }
 
-  if (!conditionExpression.body) {
-    const msg = language
-      ? `Condition expression script ${language} is unsupported or was not registered`
-      : 'Condition expression without body is unsupported';
-    return this.emitFatal(new Error(msg), this.createMessage());
+  if (language) {
+    return new UnsupportedCondition(this, language);
+  }
+
+  if (!body) {
+    return this.emitFatal(new Error('Condition expression without body is unsupported'), this.createMessage());
   }
 
-  return new ExpressionCondition(this, conditionExpression.body);
+  return new ExpressionCondition(this, body);
 };
 
 SequenceFlow.prototype.createMessage = function createMessage(override) {
@@ -8,6 +8,8 @@ import Definition from './definition/Definition.js';
 import Dummy from './activity/Dummy.js';
 import Environment from './Environment.js';
 import Escalation from './activity/Escalation.js';
+import Expressions from './Expressions.js';
+import FeelExpressions from './FeelExpressions.js';
 import InputOutputSpecification from './io/InputOutputSpecification.js';
 import Lane from './process/Lane.js';
 import LoopCharacteristics from './tasks/LoopCharacteristics.js';
@@ -33,20 +35,30 @@ import {
   TerminateEventDefinition,
   TimerEventDefinition,
 } from './eventDefinitions/index.js';
-import { Timers } from './Timers.js';
+import { Timers, VirtualTimers } from './Timers.js';
+import { MemoryTimerStore } from './TimerStore.js';
+import { BusinessCalendar } from './BusinessCalendar.js';
+import { ExecutionHistory } from './ExecutionHistory.js';
+import { Tracing, MemoryTracer } from './Tracing.js';
+import { MetricsCollector } from './Metrics.js';
+import { CoverageCollector } from './Coverage.js';
 
 export { ActivityError, RunError } from './error/Errors.js';
+export { formatPrometheus } from './Metrics.js';
+export { formatCoverageText } from './Coverage.js';
 
 export {
   Association,
   Activity,
   BoundaryEvent,
   BpmnError,
+  BusinessCalendar,
   CallActivity,
   CancelEventDefinition,
   CompensateEventDefinition,
   ConditionalEventDefinition,
   Context,
+  CoverageCollector,
   DataObject,
   DataStore,
   DataStoreReference,
@@ -62,14 +74,20 @@ export {
   EscalationEventDefinition,
   EventBasedGateway,
   ExclusiveGateway,
+  ExecutionHistory,
+  Expressions,
+  FeelExpressions,
   InclusiveGateway,
   InputOutputSpecification,
   IntermediateCatchEvent,
   IntermediateThrowEvent,
   LinkEventDefinition,
+  MemoryTimerStore,
+  MemoryTracer,
   Message,
   MessageEventDefinition,
   MessageFlow,
+  MetricsCollector,
   Lane,
   LoopCharacteristics as MultiInstanceLoopCharacteristics,
   ParallelGateway,
@@ -93,6 +111,8 @@ export {
   Task,
   TerminateEventDefinition,
   TimerEventDefinition,
+  Tracing,
   Transaction,
   Timers,
+  VirtualTimers,
 };
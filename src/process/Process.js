@@ -120,6 +120,7 @@ Process.prototype.init = function init(useAsExecutionId) {
 
 Process.prototype.run = function run(runContent) {
   if (this.isRunning) throw new Error(`process <${this.id}> is already running`);
+  if (runContent?.startAt) this._assertStartAt(runContent.startAt);
 
   const exec = this[kExec];
   const executionId = exec.get('initExecutionId') || getUniqueId(this.id);
@@ -139,6 +140,10 @@ Process.prototype.run = function run(runContent) {
 Process.prototype.resume = function resume() {
   if (this.isRunning) throw new Error(`cannot resume running process <${this.id}>`);
   if (!this.status) return this;
+  if (this.status === 'suspended') {
+    this._activateSuspendedConsumer();
+    return this;
+  }
 
   this[kStopped] = false;
 
@@ -192,7 +197,34 @@ Process.prototype.stop = function stop() {
   this.getApi().stop();
 };
 
+/**
+ * Suspend running process
+ * holds timers with remaining time and stops execution, the process is resumed by unsuspend
+ */
+Process.prototype.suspend = function suspend() {
+  if (!this.isRunning) throw new Error(`process <${this.id}> is not running`);
+  this.getApi().suspend();
+};
+
+/**
+ * Unsuspend suspended process
+ * resumes execution and restarts held timers with their remaining time
+ */
+Process.prototype.unsuspend = function unsuspend() {
+  if (this.status !== 'suspended') throw new Error(`process <${this.id}> is not suspended`);
+  this.broker.cancel('_process-suspended-api');
+
+  this._debug('unsuspend');
+  this[kStatus] = 'executing';
+  this._publishEvent('unsuspend');
+
+  this.broker.publish('run', 'run.resume', this._createMessage(), { persistent: false });
+  this._activateRunConsumers();
+  this._publishSuspendedMessages();
+};
+
 Process.prototype.getApi = function getApi(message) {
+  if (!message && this.status === 'suspended') return ProcessApi(this.broker, { content: this._createMessage() });
   const execution = this.execution;
   if (execution) return execution.getApi(message);
   return ProcessApi(this.broker, message || this[kStateMessage]);
@@ -206,6 +238,21 @@ Process.prototype.cancelActivity = function cancelActivity(message) {
   return this.getApi().cancel(message, { delegate: true });
 };
 
+Process.prototype.modify = function modify(instructions) {
+  const execution = this.execution;
+  if (!this.isRunning || !execution) throw new Error(`process <${this.id}> is not running`);
+  return execution.modify(instructions);
+};
+
+Process.prototype._assertStartAt = function assertStartAt(startAt) {
+  const startIds = [].concat(startAt);
+  if (!startIds.length) throw new TypeError('startAt requires at least one activity id');
+  const activities = this.getActivities();
+  for (const startId of startIds) {
+    if (!activities.some((a) => a.id === startId)) throw new Error(`process <${this.id}> has no activity <${startId}> to start at`);
+  }
+};
+
 Process.prototype._activateRunConsumers = function activateRunConsumers() {
   this[kConsuming] = true;
   const broker = this.broker;
@@ -214,6 +261,44 @@ Process.prototype._activateRunConsumers = function activateRunConsumers() {
   broker.getQueue('run-q').assertConsumer(onRunMessage, { exclusive: true, consumerTag: '_process-run' });
 };
 
+Process.prototype._activateSuspendedConsumer = function activateSuspendedConsumer() {
+  const broker = this.broker;
+  if (broker.getConsumer('_process-suspended-api')) return;
+
+  const suspendedQ = broker.assertQueue('suspended-q', { durable: true, autoDelete: false });
+  broker.consume(
+    'api-q',
+    (_, message) => {
+      const { properties, content } = message;
+      message.ack();
+      switch (properties.type) {
+        case 'unsuspend':
+          if (content.executionId === this.executionId) this.unsuspend();
+          return;
+        case 'stop':
+        case 'suspend':
+          return;
+      }
+      suspendedQ.queueMessage({ routingKey: message.fields.routingKey }, cloneContent(content), properties);
+    },
+    { consumerTag: '_process-suspended-api' },
+  );
+};
+
+Process.prototype._publishSuspendedMessages = function publishSuspendedMessages() {
+  const broker = this.broker;
+  const suspendedQ = broker.getQueue('suspended-q');
+  if (!suspendedQ) return;
+
+  if (!this.isRunning) suspendedQ.purge();
+
+  let message;
+  while ((message = suspendedQ.get({ noAck: true }))) {
+    broker.publish('api', message.fields.routingKey, message.content, message.properties);
+  }
+  broker.deleteQueue('suspended-q');
+};
+
 Process.prototype._deactivateRunConsumers = function deactivateRunConsumers() {
   const broker = this.broker;
   broker.cancel('_process-api');
@@ -344,6 +429,7 @@ Process.prototype._onExecutionMessage = function onExecutionMessage(routingKey,
 
   switch (messageType) {
     case 'stopped': {
+      if (this[kStatus] === 'suspended') return this._onSuspend();
       return this._onStop();
     }
     case 'error': {
@@ -422,6 +508,14 @@ Process.prototype.getPostponed = function getPostponed(...args) {
   return execution.getPostponed(...args);
 };
 
+Process.prototype.getTimers = function getTimers() {
+  let result = [];
+  for (const api of this.getPostponed()) {
+    result = result.concat(api.getTimers());
+  }
+  return result;
+};
+
 Process.prototype._onApiMessage = function onApiMessage(routingKey, message) {
   const messageType = message.properties.type;
 
@@ -431,9 +525,23 @@ Process.prototype._onApiMessage = function onApiMessage(routingKey, message) {
       this._onStop();
       break;
     }
+    case 'suspend': {
+      if (!this.execution || this.execution.completed) return;
+      this._debug('suspend');
+      this[kStatus] = 'suspended';
+      for (const api of this.getTimers()) api.sendApiMessage('suspend');
+      this.getApi().stop();
+      break;
+    }
   }
 };
 
+Process.prototype._onSuspend = function onSuspend() {
+  this._deactivateRunConsumers();
+  this._activateSuspendedConsumer();
+  return this._publishEvent('suspend');
+};
+
 Process.prototype._onStop = function onStop() {
   this[kStopped] = true;
   this._deactivateRunConsumers();
@@ -11,6 +11,7 @@ const kCompleted = Symbol.for('completed');
 const kElements = Symbol.for('elements');
 const kExecuteMessage = Symbol.for('executeMessage');
 const kMessageHandlers = Symbol.for('messageHandlers');
+const kModifying = Symbol.for('modifying');
 const kParent = Symbol.for('parent');
 const kStatus = Symbol.for('status');
 const kStopped = Symbol.for('stopped');
@@ -317,6 +318,130 @@ ProcessExecution.prototype.cancel = function discard() {
   );
 };
 
+/**
+ * Modify running process execution
+ * cancel running activities and start new tokens before or after activities, applied in order when all instructions are resolved
+ * @param {import('types').ModifyInstruction[]} instructions
+ * @returns {import('types').ModifyResult[]} applied instructions with affected execution ids
+ */
+ProcessExecution.prototype.modify = function modify(instructions) {
+  if (!Array.isArray(instructions) || !instructions.length) throw new TypeError('modify requires a list of instructions');
+
+  const modifications = [];
+  for (const instruction of instructions) {
+    const modification = this._resolveModification(instruction, modifications);
+    if (!modification) throw new Error(`cannot modify process <${this.id}>, ${getUnresolvedMessage(instruction)}`);
+    modifications.push(modification);
+  }
+
+  return this._applyModifications(modifications);
+};
+
+ProcessExecution.prototype._resolveModification = function resolveModification(instruction, previous) {
+  assertModifyInstruction(instruction);
+
+  const { cancel, startBefore, startAfter } = instruction;
+  if (cancel) {
+    const running = [];
+    for (const scope of this._getModifyScopes()) {
+      for (const msg of scope[kElements].postponed) {
+        const { id, executionId, isSequenceFlow, isAssociation } = msg.content;
+        if (isSequenceFlow || isAssociation) continue;
+        if (id === cancel || executionId === cancel) running.push({ scope, message: msg });
+      }
+    }
+    if (!running.length) return;
+    return { instruction, running };
+  }
+
+  const activityId = startBefore || startAfter;
+  let scope, activity;
+  for (const s of this._getModifyScopes()) {
+    if ((activity = s.getActivityById(activityId))) {
+      scope = s;
+      break;
+    }
+  }
+  if (!activity) return;
+
+  if (startAfter) {
+    if (activity.outbound.length !== 1) {
+      throw new Error(`cannot start after <${activityId}>, expected one outbound sequence flow but found ${activity.outbound.length}`);
+    }
+  } else if (activity.attachedTo) {
+    throw new Error(`cannot start before boundary event <${activityId}>`);
+  } else if (activity.isRunning) {
+    const isCancelled = previous.some((m) => m.running?.some(({ message }) => message.content.executionId === activity.executionId));
+    if (!isCancelled) throw new Error(`cannot start before <${activityId}>, activity is already running`);
+  }
+
+  return { instruction, scope, activity };
+};
+
+ProcessExecution.prototype._applyModifications = function applyModifications(modifications) {
+  const scopes = new Set([this]);
+  for (const { scope, running } of modifications) {
+    if (scope) scopes.add(scope);
+    if (running) for (const r of running) scopes.add(r.scope);
+  }
+
+  for (const scope of scopes) scope[kModifying] = true;
+
+  const result = [];
+  for (const { instruction, scope, activity, running } of modifications) {
+    const { cancel, startBefore, variables } = instruction;
+    if (cancel) {
+      this._debug(`modify, cancel <${cancel}> (${running.length} running)`);
+      for (const { scope: runningScope, message } of running) runningScope._getChildApi(message).discard();
+      result.push({ cancel, executionIds: running.map(({ message }) => message.content.executionId) });
+      continue;
+    }
+
+    if (variables) scope.environment.assignVariables(variables);
+
+    if (startBefore) {
+      this._debug(`modify, start before <${startBefore}>`);
+      activity.run();
+      result.push({ startBefore, ...(variables && { variables }), executionId: activity.executionId });
+    } else {
+      const flow = activity.outbound[0];
+      const sequenceId = getUniqueId(`${flow.id}_take`);
+      this._debug(`modify, start after <${activity.id}> by taking <${flow.id}>`);
+      flow.take({ sequenceId });
+      result.push({ startAfter: activity.id, ...(variables && { variables }), flowId: flow.id, sequenceId });
+    }
+  }
+
+  this.broker.publish(
+    'event',
+    `${this.isSubProcess ? 'activity' : 'process'}.modify`,
+    cloneContent(this[kExecuteMessage].content, { state: 'modify', modifications: result }),
+    { type: 'modify' },
+  );
+
+  for (const scope of [...scopes].reverse()) {
+    scope[kModifying] = false;
+    if (scope.isRunning && !scope.completed && !scope.postponedCount) scope._complete('completed');
+  }
+
+  return result;
+};
+
+ProcessExecution.prototype._getModifyScopes = function getModifyScopes() {
+  const scopes = [this];
+  for (const msg of this[kElements].postponed) {
+    const activity = this.getActivityById(msg.content.id);
+    if (!activity?.isSubProcess) continue;
+    const subExecutions = activity.execution?.source?.executions;
+    if (!subExecutions) continue;
+    for (const pe of subExecutions) {
+      if (!pe.isRunning || pe.completed) continue;
+      for (const scope of pe._getModifyScopes()) scopes.push(scope);
+    }
+  }
+  return scopes;
+};
+
 ProcessExecution.prototype.getActivities = function getActivities() {
   return this[kElements].children.slice();
 };
@@ -370,13 +495,18 @@ ProcessExecution.prototype._start = function start() {
   this.broker.publish(this._exchangeName, 'execute.start', cloneContent(executeContent));
 
   const { startActivities, postponed, detachedActivities } = this[kElements];
-  if (startActivities.size > 1) {
+  const startAt = this._getStartAtActivities(executeContent.startAt);
+  if (startAt) {
+    this.environment.assignVariables(executeContent.variables);
+    this._shakeStartAt(startAt);
+  } else if (startActivities.size > 1) {
     for (const a of startActivities) a.shake();
   }
 
-  for (const a of startActivities) a.init();
+  const toStart = startAt || startActivities;
+  for (const a of toStart) a.init();
   this[kStatus] = 'executing';
-  for (const a of startActivities) a.run();
+  for (const a of toStart) a.run();
 
   postponed.clear();
   detachedActivities.clear();
@@ -386,6 +516,47 @@ ProcessExecution.prototype._start = function start() {
   });
 };
 
+ProcessExecution.prototype._getStartAtActivities = function getStartAtActivities(startAt) {
+  if (!startAt) return;
+  const result = [];
+  for (const startId of [].concat(startAt)) {
+    const activity = this.getActivityById(startId);
+    if (activity) result.push(activity);
+  }
+  return result.length ? result : undefined;
+};
+
+ProcessExecution.prototype._shakeStartAt = function shakeStartAt(startAt) {
+  const reached = new Set();
+  for (const a of startAt) {
+    const shaken = this.shake(a.id)[a.id] || [];
+    for (const { sequence } of shaken) {
+      for (const { id, isSequenceFlow } of sequence) {
+        if (!isSequenceFlow) reached.add(id);
+      }
+    }
+  }
+
+  // start sequences are used to discard waiting start events, not started activities
+  this[kElements].startSequences = {};
+
+  const startIds = startAt.map(({ id }) => id);
+  for (const activityId of reached) {
+    if (startIds.includes(activityId)) continue;
+    const activity = this.getActivityById(activityId);
+    if (!activity?.isParallelJoin) continue;
+
+    const unreached = activity.inbound.filter((flow) => !reached.has(flow.sourceId));
+    if (!unreached.length) continue;
+
+    this[kParent].logger.warn(
+      `<${this.executionId} (${this.id})> parallel join <${activityId}> can never be satisfied when starting at <${startIds.join(', ')}>, inbound from <${unreached
+        .map((flow) => flow.sourceId)
+        .join(', ')}> is not reached`,
+    );
+  }
+};
+
 ProcessExecution.prototype._activate = function activate() {
   const { onApiMessage, onMessageFlowEvent, onActivityEvent } = this[kMessageHandlers];
 
@@ -675,6 +846,7 @@ ProcessExecution.prototype._onChildCompleted = function onChildCompleted(message
   if (!postponedCount) {
     this._debug(`left <${id}> (${type}), pending runs ${postponedCount}`);
     message.ack();
+    if (this[kModifying]) return;
     return this._complete('completed');
   }
 
@@ -928,3 +1100,19 @@ ProcessExecution.prototype._onShookEnd = function onShookEnd(message) {
 ProcessExecution.prototype._debug = function debugMessage(logMessage) {
   this[kParent].logger.debug(`<${this.executionId} (${this.id})> ${logMessage}`);
 };
+
+function assertModifyInstruction(instruction) {
+  if (!instruction || typeof instruction !== 'object') throw new TypeError('modify instruction must be an object');
+  const actions = ['cancel', 'startBefore', 'startAfter'].filter((action) => instruction[action] !== undefined);
+  if (actions.length !== 1) throw new TypeError('modify instruction requires one of cancel, startBefore, or startAfter');
+  if (typeof instruction[actions[0]] !== 'string') throw new TypeError(`modify instruction ${actions[0]} must be a string`);
+  if (instruction.variables !== undefined && (!instruction.variables || typeof instruction.variables !== 'object')) {
+    throw new TypeError('modify instruction variables must be an object');
+  }
+  if (instruction.cancel && instruction.variables) throw new TypeError('modify instruction cancel does not take variables');
+}
+
+function getUnresolvedMessage({ cancel, startBefore, startAfter }) {
+  if (cancel) return `no running activity matches <${cancel}>`;
+  return `activity <${startBefore || startAfter}> was not found in a running process or sub process`;
+}
@@ -12,6 +12,49 @@ export function getUniqueId(prefix) {
   return `${brokerSafeId(prefix)}_${generateId()}`;
 }
 
+/**
+ * Get definition scope of activity
+ * @param {import('types').Activity} activity
+ * @returns {{definitionId: string, executionId: string}|undefined} definition id and execution id, undefined if activity is not run by a definition
+ */
+export function getDefinitionScope(activity) {
+  return activity.environment?.definitionScope;
+}
+
+/**
+ * Clear environment timer
+ * @param {import('types').ITimers} timers environment timers
+ * @param {import('types').Timer} ref timer
+ * @param {boolean} [keepStored] stop timer but keep it in timer store, falls back to clear timeout if timers lack stopTimeout
+ */
+export function clearTimer(timers, ref, keepStored) {
+  if (keepStored && typeof timers.stopTimeout === 'function') return timers.stopTimeout(ref);
+  return timers.clearTimeout(ref);
+}
+
+/**
+ * Check if activity event is published by an execution within the activity, e.g. event definitions and multi-instance iterations
+ * @param {any} content activity event message content
+ */
+export function isSubExecution(content) {
+  return content.parent?.id === content.id;
+}
+
+/**
+ * Subscribe to broker events
+ * @param {import('smqp').Broker} broker e.g. definition broker
+ * @param {[consumerTag: string, pattern: string, onMessage: CallableFunction][]} subscriptions
+ * @returns {() => void} unsubscribe function
+ */
+export function subscribeEvents(broker, subscriptions) {
+  for (const [consumerTag, pattern, onMessage] of subscriptions) {
+    broker.subscribeTmp('event', pattern, onMessage, { noAck: true, consumerTag });
+  }
+  return function unsubscribe() {
+    for (const [consumerTag] of subscriptions) broker.cancel(consumerTag);
+  };
+}
+
 export function getOptionsAndCallback(optionsOrCallback, callback) {
   let options;
   if (typeof optionsOrCallback === 'function') {
@@ -22,3 +65,45 @@ export function getOptionsAndCallback(optionsOrCallback, callback) {
 
   return [options, callback];
 }
+
+/**
+ * Execute script
+ * completes when script calls callback or when returned promise settles, whichever comes first
+ * @param {{execute: CallableFunction}} script
+ * @param {any} executionContext
+ * @param {CallableFunction} callback
+ */
+export function executeScript(script, executionContext, callback) {
+  return callWithCallback(script.execute, script, [executionContext], callback);
+}
+
+/**
+ * Call function with callback as last argument
+ * completes when function calls callback or when returned promise settles, whichever comes first
+ * @param {CallableFunction} fn
+ * @param {any} thisArg
+ * @param {any[]} args
+ * @param {CallableFunction} callback
+ */
+export function callWithCallback(fn, thisArg, args, callback) {
+  let completed = false;
+  const result = fn.call(thisArg, ...args, next);
+  if (typeof result?.then === 'function') {
+    result.then(
+      (output) => nextOutsidePromise(null, output),
+      (err) => nextOutsidePromise(err || new Error('Rejected without reason')),
+    );
+  }
+  return result;
+
+  function nextOutsidePromise(...callbackArgs) {
+    // an error thrown by callback is thrown and not swallowed as an unhandled rejection
+    queueMicrotask(() => next(...callbackArgs));
+  }
+
+  function next(...callbackArgs) {
+    if (completed) return;
+    completed = true;
+    return callback?.(...callbackArgs);
+  }
+}
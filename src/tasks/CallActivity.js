@@ -11,6 +11,7 @@ export function CallActivityBehaviour(activity) {
   this.id = id;
   this.type = type;
   this.calledElement = behaviour.calledElement;
+  this._calledElementExpression = undefined;
   this.loopCharacteristics =
     behaviour.loopCharacteristics && new behaviour.loopCharacteristics.Behaviour(activity, behaviour.loopCharacteristics);
   this.activity = activity;
@@ -27,7 +28,9 @@ CallActivityBehaviour.prototype.execute = function execute(executeMessage) {
 
   const broker = this.broker;
   try {
-    var calledElement = this.environment.resolveExpression(this.calledElement); // eslint-disable-line no-var
+    const expression =
+      this._calledElementExpression || (this._calledElementExpression = this.environment.compileExpression(this.calledElement));
+    var calledElement = expression.evaluate(); // eslint-disable-line no-var
   } catch (err) {
     return broker.publish(
       'execution',
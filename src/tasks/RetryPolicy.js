@@ -0,0 +1,63 @@
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_DELAY = 1000;
+const DEFAULT_FACTOR = 2;
+
+/**
+ * Retry policy
+ * @param {import('types').RetryPolicyOptions} options
+ */
+export default function RetryPolicy(options) {
+  const {
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    backoff = 'fixed',
+    delay = DEFAULT_DELAY,
+    factor = DEFAULT_FACTOR,
+    maxDelay,
+    retryable,
+  } = options;
+  if (backoff !== 'fixed' && backoff !== 'exponential') throw new TypeError(`retry backoff ${backoff} is not fixed or exponential`);
+  if (retryable !== undefined && typeof retryable !== 'function') throw new TypeError('retry retryable is not a function');
+
+  this.maxAttempts = maxAttempts;
+  this.backoff = backoff;
+  this.delay = delay;
+  this.factor = factor;
+  this.maxDelay = maxDelay;
+  this.retryable = retryable || isRetryable;
+}
+
+/**
+ * Get retry policy for activity
+ * activity behaviour retry takes precedence over environment settings retry, false disables retry
+ * @param {import('types').Activity} activity
+ * @returns {RetryPolicy|undefined}
+ */
+RetryPolicy.get = function getRetryPolicy(activity) {
+  const options = activity.behaviour.retry ?? activity.environment.settings.retry;
+  if (!options) return;
+  return options instanceof RetryPolicy ? options : new RetryPolicy(options);
+};
+
+/**
+ * Should failed attempt be retried
+ * @param {Error} err attempt error
+ * @param {number} attempt failed attempt number, starting at 1
+ */
+RetryPolicy.prototype.shouldRetry = function shouldRetry(err, attempt) {
+  if (attempt >= this.maxAttempts) return false;
+  return !!this.retryable(err, attempt);
+};
+
+/**
+ * Get delay before next attempt
+ * @param {number} attempt failed attempt number, starting at 1
+ * @returns {number} delay in milliseconds
+ */
+RetryPolicy.prototype.getDelay = function getDelay(attempt) {
+  const delay = this.backoff === 'exponential' ? this.delay * this.factor ** (attempt - 1) : this.delay;
+  return this.maxDelay === undefined ? delay : Math.min(delay, this.maxDelay);
+};
+
+function isRetryable(err) {
+  return err?.type !== 'BpmnError';
+}
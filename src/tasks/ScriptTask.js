@@ -2,6 +2,7 @@ import Activity from '../activity/Activity.js';
 import ExecutionScope from '../activity/ExecutionScope.js';
 import { ActivityError } from '../error/Errors.js';
 import { cloneContent, cloneMessage } from '../messageHelper.js';
+import { executeScript } from '../shared.js';
 
 export default function ScriptTask(activityDef, context) {
   return new Activity(ScriptTaskBehaviour, activityDef, context);
@@ -39,7 +40,7 @@ ScriptTaskBehaviour.prototype.execute = function execute(executeMessage) {
     );
   }
 
-  return script.execute(ExecutionScope(activity, executeMessage), scriptCallback);
+  return executeScript(script, ExecutionScope(activity, executeMessage), scriptCallback);
 
   function scriptCallback(err, output) {
     if (err) {
@@ -1,4 +1,5 @@
 import ExecutionScope from '../activity/ExecutionScope.js';
+import { callWithCallback } from '../shared.js';
 
 export default function ServiceImplementation(activity) {
   this.type = `${activity.type}:implementation`;
@@ -13,7 +14,7 @@ ServiceImplementation.prototype.execute = function execute(executionMessage, cal
 
   if (typeof serviceFn !== 'function') return callback(new Error(`Implementation ${implementation} did not resolve to a function`));
 
-  serviceFn.call(activity, ExecutionScope(activity, executionMessage), (err, ...args) => {
+  callWithCallback(serviceFn, activity, [ExecutionScope(activity, executionMessage)], (err, ...args) => {
     callback(err, args);
   });
 };
@@ -1,6 +1,13 @@
 import Activity from '../activity/Activity.js';
 import { ActivityError } from '../error/Errors.js';
 import { cloneMessage, cloneContent } from '../messageHelper.js';
+import { callWithCallback, clearTimer, getDefinitionScope } from '../shared.js';
+import RetryPolicy from './RetryPolicy.js';
+
+const kInvocations = Symbol.for('invocations');
+const kRetries = Symbol.for('retries');
+
+const SERVICE_TIMEOUT_CODE = 'ERR_SERVICE_TIMEOUT';
 
 export default function ServiceTask(activityDef, context) {
   return new Activity(ServiceTaskBehaviour, activityDef, context);
@@ -13,9 +20,13 @@ export function ServiceTaskBehaviour(activity) {
   this.type = type;
   this.loopCharacteristics =
     behaviour.loopCharacteristics && new behaviour.loopCharacteristics.Behaviour(activity, behaviour.loopCharacteristics);
+  this.retryPolicy = RetryPolicy.get(activity);
+  this.timeout = behaviour.timeout;
   this.activity = activity;
   this.environment = activity.environment;
   this.broker = activity.broker;
+  this[kInvocations] = new Map();
+  this[kRetries] = new Map();
 }
 
 ServiceTaskBehaviour.prototype.execute = function execute(executeMessage) {
@@ -34,19 +45,154 @@ ServiceTaskBehaviour.prototype.execute = function execute(executeMessage) {
     consumerTag: `_api-${executionId}`,
   });
 
-  return service.execute(executeMessage, (err, output) => {
-    broker.cancel(`_api-${executionId}`);
-    if (err) {
-      this.activity.logger.error(`<${executionId} (${this.id})>`, err);
-      return broker.publish(
-        'execution',
-        'execute.error',
-        cloneContent(executeContent, { error: new ActivityError(err.message, executeMessage, err) }, { mandatory: true }),
-      );
+  if (executeMessage.fields.routingKey === 'execute.retry' && executeContent.retry) {
+    return this._waitForRetry(service, executeMessage);
+  }
+
+  return this._executeService(service, executeMessage);
+};
+
+ServiceTaskBehaviour.prototype.getState = function getState() {
+  const retries = this[kRetries];
+  if (!retries.size) return {};
+
+  const retry = {};
+  for (const [executionId, { attempt, expireAt }] of retries) {
+    retry[executionId] = { attempt, expireAt };
+  }
+  return { retry };
+};
+
+ServiceTaskBehaviour.prototype._executeService = function executeService(service, executeMessage) {
+  const executeContent = executeMessage.content;
+  const executionId = executeContent.executionId;
+
+  const controller = new AbortController();
+  const invocation = { controller, timer: null, completed: false, aborted: false };
+  this[kInvocations].set(executionId, invocation);
+
+  const complete = (err, output) => this._onServiceCompleted(service, executeMessage, invocation, err, output);
+
+  const timeout = this.timeout;
+  if (timeout > 0) {
+    const timers = this.environment.timers.register(executeContent, getDefinitionScope(this.activity));
+    invocation.timer = timers.setTimeout(
+      () => {
+        invocation.timer = null;
+        const err = new Error(`<${this.id}> service timed out after ${timeout}ms`);
+        err.name = 'TimeoutError';
+        err.code = SERVICE_TIMEOUT_CODE;
+        controller.abort(err);
+        complete(err);
+      },
+      timeout,
+      { id: this.id, type: this.type, executionId, state: 'timeout' },
+    );
+  }
+
+  executeMessage.signal = controller.signal;
+  return callWithCallback(service.execute, service, [executeMessage], complete);
+};
+
+ServiceTaskBehaviour.prototype._onServiceCompleted = function onServiceCompleted(service, executeMessage, invocation, err, output) {
+  const executeContent = executeMessage.content;
+  const executionId = executeContent.executionId;
+  // a signal aware service fails with the abort reason when stopped or discarded, ignore it
+  if (invocation.completed || (err && invocation.aborted)) return;
+  invocation.completed = true;
+
+  if (this[kInvocations].get(executionId) === invocation) this[kInvocations].delete(executionId);
+  if (invocation.timer) this.environment.timers.clearTimeout(invocation.timer);
+
+  const broker = this.broker;
+  if (err) {
+    const attempt = executeContent.retry?.attempt ?? 1;
+    if (this.retryPolicy?.shouldRetry(err, attempt)) {
+      return this._retry(service, executeMessage, err, attempt);
     }
 
-    return broker.publish('execution', 'execute.completed', cloneContent(executeContent, { output, state: 'complete' }));
+    broker.cancel(`_api-${executionId}`);
+    this[kRetries].delete(executionId);
+    this.activity.logger.error(`<${executionId} (${this.id})>`, err);
+    return broker.publish(
+      'execution',
+      'execute.error',
+      cloneContent(executeContent, { error: new ActivityError(err.message, executeMessage, err) }, { mandatory: true }),
+    );
+  }
+
+  broker.cancel(`_api-${executionId}`);
+  this[kRetries].delete(executionId);
+  return broker.publish('execution', 'execute.completed', cloneContent(executeContent, { output, state: 'complete' }));
+};
+
+ServiceTaskBehaviour.prototype._abort = function abort(executionId, reason) {
+  const invocations = this[kInvocations];
+  const invocation = invocations.get(executionId);
+  if (!invocation) return;
+  invocations.delete(executionId);
+  invocation.aborted = true;
+  if (invocation.timer) this.environment.timers.clearTimeout(invocation.timer);
+  invocation.controller.abort(reason);
+};
+
+ServiceTaskBehaviour.prototype._retry = function retry(service, executeMessage, err, failedAttempt) {
+  const executeContent = executeMessage.content;
+  const delay = this.retryPolicy.getDelay(failedAttempt);
+  const attempt = failedAttempt + 1;
+
+  this.activity.logger.debug(`<${executeContent.executionId} (${this.id})> attempt ${failedAttempt} failed, retry in ${delay}ms`);
+
+  const retryContent = cloneContent(executeContent, {
+    retry: {
+      attempt,
+      maxAttempts: this.retryPolicy.maxAttempts,
+      delay,
+      expireAt: new Date(this.environment.now().getTime() + delay),
+    },
   });
+
+  const broker = this.broker;
+  broker.publish('execution', 'execute.retry', cloneContent(retryContent));
+  broker.publish('event', 'activity.retry', cloneContent(retryContent, { error: new ActivityError(err.message, executeMessage, err) }));
+
+  return this._waitForRetry(
+    service,
+    {
+      ...executeMessage,
+      fields: { ...executeMessage.fields, routingKey: 'execute.retry' },
+      content: retryContent,
+    },
+    delay,
+  );
+};
+
+ServiceTaskBehaviour.prototype._waitForRetry = function waitForRetry(service, retryMessage, delay) {
+  const retryContent = retryMessage.content;
+  const { executionId, retry } = retryContent;
+  // resumed retry waits for the remaining delay
+  if (delay === undefined) delay = Math.max(new Date(retry.expireAt).getTime() - this.environment.now().getTime(), 0);
+
+  const timers = this.environment.timers.register(retryContent, getDefinitionScope(this.activity));
+  const timer = timers.setTimeout(
+    () => {
+      const pending = this[kRetries].get(executionId);
+      if (pending) pending.timer = null;
+      this._executeService(service, retryMessage);
+    },
+    delay,
+    { id: this.id, type: this.type, executionId, state: 'retry' },
+  );
+
+  this[kRetries].set(executionId, { attempt: retry.attempt, expireAt: retry.expireAt, timer });
+};
+
+ServiceTaskBehaviour.prototype._clearRetry = function clearRetry(executionId, keepAttempt) {
+  const retries = this[kRetries];
+  const pending = retries.get(executionId);
+  if (!pending) return;
+  if (pending.timer) pending.timer = clearTimer(this.environment.timers, pending.timer, keepAttempt);
+  if (!keepAttempt) retries.delete(executionId);
 };
 
 ServiceTaskBehaviour.prototype.getService = function getService(message) {
@@ -61,6 +207,8 @@ ServiceTaskBehaviour.prototype._onApiMessage = function onApiMessage(executeMess
     case 'discard': {
       const executionId = executeMessage.content.executionId;
       broker.cancel(`_api-${executionId}`);
+      this._clearRetry(executionId);
+      this._abort(executionId, abortError(`<${this.id}> service was discarded`));
       const service = this.service;
       if (service) {
         if (service.discard) service.discard(message);
@@ -72,6 +220,8 @@ ServiceTaskBehaviour.prototype._onApiMessage = function onApiMessage(executeMess
     case 'stop': {
       const executionId = executeMessage.content.executionId;
       broker.cancel(`_api-${executionId}`);
+      this._clearRetry(executionId, true);
+      this._abort(executionId, abortError(`<${this.id}> service was stopped`));
       const service = this.service;
       if (service?.stop) service.stop(message);
       return this.activity.logger.debug(`<${executionId} (${this.id})> stopped`);
@@ -79,6 +229,12 @@ ServiceTaskBehaviour.prototype._onApiMessage = function onApiMessage(executeMess
   }
 };
 
+function abortError(message) {
+  const err = new Error(message);
+  err.name = 'AbortError';
+  return err;
+}
+
 function DummyService(activity) {
   this.type = 'dummyservice';
   this.activity = activity;
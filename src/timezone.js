@@ -0,0 +1,123 @@
+const DAY_MS = 86400000;
+
+const formatters = new Map();
+
+/**
+ * Get wall clock date parts of date in time zone
+ * @param {Date|number} date
+ * @param {string} [timeZone] IANA time zone, e.g. Europe/Stockholm, defaults to local time
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, millisecond: number, weekday: number}}
+ * month is 1-12, weekday is 0-6 where 0 is sunday
+ */
+export function getZonedParts(date, timeZone) {
+  const d = new Date(date);
+  if (!timeZone) {
+    return {
+      year: d.getFullYear(),
+      month: d.getMonth() + 1,
+      day: d.getDate(),
+      hour: d.getHours(),
+      minute: d.getMinutes(),
+      second: d.getSeconds(),
+      millisecond: d.getMilliseconds(),
+      weekday: d.getDay(),
+    };
+  }
+
+  const parts = { millisecond: d.getMilliseconds() };
+  for (const { type, value } of getFormatter(timeZone).formatToParts(d)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  parts.weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  return parts;
+}
+
+/**
+ * Get date from wall clock date parts in time zone
+ * an ambiguous wall clock time, i.e. when clocks are turned back, resolves to the earlier date,
+ * and a skipped wall clock time, i.e. when clocks are turned forward, is moved forward by the gap
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number, millisecond?: number}} parts month is 1-12
+ * @param {string} [timeZone] IANA time zone, defaults to local time
+ * @returns {Date}
+ */
+export function fromZonedParts({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) {
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute, second, millisecond);
+
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const before = wallTime - getOffset(wallTime - DAY_MS, timeZone);
+  const after = wallTime - getOffset(wallTime + DAY_MS, timeZone);
+  if (before === after) return new Date(before);
+
+  const isBefore = wallTime - getOffset(before, timeZone) === before;
+  const isAfter = wallTime - getOffset(after, timeZone) === after;
+  if (isBefore && isAfter) return new Date(Math.min(before, after));
+  return new Date(isAfter ? after : before);
+}
+
+/**
+ * Get wall clock time in time zone expressed as UTC milliseconds
+ * @param {Date|number} date
+ * @param {string} [timeZone] IANA time zone, defaults to local time
+ */
+export function getWallTime(date, timeZone) {
+  const { year, month, day, hour, minute, second, millisecond } = getZonedParts(date, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+}
+
+/**
+ * Get date from wall clock time expressed as UTC milliseconds
+ * @param {Date|number} wallTime
+ * @param {string} [timeZone] IANA time zone, defaults to local time
+ * @returns {Date}
+ */
+export function fromWallTime(wallTime, timeZone) {
+  const d = new Date(wallTime);
+  return fromZonedParts(
+    {
+      year: d.getUTCFullYear(),
+      month: d.getUTCMonth() + 1,
+      day: d.getUTCDate(),
+      hour: d.getUTCHours(),
+      minute: d.getUTCMinutes(),
+      second: d.getUTCSeconds(),
+      millisecond: d.getUTCMilliseconds(),
+    },
+    timeZone,
+  );
+}
+
+/**
+ * Assert that time zone is supported
+ * @param {string} timeZone
+ */
+export function assertTimeZone(timeZone) {
+  if (timeZone === undefined) return;
+  try {
+    getFormatter(timeZone);
+  } catch {
+    throw new RangeError(`Invalid time zone ${timeZone}`);
+  }
+}
+
+function getOffset(time, timeZone) {
+  const parts = getZonedParts(time, timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond) - time;
+}
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
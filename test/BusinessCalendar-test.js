@@ -0,0 +1,179 @@
+import { BusinessCalendar } from '../src/BusinessCalendar.js';
+
+describe('BusinessCalendar', () => {
+  const timezone = 'Europe/Stockholm';
+
+  describe('ctor', () => {
+    it('defaults to 08:00-17:00 monday to friday', () => {
+      const calendar = new BusinessCalendar();
+      expect(calendar.workingHours).to.deep.equal([{ from: 8 * 60, to: 17 * 60 }]);
+      expect([...calendar.weekdays]).to.deep.equal([1, 2, 3, 4, 5]);
+      expect(calendar.workingDayLength).to.equal(9 * 3600000);
+      expect(calendar.timezone).to.be.undefined;
+    });
+
+    it('sorts working hours', () => {
+      const calendar = new BusinessCalendar({
+        workingHours: [
+          { from: '13:00', to: '17:00' },
+          { from: '8:00', to: '12:00' },
+        ],
+      });
+      expect(calendar.workingHours).to.deep.equal([
+        { from: 8 * 60, to: 12 * 60 },
+        { from: 13 * 60, to: 17 * 60 },
+      ]);
+      expect(calendar.workingDayLength).to.equal(8 * 3600000);
+    });
+
+    it('throws if time zone is invalid', () => {
+      expect(() => new BusinessCalendar({ timezone: 'Europe/Gothenburg' })).to.throw(RangeError, /Invalid time zone/);
+    });
+
+    it('throws if weekdays are invalid', () => {
+      expect(() => new BusinessCalendar({ weekdays: [] })).to.throw(TypeError, /weekdays/);
+      expect(() => new BusinessCalendar({ weekdays: [7] })).to.throw(TypeError, /weekdays/);
+      expect(() => new BusinessCalendar({ weekdays: 'MON' })).to.throw(TypeError, /weekdays/);
+    });
+
+    it('throws if working hours are invalid', () => {
+      expect(() => new BusinessCalendar({ workingHours: [] })).to.throw(TypeError, /workingHours/);
+      expect(() => new BusinessCalendar({ workingHours: [{ from: '8', to: '17:00' }] })).to.throw(TypeError, /8 is not a valid time/);
+      expect(() => new BusinessCalendar({ workingHours: [{ from: '08:60', to: '17:00' }] })).to.throw(TypeError, /not a valid time/);
+      expect(() => new BusinessCalendar({ workingHours: [{ from: '17:00', to: '08:00' }] })).to.throw(TypeError, /ascending/);
+      expect(
+        () =>
+          new BusinessCalendar({
+            workingHours: [
+              { from: '08:00', to: '13:00' },
+              { from: '12:00', to: '17:00' },
+            ],
+          }),
+      ).to.throw(TypeError, /non-overlapping/);
+    });
+
+    it('throws if holiday is invalid', () => {
+      expect(() => new BusinessCalendar({ holidays: ['Christmas'] })).to.throw(TypeError, /Christmas is not a valid date/);
+    });
+  });
+
+  describe('isWorkingDay(date)', () => {
+    it('returns true on weekdays that are not holidays in time zone', () => {
+      const calendar = new BusinessCalendar({ timezone, holidays: ['2025-01-06', new Date('2025-12-24T12:00:00Z')] });
+
+      expect(calendar.isWorkingDay(new Date('2025-01-03T12:00:00Z')), 'friday').to.be.true;
+      expect(calendar.isWorkingDay(new Date('2025-01-04T12:00:00Z')), 'saturday').to.be.false;
+      expect(calendar.isWorkingDay(new Date('2025-01-06T12:00:00Z')), 'holiday').to.be.false;
+      expect(calendar.isWorkingDay(new Date('2025-12-24T12:00:00Z')), 'holiday date').to.be.false;
+      expect(calendar.isWorkingDay(new Date('2025-01-05T23:30:00Z')), 'monday in time zone').to.be.false;
+      expect(calendar.isWorkingDay(new Date('2025-01-06T23:30:00Z')), 'tuesday in time zone').to.be.true;
+    });
+  });
+
+  describe('isWorkingTime(date)', () => {
+    it('returns true within working hours', () => {
+      const calendar = new BusinessCalendar({ timezone });
+
+      expect(calendar.isWorkingTime(new Date('2025-01-03T07:00:00Z')), '08:00').to.be.true;
+      expect(calendar.isWorkingTime(new Date('2025-01-03T06:59:59Z')), '07:59:59').to.be.false;
+      expect(calendar.isWorkingTime(new Date('2025-01-03T15:59:59Z')), '16:59:59').to.be.true;
+      expect(calendar.isWorkingTime(new Date('2025-01-03T16:00:00Z')), '17:00').to.be.false;
+      expect(calendar.isWorkingTime(new Date('2025-01-04T10:00:00Z')), 'saturday').to.be.false;
+    });
+  });
+
+  describe('nextWorkingTime(date)', () => {
+    it('returns date if working time', () => {
+      const calendar = new BusinessCalendar({ timezone });
+      expect(calendar.nextWorkingTime(new Date('2025-01-03T10:00:00Z'))).to.deep.equal(new Date('2025-01-03T10:00:00Z'));
+    });
+
+    it('returns start of next working period', () => {
+      const calendar = new BusinessCalendar({
+        timezone,
+        workingHours: [
+          { from: '08:00', to: '12:00' },
+          { from: '13:00', to: '17:00' },
+        ],
+      });
+
+      expect(calendar.nextWorkingTime(new Date('2025-01-03T11:30:00Z')), 'lunch').to.deep.equal(new Date('2025-01-03T12:00:00Z'));
+      expect(calendar.nextWorkingTime(new Date('2025-01-03T17:00:00Z')), 'weekend').to.deep.equal(new Date('2025-01-06T07:00:00Z'));
+    });
+
+    it('throws if there is no working time', () => {
+      const calendar = new BusinessCalendar({ weekdays: [1], holidays: [] });
+      calendar.holidays = { has: () => true };
+      expect(() => calendar.nextWorkingTime(new Date('2025-01-03T10:00:00Z'))).to.throw(RangeError, /no working time/);
+    });
+  });
+
+  describe('addDuration(from, duration)', () => {
+    let calendar;
+    beforeEach(() => {
+      calendar = new BusinessCalendar({ timezone, holidays: ['2025-01-06'] });
+    });
+
+    it('days are counted as working days keeping time of day', () => {
+      const friday = new Date('2025-01-03T14:00:00Z');
+      expect(calendar.addDuration(friday, 'P3D')).to.deep.equal(new Date('2025-01-09T14:00:00Z'));
+    });
+
+    it('weeks are counted as number of weekdays', () => {
+      const friday = new Date('2025-01-03T14:00:00Z');
+      expect(calendar.addDuration(friday, 'P1W')).to.deep.equal(new Date('2025-01-13T14:00:00Z'));
+    });
+
+    it('hours are counted within working hours', () => {
+      const friday = new Date('2025-01-03T14:00:00Z');
+      expect(calendar.addDuration(friday, 'PT2H')).to.deep.equal(new Date('2025-01-03T16:00:00Z'));
+      expect(calendar.addDuration(friday, 'PT4H')).to.deep.equal(new Date('2025-01-07T09:00:00Z'));
+      expect(calendar.addDuration(friday, 'PT1H30M15S')).to.deep.equal(new Date('2025-01-03T15:30:15Z'));
+    });
+
+    it('duration starts at next working time', () => {
+      const fridayEvening = new Date('2025-01-03T17:00:00Z');
+      expect(calendar.addDuration(fridayEvening, 'PT1H')).to.deep.equal(new Date('2025-01-07T08:00:00Z'));
+      expect(calendar.addDuration(fridayEvening, 'P1D')).to.deep.equal(new Date('2025-01-08T07:00:00Z'));
+    });
+
+    it('fractions of days are counted as part of working day', () => {
+      const friday = new Date('2025-01-03T14:00:00Z');
+      expect(calendar.addDuration(friday, 'P0.5D')).to.deep.equal(new Date('2025-01-07T09:30:00Z'));
+    });
+
+    it('milliseconds are counted within working hours', () => {
+      const friday = new Date('2025-01-03T14:00:00Z');
+      expect(calendar.addDuration(friday, 3 * 3600000)).to.deep.equal(new Date('2025-01-07T08:00:00Z'));
+    });
+
+    it('months and years are added in calendar time', () => {
+      expect(calendar.addDuration(new Date('2025-01-31T14:00:00Z'), 'P1M'), 'last of month').to.deep.equal(
+        new Date('2025-02-28T14:00:00Z'),
+      );
+      expect(calendar.addDuration(new Date('2025-01-03T14:00:00Z'), 'P1Y'), 'saturday next year').to.deep.equal(
+        new Date('2026-01-05T07:00:00Z'),
+      );
+    });
+
+    it('skips lunch break', () => {
+      calendar = new BusinessCalendar({
+        timezone,
+        workingHours: [
+          { from: '08:00', to: '12:00' },
+          { from: '13:00', to: '17:00' },
+        ],
+      });
+      expect(calendar.addDuration(new Date('2025-01-03T10:00:00Z'), 'PT2H')).to.deep.equal(new Date('2025-01-03T13:00:00Z'));
+    });
+
+    it('respects daylight saving time in time zone', () => {
+      const friday = new Date('2025-03-28T14:00:00Z');
+      expect(calendar.addDuration(friday, 'P1D')).to.deep.equal(new Date('2025-03-31T13:00:00Z'));
+    });
+
+    it('throws if duration is invalid', () => {
+      expect(() => calendar.addDuration(new Date(), 'three days')).to.throw(RangeError);
+    });
+  });
+});
@@ -0,0 +1,286 @@
+import Definition from '../src/definition/Definition.js';
+import testHelpers from './helpers/testHelpers.js';
+import { CoverageCollector, formatCoverageText } from '../src/Coverage.js';
+
+const source = `
+<definitions id="Def" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <process id="theProcess" isExecutable="true">
+    <startEvent id="start" />
+    <sequenceFlow id="to-decision" sourceRef="start" targetRef="decision" />
+    <exclusiveGateway id="decision" default="to-task" />
+    <sequenceFlow id="to-task" sourceRef="decision" targetRef="task" />
+    <sequenceFlow id="to-sub" sourceRef="decision" targetRef="subProcess">
+      <conditionExpression xsi:type="tFormalExpression">\${environment.variables.sub}</conditionExpression>
+    </sequenceFlow>
+    <userTask id="task" name="Review" />
+    <boundaryEvent id="cancelled" attachedToRef="task">
+      <messageEventDefinition />
+    </boundaryEvent>
+    <subProcess id="subProcess">
+      <task id="subTask" />
+    </subProcess>
+  </process>
+</definitions>`;
+
+describe('CoverageCollector', () => {
+  let context;
+  beforeEach(async () => {
+    context = await testHelpers.context(source);
+  });
+
+  function run(coverage, variables) {
+    const definition = new Definition(context.clone(), { coverage, variables });
+    definition.run();
+    return definition;
+  }
+
+  function getActivity(coverage, id) {
+    return coverage.getCoverage().activities.find((activity) => activity.id === id);
+  }
+
+  function getFlow(coverage, id) {
+    return coverage.getCoverage().sequenceFlows.find((flow) => flow.id === id);
+  }
+
+  it('throws without context', () => {
+    expect(() => new CoverageCollector()).to.throw(TypeError);
+    expect(() => new CoverageCollector({})).to.throw(TypeError);
+  });
+
+  it('lists all activities and sequence flows of context as not covered', () => {
+    const coverage = new CoverageCollector(context).getCoverage();
+
+    expect(coverage).to.have.property('definitionId', 'Def');
+    expect(coverage).to.have.property('runs', 0);
+    expect(coverage.activities.map(({ id }) => id)).to.have.members(['start', 'decision', 'task', 'cancelled', 'subProcess', 'subTask']);
+    expect(coverage.sequenceFlows.map(({ id }) => id)).to.have.members(['to-decision', 'to-task', 'to-sub']);
+    expect(coverage.activities.every(({ covered }) => !covered)).to.be.true;
+    expect(coverage.sequenceFlows.every(({ covered }) => !covered)).to.be.true;
+  });
+
+  it('elements are described', () => {
+    const coverage = new CoverageCollector(context);
+
+    expect(getActivity(coverage, 'task')).to.deep.equal({
+      id: 'task',
+      type: 'bpmn:UserTask',
+      name: 'Review',
+      parentId: 'theProcess',
+      taken: 0,
+      discarded: 0,
+      covered: false,
+    });
+    expect(getActivity(coverage, 'cancelled')).to.have.property('attachedToId', 'task');
+    expect(getActivity(coverage, 'subTask')).to.have.property('parentId', 'subProcess');
+    expect(getFlow(coverage, 'to-sub')).to.deep.equal({
+      id: 'to-sub',
+      type: 'bpmn:SequenceFlow',
+      parentId: 'theProcess',
+      sourceId: 'decision',
+      targetId: 'subProcess',
+      taken: 0,
+      discarded: 0,
+      covered: false,
+    });
+  });
+
+  it('collects coverage across definitions created from context', () => {
+    const coverage = new CoverageCollector(context);
+    run(coverage).signal({ id: 'task' });
+    run(coverage, { sub: true });
+
+    expect(coverage.runs).to.equal(2);
+    expect(getActivity(coverage, 'start')).to.include({ taken: 2, covered: true });
+    expect(getActivity(coverage, 'task')).to.include({ taken: 1, discarded: 1, covered: true });
+    expect(getActivity(coverage, 'subTask')).to.include({ taken: 1, covered: true });
+    expect(getActivity(coverage, 'cancelled')).to.include({ taken: 0, discarded: 2, covered: false });
+    expect(getFlow(coverage, 'to-task')).to.include({ taken: 1, discarded: 1, covered: true });
+    expect(getFlow(coverage, 'to-sub')).to.include({ taken: 1, discarded: 1, covered: true });
+  });
+
+  it('activity that is waiting is not covered', () => {
+    const coverage = new CoverageCollector(context);
+    run(coverage);
+
+    expect(getActivity(coverage, 'task')).to.include({ taken: 0, covered: false });
+  });
+
+  it('summary counts covered activities, sequence flows, gateway branches, and boundary events', () => {
+    const coverage = new CoverageCollector(context);
+    run(coverage).signal({ id: 'task' });
+
+    expect(coverage.getCoverage().summary).to.deep.equal({
+      activities: { total: 6, covered: 3, percent: 50 },
+      sequenceFlows: { total: 3, covered: 2, percent: 66.67 },
+      gatewayBranches: { total: 2, covered: 1, percent: 50 },
+      boundaryEvents: { total: 1, covered: 0, percent: 0 },
+    });
+  });
+
+  it('summary of empty category is fully covered', async () => {
+    const ctx = await testHelpers.context(`
+      <definitions id="Def" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="theProcess" isExecutable="true">
+          <task id="task" />
+        </process>
+      </definitions>`);
+    const coverage = new CoverageCollector(ctx);
+    new Definition(ctx, { coverage }).run();
+
+    expect(coverage.getCoverage().summary).to.deep.equal({
+      activities: { total: 1, covered: 1, percent: 100 },
+      sequenceFlows: { total: 0, covered: 0, percent: 100 },
+      gatewayBranches: { total: 0, covered: 0, percent: 100 },
+      boundaryEvents: { total: 0, covered: 0, percent: 100 },
+    });
+  });
+
+  it('boundary event is covered when triggered', () => {
+    const coverage = new CoverageCollector(context);
+    const definition = run(coverage);
+    definition.getPostponed().find(({ id }) => id === 'cancelled').signal();
+
+    expect(getActivity(coverage, 'cancelled')).to.include({ taken: 1, covered: true });
+    expect(coverage.getCoverage().summary.boundaryEvents).to.include({ covered: 1 });
+  });
+
+  it('multi-instance activity is taken once per execution', async () => {
+    const ctx = await testHelpers.context(`
+      <definitions id="Def" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="theProcess" isExecutable="true">
+          <task id="task">
+            <multiInstanceLoopCharacteristics isSequential="true">
+              <loopCardinality>3</loopCardinality>
+            </multiInstanceLoopCharacteristics>
+          </task>
+        </process>
+      </definitions>`);
+    const coverage = new CoverageCollector(ctx);
+    new Definition(ctx, { coverage }).run();
+
+    expect(getActivity(coverage, 'task')).to.include({ taken: 1 });
+  });
+
+  it('coverage is serializable as JSON', () => {
+    const coverage = new CoverageCollector(context);
+    run(coverage).signal({ id: 'task' });
+
+    expect(JSON.parse(JSON.stringify(coverage))).to.deep.equal(coverage.getCoverage());
+  });
+
+  it('attach() throws if definition is created from another context', async () => {
+    const ctx = await testHelpers.context(`
+      <definitions id="Other" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="theProcess" isExecutable="true" />
+      </definitions>`);
+    const coverage = new CoverageCollector(context);
+    expect(() => new Definition(ctx, { coverage })).to.throw(/is not created from coverage context <Def>/);
+  });
+
+  it('attach() twice is ignored', () => {
+    const coverage = new CoverageCollector(context);
+    const definition = run(coverage);
+    coverage.attach(definition);
+    definition.signal({ id: 'task' });
+
+    expect(coverage.runs).to.equal(1);
+    expect(getActivity(coverage, 'task')).to.include({ taken: 1 });
+  });
+
+  it('detach([definition]) stops collecting from definition, or from all definitions', () => {
+    const coverage = new CoverageCollector(context);
+    const first = run(coverage);
+    const second = run(coverage);
+    const third = run(coverage);
+
+    coverage.detach(first);
+    first.signal({ id: 'task' });
+    second.signal({ id: 'task' });
+    expect(getActivity(coverage, 'task')).to.include({ taken: 1 });
+
+    coverage.detach();
+    third.signal({ id: 'task' });
+    expect(getActivity(coverage, 'task')).to.include({ taken: 1 });
+    expect(third.broker.getConsumer('_coverage-activity'), 'unsubscribed').to.not.be.ok;
+
+    coverage.attach(third);
+    third.run();
+    expect(coverage.runs).to.equal(4);
+  });
+
+  it('collects runs of the same definition', () => {
+    const coverage = new CoverageCollector(context);
+    const definition = run(coverage);
+    definition.signal({ id: 'task' });
+
+    definition.environment.variables.sub = true;
+    definition.run();
+
+    expect(coverage.runs).to.equal(2);
+    expect(getActivity(coverage, 'task')).to.include({ taken: 1, discarded: 1 });
+    expect(getActivity(coverage, 'subTask')).to.include({ taken: 1, covered: true });
+    expect(getFlow(coverage, 'to-sub')).to.include({ taken: 1, discarded: 1 });
+    expect(definition.coverage).to.equal(coverage);
+  });
+
+  it('reset() resets coverage', () => {
+    const coverage = new CoverageCollector(context);
+    run(coverage).signal({ id: 'task' });
+
+    coverage.reset();
+
+    expect(coverage.runs).to.equal(0);
+    expect(coverage.getCoverage().summary.activities).to.include({ covered: 0 });
+  });
+
+  it('does not create elements in context', () => {
+    new CoverageCollector(context);
+    expect(context.refs.get('activityRefs').size).to.equal(0);
+  });
+});
+
+describe('formatCoverageText(coverage)', () => {
+  it('formats summary and lists elements not covered', async () => {
+    const context = await testHelpers.context(source);
+    const coverage = new CoverageCollector(context);
+    new Definition(context, { coverage }).run();
+
+    expect(coverage.toText()).to.equal(
+      [
+        'Definition: Def',
+        'Runs: 1',
+        '',
+        'Activities              2/6   33.33%',
+        'Sequence flows          2/3   66.67%',
+        'Gateway branches        1/2   50.00%',
+        'Boundary events         0/1    0.00%',
+        '',
+        'Not covered:',
+        '  activity task (bpmn:UserTask)',
+        '  activity cancelled (bpmn:BoundaryEvent)',
+        '  activity subProcess (bpmn:SubProcess)',
+        '  activity subTask (bpmn:Task)',
+        '  flow to-sub (decision -> subProcess)',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  it('omits not covered list if fully covered', () => {
+    const text = formatCoverageText({
+      definitionId: 'Def',
+      runs: 1,
+      summary: {
+        activities: { total: 1, covered: 1, percent: 100 },
+        sequenceFlows: { total: 0, covered: 0, percent: 100 },
+        gatewayBranches: { total: 0, covered: 0, percent: 100 },
+        boundaryEvents: { total: 0, covered: 0, percent: 100 },
+      },
+      activities: [{ id: 'task', type: 'bpmn:Task', taken: 1, discarded: 0, covered: true }],
+      sequenceFlows: [],
+    });
+
+    expect(text).to.not.contain('Not covered');
+    expect(text).to.contain('Activities              1/1  100.00%');
+  });
+});
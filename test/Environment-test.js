@@ -1,5 +1,7 @@
 import Environment from '../src/Environment.js';
-import { Timers } from '../src/Timers.js';
+import { Timers, VirtualTimers } from '../src/Timers.js';
+import FeelExpressions from '../src/FeelExpressions.js';
+import { BusinessCalendar } from '../src/BusinessCalendar.js';
 
 describe('Environment', () => {
   describe('ctor', () => {
@@ -69,6 +71,25 @@ describe('Environment', () => {
         });
       }).to.throw(/extensions\[js\] is not a function/);
     });
+
+    it('throws if functions validation is not met', () => {
+      expect(() => {
+        new Environment({
+          functions: 1,
+        });
+      }).to.throw(/functions is not an object/);
+      expect(() => {
+        new Environment({
+          functions: { fn() {} },
+          expressions: { resolveExpression() {} },
+        });
+      }).to.throw(/expressions.registerFunction is not a function/);
+      expect(() => {
+        new Environment({
+          functions: { fn: {} },
+        });
+      }).to.throw(TypeError, /fn is not a function/);
+    });
   });
 
   describe('getServiceByName()', () => {
@@ -482,6 +503,351 @@ describe('Environment', () => {
         undefined,
       ]);
     });
+
+    it('compileExpression() returns compiled expression that adds environment to message', () => {
+      const environment = new Environment({
+        variables: { limit: 10 },
+        Logger() {},
+      });
+
+      const compiled = environment.compileExpression('${environment.variables.limit < content.amount}');
+      expect(compiled).to.have.property('expression', '${environment.variables.limit < content.amount}');
+      expect(compiled.evaluate({ content: { amount: 11 } })).to.be.true;
+      expect(compiled.evaluate({ content: { amount: 9 } })).to.be.false;
+    });
+
+    it('compileExpression() with overridden expressions without compile falls back to resolveExpression', () => {
+      const expressions = {
+        resolveExpression(...args) {
+          return args;
+        },
+      };
+      const environment = new Environment({ expressions, Logger() {} });
+
+      const fnContext = {};
+      expect(environment.compileExpression('${environment.settings.init}').evaluate({ content: {} }, fnContext)).to.eql([
+        '${environment.settings.init}',
+        { environment, content: {} },
+        fnContext,
+      ]);
+    });
+
+    it('compileExpression() with FEEL language compiles FEEL expression', () => {
+      const environment = new Environment({ variables: { limit: 10 } });
+
+      const compiled = environment.compileExpression('environment.variables.limit < content.amount', 'feel');
+      expect(compiled).to.have.property('expression', '=environment.variables.limit < content.amount');
+      expect(compiled.evaluate({ content: { amount: 11 } })).to.be.true;
+      expect(compiled.evaluate({ content: { amount: 9 } })).to.be.false;
+    });
+
+    it('getExpressions() returns FEEL expressions handler for FEEL language', () => {
+      const environment = new Environment();
+      expect(environment.getExpressions()).to.equal(environment.expressions);
+      expect(environment.getExpressions('javascript')).to.equal(environment.expressions);
+
+      const feel = environment.getExpressions('https://www.omg.org/spec/FEEL/20140401');
+      expect(feel).to.have.property('language', 'feel');
+      expect(environment.getExpressions('feel')).to.equal(feel);
+    });
+
+    it('getExpressions() returns environment FEEL expressions handler for FEEL language', () => {
+      const expressions = FeelExpressions();
+      const environment = new Environment({ expressions });
+      expect(environment.getExpressions('feel')).to.equal(expressions);
+    });
+
+    it('compileExpression() with overridden expressions compile', () => {
+      const expressions = {
+        resolveExpression() {},
+        compile(expression) {
+          return {
+            expression,
+            evaluate(...args) {
+              return args;
+            },
+          };
+        },
+      };
+      const environment = new Environment({ expressions, Logger() {} });
+
+      expect(environment.compileExpression('${environment.settings.init}').evaluate()).to.eql([{ environment }, undefined]);
+    });
+  });
+
+  describe('functions', () => {
+    it('functions option adds expression functions', () => {
+      const environment = new Environment({
+        variables: { amount: 2 },
+        functions: {
+          double(value) {
+            return value * 2;
+          },
+        },
+      });
+
+      expect(environment.resolveExpression('${double(environment.variables.amount)}')).to.equal(4);
+      expect(environment.resolveExpression('${sum(double(1), 1)}'), 'standard function').to.equal(3);
+      expect(environment.functions).to.have.property('double').that.is.a('function');
+    });
+
+    it('registerFunction() adds expression function', () => {
+      const environment = new Environment();
+      environment.registerFunction('half', (value) => value / 2);
+      expect(environment.resolveExpression('${half(4)}')).to.equal(2);
+    });
+
+    it('registerFunction() throws if expressions handler lacks function registry', () => {
+      const environment = new Environment({ expressions: { resolveExpression() {} } });
+      expect(() => environment.registerFunction('half', (value) => value / 2)).to.throw(/expressions.registerFunction is not a function/);
+    });
+
+    it('functions are registered with overridden expressions', () => {
+      const registered = [];
+      new Environment({
+        functions: { fn() {} },
+        expressions: {
+          resolveExpression() {},
+          registerFunction(name) {
+            registered.push(name);
+          },
+        },
+      });
+      expect(registered).to.deep.equal(['fn']);
+    });
+
+    it('clone() inherits functions', () => {
+      const environment = new Environment({
+        functions: {
+          double(value) {
+            return value * 2;
+          },
+        },
+      });
+      environment.registerFunction('half', (value) => value / 2);
+
+      const clone = environment.clone({ functions: { triple: (value) => value * 3 } });
+
+      expect(clone.resolveExpression('${double(half(triple(2)))}')).to.equal(6);
+    });
+
+    it('clone() functions are not added to environment or sibling clones', () => {
+      const environment = new Environment();
+      const clone = environment.clone({ functions: { secret: () => 'secret' } });
+      const sibling = environment.clone();
+
+      expect(clone.resolveExpression('${secret()}')).to.equal('secret');
+      expect(environment.resolveExpression('${secret()}')).to.be.undefined;
+      expect(sibling.resolveExpression('${secret()}')).to.be.undefined;
+      expect(environment.functions).to.not.have.property('secret');
+    });
+
+    it('FEEL expressions handler has environment functions', () => {
+      const environment = new Environment({ functions: { double: (value) => value * 2 } });
+      const compiled = environment.compileExpression('double(2)', 'feel');
+      environment.registerFunction('half', (value) => value / 2);
+
+      expect(compiled.evaluate()).to.equal(4);
+      expect(environment.compileExpression('half(double(2))', 'feel').evaluate()).to.equal(2);
+      expect(environment.clone().compileExpression('half(2)', 'feel').evaluate()).to.equal(1);
+    });
+
+    it('registerFunction() on clone is not registered with environment or sibling clones, and vice versa', () => {
+      const environment = new Environment({ functions: { double: (value) => value * 2 } });
+      const clone = environment.clone();
+      const sibling = environment.clone();
+
+      clone.registerFunction('secret', () => 'secret');
+      environment.registerFunction('half', (value) => value / 2);
+
+      expect(clone.resolveExpression('${secret()}')).to.equal('secret');
+      expect(clone.resolveExpression('${double(2)}')).to.equal(4);
+      expect(clone.resolveExpression('${half(2)}')).to.be.undefined;
+      expect(environment.resolveExpression('${secret()}')).to.be.undefined;
+      expect(environment.resolveExpression('${half(2)}')).to.equal(1);
+      expect(sibling.resolveExpression('${secret()}')).to.be.undefined;
+      expect(sibling.resolveExpression('${half(2)}')).to.be.undefined;
+      expect(sibling.clone().expressions, 'shares expressions handler until a function is registered').to.equal(sibling.expressions);
+    });
+
+    it('registerFunction() on clone with custom expressions handler registers with the shared handler', () => {
+      const expressions = FeelExpressions();
+      const environment = new Environment({ expressions });
+      const clone = environment.clone();
+
+      clone.registerFunction('half', (value) => value / 2);
+
+      expect(clone.expressions).to.equal(expressions);
+      expect(clone.resolveExpression('${half(2)}')).to.equal(1);
+      expect(environment.resolveExpression('${half(4)}')).to.equal(2);
+      expect(environment.functions).to.have.property('half');
+    });
+  });
+
+  describe('condition languages', () => {
+    it('has expression and FEEL condition languages by default', () => {
+      const environment = new Environment();
+      expect(environment.getConditionLanguage('expression')).to.be.a('function');
+      expect(environment.getConditionLanguage('feel')).to.be.a('function');
+      expect(environment.getConditionLanguage('https://www.omg.org/spec/FEEL/20140401')).to.be.a('function');
+      expect(environment.getConditionLanguage('javascript')).to.be.undefined;
+      expect(environment.getConditionLanguage()).to.be.undefined;
+    });
+
+    it('conditionLanguages option adds condition languages', () => {
+      const environment = new Environment({
+        conditionLanguages: {
+          JSONata() {},
+        },
+      });
+      expect(environment.getConditionLanguage('jsonata')).to.be.a('function');
+      expect(environment.getConditionLanguage('JSONATA')).to.be.a('function');
+      expect(environment.conditionLanguages).to.have.property('jsonata');
+    });
+
+    it('addConditionLanguage() adds or overrides condition language', () => {
+      const environment = new Environment();
+      const createCondition = () => {};
+      environment.addConditionLanguage('FEEL', createCondition);
+      environment.addConditionLanguage('flag', createCondition);
+      expect(environment.getConditionLanguage('feel')).to.equal(createCondition);
+      expect(environment.getConditionLanguage('Flag')).to.equal(createCondition);
+    });
+
+    it('addConditionLanguage() throws if factory is not a function', () => {
+      const environment = new Environment();
+      expect(() => environment.addConditionLanguage('flag', {})).to.throw(TypeError, /flag is not a function/);
+    });
+
+    it('throws if conditionLanguages option is not an object of functions', () => {
+      expect(() => new Environment({ conditionLanguages: 'feel' })).to.throw(/conditionLanguages is not an object/);
+      expect(() => new Environment({ conditionLanguages: { flag: {} } })).to.throw(/conditionLanguages\[flag\] is not a function/);
+    });
+
+    it('clone() inherits condition languages without leaking registrations back', () => {
+      const environment = new Environment({ conditionLanguages: { flag() {} } });
+      const clone = environment.clone({ conditionLanguages: { toggle() {} } });
+      clone.addConditionLanguage('switch', () => {});
+
+      expect(clone.getConditionLanguage('flag')).to.be.a('function');
+      expect(clone.getConditionLanguage('toggle')).to.be.a('function');
+      expect(clone.getConditionLanguage('feel')).to.be.a('function');
+      expect(environment.getConditionLanguage('toggle')).to.be.undefined;
+      expect(environment.getConditionLanguage('switch')).to.be.undefined;
+    });
+
+    it('clone() keeps condition language added with addConditionLanguage()', () => {
+      const environment = new Environment({ conditionLanguages: { flag() {} } });
+      const python = () => {};
+      environment.addConditionLanguage('python', python);
+
+      const clone = environment.clone();
+
+      expect(clone.getConditionLanguage('python')).to.equal(python);
+      expect(clone.getConditionLanguage('flag')).to.be.a('function');
+      expect(clone.options).to.not.have.property('conditionLanguages');
+    });
+  });
+
+  describe('now()', () => {
+    it('returns current date', () => {
+      const environment = new Environment();
+      const now = environment.now();
+      expect(now).to.be.instanceOf(Date);
+      expect(Date.now() - now.getTime()).to.be.within(0, 1000);
+    });
+
+    it('returns date according to timers clock', () => {
+      const environment = new Environment({ timers: new VirtualTimers({ now: '2025-01-01T00:00:00Z' }) });
+      expect(environment.now().toISOString()).to.equal('2025-01-01T00:00:00.000Z');
+
+      environment.timers.advance(60000);
+      expect(environment.now().toISOString()).to.equal('2025-01-01T00:01:00.000Z');
+    });
+
+    it('returns current date if timers lacks clock', () => {
+      const environment = new Environment({
+        timers: {
+          register() {},
+          setTimeout() {},
+          clearTimeout() {},
+        },
+      });
+      expect(environment.now()).to.be.instanceOf(Date);
+    });
+
+    it('clone shares clock with timers', () => {
+      const environment = new Environment({ timers: new VirtualTimers({ now: '2025-01-01T00:00:00Z' }) });
+      const clone = environment.clone();
+      environment.timers.advance(1000);
+      expect(clone.now().toISOString()).to.equal('2025-01-01T00:00:01.000Z');
+    });
+
+    it('expression now() and today() functions use clock', () => {
+      const environment = new Environment({ timers: new VirtualTimers({ now: '2025-01-01T10:00:00Z' }) });
+      expect(environment.resolveExpression('${now()}').toISOString()).to.equal('2025-01-01T10:00:00.000Z');
+      expect(environment.resolveExpression('${today()}').getDate()).to.equal(new Date('2025-01-01T10:00:00Z').getDate());
+      expect(environment.compileExpression('${now()}').evaluate({}).toISOString()).to.equal('2025-01-01T10:00:00.000Z');
+    });
+
+    it('FEEL now() and today() functions use clock', () => {
+      const environment = new Environment({ timers: new VirtualTimers({ now: '2025-01-01T10:00:00Z' }) });
+      expect(environment.compileExpression('now()', 'feel').evaluate({}).toISOString()).to.equal('2025-01-01T10:00:00.000Z');
+      expect(environment.compileExpression('today()', 'feel').evaluate({}).toISOString()).to.equal('2025-01-01T00:00:00.000Z');
+    });
+
+    it('clone with other timers uses other clock in expressions', () => {
+      const environment = new Environment({ timers: new VirtualTimers({ now: '2025-01-01T00:00:00Z' }) });
+      const clone = environment.clone({ timers: new VirtualTimers({ now: '2030-01-01T00:00:00Z' }) });
+      expect(clone.resolveExpression('${now()}').toISOString()).to.equal('2030-01-01T00:00:00.000Z');
+      expect(environment.resolveExpression('${now()}').toISOString()).to.equal('2025-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('businessCalendar', () => {
+    it('is undefined by default', () => {
+      expect(new Environment().businessCalendar).to.be.undefined;
+    });
+
+    it('businessCalendar options creates business calendar', () => {
+      const environment = new Environment({ businessCalendar: { weekdays: [1, 2, 3, 4], holidays: ['2025-12-24'] } });
+      expect(environment.businessCalendar).to.be.instanceof(BusinessCalendar);
+      expect([...environment.businessCalendar.weekdays]).to.deep.equal([1, 2, 3, 4]);
+      expect(environment.businessCalendar.holidays.has('2025-12-24')).to.be.true;
+    });
+
+    it('business calendar options time zone defaults to settings time zone', () => {
+      const environment = new Environment({ businessCalendar: {}, settings: { timezone: 'Europe/Stockholm' } });
+      expect(environment.businessCalendar.timezone).to.equal('Europe/Stockholm');
+
+      const other = new Environment({ businessCalendar: { timezone: 'UTC' }, settings: { timezone: 'Europe/Stockholm' } });
+      expect(other.businessCalendar.timezone).to.equal('UTC');
+    });
+
+    it('keeps passed business calendar', () => {
+      const businessCalendar = new BusinessCalendar();
+      expect(new Environment({ businessCalendar }).businessCalendar).to.equal(businessCalendar);
+    });
+
+    it('keeps passed business calendar like object', () => {
+      const businessCalendar = { addDuration() {} };
+      expect(new Environment({ businessCalendar }).businessCalendar).to.equal(businessCalendar);
+    });
+
+    it('throws if business calendar options are invalid', () => {
+      expect(() => new Environment({ businessCalendar: { weekdays: [] } })).to.throw(TypeError);
+    });
+
+    it('clone() shares business calendar', () => {
+      const environment = new Environment({ businessCalendar: {} });
+      expect(environment.clone().businessCalendar).to.equal(environment.businessCalendar);
+    });
+
+    it('clone() allows override of business calendar', () => {
+      const environment = new Environment({ businessCalendar: {} });
+      const businessCalendar = new BusinessCalendar({ weekdays: [0] });
+      expect(environment.clone({ businessCalendar }).businessCalendar).to.equal(businessCalendar);
+    });
   });
 
   describe('timers', () => {
@@ -0,0 +1,319 @@
+import Definition from '../src/definition/Definition.js';
+import testHelpers from './helpers/testHelpers.js';
+import { ExecutionHistory } from '../src/ExecutionHistory.js';
+import { VirtualTimers } from '../src/Timers.js';
+
+const source = `
+<definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <process id="theProcess" isExecutable="true">
+    <startEvent id="start" />
+    <sequenceFlow id="to-decision" sourceRef="start" targetRef="decision" />
+    <exclusiveGateway id="decision" default="to-task" />
+    <sequenceFlow id="to-task" sourceRef="decision" targetRef="task" />
+    <sequenceFlow id="to-end" sourceRef="decision" targetRef="end">
+      <conditionExpression xsi:type="tFormalExpression">\${environment.variables.skip}</conditionExpression>
+    </sequenceFlow>
+    <userTask id="task" />
+    <sequenceFlow id="to-sub" sourceRef="task" targetRef="subProcess" />
+    <subProcess id="subProcess">
+      <task id="subTask" />
+    </subProcess>
+    <sequenceFlow id="from-sub" sourceRef="subProcess" targetRef="end" />
+    <endEvent id="end" />
+  </process>
+</definitions>`;
+
+describe('ExecutionHistory', () => {
+  let context, timers;
+  beforeEach(async () => {
+    timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+    context = await testHelpers.context(source, { timers });
+  });
+
+  it('is attached to definition with history option', () => {
+    const definition = new Definition(context, { history: true });
+    expect(definition.history).to.be.instanceof(ExecutionHistory);
+    expect(definition.environment.options).to.not.have.property('history');
+  });
+
+  it('definition without history option has no history', () => {
+    expect(new Definition(context).history).to.be.undefined;
+    expect(new Definition(context).getState()).to.not.have.property('history');
+  });
+
+  it('history option can be an execution history instance', () => {
+    const history = new ExecutionHistory();
+    const definition = new Definition(context, { history });
+    expect(definition.history).to.equal(history);
+  });
+
+  it('attach() throws if already attached', () => {
+    const history = new ExecutionHistory();
+    new Definition(context, { history });
+    expect(() => new Definition(context, { history })).to.throw(/already attached/);
+  });
+
+  it('records activity and sequence flow lifecycle transitions in order', () => {
+    const definition = new Definition(context, { history: true });
+    definition.run();
+    definition.signal({ id: 'task' });
+
+    const records = definition.history.query();
+    expect(records.map(({ id, state }) => `${id}.${state}`)).to.deep.equal([
+      'start.enter',
+      'start.start',
+      'start.end',
+      'to-decision.take',
+      'decision.enter',
+      'decision.start',
+      'decision.end',
+      'to-end.discard',
+      'end.discard',
+      'to-task.take',
+      'task.enter',
+      'task.start',
+      'task.wait',
+      'task.end',
+      'to-sub.take',
+      'subProcess.enter',
+      'subProcess.start',
+      'subTask.enter',
+      'subTask.start',
+      'subTask.end',
+      'subProcess.end',
+      'from-sub.take',
+      'end.enter',
+      'end.start',
+      'end.end',
+    ]);
+    expect(records.map(({ sequence }) => sequence)).to.deep.equal(records.map((_, idx) => idx + 1));
+  });
+
+  it('records timestamp from environment clock, execution id, and parent chain', () => {
+    const definition = new Definition(context, { history: true });
+    definition.run();
+    timers.advance(60000);
+    definition.signal({ id: 'task' });
+
+    const [enter, , wait, end] = definition.history.getActivityHistory('task');
+    expect(enter.timestamp).to.deep.equal(new Date('2025-01-01T00:00:00Z'));
+    expect(wait.timestamp).to.deep.equal(new Date('2025-01-01T00:00:00Z'));
+    expect(end.timestamp).to.deep.equal(new Date('2025-01-01T00:01:00Z'));
+    expect(enter).to.have.property('elementType', 'activity');
+    expect(enter).to.have.property('type', 'bpmn:UserTask');
+    expect(enter).to.have.property('executionId', definition.getActivityById('task').executionId);
+
+    const [bp] = definition.getProcesses();
+    expect(enter.parents).to.deep.equal([
+      { id: 'theProcess', type: 'bpmn:Process', executionId: bp.executionId },
+      { id: definition.id, type: 'bpmn:Definitions', executionId: definition.executionId },
+    ]);
+
+    const [subTask] = definition.history.getActivityHistory('subTask');
+    expect(subTask.parents.map(({ id }) => id)).to.deep.equal(['subProcess', 'theProcess', definition.id]);
+  });
+
+  it('records sequence flow source, target, and sequence id', () => {
+    const definition = new Definition(context, { history: true });
+    definition.run();
+
+    const [take] = definition.history.query({ id: 'to-task' });
+    expect(take).to.have.property('elementType', 'flow');
+    expect(take).to.have.property('state', 'take');
+    expect(take).to.have.property('sourceId', 'decision');
+    expect(take).to.have.property('targetId', 'task');
+    expect(take.sequenceId).to.be.a('string');
+    expect(take).to.not.have.property('executionId');
+  });
+
+  it('records output snapshot', () => {
+    const definition = new Definition(context, { history: true });
+    definition.run();
+
+    const output = { approved: true };
+    definition.signal({ id: 'task', ...output });
+    output.approved = false;
+
+    const [end] = definition.history.query({ id: 'task', state: 'end' });
+    expect(end.output).to.deep.equal({ id: 'task', approved: true });
+  });
+
+  it('records input snapshot if present', async () => {
+    const ctx = await testHelpers.context(source, {
+      extensions: {
+        input: {
+          extension(activity) {
+            if (activity.id !== 'task') return;
+            const broker = activity.broker;
+            broker.subscribeTmp('event', 'activity.enter', () => broker.publish('format', 'run.input', { input: { amount: 10 } }), {
+              noAck: true,
+            });
+          },
+        },
+      },
+    });
+    const definition = new Definition(ctx, { history: true });
+    definition.run();
+
+    const [wait] = definition.history.query({ id: 'task', state: 'wait' });
+    expect(wait.input).to.deep.equal({ amount: 10 });
+  });
+
+  it('records error', async () => {
+    const ctx = await testHelpers.context(
+      `
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="theProcess" isExecutable="true">
+          <serviceTask id="service" implementation="\${environment.services.fail}" />
+        </process>
+      </definitions>`,
+    );
+    const definition = new Definition(ctx, {
+      history: true,
+      services: {
+        fail(_, next) {
+          const err = new Error('boom');
+          err.code = 'E_BOOM';
+          next(err);
+        },
+      },
+    });
+    definition.once('error', () => {});
+    definition.run();
+
+    const [error] = definition.history.getByState('error');
+    expect(error).to.have.property('id', 'service');
+    expect(error.error).to.have.property('message', 'boom');
+    expect(error.error).to.have.property('code', 'E_BOOM');
+  });
+
+  describe('query(filter)', () => {
+    let history;
+    beforeEach(() => {
+      const definition = new Definition(context, { history: true });
+      history = definition.history;
+      definition.run();
+      timers.advance(60000);
+      definition.signal({ id: 'task' });
+    });
+
+    it('returns copies', () => {
+      const [record] = history.query();
+      record.id = 'foo';
+      record.parents[0].id = 'bar';
+      expect(history.query()[0]).to.have.property('id', 'start');
+      expect(history.query()[0].parents[0]).to.have.property('id', 'theProcess');
+    });
+
+    it('filters by element type', () => {
+      expect(history.query({ elementType: 'flow' }).map(({ id }) => id)).to.deep.equal([
+        'to-decision',
+        'to-end',
+        'to-task',
+        'to-sub',
+        'from-sub',
+      ]);
+    });
+
+    it('filters by state', () => {
+      expect(history.query({ state: 'discard' }).map(({ id }) => id)).to.deep.equal(['to-end', 'end']);
+      expect(history.getByState(['wait', 'discard']).map(({ id }) => id)).to.deep.equal(['to-end', 'end', 'task']);
+    });
+
+    it('filters by execution id', () => {
+      const [, subTask] = history.getActivityHistory('subTask');
+      expect(history.query({ executionId: subTask.executionId })).to.have.length(3);
+    });
+
+    it('filters by parent execution id', () => {
+      const [subProcess] = history.getActivityHistory('subProcess');
+      expect(history.query({ parentExecutionId: subProcess.executionId }).map(({ id }) => id)).to.deep.equal([
+        'subTask',
+        'subTask',
+        'subTask',
+      ]);
+    });
+
+    it('filters by time range', () => {
+      expect(history.getByTimeRange('2025-01-01T00:00:30Z').map(({ id, state }) => `${id}.${state}`)).to.deep.equal([
+        'task.end',
+        'to-sub.take',
+        'subProcess.enter',
+        'subProcess.start',
+        'subTask.enter',
+        'subTask.start',
+        'subTask.end',
+        'subProcess.end',
+        'from-sub.take',
+        'end.enter',
+        'end.start',
+        'end.end',
+      ]);
+      expect(history.getByTimeRange(undefined, new Date('2025-01-01T00:00:00Z'))).to.have.length(13);
+      expect(
+        history.query({ from: new Date('2025-01-01T00:00:00Z'), to: Date.parse('2025-01-01T00:00:59Z'), state: 'wait' }),
+      ).to.have.length(1);
+    });
+  });
+
+  describe('getState() and recover(state)', () => {
+    it('history is included in definition state and recovered', () => {
+      let definition = new Definition(context, { history: true });
+      definition.run();
+      definition.stop();
+
+      const state = JSON.parse(JSON.stringify(definition.getState()));
+      expect(state.history.records).to.have.length(13);
+
+      definition = new Definition(context.clone(), { history: true }).recover(state);
+      expect(definition.history.size).to.equal(13);
+      expect(definition.history.query()[0].timestamp).to.deep.equal(new Date('2025-01-01T00:00:00Z'));
+
+      definition.resume();
+      definition.signal({ id: 'task' });
+
+      const records = definition.history.query();
+      expect(records).to.have.length(25);
+      expect(records.map(({ sequence }) => sequence)).to.deep.equal(records.map((_, idx) => idx + 1));
+      expect(definition.history.getActivityHistory('task').map((record) => record.state)).to.deep.equal(['enter', 'start', 'wait', 'end']);
+    });
+
+    it('recovered state is ignored if definition has no history', () => {
+      const definition = new Definition(context, { history: true });
+      definition.run();
+      definition.stop();
+
+      const recovered = new Definition(context.clone()).recover(definition.getState());
+      expect(recovered.history).to.be.undefined;
+    });
+
+    it('history can be created from state', () => {
+      const definition = new Definition(context, { history: true });
+      definition.run();
+
+      const history = new ExecutionHistory(definition.history.getState());
+      expect(history.query()).to.deep.equal(definition.history.query());
+    });
+  });
+
+  describe('detach() and clear()', () => {
+    it('detach() stops recording', () => {
+      const definition = new Definition(context, { history: true });
+      definition.run();
+      definition.history.detach();
+      definition.history.detach();
+      definition.signal({ id: 'task' });
+
+      expect(definition.history.size).to.equal(13);
+    });
+
+    it('clear() removes records', () => {
+      const definition = new Definition(context, { history: true });
+      definition.run();
+      definition.history.clear();
+      definition.signal({ id: 'task' });
+
+      expect(definition.history.query()[0]).to.include({ sequence: 1, id: 'task', state: 'end' });
+    });
+  });
+});
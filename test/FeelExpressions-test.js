@@ -0,0 +1,278 @@
+import FeelExpressions, { isFeelLanguage, toFeelExpression } from '../src/FeelExpressions.js';
+
+const expressions = FeelExpressions();
+
+describe('FeelExpressions', () => {
+  const context = {
+    environment: {
+      variables: {
+        amount: 1500,
+        list: [1, 2, 3, 4],
+        items: [
+          { name: 'a', price: 10 },
+          { name: 'b', price: 30 },
+        ],
+        name: 'Pelle',
+      },
+    },
+    content: { id: 'task' },
+  };
+
+  describe('resolveExpression(expression[, context, fnContext])', () => {
+    it('resolves string prefixed with = as FEEL', () => {
+      expect(expressions.resolveExpression('=environment.variables.amount', context)).to.equal(1500);
+      expect(expressions.resolveExpression('=environment.variables.amount > 1000', context)).to.be.true;
+    });
+
+    it('resolves FEEL in templated string', () => {
+      expect(expressions.resolveExpression('${content.id}', context)).to.equal('task');
+      expect(expressions.resolveExpression('PT${environment.variables.list[2] * 30}S', context)).to.equal('PT60S');
+      expect(expressions.resolveExpression('${content.id} ${{a: "b"}.a}', context)).to.equal('task b');
+    });
+
+    it('returns string without expression as is', () => {
+      expect(expressions.resolveExpression('PT1M', context)).to.equal('PT1M');
+      expect(expressions.resolveExpression('', context)).to.equal('');
+    });
+
+    it('returns non-string as is', () => {
+      expect(expressions.resolveExpression(1, context)).to.equal(1);
+      expect(expressions.resolveExpression(undefined, context)).to.be.undefined;
+    });
+
+    it('literals', () => {
+      expect(expressions.resolveExpression('=1.5')).to.equal(1.5);
+      expect(expressions.resolveExpression('="a \\"quoted\\" string"')).to.equal('a "quoted" string');
+      expect(expressions.resolveExpression('=true')).to.be.true;
+      expect(expressions.resolveExpression('=null')).to.be.null;
+      expect(expressions.resolveExpression('=[1, "a", [2]]')).to.deep.equal([1, 'a', [2]]);
+      expect(expressions.resolveExpression('={a: 1, "b c": a + 1}')).to.deep.equal({ a: 1, 'b c': 2 });
+    });
+
+    it('paths', () => {
+      expect(expressions.resolveExpression('=environment.variables.name', context)).to.equal('Pelle');
+      expect(expressions.resolveExpression('=environment.variables.missing.path', context)).to.be.null;
+      expect(expressions.resolveExpression('=environment.variables.items.price', context)).to.deep.equal([10, 30]);
+      expect(expressions.resolveExpression('=date and time("2025-01-02T03:04:05Z").hour', context)).to.equal(3);
+      expect(expressions.resolveExpression('=environment.constructor', context)).to.be.null;
+    });
+
+    it('filters', () => {
+      expect(expressions.resolveExpression('=environment.variables.list[1]', context)).to.equal(1);
+      expect(expressions.resolveExpression('=environment.variables.list[-1]', context)).to.equal(4);
+      expect(expressions.resolveExpression('=environment.variables.list[item > 2]', context)).to.deep.equal([3, 4]);
+      expect(expressions.resolveExpression('=environment.variables.items[price > 20].name', context)).to.deep.equal(['b']);
+    });
+
+    it('arithmetic', () => {
+      expect(expressions.resolveExpression('=2 ** 3 - -1 + 4 / 2 * 3', context)).to.equal(15);
+      expect(expressions.resolveExpression('="a" + "b"', context)).to.equal('ab');
+      expect(expressions.resolveExpression('=1 + null', context)).to.be.null;
+      expect(expressions.resolveExpression('=1 / 0', context)).to.be.null;
+    });
+
+    it('comparison', () => {
+      expect(expressions.resolveExpression('=environment.variables.name = "Pelle"', context)).to.be.true;
+      expect(expressions.resolveExpression('=environment.variables.name != "Pelle"', context)).to.be.false;
+      expect(expressions.resolveExpression('=environment.variables.amount >= 1500', context)).to.be.true;
+      expect(expressions.resolveExpression('=null = null', context)).to.be.true;
+      expect(expressions.resolveExpression('=[1, 2] = [1, 2]', context)).to.be.true;
+      expect(expressions.resolveExpression('=1 < "2"', context)).to.be.null;
+    });
+
+    it('conjunction and disjunction with three-valued logic', () => {
+      expect(expressions.resolveExpression('=true and false', context)).to.be.false;
+      expect(expressions.resolveExpression('=true and null', context)).to.be.null;
+      expect(expressions.resolveExpression('=false and null', context)).to.be.false;
+      expect(expressions.resolveExpression('=true or null', context)).to.be.true;
+      expect(expressions.resolveExpression('=false or null', context)).to.be.null;
+    });
+
+    it('if then else', () => {
+      expect(expressions.resolveExpression('=if environment.variables.amount > 1000 then "high" else "low"', context)).to.equal('high');
+      expect(expressions.resolveExpression('=if null then "high" else "low"', context)).to.equal('low');
+    });
+
+    it('between and in', () => {
+      expect(expressions.resolveExpression('=environment.variables.amount between 1 and 1500', context)).to.be.true;
+      expect(expressions.resolveExpression('=environment.variables.amount in [1000..2000]', context)).to.be.true;
+      expect(expressions.resolveExpression('=environment.variables.amount in (1000..1500)', context)).to.be.false;
+      expect(expressions.resolveExpression('=environment.variables.amount in ]1000..1500]', context)).to.be.true;
+      expect(expressions.resolveExpression('=environment.variables.amount in (< 10, > 1000)', context)).to.be.true;
+      expect(expressions.resolveExpression('=environment.variables.amount in [1, 1500]', context)).to.be.true;
+      expect(expressions.resolveExpression('="c" in ("a", "b")', context)).to.be.false;
+    });
+
+    it('for, some, and every', () => {
+      expect(expressions.resolveExpression('=for x in environment.variables.list return x * 2', context)).to.deep.equal([2, 4, 6, 8]);
+      expect(expressions.resolveExpression('=for i in 1..3, j in [10] return i + j', context)).to.deep.equal([11, 12, 13]);
+      expect(expressions.resolveExpression('=some x in environment.variables.list satisfies x > 3', context)).to.be.true;
+      expect(expressions.resolveExpression('=every x in environment.variables.list satisfies x > 3', context)).to.be.false;
+    });
+
+    it('calls functions in context with arguments', () => {
+      const fnContext = {};
+      const result = expressions.resolveExpression(
+        '=environment.services.fn(1, "a")',
+        {
+          environment: {
+            services: {
+              fn(...args) {
+                return [this, ...args];
+              },
+            },
+          },
+        },
+        fnContext,
+      );
+      expect(result).to.deep.equal([fnContext, 1, 'a']);
+    });
+
+    it('throws if calling non-function', () => {
+      expect(() => expressions.resolveExpression('=environment.variables.name()', context)).to.throw(TypeError, /name is not a function/);
+    });
+
+    it('throws SyntaxError if invalid expression', () => {
+      expect(() => expressions.resolveExpression('=environment.variables.amount >', context)).to.throw(SyntaxError);
+      expect(() => expressions.resolveExpression('=if true then 1', context)).to.throw(SyntaxError, /Expected else/);
+    });
+  });
+
+  describe('built-in functions', () => {
+    it('conversion functions', () => {
+      expect(expressions.resolveExpression('=string(1)')).to.equal('1');
+      expect(expressions.resolveExpression('=number("1.5")')).to.equal(1.5);
+      expect(expressions.resolveExpression('=number("a")')).to.be.null;
+      expect(expressions.resolveExpression('=date("2025-01-02T03:04:05Z")').toISOString()).to.equal('2025-01-02T00:00:00.000Z');
+      expect(expressions.resolveExpression('=date and time("2025-01-02T03:04:05Z")').toISOString()).to.equal('2025-01-02T03:04:05.000Z');
+      expect(expressions.resolveExpression('=duration("PT1M")')).to.equal('PT1M');
+      expect(expressions.resolveExpression('=now() > date("2020-01-01")')).to.be.true;
+      expect(expressions.resolveExpression('=today().hour')).to.equal(0);
+    });
+
+    it('boolean functions', () => {
+      expect(expressions.resolveExpression('=not(true)')).to.be.false;
+      expect(expressions.resolveExpression('=not(1)')).to.be.null;
+      expect(expressions.resolveExpression('=is defined(environment.variables.name)', context)).to.be.true;
+      expect(expressions.resolveExpression('=is defined(environment.variables.missing)', context)).to.be.false;
+    });
+
+    it('string functions', () => {
+      expect(expressions.resolveExpression('=string length("abc")')).to.equal(3);
+      expect(expressions.resolveExpression('=upper case("abc") + lower case("DEF")')).to.equal('ABCdef');
+      expect(expressions.resolveExpression('=substring("foobar", 3)')).to.equal('obar');
+      expect(expressions.resolveExpression('=substring("foobar", -2, 1)')).to.equal('a');
+      expect(expressions.resolveExpression('=substring before("foobar", "bar")')).to.equal('foo');
+      expect(expressions.resolveExpression('=substring after("foobar", "ob")')).to.equal('ar');
+      expect(expressions.resolveExpression('=contains("foobar", "ob") and starts with("foobar", "f") and ends with("foobar", "r")')).to.be
+        .true;
+      expect(expressions.resolveExpression('=matches("foobar", "^fo+")')).to.be.true;
+      expect(expressions.resolveExpression('=replace("abcb", "b", "x")')).to.equal('axcx');
+      expect(expressions.resolveExpression('=split("a, b,c", ",\\\\s*")')).to.deep.equal(['a', 'b', 'c']);
+      expect(expressions.resolveExpression('=string join(["a", null, "b"], "-")')).to.equal('a-b');
+    });
+
+    it('list functions', () => {
+      expect(expressions.resolveExpression('=list contains([1, 2], 2)')).to.be.true;
+      expect(expressions.resolveExpression('=count([1, 2])')).to.equal(2);
+      expect(expressions.resolveExpression('=min([3, 1, 2]) + max(3, 1, 2)')).to.equal(4);
+      expect(expressions.resolveExpression('=sum([1, 2, 3])')).to.equal(6);
+      expect(expressions.resolveExpression('=mean([1, 2, 3])')).to.equal(2);
+      expect(expressions.resolveExpression('=sum([])')).to.be.null;
+      expect(expressions.resolveExpression('=all([true, true]) and any([false, true])')).to.be.true;
+      expect(expressions.resolveExpression('=sublist([1, 2, 3], 2)')).to.deep.equal([2, 3]);
+      expect(expressions.resolveExpression('=append([1], 2, 3)')).to.deep.equal([1, 2, 3]);
+      expect(expressions.resolveExpression('=concatenate([1], [2, 3])')).to.deep.equal([1, 2, 3]);
+      expect(expressions.resolveExpression('=remove([1, 2, 3], 2)')).to.deep.equal([1, 3]);
+      expect(expressions.resolveExpression('=reverse([1, 2, 3])')).to.deep.equal([3, 2, 1]);
+      expect(expressions.resolveExpression('=index of([1, 2, 1], 1)')).to.deep.equal([1, 3]);
+      expect(expressions.resolveExpression('=union([1, 2], [2, 3])')).to.deep.equal([1, 2, 3]);
+      expect(expressions.resolveExpression('=distinct values([1, 2, 1])')).to.deep.equal([1, 2]);
+      expect(expressions.resolveExpression('=flatten([1, [2, [3]]])')).to.deep.equal([1, 2, 3]);
+      expect(expressions.resolveExpression('=sort([3, 1, 2])')).to.deep.equal([1, 2, 3]);
+    });
+
+    it('numeric functions', () => {
+      expect(expressions.resolveExpression('=decimal(1.2345, 2)')).to.equal(1.23);
+      expect(expressions.resolveExpression('=floor(1.5) + ceiling(1.5)')).to.equal(3);
+      expect(expressions.resolveExpression('=abs(-1)')).to.equal(1);
+      expect(expressions.resolveExpression('=modulo(-12, 5)')).to.equal(3);
+      expect(expressions.resolveExpression('=sqrt(16)')).to.equal(4);
+      expect(expressions.resolveExpression('=odd(5) and even(2)')).to.be.true;
+    });
+
+    it('context functions', () => {
+      expect(expressions.resolveExpression('=get value({a: 1}, "a")')).to.equal(1);
+      expect(expressions.resolveExpression('=get entries({a: 1})')).to.deep.equal([{ key: 'a', value: 1 }]);
+    });
+
+    it('custom functions can be passed as option or registered', () => {
+      const instance = FeelExpressions({
+        functions: {
+          'is vip'(customer) {
+            return customer.level > 3;
+          },
+        },
+      });
+      instance.registerFunction('double', (value) => value * 2);
+
+      expect(instance.resolveExpression('=is vip({level: 4}) and double(2) = 4')).to.be.true;
+      expect(() => instance.registerFunction('fn', {})).to.throw(TypeError, /fn is not a function/);
+    });
+
+    it('registered function with spaces is called by expressions resolved before it was registered', () => {
+      const instance = FeelExpressions();
+      const ctx = { plus: true };
+
+      expect(instance.resolveExpression('=plus and minus(1)', ctx)).to.be.null;
+
+      instance.registerFunction('plus and minus', (value) => [value, -value]);
+
+      expect(instance.resolveExpression('=plus and minus(1)', ctx)).to.deep.equal([1, -1]);
+    });
+  });
+
+  describe('compile(expression)', () => {
+    it('returns the same compiled expression for the same expression', () => {
+      const compiled = expressions.compile('=environment.variables.amount > 1000');
+      expect(compiled).to.equal(expressions.compile('=environment.variables.amount > 1000'));
+      expect(compiled.evaluate(context)).to.be.true;
+      expect(compiled.evaluate({ environment: { variables: { amount: 1 } } })).to.be.false;
+    });
+  });
+
+  describe('isExpression(text) and hasExpression(text)', () => {
+    it('returns true if expression', () => {
+      expect(expressions.isExpression('=a')).to.be.true;
+      expect(expressions.isExpression('${a}')).to.be.true;
+      expect(expressions.isExpression('${a}${b}')).to.be.false;
+      expect(expressions.isExpression('a')).to.be.false;
+      expect(expressions.isExpression()).to.be.false;
+    });
+
+    it('returns true if string contains expression', () => {
+      expect(expressions.hasExpression('=a')).to.be.true;
+      expect(expressions.hasExpression('PT${a}S')).to.be.true;
+      expect(expressions.hasExpression('PT1S')).to.be.false;
+      expect(expressions.hasExpression()).to.be.false;
+    });
+  });
+
+  describe('isFeelLanguage(language)', () => {
+    it('returns true if FEEL language', () => {
+      expect(isFeelLanguage('feel')).to.be.true;
+      expect(isFeelLanguage('FEEL')).to.be.true;
+      expect(isFeelLanguage('https://www.omg.org/spec/FEEL/20140401')).to.be.true;
+      expect(isFeelLanguage('javascript')).to.be.false;
+      expect(isFeelLanguage()).to.be.false;
+    });
+  });
+
+  describe('toFeelExpression(source)', () => {
+    it('prefixes source with = unless already an expression', () => {
+      expect(toFeelExpression('a > 1')).to.equal('=a > 1');
+      expect(toFeelExpression('=a > 1')).to.equal('=a > 1');
+      expect(toFeelExpression('${a > 1}')).to.equal('${a > 1}');
+    });
+  });
+});
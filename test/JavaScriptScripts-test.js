@@ -0,0 +1,284 @@
+import Environment from '../src/Environment.js';
+import { JavaScriptScripts } from '../src/JavaScriptScripts.js';
+import { BpmnError } from '../src/error/Errors.js';
+
+describe('JavaScriptScripts', () => {
+  let environment;
+  beforeEach(() => {
+    environment = new Environment();
+  });
+
+  describe('register(element)', () => {
+    it('registers javascript and js script formats', () => {
+      const scripts = new JavaScriptScripts();
+
+      expect(
+        scripts.register({
+          id: 'task1',
+          type: 'bpmn:ScriptTask',
+          behaviour: { scriptFormat: 'JavaScript', script: 'next()' },
+          environment,
+        }),
+      ).to.be.ok;
+      expect(scripts.register({ id: 'task2', type: 'bpmn:ScriptTask', behaviour: { scriptFormat: 'js', script: 'next()' }, environment }))
+        .to.be.ok;
+
+      expect(scripts.getScript('javascript', { id: 'task1' })).to.have.property('id', 'bpmn:ScriptTask/task1');
+      expect(scripts.getScript('js', { id: 'task2' })).to.have.property('language', 'js');
+    });
+
+    it('ignores other script formats and empty scripts', () => {
+      const scripts = new JavaScriptScripts();
+
+      expect(scripts.register({ id: 'task1', type: 'bpmn:ScriptTask', behaviour: { scriptFormat: 'python', script: 'pass' }, environment }))
+        .to.be.undefined;
+      expect(scripts.register({ id: 'task2', type: 'bpmn:ScriptTask', behaviour: { scriptFormat: 'javascript' }, environment })).to.be
+        .undefined;
+      expect(scripts.getScript('python', { id: 'task1' })).to.be.undefined;
+    });
+
+    it('registers sequence flow condition with javascript language', () => {
+      const scripts = new JavaScriptScripts();
+
+      expect(scripts.register({ id: 'flow1', type: 'bpmn:SequenceFlow', behaviour: {}, environment })).to.be.undefined;
+      expect(
+        scripts.register({ id: 'flow2', type: 'bpmn:SequenceFlow', behaviour: { conditionExpression: { body: '${true}' } }, environment }),
+      ).to.be.undefined;
+      expect(
+        scripts.register({
+          id: 'flow3',
+          type: 'bpmn:SequenceFlow',
+          behaviour: { conditionExpression: { language: 'javascript', body: 'next(null, true)' } },
+          environment,
+        }),
+      ).to.have.property('id', 'bpmn:SequenceFlow/flow3');
+    });
+
+    it('compiles once per element', () => {
+      const scripts = new JavaScriptScripts();
+      const element = { id: 'task', type: 'bpmn:ScriptTask', behaviour: { scriptFormat: 'javascript', script: 'next()' }, environment };
+
+      const script = scripts.register(element);
+      expect(scripts.register(element)).to.equal(script);
+    });
+
+    it('throws if script has syntax error', () => {
+      const scripts = new JavaScriptScripts();
+
+      expect(() =>
+        scripts.register({ id: 'task', type: 'bpmn:ScriptTask', behaviour: { scriptFormat: 'javascript', script: 'next(' }, environment }),
+      ).to.throw(SyntaxError);
+    });
+  });
+
+  describe('script.execute(executionContext, callback)', () => {
+    it('exposes next, environment, and execution scope', () => {
+      environment.variables.factor = 2;
+      const scripts = new JavaScriptScripts();
+      const script = scripts.register({
+        id: 'task',
+        type: 'bpmn:ScriptTask',
+        behaviour: { scriptFormat: 'javascript', script: 'next(null, environment.variables.factor * content.input)' },
+        environment,
+      });
+
+      let result;
+      script.execute({ id: 'task', environment, content: { input: 21 } }, (err, output) => {
+        if (err) throw err;
+        result = output;
+      });
+
+      expect(result).to.equal(42);
+    });
+
+    it('exposes globals', () => {
+      const scripts = new JavaScriptScripts({ globals: { Buffer } });
+      const script = scripts.register({
+        id: 'task',
+        type: 'bpmn:ScriptTask',
+        behaviour: { scriptFormat: 'javascript', script: 'next(null, Buffer.from(content.input).toString("base64"))' },
+        environment,
+      });
+
+      let result;
+      script.execute({ id: 'task', environment, content: { input: 'a' } }, (err, output) => {
+        if (err) throw err;
+        result = output;
+      });
+
+      expect(result).to.equal('YQ==');
+    });
+
+    it('runs in sandbox without access to process', () => {
+      const scripts = new JavaScriptScripts();
+      const script = scripts.register({
+        id: 'task',
+        type: 'bpmn:ScriptTask',
+        behaviour: { scriptFormat: 'javascript', script: 'next(null, typeof process)' },
+        environment,
+      });
+
+      let result;
+      script.execute({ id: 'task', environment, content: {} }, (err, output) => {
+        if (err) throw err;
+        result = output;
+      });
+
+      expect(result).to.equal('undefined');
+    });
+
+    it('calls callback with error if script throws', () => {
+      const scripts = new JavaScriptScripts();
+      const script = scripts.register({
+        id: 'task',
+        type: 'bpmn:ScriptTask',
+        behaviour: { scriptFormat: 'javascript', script: 'throw new Error("Unexpected")' },
+        environment,
+      });
+
+      let error;
+      script.execute({ id: 'task', environment, content: {} }, (err) => {
+        error = err;
+      });
+
+      expect(error).to.have.property('message', 'Unexpected');
+    });
+
+    it('calls callback with error if script times out', () => {
+      const scripts = new JavaScriptScripts({ timeout: 10 });
+      const script = scripts.register({
+        id: 'task',
+        type: 'bpmn:ScriptTask',
+        behaviour: { scriptFormat: 'javascript', script: 'while (true) {}' },
+        environment,
+      });
+
+      let error;
+      script.execute({ id: 'task', environment, content: {} }, (err) => {
+        error = err;
+      });
+
+      expect(error)
+        .to.have.property('message')
+        .that.match(/timed out/);
+    });
+
+    it('completes script with top-level await when resolved', async () => {
+      environment.addService('double', (value) => Promise.resolve(value * 2));
+      const scripts = new JavaScriptScripts();
+      const script = scripts.register({
+        id: 'task',
+        type: 'bpmn:ScriptTask',
+        behaviour: {
+          scriptFormat: 'javascript',
+          script: 'const result = await environment.getServiceByName("double")(content.input);\nreturn result;',
+        },
+        environment,
+      });
+
+      const result = await script.execute({ id: 'task', environment, content: { input: 21 } }, () => {});
+
+      expect(result).to.equal(42);
+    });
+
+    it('rejects script with top-level await when thrown', async () => {
+      const scripts = new JavaScriptScripts();
+      const script = scripts.register({
+        id: 'task',
+        type: 'bpmn:ScriptTask',
+        behaviour: {
+          scriptFormat: 'javascript',
+          script: 'await null;\nthrow new BpmnError("Not found", { errorCode: "404" });',
+        },
+        environment,
+      });
+
+      const err = await script.execute({ id: 'task', environment, content: {}, BpmnError }, () => {}).catch((e) => e);
+
+      expect(err).to.be.instanceOf(BpmnError).with.property('code', '404');
+    });
+
+    it('completes script with top-level await that awaits service completed later', async () => {
+      environment.addService('later', (value) => new Promise((resolve) => setTimeout(resolve, 10, value)));
+      const scripts = new JavaScriptScripts({ timeout: 100 });
+      const script = scripts.register({
+        id: 'task',
+        type: 'bpmn:ScriptTask',
+        behaviour: {
+          scriptFormat: 'javascript',
+          script: 'const later = environment.getServiceByName("later");\nreturn (await later(1)) + (await later(2));',
+        },
+        environment,
+      });
+
+      const result = await script.execute({ id: 'task', environment, content: {} }, () => {});
+
+      expect(result).to.equal(3);
+    });
+
+    it('rejects script with top-level await if it times out after await', async () => {
+      environment.addService('later', (value) => new Promise((resolve) => setTimeout(resolve, 10, value)));
+      const scripts = new JavaScriptScripts({ timeout: 100 });
+      const script = scripts.register({
+        id: 'task',
+        type: 'bpmn:ScriptTask',
+        behaviour: { scriptFormat: 'javascript', script: 'await environment.getServiceByName("later")();\nwhile (true) {}' },
+        environment,
+      });
+
+      const err = await script.execute({ id: 'task', environment, content: {} }, () => {}).catch((e) => e);
+
+      expect(err)
+        .to.have.property('message')
+        .that.match(/timed out/);
+    });
+
+    it('calls callback with error if script with top-level await times out when evaluated', () => {
+      const scripts = new JavaScriptScripts({ timeout: 100 });
+      const script = scripts.register({
+        id: 'task',
+        type: 'bpmn:ScriptTask',
+        behaviour: { scriptFormat: 'javascript', script: 'await null;\nwhile (true) {}' },
+        environment,
+      });
+
+      let error;
+      script.execute({ id: 'task', environment, content: {} }, (err) => {
+        error = err;
+      });
+
+      expect(error)
+        .to.have.property('message')
+        .that.match(/timed out/);
+    });
+
+    it('throws original syntax error if script with await is invalid', () => {
+      const scripts = new JavaScriptScripts();
+
+      expect(() =>
+        scripts.register({
+          id: 'task',
+          type: 'bpmn:ScriptTask',
+          behaviour: { scriptFormat: 'javascript', script: 'await next(' },
+          environment,
+        }),
+      ).to.throw(SyntaxError);
+    });
+
+    it('throws if callback throws', () => {
+      const scripts = new JavaScriptScripts();
+      const script = scripts.register({
+        id: 'task',
+        type: 'bpmn:ScriptTask',
+        behaviour: { scriptFormat: 'javascript', script: 'next()' },
+        environment,
+      });
+
+      expect(() =>
+        script.execute({ id: 'task', environment, content: {} }, () => {
+          throw new Error('Callback');
+        }),
+      ).to.throw('Callback');
+    });
+  });
+});
@@ -0,0 +1,391 @@
+import Definition from '../src/definition/Definition.js';
+import testHelpers from './helpers/testHelpers.js';
+import { MetricsCollector, formatPrometheus, DEFAULT_BUCKETS } from '../src/Metrics.js';
+import { VirtualTimers } from '../src/Timers.js';
+
+const source = `
+<definitions id="Def" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <process id="theProcess" isExecutable="true">
+    <startEvent id="start" />
+    <sequenceFlow id="to-decision" sourceRef="start" targetRef="decision" />
+    <exclusiveGateway id="decision" default="to-task" />
+    <sequenceFlow id="to-task" sourceRef="decision" targetRef="task" />
+    <sequenceFlow id="to-service" sourceRef="decision" targetRef="service">
+      <conditionExpression xsi:type="tFormalExpression">\${environment.variables.call}</conditionExpression>
+    </sequenceFlow>
+    <userTask id="task" />
+    <serviceTask id="service" implementation="\${environment.services.call}" />
+    <boundaryEvent id="failed" attachedToRef="service">
+      <errorEventDefinition />
+    </boundaryEvent>
+  </process>
+</definitions>`;
+
+describe('MetricsCollector', () => {
+  let context, timers, calls;
+  beforeEach(async () => {
+    timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+    context = await testHelpers.context(source, { timers });
+    calls = [];
+  });
+
+  function run(metrics, variables) {
+    const definition = new Definition(context.clone(), {
+      metrics,
+      variables,
+      services: {
+        call(_, next) {
+          calls.push(next);
+        },
+      },
+    });
+    definition.run();
+    return definition;
+  }
+
+  function getActivity(metrics, id) {
+    return metrics.getMetrics().activities.find((metric) => metric.id === id);
+  }
+
+  it('throws if buckets are not a list of positive numbers', () => {
+    expect(() => new MetricsCollector({ buckets: [] })).to.throw(TypeError);
+    expect(() => new MetricsCollector({ buckets: 1 })).to.throw(TypeError);
+    expect(() => new MetricsCollector({ buckets: [1, 0] })).to.throw(TypeError);
+    expect(() => new MetricsCollector({ buckets: [1, '2'] })).to.throw(TypeError);
+  });
+
+  it('metrics option is not passed to environment', () => {
+    const definition = new Definition(context, { metrics: new MetricsCollector() });
+    expect(definition.environment.options).to.not.have.property('metrics');
+  });
+
+  it('counts activity executions and completions across runs', () => {
+    const metrics = new MetricsCollector();
+    run(metrics).signal({ id: 'task' });
+    run(metrics).signal({ id: 'task' });
+    run(metrics);
+
+    expect(getActivity(metrics, 'task')).to.deep.include({
+      definitionId: 'Def',
+      id: 'task',
+      type: 'bpmn:UserTask',
+      executions: 3,
+      completed: 2,
+      discarded: 0,
+      errors: 0,
+      active: 1,
+    });
+    expect(getActivity(metrics, 'start')).to.deep.include({ executions: 3, completed: 3, active: 0 });
+  });
+
+  it('counts definition and process executions', () => {
+    const metrics = new MetricsCollector();
+    run(metrics).signal({ id: 'task' });
+    run(metrics);
+
+    const { definitions, processes } = metrics.getMetrics();
+    expect(definitions).to.have.length(1);
+    expect(definitions[0]).to.deep.include({ id: 'Def', type: 'bpmn:Definitions', executions: 2, completed: 1, active: 1 });
+    expect(processes).to.have.length(1);
+    expect(processes[0]).to.deep.include({ id: 'theProcess', type: 'bpmn:Process', executions: 2, completed: 1, active: 1 });
+  });
+
+  it('counts errors and discards', () => {
+    const metrics = new MetricsCollector();
+    run(metrics, { call: true });
+    calls.pop()(new Error('boom'));
+    run(metrics, { call: true });
+    calls.pop()();
+
+    expect(getActivity(metrics, 'service')).to.deep.include({ executions: 2, completed: 1, errors: 1, active: 0 });
+    expect(getActivity(metrics, 'failed')).to.deep.include({ executions: 2, completed: 1, discarded: 1, active: 0 });
+    expect(getActivity(metrics, 'task')).to.deep.include({ executions: 0, discarded: 2, active: 0 });
+  });
+
+  it('counts sequence flows taken and discarded', () => {
+    const metrics = new MetricsCollector();
+    run(metrics);
+    run(metrics, { call: true });
+
+    const { flows } = metrics.getMetrics();
+    expect(flows.find((flow) => flow.id === 'to-decision')).to.deep.equal({
+      definitionId: 'Def',
+      id: 'to-decision',
+      type: 'bpmn:SequenceFlow',
+      taken: 2,
+      discarded: 0,
+    });
+    expect(flows.find((flow) => flow.id === 'to-task')).to.include({ taken: 1, discarded: 1 });
+    expect(flows.find((flow) => flow.id === 'to-service')).to.include({ taken: 1, discarded: 1 });
+  });
+
+  it('observes execution and wait time in histograms', () => {
+    const metrics = new MetricsCollector();
+    const definition = run(metrics);
+    timers.advance(2000);
+    definition.signal({ id: 'task' });
+
+    run(metrics, { call: true });
+    timers.advance(40);
+    calls.pop()();
+
+    const task = getActivity(metrics, 'task');
+    expect(task.waitTime).to.include({ count: 1, sum: 2000 });
+    expect(task.executionTime).to.include({ count: 1, sum: 2000 });
+    expect(task.executionTime.buckets.find(({ le }) => le === 1000)).to.have.property('count', 0);
+    expect(task.executionTime.buckets.find(({ le }) => le === 5000)).to.have.property('count', 1);
+    expect(task.executionTime.buckets.at(-1)).to.deep.equal({ le: 86400000, count: 1 });
+
+    const service = getActivity(metrics, 'service');
+    expect(service.executionTime).to.include({ count: 1, sum: 40 });
+    expect(service.executionTime.buckets[0]).to.deep.equal({ le: 10, count: 0 });
+    expect(service.executionTime.buckets[1]).to.deep.equal({ le: 50, count: 1 });
+    expect(service.waitTime).to.include({ count: 0, sum: 0 });
+
+    const [def] = metrics.getMetrics().definitions;
+    expect(def.executionTime).to.include({ count: 2, sum: 2040 });
+  });
+
+  it('histogram buckets are configurable', () => {
+    const metrics = new MetricsCollector({ buckets: [5000, 1000] });
+    const definition = run(metrics);
+    timers.advance(2000);
+    definition.signal({ id: 'task' });
+
+    expect(getActivity(metrics, 'task').executionTime.buckets).to.deep.equal([
+      { le: 1000, count: 0 },
+      { le: 5000, count: 1 },
+    ]);
+  });
+
+  it('stopped definition decrements active gauges without observing time', () => {
+    const metrics = new MetricsCollector();
+    const definition = run(metrics);
+    timers.advance(1000);
+    definition.stop();
+
+    const { definitions, processes } = metrics.getMetrics();
+    expect(definitions[0]).to.include({ active: 0 });
+    expect(definitions[0].executionTime).to.include({ count: 0 });
+    expect(processes[0]).to.include({ active: 0 });
+    expect(getActivity(metrics, 'task')).to.include({ active: 0 });
+    expect(getActivity(metrics, 'task').waitTime).to.include({ count: 0 });
+  });
+
+  it('resumed executions are active and completed without observing time', () => {
+    const metrics = new MetricsCollector();
+    const definition = run(metrics);
+    definition.stop();
+
+    const recovered = new Definition(context.clone(), { metrics }).recover(JSON.parse(JSON.stringify(definition.getState())));
+    recovered.resume();
+    expect(getActivity(metrics, 'task')).to.include({ executions: 1, active: 1 });
+
+    timers.advance(1000);
+    recovered.signal({ id: 'task' });
+
+    const task = getActivity(metrics, 'task');
+    expect(task).to.include({ executions: 1, completed: 1, active: 0 });
+    expect(task.executionTime).to.include({ count: 0 });
+    expect(metrics.getMetrics().definitions[0]).to.include({ completed: 1, active: 0 });
+  });
+
+  it('multi-instance activity is counted once per execution', async () => {
+    const ctx = await testHelpers.context(`
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="theProcess" isExecutable="true">
+          <task id="task">
+            <multiInstanceLoopCharacteristics isSequential="true">
+              <loopCardinality>3</loopCardinality>
+            </multiInstanceLoopCharacteristics>
+          </task>
+        </process>
+      </definitions>`);
+    const metrics = new MetricsCollector();
+    new Definition(ctx, { metrics }).run();
+
+    expect(getActivity(metrics, 'task')).to.include({ executions: 1, completed: 1, active: 0 });
+  });
+
+  it('uncaught error ends active executions', async () => {
+    const ctx = await testHelpers.context(`
+      <definitions id="Def" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="theProcess" isExecutable="true">
+          <parallelGateway id="fork" />
+          <sequenceFlow id="to-task" sourceRef="fork" targetRef="task" />
+          <sequenceFlow id="to-service" sourceRef="fork" targetRef="service" />
+          <userTask id="task" />
+          <serviceTask id="service" implementation="\${environment.services.fail}" />
+        </process>
+      </definitions>`);
+    const metrics = new MetricsCollector();
+    const definition = new Definition(ctx, {
+      metrics,
+      services: {
+        fail(_, next) {
+          next(new Error('boom'));
+        },
+      },
+    });
+    definition.once('error', () => {});
+    definition.run();
+
+    const { definitions, processes } = metrics.getMetrics();
+    expect(definitions[0]).to.include({ errors: 1, active: 0 });
+    expect(processes[0]).to.include({ errors: 1, active: 0 });
+    expect(getActivity(metrics, 'service')).to.include({ errors: 1, active: 0 });
+    expect(getActivity(metrics, 'task')).to.include({ active: 0 });
+
+    definition.run();
+    expect(metrics.getMetrics().definitions[0]).to.include({ executions: 2, errors: 2, active: 0 });
+  });
+
+  it('collects runs of the same definition', () => {
+    const metrics = new MetricsCollector();
+    const definition = run(metrics);
+    definition.signal({ id: 'task' });
+
+    definition.run();
+    expect(getActivity(metrics, 'task')).to.include({ executions: 2, completed: 1, active: 1 });
+
+    definition.signal({ id: 'task' });
+    expect(metrics.getMetrics().definitions[0]).to.include({ executions: 2, completed: 2, active: 0 });
+    expect(getActivity(metrics, 'task')).to.include({ executions: 2, completed: 2, active: 0 });
+    expect(definition.metrics).to.equal(metrics);
+  });
+
+  it('getMetrics() returns a snapshot', () => {
+    const metrics = new MetricsCollector();
+    run(metrics).signal({ id: 'task' });
+
+    const snapshot = metrics.getMetrics();
+    run(metrics).signal({ id: 'task' });
+
+    expect(snapshot.activities.find(({ id }) => id === 'task')).to.include({ executions: 1 });
+    expect(snapshot.activities.find(({ id }) => id === 'task').executionTime).to.include({ count: 1 });
+  });
+
+  it('reset() resets counters and histograms but keeps active gauges', () => {
+    const metrics = new MetricsCollector();
+    run(metrics).signal({ id: 'task' });
+    const definition = run(metrics);
+
+    metrics.reset();
+
+    expect(getActivity(metrics, 'task')).to.include({ executions: 0, completed: 0, active: 1 });
+    expect(getActivity(metrics, 'task').executionTime).to.include({ count: 0 });
+    expect(metrics.getMetrics().flows.find(({ id }) => id === 'to-task')).to.include({ taken: 0 });
+
+    definition.signal({ id: 'task' });
+    expect(getActivity(metrics, 'task')).to.include({ executions: 0, completed: 1, active: 0 });
+  });
+
+  it('detach(definition) stops collecting from definition and ends its active executions', () => {
+    const metrics = new MetricsCollector();
+    const first = run(metrics);
+    const second = run(metrics);
+
+    metrics.detach(first);
+    metrics.detach(first);
+    first.signal({ id: 'task' });
+    expect(getActivity(metrics, 'task')).to.include({ completed: 0, active: 1 });
+
+    second.signal({ id: 'task' });
+    expect(getActivity(metrics, 'task')).to.include({ completed: 1, active: 0 });
+  });
+
+  it('detach() detaches all definitions', () => {
+    const metrics = new MetricsCollector();
+    const first = run(metrics);
+    const second = run(metrics);
+
+    metrics.detach();
+    first.signal({ id: 'task' });
+    second.signal({ id: 'task' });
+
+    expect(getActivity(metrics, 'task')).to.include({ executions: 2, completed: 0, active: 0 });
+    expect(first.broker.getConsumer('_metrics-activity'), 'unsubscribed').to.not.be.ok;
+
+    metrics.attach(first);
+    first.run();
+    expect(getActivity(metrics, 'task')).to.include({ executions: 3, active: 1 });
+  });
+
+  it('attach(definition) twice is ignored', () => {
+    const metrics = new MetricsCollector();
+    const definition = run(metrics);
+    metrics.attach(definition);
+    definition.signal({ id: 'task' });
+
+    expect(getActivity(metrics, 'task')).to.include({ completed: 1 });
+  });
+});
+
+describe('formatPrometheus(metrics[, options])', () => {
+  let context, timers;
+  beforeEach(async () => {
+    timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+    context = await testHelpers.context(source, { timers });
+  });
+
+  it('formats counters, gauges, and histograms in text exposition format', () => {
+    const metrics = new MetricsCollector({ buckets: [1000, 5000] });
+    const definition = new Definition(context, { metrics });
+    definition.run();
+    timers.advance(2500);
+    definition.signal({ id: 'task' });
+
+    const lines = metrics.toPrometheus().split('\n');
+    const labels = 'definition_id="Def",element_id="task",element_type="bpmn:UserTask"';
+
+    expect(lines).to.include('# HELP bpmn_activity_executions_total activity executions');
+    expect(lines).to.include('# TYPE bpmn_activity_executions_total counter');
+    expect(lines).to.include(`bpmn_activity_executions_total{${labels}} 1`);
+    expect(lines).to.include(`bpmn_activity_completed_total{${labels}} 1`);
+    expect(lines).to.include(`bpmn_activity_errors_total{${labels}} 0`);
+    expect(lines).to.include('# TYPE bpmn_activity_active gauge');
+    expect(lines).to.include(`bpmn_activity_active{${labels}} 0`);
+    expect(lines).to.include('# TYPE bpmn_activity_execution_duration_seconds histogram');
+    expect(lines).to.include(`bpmn_activity_execution_duration_seconds_bucket{${labels},le="1"} 0`);
+    expect(lines).to.include(`bpmn_activity_execution_duration_seconds_bucket{${labels},le="5"} 1`);
+    expect(lines).to.include(`bpmn_activity_execution_duration_seconds_bucket{${labels},le="+Inf"} 1`);
+    expect(lines).to.include(`bpmn_activity_execution_duration_seconds_sum{${labels}} 2.5`);
+    expect(lines).to.include(`bpmn_activity_execution_duration_seconds_count{${labels}} 1`);
+    expect(lines).to.include(`bpmn_activity_wait_duration_seconds_sum{${labels}} 2.5`);
+    expect(lines).to.include('bpmn_definition_executions_total{definition_id="Def",element_id="Def",element_type="bpmn:Definitions"} 1');
+    expect(lines).to.include(
+      'bpmn_process_execution_duration_seconds_count{definition_id="Def",element_id="theProcess",element_type="bpmn:Process"} 1',
+    );
+    expect(lines).to.include('bpmn_flow_taken_total{definition_id="Def",element_id="to-task",element_type="bpmn:SequenceFlow"} 1');
+    expect(lines).to.include('bpmn_flow_discarded_total{definition_id="Def",element_id="to-service",element_type="bpmn:SequenceFlow"} 1');
+    expect(lines.at(-1)).to.equal('');
+  });
+
+  it('metric name prefix is configurable', () => {
+    const metrics = new MetricsCollector();
+    new Definition(context, { metrics }).run();
+
+    const text = metrics.toPrometheus({ prefix: 'orders' });
+    expect(text).to.contain('# TYPE orders_activity_executions_total counter');
+    expect(text).to.not.contain('bpmn_');
+  });
+
+  it('escapes label values', () => {
+    const text = formatPrometheus({
+      flows: [{ definitionId: 'Def', id: 'a"b\\c\nd', type: 'bpmn:SequenceFlow', taken: 1, discarded: 0 }],
+    });
+    expect(text).to.contain('bpmn_flow_taken_total{definition_id="Def",element_id="a\\"b\\\\c\\nd",element_type="bpmn:SequenceFlow"} 1');
+  });
+
+  it('returns empty string without metrics', () => {
+    expect(formatPrometheus(new MetricsCollector().getMetrics())).to.equal('');
+  });
+
+  it('histograms have default buckets', () => {
+    const metrics = new MetricsCollector();
+    new Definition(context, { metrics }).run();
+
+    const [start] = metrics.getMetrics().activities;
+    expect(start.executionTime.buckets.map(({ le }) => le)).to.deep.equal(DEFAULT_BUCKETS);
+  });
+});
@@ -0,0 +1,117 @@
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { MemoryTimerStore } from '../src/TimerStore.js';
+import { FileTimerStore } from '../src/FileTimerStore.js';
+
+describe('TimerStore', () => {
+  const entry1 = {
+    definitionId: 'Def_1',
+    executionId: 'Def_1_1',
+    activityId: 'wait',
+    timerExecutionId: 'wait_1_0',
+    expireAt: new Date('2025-01-01T01:00:00Z'),
+  };
+  const entry2 = {
+    definitionId: 'Def_2',
+    executionId: 'Def_2_1',
+    activityId: 'timeout',
+    timerExecutionId: 'timeout_1_0',
+    expireAt: new Date('2025-01-01T00:30:00Z'),
+  };
+
+  describe('MemoryTimerStore', () => {
+    it('set() adds timer and replaces timer with the same timer execution id', () => {
+      const store = new MemoryTimerStore();
+      store.set(entry1);
+      store.set(entry2);
+      store.set({ ...entry1, expireAt: new Date('2025-01-01T02:00:00Z') });
+
+      expect(store.size).to.equal(2);
+      expect(store.list()).to.deep.equal([entry2, { ...entry1, expireAt: new Date('2025-01-01T02:00:00Z') }]);
+    });
+
+    it('stored entries are copies', () => {
+      const store = new MemoryTimerStore();
+      const entry = { ...entry1 };
+      store.set(entry);
+      entry.expireAt = new Date('2025-02-01T00:00:00Z');
+      store.list()[0].expireAt.setFullYear(2026);
+
+      expect(store.list()[0].expireAt).to.deep.equal(entry1.expireAt);
+    });
+
+    it('delete() removes timer', () => {
+      const store = new MemoryTimerStore([entry1, entry2]);
+
+      expect(store.delete({ timerExecutionId: 'wait_1_0' })).to.be.true;
+      expect(store.delete({ timerExecutionId: 'wait_1_0' })).to.be.false;
+      expect(store.list()).to.deep.equal([entry2]);
+    });
+
+    it('getDue(now) returns timers that expire at or before now ordered by expire at', () => {
+      const store = new MemoryTimerStore([entry1, entry2]);
+
+      expect(store.getDue(new Date('2025-01-01T00:29:59Z'))).to.deep.equal([]);
+      expect(store.getDue(new Date('2025-01-01T00:30:00Z'))).to.deep.equal([entry2]);
+      expect(store.getDue('2025-01-01T01:00:00Z')).to.deep.equal([entry2, entry1]);
+      expect(store.getDue()).to.deep.equal([entry2, entry1]);
+    });
+
+    it('accepts entries with expire at as string', () => {
+      const store = new MemoryTimerStore([{ ...entry1, expireAt: entry1.expireAt.toISOString() }]);
+      expect(store.list()).to.deep.equal([entry1]);
+    });
+
+    it('clear() removes all timers', () => {
+      const store = new MemoryTimerStore([entry1, entry2]);
+      store.clear();
+      expect(store.size).to.equal(0);
+    });
+  });
+
+  describe('FileTimerStore', () => {
+    let dir, filePath;
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'bpmn-elements-timers-'));
+      filePath = join(dir, 'timers.json');
+    });
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('requires file path', () => {
+      expect(() => new FileTimerStore()).to.throw(TypeError, /file path/);
+    });
+
+    it('writes timers to file on change', () => {
+      const store = new FileTimerStore(filePath);
+      expect(existsSync(filePath)).to.be.false;
+
+      store.set(entry1);
+      store.set(entry2);
+
+      expect(JSON.parse(readFileSync(filePath, 'utf8'))).to.deep.equal([
+        { ...entry2, expireAt: entry2.expireAt.toISOString() },
+        { ...entry1, expireAt: entry1.expireAt.toISOString() },
+      ]);
+
+      store.delete(entry2);
+
+      expect(JSON.parse(readFileSync(filePath, 'utf8'))).to.have.length(1);
+
+      store.clear();
+
+      expect(JSON.parse(readFileSync(filePath, 'utf8'))).to.deep.equal([]);
+    });
+
+    it('reads timers from file', () => {
+      new FileTimerStore(filePath).set(entry1);
+
+      const store = new FileTimerStore(filePath);
+
+      expect(store.getDue('2025-01-01T01:00:00Z')).to.deep.equal([entry1]);
+    });
+  });
+});
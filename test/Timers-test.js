@@ -1,6 +1,7 @@
 import ck from 'chronokinesis';
 
-import { Timers } from '../src/Timers.js';
+import { Timers, VirtualTimers } from '../src/Timers.js';
+import { MemoryTimerStore } from '../src/TimerStore.js';
 
 describe('Timers', () => {
   describe('setTimeout', () => {
@@ -41,6 +42,162 @@ describe('Timers', () => {
       expect(timers.executing).to.have.length(1);
       expect(timers.executing[0].timerId).to.be.ok.and.equal(timer.timerId);
     });
+
+    it('keeps timer with delay that is not a number without scheduling it', () => {
+      let scheduled = 0;
+      const store = new MemoryTimerStore();
+      const timers = new Timers({
+        setTimeout() {
+          return ++scheduled;
+        },
+        clearTimeout() {},
+        store,
+      });
+
+      const registered = timers.register({ id: 'wait', executionId: 'wait_1_0' }, { definitionId: 'Def_1', executionId: 'Def_1_1' });
+      const timer = registered.setTimeout(() => {}, undefined);
+      timers.setTimeout(() => {}, NaN);
+
+      expect(scheduled).to.equal(0);
+      expect(timer.timerRef).to.be.null;
+      expect(timers.executing).to.have.length(2);
+      expect(store.size).to.equal(0);
+
+      timers.clearTimeout(timer);
+      expect(timers.executing).to.have.length(1);
+    });
+  });
+
+  describe('delay beyond max setTimeout delay', () => {
+    const MAX_DELAY = 2147483647;
+    const day = 24 * 60 * 60 * 1000;
+    afterEach(ck.reset);
+
+    function FakeTimers() {
+      const scheduled = [];
+      const timers = new Timers({
+        setTimeout(callback, delay, ...args) {
+          const ref = { callback, delay, args };
+          scheduled.push(ref);
+          return ref;
+        },
+        clearTimeout(ref) {
+          const idx = scheduled.indexOf(ref);
+          if (idx > -1) scheduled.splice(idx, 1);
+        },
+      });
+      return { timers, scheduled };
+    }
+
+    it('chains timeouts until timer expires', () => {
+      ck.freeze('2023-05-25T10:00Z');
+      const { timers, scheduled } = FakeTimers();
+
+      const calls = [];
+      const timer = timers.setTimeout((...args) => calls.push(args), 30 * day, 1);
+
+      expect(timer.delay).to.equal(30 * day);
+      expect(timer.expireAt).to.deep.equal(new Date('2023-06-24T10:00Z'));
+      expect(scheduled).to.have.length(1);
+      expect(scheduled[0].delay).to.equal(MAX_DELAY);
+
+      ck.travel(Date.now() + MAX_DELAY);
+      const first = scheduled.shift();
+      first.callback(...first.args);
+
+      expect(calls, 'callback calls').to.have.length(0);
+      expect(timers.executing).to.have.length(1);
+      expect(scheduled).to.have.length(1);
+      expect(scheduled[0].delay).to.equal(30 * day - MAX_DELAY);
+      expect(timer.timerRef, 'same timer with new ref').to.equal(scheduled[0]);
+      expect(timer.remaining).to.equal(30 * day - MAX_DELAY);
+
+      ck.travel(timer.expireAt);
+      const last = scheduled.shift();
+      last.callback(...last.args);
+
+      expect(calls).to.deep.equal([[1]]);
+      expect(timers.executing).to.have.length(0);
+      expect(timer.remaining).to.equal(0);
+    });
+
+    it('schedules remaining time if clock has advanced more than the chained timeout', () => {
+      ck.freeze('2023-05-25T10:00Z');
+      const { timers, scheduled } = FakeTimers();
+
+      const timer = timers.setTimeout(() => {}, 60 * day);
+
+      ck.travel(Date.now() + 59 * day);
+      scheduled.shift().callback();
+
+      expect(scheduled).to.have.length(1);
+      expect(scheduled[0].delay).to.equal(day);
+      expect(timer.remaining).to.equal(day);
+    });
+
+    it('fires if clock has passed expire time when chained timeout elapses', () => {
+      ck.freeze('2023-05-25T10:00Z');
+      const { timers, scheduled } = FakeTimers();
+
+      let fired = false;
+      timers.setTimeout(() => {
+        fired = true;
+      }, 60 * day);
+
+      ck.travel(Date.now() + 61 * day);
+      scheduled.shift().callback();
+
+      expect(fired).to.be.true;
+      expect(scheduled).to.have.length(0);
+      expect(timers.executing).to.have.length(0);
+    });
+
+    it('counts down chained timeouts if clock is frozen', () => {
+      ck.freeze('2023-05-25T10:00Z');
+      const { timers, scheduled } = FakeTimers();
+
+      let fired = false;
+      timers.setTimeout(
+        () => {
+          fired = true;
+        },
+        2 * MAX_DELAY + 1,
+      );
+
+      scheduled.shift().callback();
+      expect(scheduled[0].delay).to.equal(MAX_DELAY);
+      scheduled.shift().callback();
+      expect(scheduled[0].delay).to.equal(1);
+      scheduled.shift().callback();
+
+      expect(fired).to.be.true;
+    });
+
+    it('clears chained timeout', () => {
+      ck.freeze('2023-05-25T10:00Z');
+      const { timers, scheduled } = FakeTimers();
+
+      const timer = timers.setTimeout(() => {}, 30 * day);
+
+      ck.travel(Date.now() + MAX_DELAY);
+      scheduled.shift().callback();
+
+      timers.clearTimeout(timer);
+
+      expect(scheduled).to.have.length(0);
+      expect(timers.executing).to.have.length(0);
+    });
+
+    it('registered timers chains timeouts', () => {
+      ck.freeze('2023-05-25T10:00Z');
+      const { timers, scheduled } = FakeTimers();
+
+      const owner = { id: 'timer' };
+      const timer = timers.register(owner).setTimeout(() => {}, 30 * day);
+
+      expect(timer.owner).to.equal(owner);
+      expect(scheduled[0].delay).to.equal(MAX_DELAY);
+    });
   });
 
   describe('clearTimeout', () => {
@@ -61,4 +218,232 @@ describe('Timers', () => {
       expect(timer.timerRef).to.be.undefined;
     });
   });
+
+  describe('store', () => {
+    const scope = { definitionId: 'Def_1', executionId: 'Def_1_1' };
+    const owner = { id: 'wait', executionId: 'wait_1_0' };
+
+    it('throws if store lacks set or delete', () => {
+      expect(() => new Timers({ store: {} })).to.throw(TypeError, /set and delete/);
+      expect(() => new Timers({ store: { set() {} } })).to.throw(TypeError, /set and delete/);
+    });
+
+    it('registered timer with scope is stored when set', () => {
+      const store = new MemoryTimerStore();
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z', store });
+
+      timers.register(owner, scope).setTimeout(() => {}, 60000);
+
+      expect(store.list()).to.deep.equal([
+        {
+          definitionId: 'Def_1',
+          executionId: 'Def_1_1',
+          activityId: 'wait',
+          timerExecutionId: 'wait_1_0',
+          expireAt: new Date('2025-01-01T00:01:00Z'),
+        },
+      ]);
+    });
+
+    it('timer without scope is not stored', () => {
+      const store = new MemoryTimerStore();
+      const timers = new VirtualTimers({ store });
+
+      timers.register(owner).setTimeout(() => {}, 60000);
+      timers.setTimeout(() => {}, 60000);
+
+      expect(store.size).to.equal(0);
+    });
+
+    it('fired timer is removed from store', () => {
+      const store = new MemoryTimerStore();
+      const timers = new VirtualTimers({ store });
+
+      let storedWhenFired;
+      timers.register(owner, scope).setTimeout(() => {
+        storedWhenFired = store.size;
+      }, 60000);
+
+      timers.advance(60000);
+
+      expect(storedWhenFired).to.equal(0);
+    });
+
+    it('cleared timer is removed from store', () => {
+      const store = new MemoryTimerStore();
+      const timers = new VirtualTimers({ store });
+
+      const timer = timers.register(owner, scope).setTimeout(() => {}, 60000);
+      timers.clearTimeout(timer);
+
+      expect(store.size).to.equal(0);
+    });
+
+    it('stopped timer is kept in store but not fired', () => {
+      const store = new MemoryTimerStore();
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z', store });
+
+      let fired = false;
+      const timer = timers.register(owner, scope).setTimeout(() => {
+        fired = true;
+      }, 60000);
+      timers.stopTimeout(timer);
+
+      expect(timers.runAll()).to.equal(0);
+      expect(fired).to.be.false;
+      expect(timers.executing).to.have.length(0);
+      expect(store.getDue('2025-01-01T00:01:00Z')).to.have.length(1);
+    });
+
+    it('timer set again with the same owner replaces stored timer', () => {
+      const store = new MemoryTimerStore();
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z', store });
+
+      timers.stopTimeout(timers.register(owner, scope).setTimeout(() => {}, 60000));
+      timers.register(owner, scope).setTimeout(() => {}, 120000);
+
+      expect(store.list()).to.have.length(1);
+      expect(store.list()[0].expireAt).to.deep.equal(new Date('2025-01-01T00:02:00Z'));
+    });
+  });
+
+  describe('VirtualTimers', () => {
+    it('starts clock at passed date', () => {
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      expect(timers.now()).to.equal(new Date('2025-01-01T00:00:00Z').getTime());
+    });
+
+    it('starts clock at current date by default', () => {
+      const timers = new VirtualTimers();
+      expect(Date.now() - timers.now()).to.be.within(0, 1000);
+    });
+
+    it('throws if start date is invalid', () => {
+      expect(() => new VirtualTimers({ now: 'not a date' })).to.throw(TypeError, /not a valid date/);
+    });
+
+    it('timers expire according to clock', () => {
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      const timer = timers.setTimeout(() => {}, 60000);
+
+      expect(timer.expireAt).to.deep.equal(new Date('2025-01-01T00:01:00Z'));
+      expect(timer.remaining).to.equal(60000);
+
+      timers.advance(20000);
+      expect(timer.remaining).to.equal(40000);
+    });
+
+    it('advance(ms) fires expired timers in order with clock at expire time', () => {
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      const fired = [];
+      timers.setTimeout((arg) => fired.push([arg, new Date(timers.now()).toISOString()]), 3000, 'c');
+      timers.setTimeout((arg) => fired.push([arg, new Date(timers.now()).toISOString()]), 1000, 'a');
+      timers.setTimeout((arg) => fired.push([arg, new Date(timers.now()).toISOString()]), 1000, 'b');
+      timers.setTimeout((arg) => fired.push([arg, new Date(timers.now()).toISOString()]), 5000, 'd');
+
+      expect(timers.advance(3000)).to.equal(3);
+
+      expect(fired).to.deep.equal([
+        ['a', '2025-01-01T00:00:01.000Z'],
+        ['b', '2025-01-01T00:00:01.000Z'],
+        ['c', '2025-01-01T00:00:03.000Z'],
+      ]);
+      expect(timers.now()).to.equal(new Date('2025-01-01T00:00:03Z').getTime());
+      expect(timers.executing).to.have.length(1);
+    });
+
+    it('advance(ms) fires timers set by fired timers if they expire within advanced time', () => {
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      let count = 0;
+      const tick = () => {
+        count++;
+        timers.setTimeout(tick, 1000);
+      };
+      timers.setTimeout(tick, 1000);
+
+      expect(timers.advance(10500)).to.equal(10);
+      expect(count).to.equal(10);
+      expect(timers.executing).to.have.length(1);
+      expect(timers.now()).to.equal(new Date('2025-01-01T00:00:10.500Z').getTime());
+    });
+
+    it('advanceTo(date) fires timers expiring before date', () => {
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      let fired = false;
+      timers.setTimeout(() => {
+        fired = true;
+      }, 90 * 86400000);
+
+      expect(timers.advanceTo('2025-03-01T00:00:00Z')).to.equal(0);
+      expect(fired).to.be.false;
+
+      expect(timers.advanceTo(new Date('2025-04-01T00:00:00Z'))).to.equal(1);
+      expect(fired).to.be.true;
+      expect(timers.now()).to.equal(new Date('2025-04-01T00:00:00Z').getTime());
+    });
+
+    it('advanceTo(date) in the past keeps clock', () => {
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      timers.advanceTo('2024-01-01T00:00:00Z');
+      expect(timers.now()).to.equal(new Date('2025-01-01T00:00:00Z').getTime());
+    });
+
+    it('throws if advance arguments are invalid', () => {
+      const timers = new VirtualTimers();
+      expect(() => timers.advance(-1)).to.throw(TypeError);
+      expect(() => timers.advance('1')).to.throw(TypeError);
+      expect(() => timers.advanceTo('not a date')).to.throw(TypeError);
+    });
+
+    it('runAll() fires all timers and advances clock to last expire time', () => {
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      const fired = [];
+      timers.setTimeout(() => fired.push(1), 1000);
+      timers.setTimeout(() => {
+        fired.push(2);
+        timers.setTimeout(() => fired.push(3), 60000);
+      }, 2000);
+
+      expect(timers.runAll()).to.equal(3);
+
+      expect(fired).to.deep.equal([1, 2, 3]);
+      expect(timers.executing).to.have.length(0);
+      expect(timers.now()).to.equal(new Date('2025-01-01T00:01:02Z').getTime());
+    });
+
+    it('runAll() throws if limit is exceeded', () => {
+      const timers = new VirtualTimers();
+      const tick = () => timers.setTimeout(tick, 1000);
+      timers.setTimeout(tick, 1000);
+
+      expect(() => timers.runAll(10)).to.throw(RangeError, /10 timers/);
+    });
+
+    it('cleared timer is not fired', () => {
+      const timers = new VirtualTimers();
+      let fired = false;
+      const timer = timers.setTimeout(() => {
+        fired = true;
+      }, 1000);
+
+      timers.clearTimeout(timer);
+
+      expect(timers.runAll()).to.equal(0);
+      expect(fired).to.be.false;
+      expect(timers.executing).to.have.length(0);
+    });
+
+    it('fires delays beyond max setTimeout delay', () => {
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      let fired = false;
+      timers.register({ id: 'sla' }).setTimeout(() => {
+        fired = true;
+      }, 90 * 86400000);
+
+      timers.advance(89 * 86400000);
+      expect(fired).to.be.false;
+      timers.advance(86400000);
+      expect(fired).to.be.true;
+    });
+  });
 });
@@ -0,0 +1,359 @@
+import Definition from '../src/definition/Definition.js';
+import testHelpers from './helpers/testHelpers.js';
+import { Tracing, MemoryTracer, SpanStatusCode } from '../src/Tracing.js';
+import { VirtualTimers } from '../src/Timers.js';
+
+const source = `
+<definitions id="Def" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <process id="theProcess" isExecutable="true">
+    <startEvent id="start" />
+    <sequenceFlow id="to-timer" sourceRef="start" targetRef="timer" />
+    <intermediateCatchEvent id="timer">
+      <timerEventDefinition>
+        <timeDuration xsi:type="tFormalExpression">PT1M</timeDuration>
+      </timerEventDefinition>
+    </intermediateCatchEvent>
+    <sequenceFlow id="to-sub" sourceRef="timer" targetRef="subProcess" />
+    <subProcess id="subProcess" name="Sub process">
+      <userTask id="task" />
+    </subProcess>
+    <sequenceFlow id="to-end" sourceRef="subProcess" targetRef="end" />
+    <endEvent id="end" />
+  </process>
+</definitions>`;
+
+describe('Tracing', () => {
+  let context, timers, tracer;
+  beforeEach(async () => {
+    timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+    context = await testHelpers.context(source, { timers });
+    tracer = new MemoryTracer();
+  });
+
+  it('throws if tracer has no startSpan function', () => {
+    expect(() => new Tracing()).to.throw(TypeError, /startSpan/);
+    expect(() => new Tracing({})).to.throw(TypeError, /startSpan/);
+  });
+
+  it('tracer option exposes tracing as definition tracing', () => {
+    const definition = new Definition(context, { tracer });
+    expect(definition.tracing).to.be.instanceOf(Tracing);
+
+    const tracing = new Tracing(tracer);
+    expect(new Definition(context, { tracer: tracing }).tracing).to.equal(tracing);
+  });
+
+  it('attach() throws if already attached', () => {
+    const tracing = new Tracing(tracer).attach(new Definition(context));
+    expect(() => tracing.attach(new Definition(context))).to.throw(/already attached/);
+  });
+
+  it('opens a span per definition run, process execution, and activity execution', () => {
+    const definition = new Definition(context, { tracer });
+    definition.run();
+    timers.advance(60000);
+    definition.signal({ id: 'task' });
+
+    expect(definition.isRunning).to.be.false;
+    expect(tracer.spans.map(({ name }) => name)).to.deep.equal(['Def', 'theProcess', 'start', 'timer', 'subProcess', 'task', 'end']);
+    expect(tracer.spans.every((span) => span.ended)).to.be.true;
+    expect(tracer.spans.every((span) => span.attributes['bpmn.outcome'] === 'completed')).to.be.true;
+  });
+
+  it('spans are nested according to parent', () => {
+    const definition = new Definition(context, { tracer });
+    definition.run();
+    timers.advance(60000);
+    definition.signal({ id: 'task' });
+
+    const [def, bp, start, timer, subProcess, task, end] = tracer.spans;
+    expect(def.parentSpanId).to.be.undefined;
+    expect(bp.parentSpanId).to.equal(def.spanId);
+    expect(start.parentSpanId).to.equal(bp.spanId);
+    expect(timer.parentSpanId).to.equal(bp.spanId);
+    expect(subProcess.parentSpanId).to.equal(bp.spanId);
+    expect(task.parentSpanId).to.equal(subProcess.spanId);
+    expect(end.parentSpanId).to.equal(bp.spanId);
+    expect(tracer.spans.every((span) => span.traceId === def.traceId)).to.be.true;
+  });
+
+  it('spans are annotated with element id, type, name, and execution id', () => {
+    const definition = new Definition(context, { tracer });
+    definition.run();
+    timers.advance(60000);
+
+    const [subProcess] = tracer.getSpans('subProcess');
+    expect(subProcess.attributes).to.deep.equal({
+      'bpmn.element.id': 'subProcess',
+      'bpmn.element.type': 'bpmn:SubProcess',
+      'bpmn.element.name': 'Sub process',
+      'bpmn.execution.id': definition.getActivityById('subProcess').executionId,
+    });
+
+    const [def] = tracer.getSpans('Def');
+    expect(def.attributes).to.have.property('bpmn.element.type', 'bpmn:Definitions');
+    expect(def.attributes).to.have.property('bpmn.execution.id', definition.executionId);
+  });
+
+  it('span start and end time is taken from environment clock', () => {
+    const definition = new Definition(context, { tracer });
+    definition.run();
+    timers.advance(60000);
+    timers.advance(30000);
+    definition.signal({ id: 'task' });
+
+    const [timer] = tracer.getSpans('timer');
+    expect(timer.startTime).to.deep.equal(new Date('2025-01-01T00:00:00Z'));
+    expect(timer.endTime).to.deep.equal(new Date('2025-01-01T00:01:00Z'));
+    expect(timer.duration).to.equal(60000);
+
+    const [task] = tracer.getSpans('task');
+    expect(task.duration).to.equal(30000);
+
+    const [def] = tracer.getSpans('Def');
+    expect(def.duration).to.equal(90000);
+  });
+
+  it('discarded activity is annotated with outcome', async () => {
+    const ctx = await testHelpers.context(`
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="theProcess" isExecutable="true">
+          <userTask id="task" />
+          <boundaryEvent id="bound" attachedToRef="task">
+            <messageEventDefinition />
+          </boundaryEvent>
+        </process>
+      </definitions>`);
+    const definition = new Definition(ctx, { tracer });
+    definition.run();
+    definition.signal({ id: 'task' });
+
+    const [bound] = tracer.getSpans('bound');
+    expect(bound.ended).to.be.true;
+    expect(bound.attributes).to.have.property('bpmn.outcome', 'discarded');
+  });
+
+  it('activity discarded before enter is annotated with outcome', async () => {
+    const ctx = await testHelpers.context(`
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+        <process id="theProcess" isExecutable="true">
+          <exclusiveGateway id="decision" default="to-task" />
+          <sequenceFlow id="to-task" sourceRef="decision" targetRef="task" />
+          <sequenceFlow id="to-end" sourceRef="decision" targetRef="end">
+            <conditionExpression xsi:type="tFormalExpression">\${environment.variables.skip}</conditionExpression>
+          </sequenceFlow>
+          <task id="task" />
+          <endEvent id="end" />
+        </process>
+      </definitions>`);
+    const definition = new Definition(ctx, { tracer });
+    definition.run();
+
+    const [end] = tracer.getSpans('end');
+    expect(end.ended).to.be.true;
+    expect(end.attributes).to.have.property('bpmn.outcome', 'discarded');
+    expect(end.attributes).to.not.have.property('bpmn.resumed');
+  });
+
+  it('activity error is recorded and span status is set to error', async () => {
+    const ctx = await testHelpers.context(`
+      <definitions id="Def" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="theProcess" isExecutable="true">
+          <serviceTask id="service" implementation="\${environment.services.fail}" />
+        </process>
+      </definitions>`);
+    const definition = new Definition(ctx, {
+      tracer,
+      services: {
+        fail(_, next) {
+          next(new Error('boom'));
+        },
+      },
+    });
+    definition.once('error', () => {});
+    definition.run();
+
+    const [def, bp, service] = tracer.spans;
+    expect(service.attributes).to.have.property('bpmn.outcome', 'error');
+    expect(service.status).to.deep.equal({ code: SpanStatusCode.ERROR, message: 'boom' });
+    expect(service.exceptions).to.have.length(1);
+    expect(service.exceptions[0]).to.have.property('message', 'boom');
+    expect(service.ended).to.be.true;
+
+    expect(bp.status).to.have.property('code', SpanStatusCode.ERROR);
+    expect(bp.ended).to.be.true;
+    expect(def.status).to.have.property('code', SpanStatusCode.ERROR);
+    expect(def.ended).to.be.true;
+  });
+
+  it('caught error is recorded on failing activity and execution continues', async () => {
+    const ctx = await testHelpers.context(`
+      <definitions id="Def" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="theProcess" isExecutable="true">
+          <serviceTask id="service" implementation="\${environment.services.fail}" />
+          <boundaryEvent id="bound" attachedToRef="service">
+            <errorEventDefinition />
+          </boundaryEvent>
+        </process>
+      </definitions>`);
+    const definition = new Definition(ctx, {
+      tracer,
+      services: {
+        fail(_, next) {
+          next(new Error('boom'));
+        },
+      },
+    });
+    definition.run();
+
+    const [def, bp] = tracer.spans;
+    const [service] = tracer.getSpans('service');
+    const [bound] = tracer.getSpans('bound');
+    expect(service.attributes).to.have.property('bpmn.outcome', 'error');
+    expect(service.status).to.have.property('code', SpanStatusCode.ERROR);
+    expect(bound.attributes).to.have.property('bpmn.outcome', 'completed');
+    expect(bp.attributes).to.have.property('bpmn.outcome', 'completed');
+    expect(bp.status).to.have.property('code', SpanStatusCode.UNSET);
+    expect(def.ended).to.be.true;
+  });
+
+  it('multi-instance activity has one span', async () => {
+    const ctx = await testHelpers.context(`
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="theProcess" isExecutable="true">
+          <task id="task">
+            <multiInstanceLoopCharacteristics isSequential="true">
+              <loopCardinality>3</loopCardinality>
+            </multiInstanceLoopCharacteristics>
+          </task>
+        </process>
+      </definitions>`);
+    const definition = new Definition(ctx, { tracer });
+    definition.run();
+
+    expect(tracer.getSpans('task')).to.have.length(1);
+    expect(tracer.spans.every((span) => span.ended)).to.be.true;
+  });
+
+  it('stop ends open spans with outcome stopped', () => {
+    const definition = new Definition(context, { tracer });
+    definition.run();
+    timers.advance(60000);
+    definition.stop();
+
+    expect(tracer.spans.every((span) => span.ended)).to.be.true;
+    expect(tracer.spans.filter((span) => span.attributes['bpmn.outcome'] === 'stopped').map(({ name }) => name)).to.deep.equal([
+      'Def',
+      'theProcess',
+      'subProcess',
+      'task',
+    ]);
+  });
+
+  it('resumed definition opens new spans annotated as resumed', () => {
+    const definition = new Definition(context, { tracer });
+    definition.run();
+    timers.advance(60000);
+    definition.stop();
+
+    const state = JSON.parse(JSON.stringify(definition.getState()));
+    const resumedTracer = new MemoryTracer();
+    const recovered = new Definition(context.clone(), { tracer: resumedTracer }).recover(state);
+    recovered.resume();
+    recovered.signal({ id: 'task' });
+
+    const [def, bp, subProcess, task, end] = resumedTracer.spans;
+    expect(resumedTracer.spans.map(({ name }) => name)).to.deep.equal(['Def', 'theProcess', 'subProcess', 'task', 'end']);
+    expect(def.attributes).to.have.property('bpmn.resumed', true);
+    expect(bp.attributes).to.have.property('bpmn.resumed', true);
+    expect(bp.parentSpanId).to.equal(def.spanId);
+    expect(subProcess.attributes).to.have.property('bpmn.resumed', true);
+    expect(subProcess.parentSpanId).to.equal(bp.spanId);
+    expect(task.attributes).to.have.property('bpmn.resumed', true);
+    expect(task.parentSpanId).to.equal(subProcess.spanId);
+    expect(end.attributes).to.not.have.property('bpmn.resumed');
+    expect(resumedTracer.spans.every((span) => span.ended)).to.be.true;
+  });
+
+  it('detach() stops tracing', () => {
+    const definition = new Definition(context);
+    const tracing = new Tracing(tracer).attach(definition);
+    definition.run();
+    tracing.detach();
+    tracing.detach();
+    timers.advance(60000);
+
+    expect(tracer.spans.map(({ name }) => name)).to.deep.equal(['Def', 'theProcess', 'start', 'timer']);
+  });
+
+  it('span is passed as parent to tracer', () => {
+    const started = [];
+    const definition = new Definition(context, {
+      tracer: {
+        startSpan(name, options, parent) {
+          const span = {
+            name,
+            setAttribute() {},
+            setStatus() {},
+            recordException() {},
+            end() {},
+          };
+          started.push({ span, options, parent });
+          return span;
+        },
+      },
+    });
+    definition.run();
+
+    const [def, bp, start] = started;
+    expect(def.parent).to.be.undefined;
+    expect(bp.parent).to.equal(def.span);
+    expect(start.parent).to.equal(bp.span);
+    expect(start.options.startTime).to.deep.equal(new Date('2025-01-01T00:00:00Z'));
+    expect(start.options.attributes).to.have.property('bpmn.element.id', 'start');
+  });
+});
+
+describe('MemoryTracer', () => {
+  it('keeps started spans', () => {
+    const tracer = new MemoryTracer();
+    const root = tracer.startSpan('root', { startTime: new Date('2025-01-01T00:00:00Z'), attributes: { foo: 'bar' } });
+    const child = tracer.startSpan('child', undefined, root);
+
+    expect(tracer.spans).to.deep.equal([root, child]);
+    expect(root.attributes).to.deep.equal({ foo: 'bar' });
+    expect(child.parentSpanId).to.equal(root.spanId);
+    expect(child.spanContext()).to.deep.equal({ traceId: root.traceId, spanId: child.spanId });
+  });
+
+  it('span end sets end time and stops recording', () => {
+    const tracer = new MemoryTracer();
+    const span = tracer.startSpan('span', { startTime: new Date('2025-01-01T00:00:00Z') });
+    expect(span.isRecording()).to.be.true;
+
+    span.end(new Date('2025-01-01T00:00:01Z'));
+    span.end(new Date('2025-01-01T00:00:02Z'));
+    span.setAttribute('foo', 'bar');
+    span.setAttributes({ bar: 'baz' });
+    span.setStatus({ code: SpanStatusCode.ERROR });
+    span.recordException(new Error('late'));
+
+    expect(span.isRecording()).to.be.false;
+    expect(span.duration).to.equal(1000);
+    expect(span.attributes).to.deep.equal({});
+    expect(span.status).to.deep.equal({ code: SpanStatusCode.UNSET });
+    expect(span.exceptions).to.be.empty;
+  });
+
+  it('getSpans(name) returns spans by name and clear() removes spans', () => {
+    const tracer = new MemoryTracer();
+    tracer.startSpan('a');
+    tracer.startSpan('b');
+    const a = tracer.startSpan('a');
+    expect(tracer.getSpans('a')).to.have.length(2);
+
+    tracer.clear();
+    expect(tracer.spans).to.be.empty;
+    expect(tracer.startSpan('a').spanId).to.not.equal(a.spanId);
+  });
+});
@@ -169,6 +169,105 @@ describe('activity api', () => {
       }
     });
   });
+
+  describe('fireTimer()', () => {
+    it('publishes fire api message', () => {
+      const activity = new Activity(Behaviour, { id: 'task' }, getContext());
+
+      const apiMessages = [];
+      activity.broker.subscribeTmp('api', '#', (_, msg) => apiMessages.push(msg), { noAck: true });
+
+      activity.run();
+      activity.getApi().fireTimer({ id: 'operator' });
+
+      expect(apiMessages).to.have.length(1);
+      expect(apiMessages[0].fields).to.have.property('routingKey', `activity.fire.${activity.executionId}`);
+      expect(apiMessages[0].properties).to.have.property('type', 'fire');
+      expect(apiMessages[0].content).to.have.property('message').that.deep.equal({ id: 'operator' });
+
+      function Behaviour() {
+        return {
+          execute() {},
+        };
+      }
+    });
+  });
+
+  describe('rescheduleTimer()', () => {
+    it('publishes reschedule api message', () => {
+      const activity = new Activity(Behaviour, { id: 'task' }, getContext());
+
+      const apiMessages = [];
+      activity.broker.subscribeTmp('api', '#', (_, msg) => apiMessages.push(msg), { noAck: true });
+
+      activity.run();
+      activity.getApi().rescheduleTimer('PT1H');
+
+      expect(apiMessages).to.have.length(1);
+      expect(apiMessages[0].fields).to.have.property('routingKey', `activity.reschedule.${activity.executionId}`);
+      expect(apiMessages[0].properties).to.have.property('type', 'reschedule');
+      expect(apiMessages[0].content).to.have.property('reschedule', 'PT1H');
+
+      function Behaviour() {
+        return {
+          execute() {},
+        };
+      }
+    });
+  });
+
+  describe('getTimers()', () => {
+    it('returns empty array if no timers', () => {
+      const activity = new Activity(Behaviour, { id: 'task' }, getContext());
+
+      activity.run();
+      expect(activity.getApi().getTimers()).to.be.empty;
+
+      function Behaviour() {
+        return {
+          execute() {},
+        };
+      }
+    });
+
+    it('returns api for postponed timer executions', () => {
+      const activity = new Activity(Behaviour, { id: 'task' }, getContext());
+
+      activity.run();
+      const timers = activity.getApi().getTimers();
+      expect(timers).to.have.length(1);
+      expect(timers[0]).to.have.property('id', 'task');
+      expect(timers[0]).to.have.property('executionId', `${activity.executionId}_0`);
+      expect(timers[0]).to.have.property('owner', activity);
+      expect(timers[0].content).to.have.property('expireAt');
+
+      function Behaviour() {
+        return {
+          execute(executeMessage) {
+            activity.broker.publish(
+              'execution',
+              'execute.timer',
+              cloneContent(executeMessage.content, {
+                executionId: `${executeMessage.content.executionId}_0`,
+                expireAt: new Date(),
+              }),
+            );
+          },
+        };
+      }
+    });
+
+    it('returns empty array if not running', () => {
+      const activity = new Activity(Behaviour, { id: 'task' }, getContext());
+      expect(activity.getTimers()).to.be.empty;
+
+      function Behaviour() {
+        return {
+          execute() {},
+        };
+      }
+    });
+  });
 });
 
 function getContext() {
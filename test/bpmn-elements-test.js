@@ -3,6 +3,36 @@ import * as api from '../src/index.js';
 describe('bpmn-elemements module', () => {
   it('exports Timers', () => {
     expect(api).to.have.property('Timers').that.is.a('function');
+    expect(api).to.have.property('VirtualTimers').that.is.a('function');
+    expect(api).to.have.property('MemoryTimerStore').that.is.a('function');
+  });
+
+  it('exports ExecutionHistory', () => {
+    expect(api).to.have.property('ExecutionHistory').that.is.a('function');
+  });
+
+  it('exports Tracing and MemoryTracer', () => {
+    expect(api).to.have.property('Tracing').that.is.a('function');
+    expect(api).to.have.property('MemoryTracer').that.is.a('function');
+  });
+
+  it('exports MetricsCollector and formatPrometheus', () => {
+    expect(api).to.have.property('MetricsCollector').that.is.a('function');
+    expect(api).to.have.property('formatPrometheus').that.is.a('function');
+  });
+
+  it('exports CoverageCollector and formatCoverageText', () => {
+    expect(api).to.have.property('CoverageCollector').that.is.a('function');
+    expect(api).to.have.property('formatCoverageText').that.is.a('function');
+  });
+
+  it('exports BusinessCalendar', () => {
+    expect(api).to.have.property('BusinessCalendar').that.is.a('function');
+  });
+
+  it('exports Expressions', () => {
+    expect(api).to.have.property('Expressions').that.is.a('function');
+    expect(api).to.have.property('FeelExpressions').that.is.a('function');
   });
 
   it('exports Errors', () => {
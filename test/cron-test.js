@@ -0,0 +1,138 @@
+import { CronExpression, isCronExpression } from '../src/cron.js';
+
+describe('cron', () => {
+  describe('isCronExpression(value)', () => {
+    it('returns true for 5 and 6 field expressions', () => {
+      expect(isCronExpression('0 8 * * MON-FRI')).to.be.true;
+      expect(isCronExpression('*/5 0 8 * * *')).to.be.true;
+      expect(isCronExpression(' 0  8 1,15 JAN-JUN ? ')).to.be.true;
+    });
+
+    it('returns false for ISO8601 and other values', () => {
+      expect(isCronExpression('R3/PT10H')).to.be.false;
+      expect(isCronExpression('PT1M')).to.be.false;
+      expect(isCronExpression('0 8 * *')).to.be.false;
+      expect(isCronExpression('0 8 * * * * *')).to.be.false;
+      expect(isCronExpression('0 8 * * $')).to.be.false;
+      expect(isCronExpression()).to.be.false;
+      expect(isCronExpression(1)).to.be.false;
+    });
+  });
+
+  describe('CronExpression(expression)', () => {
+    it('parses lists, ranges, steps, and names', () => {
+      const cron = new CronExpression('0,30 8-10/2 */10 jan,Mar-MAY 1-5');
+
+      expect([...cron.seconds]).to.deep.equal([0]);
+      expect([...cron.minutes]).to.deep.equal([0, 30]);
+      expect([...cron.hours]).to.deep.equal([8, 10]);
+      expect([...cron.daysOfMonth]).to.deep.equal([1, 11, 21, 31]);
+      expect([...cron.months]).to.deep.equal([1, 3, 4, 5]);
+      expect([...cron.daysOfWeek]).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+
+    it('step from value continues to max', () => {
+      const cron = new CronExpression('5/20 * * * *');
+      expect([...cron.minutes]).to.deep.equal([5, 25, 45]);
+    });
+
+    it('day of week 7 is sunday', () => {
+      const cron = new CronExpression('0 0 * * 7');
+      expect([...cron.daysOfWeek]).to.deep.equal([0]);
+    });
+
+    [
+      ['0 8 * *', /expected 5 or 6 fields/],
+      ['60 * * * *', /minute "60"/],
+      ['* 24 * * *', /hour "24"/],
+      ['* * 0 * *', /day of month "0"/],
+      ['* * * 13 *', /month "13"/],
+      ['* * * * 8', /day of week "8"/],
+      ['* * * FOO *', /month "FOO"/],
+      ['*/0 * * * *', /step in minute/],
+      ['*/2/2 * * * *', /step in minute/],
+      ['10-5 * * * *', /range in minute/],
+      ['1-2-3 * * * *', /range in minute/],
+      ['61 * * * * *', /second "61"/],
+    ].forEach(([expression, message]) => {
+      it(`throws on "${expression}"`, () => {
+        expect(() => new CronExpression(expression)).to.throw(TypeError, message);
+      });
+    });
+  });
+
+  describe('next(from)', () => {
+    it('returns next occurrence on week days', () => {
+      const cron = new CronExpression('0 8 * * MON-FRI');
+      const friday = new Date(2025, 0, 3, 7, 59, 59);
+
+      expect(cron.next(friday)).to.deep.equal(new Date(2025, 0, 3, 8, 0));
+      expect(cron.next(new Date(2025, 0, 3, 8, 0))).to.deep.equal(new Date(2025, 0, 6, 8, 0));
+    });
+
+    it('returns occurrence after from, never from', () => {
+      const cron = new CronExpression('* * * * *');
+      expect(cron.next(new Date(2025, 0, 1, 0, 0, 0, 0))).to.deep.equal(new Date(2025, 0, 1, 0, 1));
+      expect(cron.next(new Date(2025, 0, 1, 0, 0, 59, 999))).to.deep.equal(new Date(2025, 0, 1, 0, 1));
+    });
+
+    it('six field expression steps seconds', () => {
+      const cron = new CronExpression('*/15 * * * * *');
+      expect(cron.next(new Date(2025, 0, 1, 0, 0, 7))).to.deep.equal(new Date(2025, 0, 1, 0, 0, 15));
+      expect(cron.next(new Date(2025, 0, 1, 0, 0, 45))).to.deep.equal(new Date(2025, 0, 1, 0, 1, 0));
+    });
+
+    it('rolls over month and year', () => {
+      const cron = new CronExpression('30 23 31 DEC *');
+      expect(cron.next(new Date(2025, 0, 1))).to.deep.equal(new Date(2025, 11, 31, 23, 30));
+      expect(cron.next(new Date(2025, 11, 31, 23, 30))).to.deep.equal(new Date(2026, 11, 31, 23, 30));
+    });
+
+    it('matches day of month or day of week if both are restricted', () => {
+      const cron = new CronExpression('0 0 13 * FRI');
+      expect(cron.next(new Date(2025, 0, 1))).to.deep.equal(new Date(2025, 0, 3));
+      expect(cron.next(new Date(2025, 0, 11))).to.deep.equal(new Date(2025, 0, 13));
+    });
+
+    it('matches day of week only if day of month is a wildcard step', () => {
+      const cron = new CronExpression('0 0 */2 * SUN');
+      expect(cron.next(new Date(2025, 0, 1))).to.deep.equal(new Date(2025, 0, 5));
+    });
+
+    it('finds leap day', () => {
+      const cron = new CronExpression('0 12 29 2 *');
+      expect(cron.next(new Date(2025, 0, 1))).to.deep.equal(new Date(2028, 1, 29, 12));
+    });
+
+    it('returns undefined if there is no occurrence', () => {
+      const cron = new CronExpression('0 0 30 FEB *');
+      expect(cron.next(new Date(2025, 0, 1))).to.be.undefined;
+    });
+  });
+
+  describe('next(from) in time zone', () => {
+    it('returns next occurrence in time zone', () => {
+      const cron = new CronExpression('0 8 * * MON-FRI', 'America/New_York');
+      expect(cron.next(new Date('2025-01-03T14:00:00Z'))).to.deep.equal(new Date('2025-01-06T13:00:00Z'));
+      expect(cron.next(new Date('2025-07-03T14:00:00Z'))).to.deep.equal(new Date('2025-07-04T12:00:00Z'));
+    });
+
+    it('keeps time of day when clocks are turned forward', () => {
+      const cron = new CronExpression('0 8 * * *', 'Europe/Stockholm');
+      expect(cron.next(new Date('2025-03-29T07:00:00Z'))).to.deep.equal(new Date('2025-03-30T06:00:00Z'));
+    });
+
+    it('skipped time when clocks are turned forward is moved forward', () => {
+      const cron = new CronExpression('30 2 * * *', 'Europe/Stockholm');
+      expect(cron.next(new Date('2025-03-29T12:00:00Z'))).to.deep.equal(new Date('2025-03-30T01:30:00Z'));
+    });
+
+    it('repeated time when clocks are turned back occurs once', () => {
+      const cron = new CronExpression('30 2 * * *', 'Europe/Stockholm');
+      const first = cron.next(new Date('2025-10-25T12:00:00Z'));
+      expect(first).to.deep.equal(new Date('2025-10-26T00:30:00Z'));
+      expect(cron.next(first)).to.deep.equal(new Date('2025-10-27T01:30:00Z'));
+      expect(cron.next(new Date('2025-10-26T01:00:00Z'))).to.deep.equal(new Date('2025-10-27T01:30:00Z'));
+    });
+  });
+});
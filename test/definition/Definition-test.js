@@ -5,6 +5,7 @@ import { ActivityError } from '../../src/error/Errors.js';
 import { Definition } from '../../src/definition/Definition.js';
 import { format } from 'util';
 import { Scripts as JavaScripts } from '../helpers/JavaScripts.js';
+import { VirtualTimers } from '../../src/Timers.js';
 
 const lanesSource = factory.resource('lanes.bpmn');
 
@@ -414,6 +415,105 @@ describe('Definition', () => {
 
       expect(error.message).to.equal('definition is already running');
     });
+
+    it('passes definition scope to process and sub process environments without altering process parent', async () => {
+      const source = `
+      <?xml version="1.0" encoding="UTF-8"?>
+        <definitions id="Definition_1" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+        <process id="theProcess" isExecutable="true">
+          <subProcess id="sub">
+            <userTask id="task" />
+          </subProcess>
+        </process>
+      </definitions>`;
+      const context = await testHelpers.context(source);
+
+      const definition = new Definition(context);
+      const [bp] = definition.getProcesses();
+
+      const parents = [];
+      bp.broker.subscribeTmp('event', '#', (_, msg) => parents.push(msg.content.parent), { noAck: true });
+
+      definition.run();
+
+      const scope = { definitionId: 'Definition_1', executionId: definition.executionId };
+      expect(bp.environment.definitionScope).to.deep.equal(scope);
+      expect(definition.environment.definitionScope).to.be.undefined;
+
+      const [sub] = definition.getPostponed();
+      const task = sub.getPostponed().find((api) => api.id === 'task');
+      expect(task.owner.environment).to.not.equal(bp.environment);
+      expect(task.owner.environment.definitionScope).to.deep.equal(scope);
+
+      expect(bp.parent).to.not.have.property('executionId');
+      expect(parents.length).to.be.above(0);
+      for (const parent of parents) expect(parent).to.not.have.property('executionId', definition.executionId);
+    });
+  });
+
+  describe('run({ startAt })', () => {
+    let context;
+    beforeEach(async () => {
+      const source = `
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="process1" isExecutable="true">
+          <startEvent id="start1" />
+          <sequenceFlow id="flow1" sourceRef="start1" targetRef="task1" />
+          <userTask id="task1" />
+          <sequenceFlow id="flow2" sourceRef="task1" targetRef="task2" />
+          <userTask id="task2" />
+        </process>
+        <process id="process2" isExecutable="true">
+          <userTask id="task3" />
+          <subProcess id="subProcess">
+            <userTask id="subTask" />
+          </subProcess>
+        </process>
+        <process id="process3" isExecutable="false">
+          <userTask id="task4" />
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    it('runs only processes with start activities', () => {
+      const definition = new Definition(context);
+      definition.run({ startAt: ['task2'], variables: { rerun: true } });
+
+      expect(definition.getRunningProcesses().map((bp) => bp.id)).to.deep.equal(['process1']);
+      expect(definition.getPostponed().map((a) => a.id)).to.deep.equal(['task2']);
+      expect(definition.getProcessById('process1').environment.variables).to.have.property('rerun', true);
+
+      definition.signal({ id: 'task2' });
+
+      expect(definition.counters).to.have.property('completed', 1);
+      expect(definition.getActivityById('task1').counters).to.have.property('taken', 0);
+    });
+
+    it('starts activities in multiple processes, including non-executable process', () => {
+      const definition = new Definition(context);
+      definition.run({ startAt: ['task2', 'task4'] });
+
+      expect(definition.getRunningProcesses().map((bp) => bp.id)).to.deep.equal(['process1', 'process3']);
+      expect(definition.getPostponed().map((a) => a.id)).to.deep.equal(['task2', 'task4']);
+    });
+
+    it('throws if activity is not found in a process', () => {
+      const definition = new Definition(context);
+      expect(() => definition.run({ startAt: ['task5'] })).to.throw(/has no process activity <task5> to start at/);
+      expect(() => definition.run({ startAt: ['subTask'] })).to.throw(/has no process activity <subTask> to start at/);
+      expect(() => definition.run({ startAt: [] })).to.throw(TypeError);
+      expect(definition.isRunning).to.be.false;
+    });
+
+    it('calls callback with error if activity is not found', (done) => {
+      const definition = new Definition(context);
+      definition.run({ startAt: 'task5' }, (err) => {
+        expect(err.message).to.contain('task5');
+        done();
+      });
+    });
   });
 
   describe('getState()', () => {
@@ -1743,6 +1843,244 @@ describe('Definition', () => {
     });
   });
 
+  describe('runAsync([options])', () => {
+    const source = `
+    <definitions id="Def_1" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+      <process id="theProcess" isExecutable="true">
+        <userTask id="task" />
+        <scriptTask id="script" scriptFormat="javascript">
+          <script>
+            if (environment.variables.fail) next(new Error('rejected'));
+            else {
+              environment.output.approved = true;
+              next();
+            }
+          </script>
+        </scriptTask>
+        <sequenceFlow id="flow" sourceRef="task" targetRef="script" />
+      </process>
+      <process id="otherProcess">
+        <task id="otherTask" />
+      </process>
+    </definitions>`;
+
+    let context;
+    beforeEach(async () => {
+      context = await testHelpers.context(source);
+    });
+
+    it('resolves with definition output when run completes', async () => {
+      const definition = new Definition(context);
+      definition.once('wait', (api) => api.signal());
+
+      const output = await definition.runAsync();
+
+      expect(output).to.deep.equal({ approved: true });
+      expect(definition.counters).to.have.property('completed', 1);
+    });
+
+    it('passes options to run', async () => {
+      const definition = new Definition(context);
+      await definition.runAsync({ processId: 'otherProcess' });
+
+      expect(definition.getActivityById('otherTask').counters).to.have.property('taken', 1);
+      expect(definition.getActivityById('task').counters).to.have.property('taken', 0);
+    });
+
+    it('resolves when run is stopped', async () => {
+      const definition = new Definition(context);
+      definition.once('wait', () => definition.stop());
+
+      const output = await definition.runAsync();
+
+      expect(output).to.deep.equal({});
+      expect(definition.stopped).to.be.true;
+    });
+
+    it('rejects on definition error', async () => {
+      const definition = new Definition(context, { variables: { fail: true } });
+      definition.once('wait', (api) => api.signal());
+
+      const err = await definition.runAsync().catch((e) => e);
+
+      expect(err).to.be.instanceOf(ActivityError);
+      expect(err.message).to.equal('rejected');
+    });
+
+    it('rejects if already running', async () => {
+      const definition = new Definition(context);
+      definition.run();
+
+      const err = await definition.runAsync().catch((e) => e);
+
+      expect(err.message).to.equal('definition is already running');
+    });
+  });
+
+  describe('resumeAsync()', () => {
+    const source = `
+    <definitions id="Def_1" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+      <process id="theProcess" isExecutable="true">
+        <userTask id="task" />
+        <scriptTask id="script" scriptFormat="javascript">
+          <script>environment.output.approved = true; next();</script>
+        </scriptTask>
+        <sequenceFlow id="flow" sourceRef="task" targetRef="script" />
+      </process>
+    </definitions>`;
+
+    let context;
+    beforeEach(async () => {
+      context = await testHelpers.context(source);
+    });
+
+    it('resolves with definition output when resumed run completes', async () => {
+      const definition = new Definition(context);
+      definition.run();
+      definition.stop();
+
+      const state = JSON.parse(JSON.stringify(definition.getState()));
+      const recovered = new Definition(context.clone()).recover(state);
+      recovered.once('wait', (api) => api.signal());
+
+      const output = await recovered.resumeAsync();
+
+      expect(output).to.deep.equal({ approved: true });
+      expect(recovered.counters).to.have.property('completed', 1);
+    });
+
+    it('resolves immediately if not started', async () => {
+      const definition = new Definition(context);
+      expect(await definition.resumeAsync()).to.deep.equal({});
+    });
+
+    it('rejects if running', async () => {
+      const definition = new Definition(context);
+      definition.run();
+
+      const err = await definition.resumeAsync().catch((e) => e);
+
+      expect(err.message).to.equal('cannot resume running definition');
+    });
+  });
+
+  describe('events([eventName])', () => {
+    const source = `
+    <definitions id="Def_1" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+      <process id="theProcess" isExecutable="true">
+        <userTask id="task" />
+        <scriptTask id="next" scriptFormat="javascript">
+          <script>next(environment.variables.fail ? new Error('rejected') : null);</script>
+        </scriptTask>
+        <sequenceFlow id="flow" sourceRef="task" targetRef="next" />
+      </process>
+    </definitions>`;
+
+    let context;
+    beforeEach(async () => {
+      context = await testHelpers.context(source);
+    });
+
+    it('iterates event apis until definition leaves', async () => {
+      const definition = new Definition(context);
+      const events = definition.events('activity.end');
+
+      definition.run();
+      definition.signal({ id: 'task' });
+
+      const ended = [];
+      for await (const api of events) {
+        ended.push(api.id);
+      }
+
+      expect(ended).to.deep.equal(['task', 'next']);
+    });
+
+    it('iterates all events by default, including leave', async () => {
+      const definition = new Definition(context);
+      const events = definition.events();
+
+      definition.run();
+      definition.signal({ id: 'task' });
+
+      const routingKeys = [];
+      for await (const api of events) {
+        routingKeys.push(api.fields.routingKey);
+      }
+
+      expect(routingKeys[0]).to.equal('definition.enter');
+      expect(routingKeys.pop()).to.equal('definition.leave');
+    });
+
+    it('iterates events as they occur', async () => {
+      const definition = new Definition(context);
+      const events = definition.events('wait');
+
+      definition.run();
+
+      const waiting = [];
+      for await (const api of events) {
+        waiting.push(api.id);
+        setImmediate(() => api.signal());
+      }
+
+      expect(waiting).to.deep.equal(['task']);
+      expect(definition.counters).to.have.property('completed', 1);
+    });
+
+    it('ends when definition is stopped', async () => {
+      const definition = new Definition(context);
+      const events = definition.events('wait');
+
+      definition.run();
+      setImmediate(() => definition.stop());
+
+      const waiting = [];
+      for await (const api of events) {
+        waiting.push(api.id);
+      }
+
+      expect(waiting).to.deep.equal(['task']);
+      expect(definition.stopped).to.be.true;
+    });
+
+    it('throws on definition error', async () => {
+      const definition = new Definition(context, { variables: { fail: true } });
+      const events = definition.events('wait');
+
+      definition.run();
+
+      const waiting = [];
+      const err = await (async () => {
+        for await (const api of events) {
+          waiting.push(api.id);
+          api.signal();
+        }
+      })().catch((e) => e);
+
+      expect(waiting).to.deep.equal(['task']);
+      expect(err).to.be.instanceOf(ActivityError);
+      expect(err.message).to.equal('rejected');
+      expect(await events.next()).to.deep.equal({ value: undefined, done: true });
+    });
+
+    it('break stops listening for events', async () => {
+      const definition = new Definition(context);
+      const events = definition.events('activity.*');
+
+      definition.run();
+
+      for await (const api of events) {
+        if (api.fields.routingKey === 'activity.wait') break;
+      }
+
+      definition.signal({ id: 'task' });
+
+      expect(await events.next()).to.deep.equal({ value: undefined, done: true });
+      expect(definition.counters).to.have.property('completed', 1);
+    });
+  });
+
   describe('getActivityById()', () => {
     let context;
     before(async () => {
@@ -1807,6 +2145,158 @@ describe('Definition', () => {
     });
   });
 
+  describe('getTimers()', () => {
+    let context;
+    beforeEach(async () => {
+      const source = `
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+        <process id="theProcess" isExecutable="true">
+          <userTask id="task" />
+          <boundaryEvent id="reminder" attachedToRef="task" cancelActivity="false">
+            <timerEventDefinition>
+              <timeCycle xsi:type="tFormalExpression">R3/PT1H</timeCycle>
+            </timerEventDefinition>
+          </boundaryEvent>
+          <subProcess id="subProcess">
+            <intermediateCatchEvent id="wait">
+              <timerEventDefinition>
+                <timeDuration xsi:type="tFormalExpression">PT2H</timeDuration>
+              </timerEventDefinition>
+            </intermediateCatchEvent>
+          </subProcess>
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    it('returns none if not executing', () => {
+      const def = new Definition(context);
+      expect(def.getTimers()).to.have.length(0);
+    });
+
+    it('returns pending timers including sub process timers', () => {
+      const def = new Definition(context, { timers: new VirtualTimers({ now: '2025-01-01T00:00:00Z' }) });
+      def.run();
+
+      const timers = def.getTimers();
+      expect(timers).to.have.length(2);
+
+      const [reminder, wait] = timers;
+      expect(reminder).to.have.property('id', 'reminder');
+      expect(reminder.owner).to.equal(def.getActivityById('reminder'));
+      expect(reminder.content).to.have.property('timerType', 'timeCycle');
+      expect(reminder.content).to.have.property('repeat', 3);
+      expect(reminder.content.expireAt).to.deep.equal(new Date('2025-01-01T01:00:00Z'));
+
+      expect(wait).to.have.property('id', 'wait');
+      expect(wait.owner.parent).to.have.property('id', 'subProcess');
+      expect(wait.content).to.have.property('timerType', 'timeDuration');
+      expect(wait.content.expireAt).to.deep.equal(new Date('2025-01-01T02:00:00Z'));
+
+      def.stop();
+    });
+
+    it('returns none when timers are completed', () => {
+      const timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      const def = new Definition(context, { timers });
+      def.run();
+
+      timers.runAll();
+
+      expect(def.getTimers()).to.have.length(0);
+      expect(def.getPostponed()).to.have.length(1);
+      def.stop();
+    });
+  });
+
+  describe('modify(instructions)', () => {
+    let context;
+    beforeEach(async () => {
+      const source = `
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+        <process id="process1" isExecutable="true">
+          <userTask id="task1" />
+          <sequenceFlow id="flow1" sourceRef="task1" targetRef="end1" />
+          <endEvent id="end1" />
+        </process>
+        <process id="process2" isExecutable="true">
+          <userTask id="task2" />
+          <sequenceFlow id="flow2" sourceRef="task2" targetRef="task3" />
+          <userTask id="task3" />
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    it('throws if not running', () => {
+      const def = new Definition(context);
+      expect(() => def.modify([{ cancel: 'task1' }])).to.throw(/is not running/);
+    });
+
+    it('throws type error if instructions are missing', () => {
+      const def = new Definition(context);
+      def.run();
+      expect(() => def.modify([])).to.throw(TypeError, /list of instructions/);
+    });
+
+    it('modifies the running processes that match instructions', () => {
+      const def = new Definition(context);
+      const messages = [];
+      def.broker.subscribeTmp('event', 'process.modify', (_, msg) => messages.push(msg), { noAck: true });
+      def.run();
+
+      const result = def.modify([{ cancel: 'task2' }, { startAfter: 'task2', variables: { skipped: true } }]);
+
+      expect(result.map((r) => Object.keys(r)[0])).to.deep.equal(['cancel', 'startAfter']);
+      expect(def.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'task3']);
+      expect(def.getProcessById('process2').environment.variables).to.have.property('skipped', true);
+
+      expect(messages).to.have.length(1);
+      expect(messages[0].content).to.have.property('id', 'process2');
+      expect(messages[0].content.parent).to.have.property('executionId', def.executionId);
+      expect(messages[0].content.modifications).to.deep.equal(result);
+    });
+
+    it('applies no instruction if one instruction does not match a running process', () => {
+      const def = new Definition(context);
+      def.run();
+
+      expect(() => def.modify([{ cancel: 'task1' }, { cancel: 'task3' }])).to.throw(/no running process matches <task3>/);
+      expect(() => def.modify([{ cancel: 'task1' }, { startAfter: 'task3' }])).to.throw(/expected one outbound sequence flow/);
+
+      expect(def.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'task2']);
+    });
+
+    it('completes definition when modification leaves nothing running', () => {
+      const def = new Definition(context);
+      def.run();
+
+      def.modify([{ cancel: 'task1' }, { cancel: 'task2' }]);
+
+      expect(def.isRunning).to.be.false;
+      expect(def.counters).to.have.property('completed', 1);
+    });
+
+    it('modified definition can be stopped and resumed', () => {
+      const def = new Definition(context);
+      def.run();
+
+      def.modify([{ cancel: 'task2' }, { startBefore: 'task3' }]);
+      def.stop();
+
+      const recovered = new Definition(context.clone()).recover(JSON.parse(JSON.stringify(def.getState())));
+      recovered.resume();
+
+      expect(recovered.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'task3']);
+
+      for (const api of recovered.getPostponed()) api.signal();
+
+      expect(recovered.counters).to.have.property('completed', 1);
+    });
+  });
+
   describe('sub process', () => {
     it('forwards events from sub process activities', async () => {
       const source = `
@@ -293,6 +293,123 @@ describe('ConditionalEventDefinition', () => {
       expect(completedMessage.content).to.have.property('index', 0);
     });
 
+    it('evaluates condition with language feel as FEEL expression', () => {
+      const condition = new ConditionalEventDefinition(event, {
+        type: 'bpmn:ConditionalEventDefinition',
+        behaviour: {
+          script: {
+            language: 'feel',
+            body: 'content.message.value > 1',
+          },
+        },
+      });
+
+      expect(condition.condition).to.have.property('type', 'expression');
+      expect(condition.condition).to.have.property('language', 'feel');
+
+      let completedMessage;
+      event.broker.subscribeOnce('execution', '#', (_, msg) => {
+        completedMessage = msg;
+      });
+
+      const executeMessage = {
+        fields: {},
+        content: {
+          executionId: 'event_0_0',
+          index: 0,
+          parent: {
+            id: 'event',
+            executionId: 'event_0',
+          },
+        },
+      };
+
+      condition.execute(executeMessage);
+
+      ActivityApi(event.broker, executeMessage, event.environment).signal({ value: 1 });
+      expect(completedMessage).to.not.be.ok;
+
+      ActivityApi(event.broker, executeMessage, event.environment).signal({ value: 2 });
+      expect(completedMessage).to.have.property('fields').with.property('routingKey', 'execute.completed');
+      expect(completedMessage.content).to.have.property('output', true);
+    });
+
+    it('uses registered condition language', () => {
+      event.environment.addConditionLanguage('flag', (owner, { body }) => ({
+        type: 'flag',
+        execute(message, callback) {
+          return callback(null, !!message.content.message?.[body]);
+        },
+      }));
+
+      const condition = new ConditionalEventDefinition(event, {
+        type: 'bpmn:ConditionalEventDefinition',
+        behaviour: {
+          script: {
+            language: 'flag',
+            body: 'vip',
+          },
+        },
+      });
+
+      expect(condition.condition).to.have.property('type', 'flag');
+
+      let completedMessage;
+      event.broker.subscribeOnce('execution', '#', (_, msg) => {
+        completedMessage = msg;
+      });
+
+      const executeMessage = {
+        fields: {},
+        content: {
+          executionId: 'event_0_0',
+          index: 0,
+          parent: {
+            id: 'event',
+            executionId: 'event_0',
+          },
+        },
+      };
+
+      condition.execute(executeMessage);
+
+      ActivityApi(event.broker, executeMessage, event.environment).signal({ vip: true });
+      expect(completedMessage).to.have.property('fields').with.property('routingKey', 'execute.completed');
+    });
+
+    it('publishes error if condition language is unsupported', () => {
+      const condition = new ConditionalEventDefinition(event, {
+        type: 'bpmn:ConditionalEventDefinition',
+        behaviour: {
+          script: {
+            language: 'jsonata',
+            body: 'vip',
+          },
+        },
+      });
+
+      let errorMessage;
+      event.broker.subscribeOnce('execution', 'execute.error', (_, msg) => {
+        errorMessage = msg;
+      });
+
+      condition.execute({
+        fields: {},
+        content: {
+          executionId: 'event_0_0',
+          index: 0,
+          parent: {
+            id: 'event',
+            executionId: 'event_0',
+          },
+        },
+      });
+
+      expect(errorMessage).to.be.ok;
+      expect(errorMessage.content.error).to.have.property('type', 'ActivityError');
+      expect(errorMessage.content.error.message).to.equal('Condition language jsonata is unsupported or was not registered for <event>');
+    });
+
     it('discard closes consumers and publish discard message', () => {
       const condition = new ConditionalEventDefinition(event, {
         type: 'bpmn:ConditionalEventDefinition',
@@ -828,6 +828,99 @@ describe('TimerEventDefinition', () => {
       definition.stop();
     });
 
+    it('cron expression expires at next occurrence with unbounded repeat', () => {
+      ck.freeze(new Date(2025, 0, 3, 9, 0));
+      const definition = new TimerEventDefinition(event, {
+        type: 'bpmn:TimerEventDefinition',
+        behaviour: {
+          timeCycle: '0 8 * * MON-FRI',
+        },
+      });
+
+      const messages = [];
+      event.broker.subscribeTmp('event', 'activity.timer', (_, msg) => messages.push(msg), { noAck: true });
+
+      definition.execute({
+        fields: {},
+        content: {
+          executionId: 'event_1_0',
+          parent: { id: 'bound', executionId: 'event_1' },
+        },
+      });
+
+      expect(messages).to.have.length(1);
+      expect(messages[0].content).to.have.property('timeCycle', '0 8 * * MON-FRI');
+      expect(messages[0].content).to.have.property('repeat', -1);
+      expect(messages[0].content.expireAt).to.deep.equal(new Date(2025, 0, 6, 8, 0));
+      expect(messages[0].content).to.have.property('timeout', 71 * 3600000);
+
+      definition.stop();
+    });
+
+    it('six field cron expression with seconds', () => {
+      ck.freeze(new Date(2025, 0, 3, 9, 0, 7));
+      const definition = new TimerEventDefinition(event, {
+        type: 'bpmn:TimerEventDefinition',
+        behaviour: {
+          timeCycle: '*/15 * * * * *',
+        },
+      });
+
+      const messages = [];
+      event.broker.subscribeTmp('event', 'activity.timer', (_, msg) => messages.push(msg), { noAck: true });
+
+      definition.execute({
+        fields: {},
+        content: {
+          executionId: 'event_1_0',
+          parent: { id: 'bound', executionId: 'event_1' },
+        },
+      });
+
+      expect(messages[0].content.expireAt).to.deep.equal(new Date(2025, 0, 3, 9, 0, 15));
+      expect(messages[0].content).to.have.property('timeout', 8000);
+
+      definition.stop();
+    });
+
+    it('invalid cron expression throws', () => {
+      const definition = new TimerEventDefinition(event, {
+        type: 'bpmn:TimerEventDefinition',
+        behaviour: {
+          timeCycle: '0 25 * * *',
+        },
+      });
+
+      expect(() => {
+        definition.execute({
+          fields: {},
+          content: {
+            executionId: 'event_1_0',
+            parent: { id: 'bound', executionId: 'event_1' },
+          },
+        });
+      }).to.throw(RunError, /unexpected hour "25"/);
+    });
+
+    it('cron expression without occurrence throws', () => {
+      const definition = new TimerEventDefinition(event, {
+        type: 'bpmn:TimerEventDefinition',
+        behaviour: {
+          timeCycle: '0 0 30 FEB *',
+        },
+      });
+
+      expect(() => {
+        definition.execute({
+          fields: {},
+          content: {
+            executionId: 'event_1_0',
+            parent: { id: 'bound', executionId: 'event_1' },
+          },
+        });
+      }).to.throw(RunError, /failed to resolve to a date/);
+    });
+
     describe('resume execution', () => {
       it('publishes timer event message with resume message timeCycle', (done) => {
         const definition = new TimerEventDefinition(event, {
@@ -1547,6 +1640,442 @@ describe('TimerEventDefinition', () => {
     });
   });
 
+  describe('business calendar', () => {
+    const businessCalendar = { holidays: ['2025-01-06'] };
+
+    function executeTimer(behaviour, environment) {
+      event.environment = environment;
+      const definition = new TimerEventDefinition(event, { type: 'bpmn:TimerEventDefinition', behaviour });
+
+      const messages = [];
+      event.broker.subscribeTmp('event', 'activity.timer', (_, msg) => messages.push(msg), { noAck: true });
+
+      definition.execute({
+        fields: {},
+        content: {
+          executionId: 'event_1_0',
+          parent: { id: 'bound', executionId: 'event_1' },
+        },
+      });
+
+      definition.stop();
+      return messages[0];
+    }
+
+    it('timeDuration is counted in working time if enabled by settings', () => {
+      ck.freeze(new Date(2025, 0, 3, 15, 0));
+      const environment = new Environment({ businessCalendar, settings: { businessCalendar: true } });
+
+      const message = executeTimer({ timeDuration: 'P3D' }, environment);
+
+      expect(message.content).to.have.property('timeDuration', 'P3D');
+      expect(message.content.expireAt).to.deep.equal(new Date(2025, 0, 9, 15, 0));
+      expect(message.content).to.have.property('timeout', 6 * 24 * 3600000);
+    });
+
+    it('timeDuration hours are counted within working hours', () => {
+      ck.freeze(new Date(2025, 0, 3, 15, 0));
+      const environment = new Environment({ businessCalendar, settings: { businessCalendar: true } });
+
+      const message = executeTimer({ timeDuration: 'PT4H' }, environment);
+
+      expect(message.content.expireAt).to.deep.equal(new Date(2025, 0, 7, 10, 0));
+    });
+
+    it('timeCycle duration is counted in working time', () => {
+      ck.freeze(new Date(2025, 0, 3, 15, 0));
+      const environment = new Environment({ businessCalendar, settings: { businessCalendar: true } });
+
+      const message = executeTimer({ timeCycle: 'R3/P1D' }, environment);
+
+      expect(message.content).to.have.property('repeat', 3);
+      expect(message.content.expireAt).to.deep.equal(new Date(2025, 0, 7, 15, 0));
+    });
+
+    it('timeDate is unaffected', () => {
+      ck.freeze(new Date(2025, 0, 3, 15, 0));
+      const environment = new Environment({ businessCalendar, settings: { businessCalendar: true } });
+
+      const message = executeTimer({ timeDate: new Date(2025, 0, 4, 12, 0).toISOString() }, environment);
+
+      expect(message.content.expireAt).to.deep.equal(new Date(2025, 0, 4, 12, 0));
+    });
+
+    it('timer behaviour businessCalendar enables business calendar', () => {
+      ck.freeze(new Date(2025, 0, 3, 15, 0));
+      const environment = new Environment({ businessCalendar });
+
+      const message = executeTimer({ timeDuration: 'P1D', businessCalendar: true }, environment);
+
+      expect(message.content.expireAt).to.deep.equal(new Date(2025, 0, 7, 15, 0));
+    });
+
+    it('timer behaviour businessCalendar false disables business calendar', () => {
+      ck.freeze(new Date(2025, 0, 3, 15, 0));
+      const environment = new Environment({ businessCalendar, settings: { businessCalendar: true } });
+
+      const message = executeTimer({ timeDuration: 'P1D', businessCalendar: false }, environment);
+
+      expect(message.content.expireAt).to.deep.equal(new Date(2025, 0, 4, 15, 0));
+    });
+
+    it('is ignored if not enabled', () => {
+      ck.freeze(new Date(2025, 0, 3, 15, 0));
+      const environment = new Environment({ businessCalendar });
+
+      const message = executeTimer({ timeDuration: 'P1D' }, environment);
+
+      expect(message.content.expireAt).to.deep.equal(new Date(2025, 0, 4, 15, 0));
+    });
+
+    it('throws if enabled but environment lacks business calendar', () => {
+      const environment = new Environment({ settings: { businessCalendar: true } });
+
+      expect(() => executeTimer({ timeDuration: 'P1D' }, environment)).to.throw(RunError, /environment has no businessCalendar/);
+      expect(environment.timers.executing).to.have.length(0);
+    });
+  });
+
+  describe('time zone', () => {
+    function executeTimer(behaviour, environment, content) {
+      event.environment = environment;
+      const definition = new TimerEventDefinition(event, { type: 'bpmn:TimerEventDefinition', behaviour });
+
+      const messages = [];
+      event.broker.subscribeTmp('event', 'activity.timer', (_, msg) => messages.push(msg), { noAck: true });
+
+      definition.execute({
+        fields: {},
+        content: {
+          executionId: 'event_1_0',
+          parent: { id: 'bound', executionId: 'event_1' },
+          ...content,
+        },
+      });
+
+      definition.stop();
+      return messages[0];
+    }
+
+    it('timeDate without offset is interpreted in settings time zone', () => {
+      ck.freeze('2025-01-03T12:00:00Z');
+      const environment = new Environment({ settings: { timezone: 'America/New_York' } });
+
+      const message = executeTimer({ timeDate: '2025-01-04T08:00:00' }, environment);
+
+      expect(message.content).to.have.property('timezone', 'America/New_York');
+      expect(message.content.expireAt).to.deep.equal(new Date('2025-01-04T13:00:00Z'));
+    });
+
+    it('timeDate date only expires at midnight in time zone', () => {
+      ck.freeze('2025-01-03T12:00:00Z');
+      const environment = new Environment({ settings: { timezone: 'Asia/Tokyo' } });
+
+      const message = executeTimer({ timeDate: '2025-01-04' }, environment);
+
+      expect(message.content.expireAt).to.deep.equal(new Date('2025-01-03T15:00:00Z'));
+    });
+
+    it('timeDate with offset is unaffected', () => {
+      ck.freeze('2025-01-03T12:00:00Z');
+      const environment = new Environment({ settings: { timezone: 'America/New_York' } });
+
+      const message = executeTimer({ timeDate: '2025-01-04T08:00:00+01:00' }, environment);
+
+      expect(message.content.expireAt).to.deep.equal(new Date('2025-01-04T07:00:00Z'));
+    });
+
+    it('timeCycle with start date keeps time of day across daylight saving time transition', () => {
+      ck.freeze('2025-03-29T12:00:00Z');
+      const environment = new Environment({ settings: { timezone: 'Europe/Stockholm' } });
+
+      let message = executeTimer({ timeCycle: 'R/2025-03-27T08:00:00/P1D' }, environment);
+
+      expect(message.content).to.have.property('repeat', -1);
+      expect(message.content.expireAt, 'summer time').to.deep.equal(new Date('2025-03-30T06:00:00Z'));
+      expect(message.content).to.have.property('timeout', 18 * 3600000);
+
+      ck.freeze('2025-03-30T06:00:00Z');
+      message = executeTimer({ timeCycle: 'R/2025-03-27T08:00:00/P1D' }, environment, { executionId: 'event_1_1' });
+      expect(message.content.expireAt).to.deep.equal(new Date('2025-03-31T06:00:00Z'));
+    });
+
+    it('timeCycle with end date is interpreted in time zone', () => {
+      ck.freeze('2025-01-03T12:00:00Z');
+      const environment = new Environment({ settings: { timezone: 'America/New_York' } });
+
+      const message = executeTimer({ timeCycle: 'R3/PT1H/2025-01-03T10:00:00' }, environment);
+
+      expect(message.content).to.have.property('repeat', 3);
+      expect(message.content.expireAt).to.deep.equal(new Date('2025-01-03T13:00:00Z'));
+    });
+
+    it('timeCycle with start date with offset is unaffected', () => {
+      ck.freeze('2025-03-29T12:00:00Z');
+      const environment = new Environment({ settings: { timezone: 'Europe/Stockholm' } });
+
+      const message = executeTimer({ timeCycle: 'R/2025-03-27T08:00:00Z/P1D' }, environment);
+
+      expect(message.content.expireAt).to.deep.equal(new Date('2025-03-30T08:00:00Z'));
+    });
+
+    it('timeDuration is unaffected', () => {
+      ck.freeze('2025-03-29T12:00:00Z');
+      const environment = new Environment({ settings: { timezone: 'Europe/Stockholm' } });
+
+      const message = executeTimer({ timeDuration: 'P1D' }, environment);
+
+      expect(message.content.expireAt).to.deep.equal(new Date('2025-03-30T12:00:00Z'));
+    });
+
+    it('cron time cycle is evaluated in time zone', () => {
+      ck.freeze('2025-01-03T14:00:00Z');
+      const environment = new Environment({ settings: { timezone: 'America/New_York' } });
+
+      const message = executeTimer({ timeCycle: '0 8 * * MON-FRI' }, environment);
+
+      expect(message.content).to.have.property('timezone', 'America/New_York');
+      expect(message.content.expireAt).to.deep.equal(new Date('2025-01-06T13:00:00Z'));
+    });
+
+    it('resumed timer content gets current time zone', () => {
+      ck.freeze('2025-01-03T12:00:00Z');
+      const environment = new Environment({ settings: { timezone: 'Asia/Tokyo' } });
+
+      const message = executeTimer({ timeDate: '2025-01-04' }, environment, { timeDate: '2025-01-05', timezone: 'America/New_York' });
+
+      expect(message.content).to.have.property('timezone', 'Asia/Tokyo');
+      expect(message.content.expireAt).to.deep.equal(new Date('2025-01-04T15:00:00Z'));
+    });
+
+    it('without time zone setting content lacks time zone', () => {
+      const message = executeTimer({ timeDuration: 'PT1M' }, new Environment());
+
+      expect(message.content).to.not.have.property('timezone');
+    });
+
+    it('throws if time zone is invalid', () => {
+      const environment = new Environment({ settings: { timezone: 'Europe/Gothenburg' } });
+
+      expect(() => executeTimer({ timeDuration: 'PT1M' }, environment)).to.throw(RunError, /Invalid time zone Europe\/Gothenburg/);
+    });
+  });
+
+  describe('fire and reschedule', () => {
+    let definition, messages, executeMessages;
+    beforeEach(() => {
+      ck.freeze('2025-01-01T00:00:00Z');
+      definition = new TimerEventDefinition(event, {
+        type: 'bpmn:TimerEventDefinition',
+        behaviour: {
+          timeCycle: 'R3/PT1H',
+        },
+      });
+
+      messages = [];
+      event.broker.subscribeTmp('event', 'activity.*', (_, msg) => messages.push(msg), { noAck: true });
+      executeMessages = [];
+      event.broker.subscribeTmp('execution', 'execute.#', (_, msg) => executeMessages.push(msg), { noAck: true });
+    });
+
+    function execute(content) {
+      definition.execute({
+        fields: {},
+        content: {
+          executionId: 'event_1_0',
+          index: 0,
+          parent: {
+            id: 'bound',
+            executionId: 'event_1',
+          },
+          ...content,
+        },
+      });
+    }
+
+    it('fire completes timer with timeout and repeat', () => {
+      execute();
+
+      ActivityApi(event.broker, messages[0]).fireTimer({ id: 'operator' });
+
+      expect(event.environment.timers.executing).to.have.length(0);
+      expect(messages[1].fields).to.have.property('routingKey', 'activity.timeout');
+      expect(messages[1].content).to.have.property('state', 'timeout');
+      expect(messages[1].content).to.have.property('message').that.deep.equal({ id: 'operator' });
+      expect(messages[1].content).to.have.property('runningTime', 0);
+
+      expect(executeMessages.map(({ fields }) => fields.routingKey)).to.deep.equal([
+        'execute.timer',
+        'execute.repeat',
+        'execute.completed',
+      ]);
+      expect(executeMessages[1].content).to.have.property('repeat', 2);
+    });
+
+    it('fire on parent execution completes timer', () => {
+      execute();
+
+      ActivityApi(event.broker, { content: { id: 'bound', executionId: 'event_1' } }).fireTimer();
+
+      expect(event.environment.timers.executing).to.have.length(0);
+      expect(messages[1].fields).to.have.property('routingKey', 'activity.timeout');
+    });
+
+    it('other parent api messages are ignored', () => {
+      execute();
+
+      ActivityApi(event.broker, { content: { id: 'bound', executionId: 'event_1' } }).signal();
+
+      expect(event.environment.timers.executing).to.have.length(1);
+      definition.stop();
+    });
+
+    it('reschedule with date restarts timer and publishes timer with new expire at', () => {
+      execute();
+
+      ActivityApi(event.broker, messages[0]).rescheduleTimer(new Date('2025-01-01T03:00:00Z'));
+
+      expect(event.environment.timers.executing).to.have.length(1);
+      expect(event.environment.timers.executing[0]).to.have.property('delay', 3 * 3600000);
+
+      expect(messages).to.have.length(2);
+      expect(messages[1].fields).to.have.property('routingKey', 'activity.timer');
+      expect(messages[1].content.expireAt).to.deep.equal(new Date('2025-01-01T03:00:00Z'));
+      expect(messages[1].content).to.have.property('timeout', 3 * 3600000);
+      expect(messages[1].content).to.have.property('repeat', 3);
+      expect(messages[1].content).to.have.property('rescheduled', true);
+
+      expect(executeMessages).to.have.length(2);
+      expect(executeMessages[1].fields).to.have.property('routingKey', 'execute.timer');
+      expect(executeMessages[1].content.expireAt).to.deep.equal(new Date('2025-01-01T03:00:00Z'));
+
+      definition.stop();
+    });
+
+    it('reschedule with milliseconds delays timer from now', () => {
+      execute();
+
+      ActivityApi(event.broker, messages[0]).rescheduleTimer(60000);
+
+      expect(messages[1].content.expireAt).to.deep.equal(new Date('2025-01-01T00:01:00Z'));
+      definition.stop();
+    });
+
+    it('reschedule with ISO8601 duration delays timer from now', () => {
+      execute();
+
+      ActivityApi(event.broker, messages[0]).rescheduleTimer('P1D');
+
+      expect(messages[1].content.expireAt).to.deep.equal(new Date('2025-01-02T00:00:00Z'));
+      definition.stop();
+    });
+
+    it('reschedule with ISO8601 date', () => {
+      execute();
+
+      ActivityApi(event.broker, messages[0]).rescheduleTimer('2025-01-01T00:30:00Z');
+
+      expect(messages[1].content.expireAt).to.deep.equal(new Date('2025-01-01T00:30:00Z'));
+      definition.stop();
+    });
+
+    it('reschedule to past date completes timer', () => {
+      execute();
+
+      ActivityApi(event.broker, messages[0]).rescheduleTimer(new Date('2024-12-31T00:00:00Z'));
+
+      expect(event.environment.timers.executing).to.have.length(0);
+      expect(messages[2].fields).to.have.property('routingKey', 'activity.timeout');
+    });
+
+    it('reschedule on parent execution', () => {
+      execute();
+
+      ActivityApi(event.broker, { content: { id: 'bound', executionId: 'event_1' } }).rescheduleTimer('PT2H');
+
+      expect(messages[1].content.expireAt).to.deep.equal(new Date('2025-01-01T02:00:00Z'));
+      definition.stop();
+    });
+
+    [undefined, 'tomorrow', new Date('invalid'), {}].forEach((value) => {
+      it(`reschedule with invalid value ${value} throws and keeps timer`, () => {
+        execute();
+
+        expect(() => ActivityApi(event.broker, messages[0]).rescheduleTimer(value)).to.throw();
+
+        expect(event.environment.timers.executing).to.have.length(1);
+        expect(event.environment.timers.executing[0]).to.have.property('delay', 3600000);
+        definition.stop();
+      });
+    });
+
+    it('resumed rescheduled timer keeps rescheduled expire at', () => {
+      ck.freeze('2025-01-01T00:30:00Z');
+      definition.execute({
+        fields: { routingKey: 'execute.timer', redelivered: true },
+        content: {
+          executionId: 'event_1_0',
+          index: 0,
+          parent: {
+            id: 'bound',
+            executionId: 'event_1',
+          },
+          timeCycle: 'R3/PT1H',
+          repeat: 3,
+          startedAt: new Date('2025-01-01T00:00:00Z'),
+          expireAt: new Date('2025-01-01T05:00:00Z'),
+          rescheduled: true,
+        },
+      });
+
+      expect(messages[0].content.expireAt).to.deep.equal(new Date('2025-01-01T05:00:00Z'));
+      expect(messages[0].content).to.have.property('timeout', 4.5 * 3600000);
+      expect(messages[0].content).to.have.property('repeat', 3);
+      definition.stop();
+    });
+
+    it('suspend clears timer and publishes timer with remaining time', () => {
+      execute();
+
+      ck.freeze('2025-01-01T00:20:00Z');
+      ActivityApi(event.broker, messages[0]).suspend();
+
+      expect(event.environment.timers.executing).to.have.length(0);
+      expect(messages).to.have.length(1);
+      expect(executeMessages).to.have.length(2);
+      expect(executeMessages[1].fields).to.have.property('routingKey', 'execute.timer');
+      expect(executeMessages[1].content).to.have.property('remaining', 40 * 60000);
+      definition.stop();
+    });
+
+    it('resumed suspended timer expires remaining time from now', () => {
+      ck.freeze('2025-01-01T03:00:00Z');
+      definition.execute({
+        fields: { routingKey: 'execute.timer', redelivered: true },
+        content: {
+          executionId: 'event_1_0',
+          index: 0,
+          parent: {
+            id: 'bound',
+            executionId: 'event_1',
+          },
+          timeCycle: 'R3/PT1H',
+          repeat: 3,
+          startedAt: new Date('2025-01-01T00:00:00Z'),
+          expireAt: new Date('2025-01-01T01:00:00Z'),
+          remaining: 40 * 60000,
+        },
+      });
+
+      expect(event.environment.timers.executing).to.have.length(1);
+      expect(messages[0].content.expireAt).to.deep.equal(new Date('2025-01-01T03:40:00Z'));
+      expect(messages[0].content).to.have.property('timeout', 40 * 60000);
+      expect(messages[0].content).to.have.property('rescheduled', true);
+      expect(messages[0].content.remaining).to.be.undefined;
+      definition.stop();
+    });
+  });
+
   describe('formatted message', () => {
     it('with timeout completes when timed out', (done) => {
       const definition = new TimerEventDefinition(event, {
@@ -305,6 +305,373 @@ describe('Expressions', () => {
     });
   });
 
+  describe('Standard operators', () => {
+    const context = {
+      environment: {
+        variables: {
+          amount: 1200,
+          list: [1, 2, 3],
+          name: 'Elvis',
+        },
+      },
+      content: {
+        output: {
+          approved: true,
+        },
+      },
+      services: {
+        add(a, b) {
+          return a + b;
+        },
+      },
+    };
+
+    it('comparison returns boolean', () => {
+      expect(expressions.resolveExpression('${environment.variables.amount > 1000}', context)).to.be.true;
+      expect(expressions.resolveExpression('${environment.variables.amount <= 1000}', context)).to.be.false;
+      expect(expressions.resolveExpression('${environment.variables.amount === 1200}', context)).to.be.true;
+      expect(expressions.resolveExpression('${environment.variables.amount !== 1200}', context)).to.be.false;
+      expect(expressions.resolveExpression('${environment.variables.amount == "1200"}', context)).to.be.true;
+      expect(expressions.resolveExpression('${environment.variables.amount != "1200"}', context)).to.be.false;
+    });
+
+    it('logical operators returns result', () => {
+      expect(expressions.resolveExpression('${environment.variables.amount > 1000 && content.output.approved}', context)).to.be.true;
+      expect(expressions.resolveExpression('${environment.variables.amount < 1000 || !content.output.approved}', context)).to.be.false;
+      expect(expressions.resolveExpression('${content.output.missing ?? "default"}', context)).to.equal('default');
+    });
+
+    it('logical operators short circuits function calls', () => {
+      let called = 0;
+      const ctx = {
+        fn() {
+          return ++called;
+        },
+      };
+      expect(expressions.resolveExpression('${false && fn(1)}', ctx)).to.be.false;
+      expect(expressions.resolveExpression('${true || fn(1)}', ctx)).to.be.true;
+      expect(called).to.equal(0);
+    });
+
+    it('arithmetic follows operator precedence', () => {
+      expect(expressions.resolveExpression('${environment.variables.amount * 2 + 1}', context)).to.equal(2401);
+      expect(expressions.resolveExpression('${1 + 2 * 3 - 4 / 2}', context)).to.equal(5);
+      expect(expressions.resolveExpression('${(1 + 2) * 3 % 4}', context)).to.equal(1);
+      expect(expressions.resolveExpression('${-environment.variables.list[0] + +"2"}', context)).to.equal(1);
+    });
+
+    it('ternary returns consequent or alternate', () => {
+      expect(expressions.resolveExpression('${content.output.approved ? "yes" : "no"}', context)).to.equal('yes');
+      expect(expressions.resolveExpression('${!content.output.approved ? "yes" : 1 > 2 ? "maybe" : "no"}', context)).to.equal('no');
+    });
+
+    it('string concatenation returns string', () => {
+      expect(expressions.resolveExpression('${"Hello " + environment.variables.name + \'!\'}', context)).to.equal('Hello Elvis!');
+      expect(expressions.resolveExpression('${"a\\"b" + "}"}', context)).to.equal('a"b}');
+    });
+
+    it('inline expression with operators', () => {
+      expect(expressions.resolveExpression('PT${environment.variables.amount / 100}S', context)).to.equal('PT12S');
+    });
+
+    it('array and object literals returns new array and object', () => {
+      expect(expressions.resolveExpression('${[1, environment.variables.name, [true]]}', context)).to.deep.equal([1, 'Elvis', [true]]);
+      expect(expressions.resolveExpression('${ {name: environment.variables.name, "a b": {c: 1}} }', context)).to.deep.equal({
+        name: 'Elvis',
+        'a b': { c: 1 },
+      });
+      expect(expressions.resolveExpression('${ {} }', context)).to.deep.equal({});
+    });
+
+    it('function call with expression arguments returns result', () => {
+      expect(expressions.resolveExpression('${services.add(environment.variables.amount, 1) > 1200}', context)).to.be.true;
+      expect(expressions.resolveExpression('${services.add(1 + 1, [1].length)}', context)).to.equal(3);
+    });
+
+    it('function without arguments is called with context as argument', () => {
+      expect(
+        expressions.resolveExpression('${fn() === 1}', {
+          fn(ctx) {
+            return ctx.a;
+          },
+          a: 1,
+        }),
+      ).to.be.true;
+    });
+
+    it('function is called with function scope or owning object as this', () => {
+      const ctx = {
+        obj: {
+          b: 1,
+          fn() {
+            return this.b;
+          },
+        },
+      };
+      expect(expressions.resolveExpression('${obj.fn()}', ctx)).to.equal(1);
+      expect(expressions.resolveExpression('${obj.fn()}', ctx, { b: 2 })).to.equal(2);
+    });
+
+    it('calling something that is not a function throws', () => {
+      expect(() => expressions.resolveExpression('${environment.variables.name()}', context)).to.throw(TypeError, /is not a function/);
+    });
+
+    it('calling undefined function returns undefined', () => {
+      expect(expressions.resolveExpression('${services.missing(1)}', context)).to.be.undefined;
+    });
+
+    it('bracket property access with expression resolves property', () => {
+      expect(expressions.resolveExpression('${environment.variables.list[1 + 1]}', context)).to.equal(3);
+      expect(expressions.resolveExpression('${environment.variables["name"]}', context)).to.equal('Elvis');
+      expect(expressions.resolveExpression('${environment.variables.list[environment.variables.list[0]]}', context)).to.equal(2);
+    });
+
+    it('bracket property access with bare word addresses property with name', () => {
+      expect(expressions.resolveExpression('${environment.variables[name] + "!"}', context)).to.equal('Elvis!');
+    });
+
+    it('negative index returns item from end of list', () => {
+      expect(expressions.resolveExpression('${environment.variables.list[-1] * 2}', context)).to.equal(6);
+    });
+
+    it('prototype properties are not accessible', () => {
+      expect(expressions.resolveExpression('${content.constructor}', context)).to.be.undefined;
+      expect(expressions.resolveExpression('${content["__proto__"]}', context)).to.be.undefined;
+      expect(expressions.resolveExpression('${services.add.prototype}', context)).to.be.undefined;
+    });
+
+    it('prototype properties are not accessible with array or object keys', () => {
+      const ctx = { ...context, content: { key: { toString: () => 'constructor' } } };
+      expect(expressions.resolveExpression("${content[['constructor']][['constructor']]('return typeof process')()}", ctx)).to.be.undefined;
+      expect(expressions.resolveExpression("${content[['__proto__']]}", ctx)).to.be.undefined;
+      expect(expressions.resolveExpression('${content[content.key]}', ctx)).to.be.undefined;
+    });
+
+    it('prototype properties are not assigned with object literal keys', () => {
+      const result = expressions.resolveExpression('${ {__proto__: environment, "constructor": 1, prototype: 2, name: 3} }', context);
+      expect(Object.getPrototypeOf(result)).to.equal(Object.prototype);
+      expect(result).to.deep.equal({ name: 3 });
+      expect(expressions.resolveExpression('${ {__proto__: environment}.variables }', context)).to.be.undefined;
+    });
+
+    it('non-string is returned as is', () => {
+      expect(expressions.resolveExpression(1, context)).to.equal(1);
+      expect(expressions.resolveExpression(undefined, context)).to.be.undefined;
+    });
+
+    it('bare property path with hyphenated names resolves property', () => {
+      const ctx = { content: { output: { 'some-key': 1, 'list-of': [{ 'sub-key': 2 }] } }, environment: { variables: { a: 3, b: 1 } } };
+      expect(expressions.resolveExpression('${content.output.some-key}', ctx)).to.equal(1);
+      expect(expressions.resolveExpression('${content.output.list-of[0].sub-key}', ctx)).to.equal(2);
+      expect(expressions.resolveExpression('PT${content.output.some-key}S', ctx)).to.equal('PT1S');
+      expect(expressions.resolveExpression('${environment.variables.a - environment.variables.b}', ctx)).to.equal(2);
+    });
+
+    it('falls back to property path if not a valid expression', () => {
+      expect(expressions.resolveExpression('${environment.variables.list[-1}', context)).to.equal(3);
+      expect(expressions.resolveExpression('${environment[variables].list[spaced name]}', context)).to.be.undefined;
+    });
+  });
+
+  describe('compile(expression)', () => {
+    const context = { environment: { variables: { amount: 2000, name: 'pelle' } } };
+
+    it('returns compiled expression that can be evaluated with different contexts', () => {
+      const compiled = Expressions().compile('${environment.variables.amount > 1000}');
+      expect(compiled).to.have.property('expression', '${environment.variables.amount > 1000}');
+      expect(compiled.evaluate(context)).to.be.true;
+      expect(compiled.evaluate({ environment: { variables: { amount: 10 } } })).to.be.false;
+    });
+
+    it('compiled templated string returns string', () => {
+      const compiled = Expressions().compile('Hi ${environment.variables.name}, you have ${environment.variables.amount}$');
+      expect(compiled.evaluate(context)).to.equal('Hi pelle, you have 2000$');
+      expect(compiled.evaluate({ environment: { variables: {} } })).to.equal('Hi , you have $');
+    });
+
+    it('passes function call context', () => {
+      const compiled = Expressions().compile('${environment.variables.fn()}');
+      const fnContext = {};
+      const result = compiled.evaluate(
+        {
+          environment: {
+            variables: {
+              fn() {
+                return this;
+              },
+            },
+          },
+        },
+        fnContext,
+      );
+      expect(result).to.equal(fnContext);
+    });
+
+    it('returns the same compiled expression for the same expression', () => {
+      const instance = Expressions();
+      expect(instance.compile('${environment.variables.name}')).to.equal(instance.compile('${environment.variables.name}'));
+    });
+
+    it('string without expression evaluates to the string', () => {
+      expect(Expressions().compile('PT1M').evaluate(context)).to.equal('PT1M');
+      expect(Expressions().compile('').evaluate(context)).to.equal('');
+    });
+
+    it('non-string evaluates to itself', () => {
+      expect(Expressions().compile(1).evaluate(context)).to.equal(1);
+      expect(Expressions().compile(undefined).evaluate(context)).to.be.undefined;
+    });
+
+    it('cache is bounded by cacheSize option', () => {
+      const instance = Expressions({ cacheSize: 2 });
+      const first = instance.compile('${environment.variables.name}');
+      instance.compile('${environment.variables.amount}');
+
+      expect(instance.compile('${environment.variables.name}'), 'recently used').to.equal(first);
+
+      instance.compile('${environment.variables.amount > 1}');
+      instance.compile('${environment.variables.amount > 2}');
+
+      const recompiled = instance.compile('${environment.variables.name}');
+      expect(recompiled, 'evicted').to.not.equal(first);
+      expect(recompiled.evaluate(context)).to.equal('pelle');
+    });
+
+    it('cacheSize 0 disables cache', () => {
+      const instance = Expressions({ cacheSize: 0 });
+      const compiled = instance.compile('${environment.variables.name}');
+      expect(instance.compile('${environment.variables.name}')).to.not.equal(compiled);
+      expect(compiled.evaluate(context)).to.equal('pelle');
+    });
+  });
+
+  describe('functions', () => {
+    const context = {
+      environment: {
+        variables: {
+          list: [1, 2, 3, 2],
+          name: ' Pelle ',
+          date: '2025-01-01T00:00:00Z',
+        },
+      },
+    };
+
+    it('standard functions are callable without prefix', () => {
+      expect(expressions.resolveExpression('${sum(environment.variables.list)}', context)).to.equal(8);
+      expect(expressions.resolveExpression('${upper(trim(environment.variables.name))}', context)).to.equal('PELLE');
+      expect(expressions.resolveExpression('${isEmpty(environment.variables.missing)}', context)).to.be.true;
+      expect(expressions.resolveExpression('${unknownFunction()}', context)).to.be.undefined;
+    });
+
+    it('date functions', () => {
+      expect(expressions.resolveExpression('${addDays(environment.variables.date, 2)}', context).toISOString()).to.equal(
+        '2025-01-03T00:00:00.000Z',
+      );
+      expect(expressions.resolveExpression('${addHours(environment.variables.date, -1)}', context).toISOString()).to.equal(
+        '2024-12-31T23:00:00.000Z',
+      );
+      expect(expressions.resolveExpression('${addMinutes(environment.variables.date, 90)}', context).toISOString()).to.equal(
+        '2025-01-01T01:30:00.000Z',
+      );
+      expect(expressions.resolveExpression('${daysBetween(environment.variables.date, "2025-02-01T00:00:00Z")}', context)).to.equal(31);
+      expect(expressions.resolveExpression('${date("not a date")}', context)).to.be.undefined;
+      expect(expressions.resolveExpression('${now() > addDays(now(), -1)}', context)).to.be.true;
+      expect(expressions.resolveExpression('${today().getHours()}', context)).to.equal(0);
+    });
+
+    it('string functions', () => {
+      expect(expressions.resolveExpression('${lower("ABC")}', context)).to.equal('abc');
+      expect(expressions.resolveExpression('${substring("abcdef", 1, 3)}', context)).to.equal('bc');
+      expect(expressions.resolveExpression('${startsWith("abc", "a") && endsWith("abc", "c")}', context)).to.be.true;
+      expect(expressions.resolveExpression('${contains(environment.variables.name, "ell")}', context)).to.be.true;
+      expect(expressions.resolveExpression('${replace("a-b-c", "-", "+")}', context)).to.equal('a+b+c');
+      expect(expressions.resolveExpression('${join(split("a,b", ","), ";")}', context)).to.equal('a;b');
+      expect(expressions.resolveExpression('${upper(environment.variables.missing)}', context)).to.be.undefined;
+    });
+
+    it('math functions', () => {
+      expect(expressions.resolveExpression('${abs(-1) + ceil(1.1) + floor(1.9)}', context)).to.equal(4);
+      expect(expressions.resolveExpression('${round(1.2345, 2)}', context)).to.equal(1.23);
+      expect(expressions.resolveExpression('${min(environment.variables.list)}', context)).to.equal(1);
+      expect(expressions.resolveExpression('${max(1, 5, 3)}', context)).to.equal(5);
+      expect(expressions.resolveExpression('${number("42")}', context)).to.equal(42);
+    });
+
+    it('collection functions', () => {
+      expect(expressions.resolveExpression('${count(environment.variables.list)}', context)).to.equal(4);
+      expect(expressions.resolveExpression('${avg(environment.variables.list)}', context)).to.equal(2);
+      expect(expressions.resolveExpression('${first(environment.variables.list)}', context)).to.equal(1);
+      expect(expressions.resolveExpression('${last(environment.variables.list)}', context)).to.equal(2);
+      expect(expressions.resolveExpression('${includes(environment.variables.list, 3)}', context)).to.be.true;
+      expect(expressions.resolveExpression('${distinct(environment.variables.list)}', context)).to.deep.equal([1, 2, 3]);
+      expect(expressions.resolveExpression('${isEmpty([]) && isEmpty({}) && !isEmpty("a")}', context)).to.be.true;
+    });
+
+    it('custom functions can be passed as option', () => {
+      const instance = Expressions({
+        functions: {
+          double(value) {
+            return value * 2;
+          },
+        },
+      });
+      expect(instance.resolveExpression('${double(sum(environment.variables.list))}', context)).to.equal(16);
+      expect(instance.functions).to.have.property('double').that.is.a('function');
+      expect(instance.functions).to.have.property('sum').that.is.a('function');
+    });
+
+    it('registerFunction() adds function, also to already compiled expressions', () => {
+      const instance = Expressions();
+      const compiled = instance.compile('${triple(2)}');
+      expect(compiled.evaluate(context)).to.be.undefined;
+
+      instance.registerFunction('triple', (value) => value * 3);
+
+      expect(compiled.evaluate(context)).to.equal(6);
+    });
+
+    it('registerFunction() overrides standard function', () => {
+      const instance = Expressions();
+      instance.registerFunction('now', () => 'then');
+      expect(instance.resolveExpression('${now()}', context)).to.equal('then');
+      expect(expressions.resolveExpression('${now()}', context)).to.be.instanceof(Date);
+    });
+
+    it('registerFunction() throws if not a function', () => {
+      expect(() => Expressions().registerFunction('fn', {})).to.throw(TypeError, /fn is not a function/);
+      expect(() => Expressions({ functions: { fn: 1 } })).to.throw(TypeError, /fn is not a function/);
+    });
+
+    it('function is called with passed arguments and function call context', () => {
+      const instance = Expressions({
+        functions: {
+          fn(...args) {
+            return [this, ...args];
+          },
+        },
+      });
+      const fnContext = {};
+      expect(instance.resolveExpression('${fn()}', context, fnContext)).to.deep.equal([fnContext]);
+      expect(instance.resolveExpression('${fn(1, "a")}', context, fnContext)).to.deep.equal([fnContext, 1, 'a']);
+    });
+
+    it('context property takes precedence over function', () => {
+      expect(expressions.resolveExpression('${count}', { count: 1 })).to.equal(1);
+      expect(
+        expressions.resolveExpression('${sum()}', {
+          sum() {
+            return 'context';
+          },
+        }),
+      ).to.equal('context');
+    });
+
+    it('function registry prototype is not addressable', () => {
+      expect(expressions.resolveExpression('${constructor}', context)).to.be.undefined;
+      expect(expressions.resolveExpression('${valueOf}', Object.create(null))).to.be.undefined;
+    });
+  });
+
   describe('isExpression(text)', () => {
     it('returns true if expression', () => {
       expect(expressions.isExpression('${input}')).to.be.true;
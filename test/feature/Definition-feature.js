@@ -678,6 +678,63 @@ Feature('Definition', () => {
       expect(api.content).to.have.property('status', 'completed');
     });
   });
+  Scenario('Re-run the tail of a failed run', () => {
+    const source = `
+    <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <process id="theProcess" isExecutable="true">
+        <startEvent id="start" />
+        <sequenceFlow id="to-prepare" sourceRef="start" targetRef="prepare" />
+        <scriptTask id="prepare" scriptFormat="javascript">
+          <script>next();</script>
+        </scriptTask>
+        <sequenceFlow id="to-submit" sourceRef="prepare" targetRef="submit" />
+        <scriptTask id="submit" scriptFormat="javascript">
+          <script>
+            if (!environment.variables.token) {
+              next(new Error('Unauthorized'));
+            } else {
+              environment.output.submitted = environment.variables.token;
+              next();
+            }
+          </script>
+        </scriptTask>
+        <sequenceFlow id="to-end" sourceRef="submit" targetRef="end" />
+        <endEvent id="end" />
+      </process>
+    </definitions>`;
+
+    let context, definition;
+    Given('a process that prepares and submits', async () => {
+      context = await testHelpers.context(source);
+    });
+
+    let runError;
+    When('run without token', async () => {
+      definition = new Definition(context);
+      try {
+        await definition.runAsync();
+      } catch (err) {
+        runError = err;
+      }
+    });
+
+    Then('run failed after prepare', () => {
+      expect(runError).to.match(/Unauthorized/);
+      expect(definition.getActivityById('prepare').counters).to.have.property('taken', 1);
+      expect(definition.getActivityById('submit').counters).to.have.property('taken', 0);
+    });
+
+    When('a new run starts at submit with token', async () => {
+      definition = new Definition(context.clone());
+      await definition.runAsync({ startAt: ['submit'], variables: { token: 'secret' } });
+    });
+
+    Then('only the tail is run', () => {
+      expect(definition.environment.output).to.deep.equal({ submitted: 'secret' });
+      expect(definition.getActivityById('prepare').counters).to.have.property('taken', 0);
+      expect(definition.getActivityById('end').counters).to.have.property('taken', 1);
+    });
+  });
 });
 
 function saveAllOutputToEnvironmentExtension(activity, { environment }) {
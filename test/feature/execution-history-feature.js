@@ -0,0 +1,82 @@
+import Definition from '../../src/definition/Definition.js';
+import testHelpers from '../helpers/testHelpers.js';
+import { VirtualTimers } from '../../src/Timers.js';
+
+Feature('Execution history', () => {
+  Scenario('What happened in this instance', () => {
+    const source = `
+    <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+      <process id="orderProcess" isExecutable="true">
+        <startEvent id="start" />
+        <sequenceFlow id="to-fork" sourceRef="start" targetRef="fork" />
+        <parallelGateway id="fork" />
+        <sequenceFlow id="to-pack" sourceRef="fork" targetRef="pack" />
+        <sequenceFlow id="to-charge" sourceRef="fork" targetRef="charge" />
+        <userTask id="pack" />
+        <serviceTask id="charge" implementation="\${environment.services.charge}" />
+        <boundaryEvent id="chargeFailed" attachedToRef="charge">
+          <errorEventDefinition />
+        </boundaryEvent>
+        <sequenceFlow id="to-refund" sourceRef="chargeFailed" targetRef="refund" />
+        <userTask id="refund" />
+      </process>
+    </definitions>`;
+
+    let context, definition, timers;
+    Given('a definition with a failing service task and history enabled', async () => {
+      timers = new VirtualTimers({ now: '2025-01-01T08:00:00Z' });
+      context = await testHelpers.context(source, { timers });
+      definition = new Definition(context, {
+        history: true,
+        services: {
+          charge(_, next) {
+            next(new Error('card declined'));
+          },
+        },
+      });
+    });
+
+    When('run', () => {
+      definition.run();
+    });
+
+    Then('the failed charge is found by state', () => {
+      const [error] = definition.history.getByState('error');
+      expect(error).to.have.property('id', 'charge');
+      expect(error.error).to.have.property('message', 'card declined');
+      expect(error.timestamp).to.deep.equal(new Date('2025-01-01T08:00:00Z'));
+    });
+
+    And('the refund path was taken', () => {
+      expect(definition.history.query({ id: 'to-refund' }).map(({ state }) => state)).to.deep.equal(['take']);
+      expect(definition.history.getActivityHistory('refund').map(({ state }) => state)).to.deep.equal(['enter', 'start', 'wait']);
+    });
+
+    let definitionState;
+    When('the definition is stopped an hour later and recovered from state', () => {
+      timers.advance(3600000);
+      definition.stop();
+      definitionState = JSON.parse(JSON.stringify(definition.getState()));
+      definition = new Definition(context.clone(), { history: true }).recover(definitionState);
+    });
+
+    And('resumed and the pack and refund tasks are signalled', () => {
+      definition.resume();
+      definition.signal({ id: 'pack' });
+      definition.signal({ id: 'refund', amount: 100 });
+    });
+
+    Then('the history contains records from before and after recover', () => {
+      expect(definition.history.getActivityHistory('pack').map(({ state }) => state)).to.deep.equal(['enter', 'start', 'wait', 'end']);
+      const [refundEnd] = definition.history.query({ id: 'refund', state: 'end' });
+      expect(refundEnd.output).to.have.property('amount', 100);
+    });
+
+    And('records after recover are found by time range', () => {
+      expect(definition.history.getByTimeRange('2025-01-01T09:00:00Z').map(({ id, state }) => `${id}.${state}`)).to.deep.equal([
+        'pack.end',
+        'refund.end',
+      ]);
+    });
+  });
+});
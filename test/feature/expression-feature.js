@@ -1,5 +1,6 @@
 import testHelpers from '../helpers/testHelpers.js';
 import Definition from '../../src/definition/Definition.js';
+import FeelExpressions from '../../src/FeelExpressions.js';
 import { resolveExpression } from '@aircall/expression-parser';
 
 Feature('expressions', () => {
@@ -38,4 +39,219 @@ Feature('expressions', () => {
       expect(err.content.error).to.match(/syntax/i);
     });
   });
+
+  Scenario('built-in expression operators', () => {
+    let context, definition;
+    Given('a process with exclusive gateway where sequence flow conditions use operators', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions id="operators-definition" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL"
+        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+        targetNamespace="http://bpmn.io/schema/bpmn">
+        <process id="my-process" isExecutable="true">
+          <startEvent id="start" />
+          <sequenceFlow id="to-gateway" sourceRef="start" targetRef="gateway" />
+          <exclusiveGateway id="gateway" default="to-auto-approve" />
+          <sequenceFlow id="to-manual-approve" sourceRef="gateway" targetRef="manual-approve">
+            <conditionExpression xsi:type="tFormalExpression">\${environment.variables.amount > 1000 &amp;&amp; !environment.variables.trusted}</conditionExpression>
+          </sequenceFlow>
+          <sequenceFlow id="to-auto-approve" sourceRef="gateway" targetRef="auto-approve" />
+          <endEvent id="manual-approve" />
+          <endEvent id="auto-approve" />
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    When('definition is ran with an amount above limit', () => {
+      definition = new Definition(context.clone(), { variables: { amount: 1001 } });
+      definition.run();
+    });
+
+    Then('flow with condition is taken', () => {
+      expect(definition.getActivityById('manual-approve').counters).to.have.property('taken', 1);
+      expect(definition.getActivityById('auto-approve').counters).to.have.property('discarded', 1);
+    });
+
+    When('definition is ran with a trusted amount above limit', () => {
+      definition = new Definition(context.clone(), { variables: { amount: 1001, trusted: true } });
+      definition.run();
+    });
+
+    Then('default flow is taken', () => {
+      expect(definition.getActivityById('manual-approve').counters).to.have.property('discarded', 1);
+      expect(definition.getActivityById('auto-approve').counters).to.have.property('taken', 1);
+    });
+  });
+  Scenario('expression functions', () => {
+    let context, definition;
+    Given('a process with a sub process where a sequence flow condition calls functions', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions id="functions-definition" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL"
+        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+        targetNamespace="http://bpmn.io/schema/bpmn">
+        <process id="my-process" isExecutable="true">
+          <subProcess id="sub-process">
+            <startEvent id="start" />
+            <sequenceFlow id="to-gateway" sourceRef="start" targetRef="gateway" />
+            <exclusiveGateway id="gateway" default="to-auto-approve" />
+            <sequenceFlow id="to-manual-approve" sourceRef="gateway" targetRef="manual-approve">
+              <conditionExpression xsi:type="tFormalExpression">\${sum(environment.variables.amounts) > 1000 &amp;&amp; !isTrusted(upper(environment.variables.customer))}</conditionExpression>
+            </sequenceFlow>
+            <sequenceFlow id="to-auto-approve" sourceRef="gateway" targetRef="auto-approve" />
+            <endEvent id="manual-approve" />
+            <endEvent id="auto-approve" />
+          </subProcess>
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    When('definition is ran with a custom function and amounts above limit', () => {
+      definition = new Definition(context.clone(), {
+        variables: { amounts: [500, 501], customer: 'pelle' },
+        functions: {
+          isTrusted(customer) {
+            return customer === 'KALLE';
+          },
+        },
+      });
+      definition.run();
+    });
+
+    Then('sub process flow with condition is taken', () => {
+      const [bp] = definition.getProcesses();
+      const subProcess = bp.getActivityById('sub-process');
+      expect(definition.isRunning).to.be.false;
+      expect(subProcess.execution.source.execution.getActivityById('manual-approve').counters).to.have.property('taken', 1);
+    });
+
+    When('definition is ran with a trusted customer', () => {
+      definition = new Definition(context.clone(), {
+        variables: { amounts: [500, 501], customer: 'kalle' },
+        functions: {
+          isTrusted(customer) {
+            return customer === 'KALLE';
+          },
+        },
+      });
+      definition.run();
+    });
+
+    Then('sub process default flow is taken', () => {
+      const [bp] = definition.getProcesses();
+      const subProcess = bp.getActivityById('sub-process');
+      expect(subProcess.execution.source.execution.getActivityById('auto-approve').counters).to.have.property('taken', 1);
+    });
+  });
+  Scenario('FEEL expressions', () => {
+    let context, definition;
+    Given('a process with FEEL sequence flow condition and FEEL timer duration', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions id="feel-definition" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL"
+        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+        targetNamespace="http://bpmn.io/schema/bpmn">
+        <process id="my-process" isExecutable="true">
+          <startEvent id="start" />
+          <sequenceFlow id="to-gateway" sourceRef="start" targetRef="gateway" />
+          <exclusiveGateway id="gateway" default="to-auto-approve" />
+          <sequenceFlow id="to-manual-approve" sourceRef="gateway" targetRef="manual-approve">
+            <conditionExpression xsi:type="tFormalExpression">=environment.variables.amount > 1000 and not(environment.variables.trusted = true)</conditionExpression>
+          </sequenceFlow>
+          <sequenceFlow id="to-auto-approve" sourceRef="gateway" targetRef="auto-approve" />
+          <intermediateCatchEvent id="manual-approve">
+            <timerEventDefinition>
+              <timeDuration xsi:type="tFormalExpression">=if environment.variables.amount > 10000 then "P1D" else "PT1H"</timeDuration>
+            </timerEventDefinition>
+          </intermediateCatchEvent>
+          <endEvent id="auto-approve" />
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    let timer;
+    When('definition is ran with FEEL expressions and an amount above limit', () => {
+      definition = new Definition(context.clone(), {
+        expressions: FeelExpressions(),
+        variables: { amount: 1001 },
+      });
+      timer = definition.waitFor('activity.timer');
+      definition.run();
+    });
+
+    Then('flow with condition is taken and timer duration is resolved', async () => {
+      const api = await timer;
+      expect(api.id).to.equal('manual-approve');
+      expect(api.content).to.have.property('timeDuration', 'PT1H');
+      definition.stop();
+    });
+
+    When('definition is ran with a trusted amount above limit', () => {
+      definition = new Definition(context.clone(), {
+        expressions: FeelExpressions(),
+        variables: { amount: 1001, trusted: true },
+      });
+      definition.run();
+    });
+
+    Then('default flow is taken', () => {
+      expect(definition.isRunning).to.be.false;
+      expect(definition.getActivityById('auto-approve').counters).to.have.property('taken', 1);
+    });
+  });
+
+  Scenario('FEEL condition language', () => {
+    let context, definition;
+    Given('a process with sequence flow condition with language feel', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions id="feel-language-definition" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL"
+        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+        targetNamespace="http://bpmn.io/schema/bpmn">
+        <process id="my-process" isExecutable="true">
+          <startEvent id="start" />
+          <sequenceFlow id="to-gateway" sourceRef="start" targetRef="gateway" />
+          <exclusiveGateway id="gateway" default="to-default" />
+          <sequenceFlow id="to-high" sourceRef="gateway" targetRef="high">
+            <conditionExpression xsi:type="tFormalExpression" language="feel">some item in environment.variables.items satisfies item.price > 1000</conditionExpression>
+          </sequenceFlow>
+          <sequenceFlow id="to-low" sourceRef="gateway" targetRef="low">
+            <conditionExpression xsi:type="tFormalExpression">\${environment.variables.items[0].price &lt; 10}</conditionExpression>
+          </sequenceFlow>
+          <sequenceFlow id="to-default" sourceRef="gateway" targetRef="default" />
+          <endEvent id="high" />
+          <endEvent id="low" />
+          <endEvent id="default" />
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    When('definition is ran with an item above limit', () => {
+      definition = new Definition(context.clone(), {
+        variables: { items: [{ price: 100 }, { price: 1001 }] },
+      });
+      definition.run();
+    });
+
+    Then('flow with FEEL condition is taken', () => {
+      expect(definition.getActivityById('high').counters).to.have.property('taken', 1);
+      expect(definition.getActivityById('low').counters).to.have.property('discarded', 1);
+    });
+
+    When('definition is ran with an item below limit', () => {
+      definition = new Definition(context.clone(), {
+        variables: { items: [{ price: 1 }] },
+      });
+      definition.run();
+    });
+
+    Then('flow with default expression condition is taken', () => {
+      expect(definition.getActivityById('high').counters).to.have.property('discarded', 1);
+      expect(definition.getActivityById('low').counters).to.have.property('taken', 1);
+    });
+  });
 });
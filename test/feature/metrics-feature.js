@@ -0,0 +1,114 @@
+import Definition from '../../src/definition/Definition.js';
+import testHelpers from '../helpers/testHelpers.js';
+import { MetricsCollector } from '../../src/Metrics.js';
+import { VirtualTimers } from '../../src/Timers.js';
+
+Feature('Metrics', () => {
+  Scenario('Dashboard of approval runs', () => {
+    const source = `
+    <definitions id="approvals" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <process id="approvalProcess" isExecutable="true">
+        <startEvent id="start" />
+        <sequenceFlow id="to-lookup" sourceRef="start" targetRef="lookup" />
+        <serviceTask id="lookup" implementation="\${environment.services.lookup}" />
+        <sequenceFlow id="to-approve" sourceRef="lookup" targetRef="approve" />
+        <userTask id="approve" />
+        <boundaryEvent id="expired" attachedToRef="approve">
+          <timerEventDefinition>
+            <timeDuration xsi:type="tFormalExpression">PT1H</timeDuration>
+          </timerEventDefinition>
+        </boundaryEvent>
+      </process>
+    </definitions>`;
+
+    let context, timers, metrics, lookups;
+    Given('a context and a metrics collector', async () => {
+      timers = new VirtualTimers({ now: '2025-01-01T08:00:00Z' });
+      context = await testHelpers.context(source, { timers });
+      metrics = new MetricsCollector();
+      lookups = [];
+    });
+
+    function run() {
+      const definition = new Definition(context.clone(), {
+        metrics,
+        services: {
+          lookup(_, next) {
+            lookups.push(next);
+          },
+        },
+      });
+      definition.run();
+      return definition;
+    }
+
+    let first, second, third;
+    When('three runs are started', () => {
+      first = run();
+      second = run();
+      third = run();
+    });
+
+    Then('three lookups are active', () => {
+      const lookup = metrics.getMetrics().activities.find(({ id }) => id === 'lookup');
+      expect(lookup).to.include({ executions: 3, active: 3 });
+    });
+
+    When('lookups respond after 300 milliseconds and one fails', () => {
+      timers.advance(300);
+      lookups.shift()();
+      lookups.shift()();
+      lookups.shift()(new Error('not found'));
+    });
+
+    Then('lookup errors and execution time are collected', () => {
+      const lookup = metrics.getMetrics().activities.find(({ id }) => id === 'lookup');
+      expect(lookup).to.include({ executions: 3, completed: 2, errors: 1, active: 0 });
+      expect(lookup.executionTime).to.include({ count: 3, sum: 900 });
+    });
+
+    And('the failed run has stopped', () => {
+      expect(third.isRunning).to.be.false;
+    });
+
+    When('the first approval is signalled after 10 minutes', () => {
+      timers.advance(600000);
+      first.signal({ id: 'approve' });
+    });
+
+    And('the second approval expires', () => {
+      timers.advance(3600000);
+    });
+
+    Then('approval wait time is collected for both approvals', () => {
+      const approve = metrics.getMetrics().activities.find(({ id }) => id === 'approve');
+      expect(approve).to.include({ executions: 2, completed: 1, discarded: 1, active: 0 });
+      expect(approve.waitTime).to.include({ count: 2, sum: 4200000 });
+    });
+
+    And('the expiry timer is counted', () => {
+      const expired = metrics.getMetrics().activities.find(({ id }) => id === 'expired');
+      expect(expired).to.include({ executions: 2, completed: 1, discarded: 1 });
+      expect(second.isRunning).to.be.false;
+    });
+
+    And('the metrics are exposed for the dashboard', () => {
+      const text = metrics.toPrometheus();
+      expect(text).to.contain(
+        'bpmn_definition_executions_total{definition_id="approvals",element_id="approvals",element_type="bpmn:Definitions"} 3',
+      );
+      expect(text).to.contain(
+        'bpmn_definition_errors_total{definition_id="approvals",element_id="approvals",element_type="bpmn:Definitions"} 1',
+      );
+      expect(text).to.contain(
+        'bpmn_activity_wait_duration_seconds_bucket{definition_id="approvals",element_id="approve",element_type="bpmn:UserTask",le="300"} 0',
+      );
+      expect(text).to.contain(
+        'bpmn_activity_wait_duration_seconds_bucket{definition_id="approvals",element_id="approve",element_type="bpmn:UserTask",le="3600"} 2',
+      );
+      expect(text).to.contain(
+        'bpmn_flow_taken_total{definition_id="approvals",element_id="to-approve",element_type="bpmn:SequenceFlow"} 2',
+      );
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import Definition from '../../src/definition/Definition.js';
+import testHelpers from '../helpers/testHelpers.js';
+import { CoverageCollector } from '../../src/Coverage.js';
+import { VirtualTimers } from '../../src/Timers.js';
+
+Feature('Model coverage', () => {
+  Scenario('Find paths never exercised by a test suite', () => {
+    const source = `
+    <definitions id="claims" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <process id="claimProcess" isExecutable="true">
+        <startEvent id="start" />
+        <sequenceFlow id="to-assess" sourceRef="start" targetRef="assess" />
+        <exclusiveGateway id="assess" default="to-manual" />
+        <sequenceFlow id="to-auto" sourceRef="assess" targetRef="pay">
+          <conditionExpression xsi:type="tFormalExpression">\${environment.variables.amount &lt; 100}</conditionExpression>
+        </sequenceFlow>
+        <sequenceFlow id="to-manual" sourceRef="assess" targetRef="review" />
+        <userTask id="review" />
+        <boundaryEvent id="reviewTimeout" attachedToRef="review">
+          <timerEventDefinition>
+            <timeDuration xsi:type="tFormalExpression">P1D</timeDuration>
+          </timerEventDefinition>
+        </boundaryEvent>
+        <sequenceFlow id="to-escalate" sourceRef="reviewTimeout" targetRef="escalate" />
+        <userTask id="escalate" />
+        <sequenceFlow id="from-review" sourceRef="review" targetRef="pay" />
+        <serviceTask id="pay" implementation="\${environment.services.pay}" />
+        <sequenceFlow id="to-end" sourceRef="pay" targetRef="end" />
+        <endEvent id="end" />
+      </process>
+    </definitions>`;
+
+    let context, coverage, timers;
+    Given('a context and a coverage collector', async () => {
+      timers = new VirtualTimers();
+      context = await testHelpers.context(source, { timers });
+      coverage = new CoverageCollector(context);
+    });
+
+    function run(variables) {
+      const definition = new Definition(context.clone(), {
+        coverage,
+        variables,
+        services: {
+          pay(_, next) {
+            next();
+          },
+        },
+      });
+      definition.run();
+      return definition;
+    }
+
+    When('a suite runs a small claim and a reviewed claim', () => {
+      run({ amount: 10 });
+      run({ amount: 1000 }).signal({ id: 'review' });
+    });
+
+    Then('both gateway branches are covered', () => {
+      expect(coverage.getCoverage().summary.gatewayBranches).to.deep.equal({ total: 2, covered: 2, percent: 100 });
+    });
+
+    And('the review timeout boundary event and escalation path were never exercised', () => {
+      const { activities, sequenceFlows, summary } = coverage.getCoverage();
+      expect(activities.filter(({ covered }) => !covered).map(({ id }) => id)).to.deep.equal(['reviewTimeout', 'escalate']);
+      expect(sequenceFlows.filter(({ covered }) => !covered).map(({ id }) => id)).to.deep.equal(['to-escalate']);
+      expect(summary.boundaryEvents).to.deep.equal({ total: 1, covered: 0, percent: 0 });
+    });
+
+    And('the text summary lists what is not covered', () => {
+      const text = coverage.toText();
+      expect(text).to.contain('Runs: 2');
+      expect(text).to.contain(
+        'Not covered:\n  activity reviewTimeout (bpmn:BoundaryEvent)\n  activity escalate (bpmn:UserTask)\n  flow to-escalate',
+      );
+    });
+
+    When('a scenario where the review times out is added', () => {
+      const definition = run({ amount: 1000 });
+      timers.advance(24 * 3600000);
+      definition.signal({ id: 'escalate' });
+    });
+
+    Then('all sequence flows and boundary events are covered', () => {
+      const { summary } = coverage.getCoverage();
+      expect(summary.sequenceFlows).to.include({ percent: 100 });
+      expect(summary.boundaryEvents).to.include({ percent: 100 });
+    });
+
+    And('the JSON coverage report can be written by CI', () => {
+      const report = JSON.parse(JSON.stringify(coverage));
+      expect(report).to.have.property('definitionId', 'claims');
+      expect(report).to.have.property('runs', 3);
+      expect(report.activities.find(({ id }) => id === 'escalate')).to.include({ taken: 1, covered: true });
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import Definition from '../../src/definition/Definition.js';
+import testHelpers from '../helpers/testHelpers.js';
+
+Feature('Process modification', () => {
+  Scenario('A process instance is stuck on the wrong branch', () => {
+    const source = `
+    <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <process id="theProcess" isExecutable="true">
+        <startEvent id="start" />
+        <sequenceFlow id="to-decision" sourceRef="start" targetRef="decision" />
+        <exclusiveGateway id="decision" default="to-manual" />
+        <sequenceFlow id="to-manual" sourceRef="decision" targetRef="manual" />
+        <sequenceFlow id="to-approve" sourceRef="decision" targetRef="approve">
+          <conditionExpression xsi:type="tFormalExpression">\${environment.variables.approved}</conditionExpression>
+        </sequenceFlow>
+        <userTask id="manual" />
+        <sequenceFlow id="from-manual" sourceRef="manual" targetRef="end" />
+        <userTask id="approve" />
+        <sequenceFlow id="from-approve" sourceRef="approve" targetRef="end" />
+        <endEvent id="end" />
+      </process>
+    </definitions>`;
+
+    let context, definition;
+    const audit = [];
+    Given('a process with an exclusive gateway', async () => {
+      context = await testHelpers.context(source);
+      definition = new Definition(context);
+      definition.on('process.modify', (api) => audit.push(api.content));
+    });
+
+    let wait;
+    When('run without the approved variable', () => {
+      wait = definition.waitFor('wait');
+      definition.run();
+    });
+
+    Then('the instance waits for the manual task', async () => {
+      const api = await wait;
+      expect(api.id).to.equal('manual');
+    });
+
+    let manualExecutionId;
+    When('the manual task is cancelled and the approve task is started with variables', () => {
+      manualExecutionId = definition.getPostponed()[0].executionId;
+      wait = definition.waitFor('wait');
+      definition.modify([{ cancel: 'manual' }, { startBefore: 'approve', variables: { approved: true } }]);
+    });
+
+    Then('the instance waits for the approve task', async () => {
+      const api = await wait;
+      expect(api.id).to.equal('approve');
+      expect(definition.getPostponed().map((a) => a.id)).to.deep.equal(['approve']);
+    });
+
+    And('the variables are assigned to the process environment', () => {
+      expect(definition.getProcesses()[0].environment.variables).to.have.property('approved', true);
+    });
+
+    And('the modification was recorded as an audit event', () => {
+      expect(audit).to.have.length(1);
+      expect(audit[0]).to.have.property('id', 'theProcess');
+      expect(audit[0].modifications).to.have.length(2);
+      expect(audit[0].modifications[0]).to.deep.equal({ cancel: 'manual', executionIds: [manualExecutionId] });
+      expect(audit[0].modifications[1]).to.have.property('startBefore', 'approve');
+      expect(audit[0].modifications[1].variables).to.deep.equal({ approved: true });
+    });
+
+    let state;
+    When('the definition is stopped and resumed from state', () => {
+      definition.stop();
+      state = JSON.parse(JSON.stringify(definition.getState()));
+      definition = new Definition(context.clone()).recover(state);
+      definition.resume();
+    });
+
+    Then('the resumed instance waits for the approve task', () => {
+      expect(definition.getPostponed().map((a) => a.id)).to.deep.equal(['approve']);
+    });
+
+    let end;
+    When('the approve task is signaled', () => {
+      end = definition.waitFor('leave');
+      definition.signal({ id: 'approve' });
+    });
+
+    Then('the run completes', () => {
+      return end;
+    });
+
+    And('the manual task was discarded and the approve task was taken', () => {
+      expect(definition.getActivityById('manual').counters).to.have.property('discarded', 1);
+      expect(definition.getActivityById('approve').counters).to.have.property('taken', 1);
+      expect(definition.getActivityById('end').counters).to.have.property('taken', 1);
+    });
+  });
+
+  Scenario('Cancelling a parallel branch lets the join continue', () => {
+    const source = `
+    <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+      <process id="theProcess" isExecutable="true">
+        <parallelGateway id="fork" />
+        <sequenceFlow id="to-task1" sourceRef="fork" targetRef="task1" />
+        <sequenceFlow id="to-task2" sourceRef="fork" targetRef="task2" />
+        <userTask id="task1" />
+        <userTask id="task2" />
+        <sequenceFlow id="from-task1" sourceRef="task1" targetRef="join" />
+        <sequenceFlow id="from-task2" sourceRef="task2" targetRef="join" />
+        <parallelGateway id="join" />
+        <sequenceFlow id="to-review" sourceRef="join" targetRef="review" />
+        <userTask id="review" />
+      </process>
+    </definitions>`;
+
+    let definition;
+    Given('a process with two parallel user tasks', async () => {
+      const context = await testHelpers.context(source);
+      definition = new Definition(context);
+    });
+
+    When('run', () => {
+      definition.run();
+    });
+
+    Then('both tasks are waiting', () => {
+      expect(definition.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'task2']);
+    });
+
+    When('the first task is signaled and the second task is cancelled', () => {
+      definition.signal({ id: 'task1' });
+      definition.modify([{ cancel: 'task2' }]);
+    });
+
+    Then('the join continues and the review task is waiting', () => {
+      expect(definition.getPostponed().map((a) => a.id)).to.deep.equal(['review']);
+    });
+
+    let end;
+    When('the review task is signaled', () => {
+      end = definition.waitFor('leave');
+      definition.signal({ id: 'review' });
+    });
+
+    Then('the run completes', () => {
+      return end;
+    });
+  });
+});
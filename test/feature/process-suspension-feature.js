@@ -0,0 +1,132 @@
+import Definition from '../../src/definition/Definition.js';
+import testHelpers from '../helpers/testHelpers.js';
+import { VirtualTimers } from '../../src/Timers.js';
+
+Feature('Process suspension', () => {
+  Scenario('One misbehaving process is suspended while another process continues', () => {
+    const source = `
+    <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <collaboration id="collaboration">
+        <participant id="orders" processRef="orderProcess" />
+        <participant id="invoices" processRef="invoiceProcess" />
+      </collaboration>
+      <process id="orderProcess" isExecutable="true">
+        <startEvent id="orderStart" />
+        <sequenceFlow id="to-reminder" sourceRef="orderStart" targetRef="reminder" />
+        <intermediateCatchEvent id="reminder">
+          <timerEventDefinition>
+            <timeDuration xsi:type="tFormalExpression">PT1H</timeDuration>
+          </timerEventDefinition>
+        </intermediateCatchEvent>
+        <sequenceFlow id="to-ship" sourceRef="reminder" targetRef="ship" />
+        <userTask id="ship" />
+      </process>
+      <process id="invoiceProcess" isExecutable="true">
+        <startEvent id="invoiceStart" />
+        <sequenceFlow id="to-approve" sourceRef="invoiceStart" targetRef="approve" />
+        <userTask id="approve" />
+      </process>
+    </definitions>`;
+
+    let context, definition, timers;
+    Given('a definition with two processes, one waiting for a timer', async () => {
+      timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      context = await testHelpers.context(source, { timers });
+      definition = new Definition(context);
+    });
+
+    When('run', () => {
+      definition.run();
+    });
+
+    Then('both processes are waiting', () => {
+      expect(definition.getPostponed().map((api) => api.id)).to.deep.equal(['reminder', 'approve']);
+    });
+
+    let orderProcess;
+    When('the order process is suspended twenty minutes later', () => {
+      timers.advance(20 * 60000);
+      orderProcess = definition.getProcessById('orderProcess');
+      orderProcess.suspend();
+    });
+
+    Then('the order process is suspended', () => {
+      expect(orderProcess.status).to.equal('suspended');
+      expect(orderProcess.isRunning).to.be.false;
+    });
+
+    And('the reminder timer is held with remaining time', () => {
+      const [reminder] = definition.getTimers();
+      expect(reminder.content).to.have.property('remaining', 40 * 60000);
+    });
+
+    And('the definition is still running', () => {
+      expect(definition.isRunning).to.be.true;
+    });
+
+    When('time passes beyond the reminder timer', () => {
+      timers.advance(2 * 3600000);
+    });
+
+    Then('the reminder timer has not fired', () => {
+      expect(definition.getActivityById('reminder').counters).to.have.property('taken', 0);
+    });
+
+    When('the invoice is approved', () => {
+      definition.signal({ id: 'approve' });
+    });
+
+    Then('the invoice process completes', () => {
+      expect(definition.getProcessById('invoiceProcess').counters).to.have.property('completed', 1);
+    });
+
+    And('the definition is still running', () => {
+      expect(definition.isRunning).to.be.true;
+    });
+
+    let state;
+    When('the definition is stopped and recovered from state', () => {
+      definition.stop();
+      state = JSON.parse(JSON.stringify(definition.getState()));
+      definition = new Definition(context.clone()).recover(state);
+    });
+
+    And('resumed', () => {
+      definition.resume();
+    });
+
+    Then('the order process is still suspended', () => {
+      orderProcess = definition.getProcessById('orderProcess');
+      expect(orderProcess.status).to.equal('suspended');
+      expect(orderProcess.isRunning).to.be.false;
+    });
+
+    When('the order process is unsuspended through the process api', () => {
+      orderProcess.getApi().unsuspend();
+    });
+
+    Then('the reminder timer expires after the remaining time', () => {
+      const [reminder] = definition.getTimers();
+      expect(reminder.content).to.have.property('timeout', 40 * 60000);
+      expect(reminder.content.expireAt).to.deep.equal(new Date('2025-01-01T03:00:00Z'));
+    });
+
+    let end;
+    When('the remaining time has passed', () => {
+      end = definition.waitFor('leave');
+      timers.advance(40 * 60000);
+    });
+
+    Then('the ship task is waiting', () => {
+      expect(definition.getPostponed().map((api) => api.id)).to.deep.equal(['ship']);
+    });
+
+    When('the ship task is signalled', () => {
+      definition.signal({ id: 'ship' });
+    });
+
+    Then('the definition completes', () => {
+      return end;
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import Definition from '../../src/definition/Definition.js';
 import testHelpers from '../helpers/testHelpers.js';
+import { JavaScriptScripts } from '../../src/JavaScriptScripts.js';
 
 class Scripts {
   register({ behaviour }) {
@@ -69,4 +70,130 @@ Feature('Script', () => {
       expect(err.content.error.message).to.equal('Script format python is unsupported or was not registered for <task>');
     });
   });
+
+  Scenario('Built-in JavaScript scripts', () => {
+    let context, definition;
+
+    Given(
+      'a process with a script task, a javascript flow condition, and a never ending script task with a boundary error event',
+      async () => {
+        const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions id="script-definition" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+        <process id="my-process" isExecutable="true">
+          <scriptTask id="task" scriptFormat="javascript">
+            <script>next(null, environment.variables.input * 2);</script>
+          </scriptTask>
+          <sequenceFlow id="to-gateway" sourceRef="task" targetRef="gateway" />
+          <exclusiveGateway id="gateway" default="to-end" />
+          <sequenceFlow id="to-loop" sourceRef="gateway" targetRef="loop">
+            <conditionExpression xsi:type="tFormalExpression" language="js">next(null, environment.variables.input > 1)</conditionExpression>
+          </sequenceFlow>
+          <sequenceFlow id="to-end" sourceRef="gateway" targetRef="end" />
+          <scriptTask id="loop" scriptFormat="js">
+            <script>while (true) {}</script>
+          </scriptTask>
+          <boundaryEvent id="catch" attachedToRef="loop">
+            <errorEventDefinition />
+          </boundaryEvent>
+          <endEvent id="end" />
+        </process>
+      </definitions>`;
+
+        context = await testHelpers.context(source);
+      },
+    );
+
+    let end;
+    When('definition is ran with javascript scripts and a script timeout', () => {
+      definition = new Definition(context, {
+        scripts: new JavaScriptScripts({ timeout: 50 }),
+        variables: { input: 2 },
+      });
+      end = definition.waitFor('leave');
+      definition.run();
+    });
+
+    Then('run completes', () => end);
+
+    And('script task and flow condition were executed', () => {
+      expect(definition.getActivityById('task').counters).to.have.property('taken', 1);
+      expect(definition.getActivityById('end').counters).to.have.property('discarded', 1);
+    });
+
+    And('never ending script was stopped by timeout and caught by boundary event', () => {
+      expect(definition.getActivityById('loop').counters).to.have.property('taken', 0);
+      expect(definition.getActivityById('catch').counters).to.have.property('taken', 1);
+    });
+  });
+
+  Scenario('Async scripts', () => {
+    let context, definition;
+
+    Given('a process with async script task, async flow condition, and a script task throwing a BPMN error', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions id="script-definition" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+        <process id="my-process" isExecutable="true">
+          <scriptTask id="task" scriptFormat="javascript">
+            <script>
+              const user = await environment.getServiceByName('getUser')(environment.variables.userId);
+              environment.output.user = user;
+              return user;
+            </script>
+          </scriptTask>
+          <sequenceFlow id="to-gateway" sourceRef="task" targetRef="gateway" />
+          <exclusiveGateway id="gateway" default="to-end" />
+          <sequenceFlow id="to-lookup" sourceRef="gateway" targetRef="lookup">
+            <conditionExpression xsi:type="tFormalExpression" language="js">
+              return (await environment.getServiceByName('getUser')(environment.variables.userId)).active;
+            </conditionExpression>
+          </sequenceFlow>
+          <sequenceFlow id="to-end" sourceRef="gateway" targetRef="end" />
+          <scriptTask id="lookup" scriptFormat="js">
+            <script>
+              await environment.getServiceByName('getUser')(2);
+              throw new BpmnError('Not found', { errorCode: '404' });
+            </script>
+          </scriptTask>
+          <boundaryEvent id="catch" attachedToRef="lookup">
+            <errorEventDefinition errorRef="NotFound" />
+          </boundaryEvent>
+          <endEvent id="end" />
+        </process>
+        <error id="NotFound" errorCode="404" />
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    let leave;
+    When('definition is ran with javascript scripts', () => {
+      definition = new Definition(context, {
+        scripts: new JavaScriptScripts(),
+        variables: { userId: 1 },
+        services: {
+          getUser(id) {
+            return new Promise((resolve) => setImmediate(resolve, id === 1 ? { id, active: true } : undefined));
+          },
+        },
+      });
+      leave = definition.waitFor('leave');
+      definition.run();
+    });
+
+    Then('run completes', () => leave);
+
+    And('async script task completed with resolved value', () => {
+      expect(definition.environment.output).to.deep.equal({ user: { id: 1, active: true } });
+      expect(definition.getActivityById('task').counters).to.have.property('taken', 1);
+    });
+
+    And('async flow condition was taken', () => {
+      expect(definition.getActivityById('end').counters).to.have.property('discarded', 1);
+    });
+
+    And('thrown BPMN error was caught by boundary event', () => {
+      expect(definition.getActivityById('lookup').counters).to.have.property('taken', 0);
+      expect(definition.getActivityById('catch').counters).to.have.property('taken', 1);
+    });
+  });
 });
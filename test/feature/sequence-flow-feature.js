@@ -291,4 +291,61 @@ Feature('Sequence flow', () => {
       expect(messages[2].content.inbound[0]).to.have.property('properties').that.deep.equal({ prop2: '2' });
     });
   });
+  Scenario('condition language registry', () => {
+    const conditionSource = `
+    <definitions id="Def_1" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <process id="Process_1" isExecutable="true">
+        <startEvent id="start" />
+        <sequenceFlow id="to-gateway" sourceRef="start" targetRef="gateway" />
+        <exclusiveGateway id="gateway" default="to-default" />
+        <sequenceFlow id="to-vip" sourceRef="gateway" targetRef="vip">
+          <conditionExpression xsi:type="tFormalExpression" language="flag">vip</conditionExpression>
+        </sequenceFlow>
+        <sequenceFlow id="to-default" sourceRef="gateway" targetRef="default" />
+        <endEvent id="vip" />
+        <endEvent id="default" />
+      </process>
+    </definitions>`;
+
+    let context, definition;
+    Given('a sequence flow condition with a custom condition language', async () => {
+      context = await testHelpers.context(conditionSource);
+    });
+
+    When('definition is ran without the language registered', () => {
+      definition = new Definition(context.clone());
+    });
+
+    let errored;
+    Then('run fails with activity error', async () => {
+      errored = definition.waitFor('error');
+      definition.run();
+      const err = await errored;
+      expect(err.content.error).to.have.property('type', 'ActivityError');
+      expect(err.content.error.message).to.match(/language flag is unsupported or was not registered/);
+    });
+
+    When('definition is ran with the condition language registered', () => {
+      definition = new Definition(context.clone(), {
+        variables: { vip: true },
+        conditionLanguages: {
+          flag(flow, { body }) {
+            return {
+              type: 'flag',
+              execute(message, callback) {
+                return callback(null, !!flow.environment.variables[body]);
+              },
+            };
+          },
+        },
+      });
+      definition.run();
+    });
+
+    Then('flow with condition is taken', () => {
+      expect(definition.isRunning).to.be.false;
+      expect(definition.getActivityById('vip').counters).to.have.property('taken', 1);
+      expect(definition.getActivityById('default').counters).to.have.property('discarded', 1);
+    });
+  });
 });
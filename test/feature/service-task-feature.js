@@ -1,5 +1,7 @@
 import Definition from '../../src/definition/Definition.js';
 import testHelpers from '../helpers/testHelpers.js';
+import { VirtualTimers } from '../../src/Timers.js';
+import { MemoryTimerStore } from '../../src/TimerStore.js';
 
 Feature('Service task', () => {
   Scenario('Recover and resume mid execution', () => {
@@ -56,4 +58,295 @@ Feature('Service task', () => {
       return end;
     });
   });
+
+  Scenario('Async services', () => {
+    let context, definition;
+    Given('a process with two service tasks where the second has an error boundary event', async () => {
+      const source = `
+      <definitions id="Def_1" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+        <process id="Process_1" isExecutable="true">
+          <serviceTask id="getUser" implementation="\${environment.services.getUser}" />
+          <sequenceFlow id="to-getOrders" sourceRef="getUser" targetRef="getOrders" />
+          <serviceTask id="getOrders" implementation="\${environment.services.getOrders}" />
+          <boundaryEvent id="notFound" attachedToRef="getOrders">
+            <errorEventDefinition errorRef="NotFound" />
+          </boundaryEvent>
+        </process>
+        <error id="NotFound" errorCode="404" />
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    let leave;
+    When('definition is ran with async services', () => {
+      definition = new Definition(context, {
+        services: {
+          async getUser() {
+            await new Promise((resolve) => setImmediate(resolve));
+            return { id: 1 };
+          },
+          async getOrders({ BpmnError }) {
+            await new Promise((resolve) => setImmediate(resolve));
+            throw new BpmnError('Orders not found', { errorCode: '404' });
+          },
+        },
+        extensions: {
+          saveOutput(activity) {
+            if (activity.type !== 'bpmn:ServiceTask') return;
+            return {
+              activate() {
+                activity.on('end', (api) => {
+                  activity.environment.output[activity.id] = api.content.output;
+                });
+              },
+              deactivate() {},
+            };
+          },
+        },
+      });
+      leave = definition.waitFor('leave');
+      definition.run();
+    });
+
+    Then('run completes', () => leave);
+
+    And('resolved value is service task output', () => {
+      expect(definition.environment.output).to.deep.equal({ getUser: [{ id: 1 }] });
+    });
+
+    And('rejected BPMN error was caught by boundary event', () => {
+      expect(definition.getActivityById('getOrders').counters).to.have.property('discarded', 1);
+      expect(definition.getActivityById('notFound').counters).to.have.property('taken', 1);
+    });
+  });
+
+  Scenario('Retry failing service', () => {
+    let context, definition;
+    Given('a process with a service task', async () => {
+      const source = `
+      <definitions id="Def_1" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="Process_1" isExecutable="true">
+          <serviceTask id="service" implementation="\${environment.services.flaky}" />
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    let calls;
+    const options = {
+      settings: { retry: { maxAttempts: 3, delay: 60000, backoff: 'exponential' } },
+      services: {
+        flaky(executionContext, callback) {
+          calls.push(executionContext.content.retry?.attempt);
+          if (calls.length < 3) return callback(new Error('Service unavailable'));
+          callback(null, 'done');
+        },
+      },
+    };
+
+    let retried;
+    When('definition is ran with a global retry policy and the service fails', () => {
+      calls = [];
+      definition = new Definition(context.clone(), options);
+      retried = definition.waitFor('activity.retry');
+      definition.run();
+    });
+
+    Then('retry is published', async () => {
+      const api = await retried;
+      expect(api.content.retry).to.include({ attempt: 2, delay: 60000 });
+      expect(api.content.error).to.have.property('message', 'Service unavailable');
+    });
+
+    And('retry is waiting for a timer', () => {
+      expect(definition.environment.timers.executing).to.have.length(1);
+    });
+
+    let state;
+    Given('definition is stopped and state is saved', () => {
+      definition.stop();
+      state = JSON.parse(JSON.stringify(definition.getState()));
+      expect(definition.environment.timers.executing).to.have.length(0);
+    });
+
+    When('definition is recovered and resumed', () => {
+      definition = new Definition(context.clone(), options).recover(state);
+      retried = definition.waitFor('activity.retry');
+      definition.resume();
+    });
+
+    Then('retry timer is resumed', () => {
+      const [timer] = definition.environment.timers.executing;
+      expect(timer).to.have.property('owner').with.property('retry').with.property('attempt', 2);
+    });
+
+    When('retry timer times out', () => {
+      const [timer] = definition.environment.timers.executing;
+      definition.environment.timers.clearTimeout(timer);
+      timer.callback();
+    });
+
+    Then('next retry is published with exponential delay', async () => {
+      const api = await retried;
+      expect(api.content.retry).to.include({ attempt: 3, delay: 120000 });
+    });
+
+    let leave;
+    When('last retry timer times out', () => {
+      leave = definition.waitFor('leave');
+      const [timer] = definition.environment.timers.executing;
+      definition.environment.timers.clearTimeout(timer);
+      timer.callback();
+    });
+
+    Then('definition completes', () => leave);
+
+    And('service was called once per attempt', () => {
+      expect(calls).to.deep.equal([undefined, 2, 3]);
+    });
+  });
+
+  Scenario('Retry timer is kept in timer store when stopped', () => {
+    let context, definition, store, timers;
+    Given('a process with a failing service task and timers with a timer store', async () => {
+      const source = `
+      <definitions id="Def_1" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="Process_1" isExecutable="true">
+          <serviceTask id="service" implementation="\${environment.services.flaky}" />
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+      store = new MemoryTimerStore();
+      timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z', store });
+    });
+
+    let calls;
+    const options = {
+      settings: { retry: { maxAttempts: 2, delay: 60000 } },
+      services: {
+        flaky(_, callback) {
+          if (++calls < 2) return callback(new Error('Service unavailable'));
+          callback(null, 'done');
+        },
+      },
+    };
+
+    When('definition is ran and the service fails', () => {
+      calls = 0;
+      definition = new Definition(context.clone(), { ...options, timers });
+      definition.run();
+    });
+
+    Then('retry timer is stored', () => {
+      expect(store.list()).to.deep.equal([
+        {
+          definitionId: 'Def_1',
+          executionId: definition.executionId,
+          activityId: 'service',
+          timerExecutionId: definition.getPostponed()[0].content.executionId,
+          expireAt: new Date('2025-01-01T00:01:00Z'),
+        },
+      ]);
+    });
+
+    let state;
+    Given('definition is stopped and state is saved', () => {
+      definition.stop();
+      state = JSON.parse(JSON.stringify(definition.getState()));
+    });
+
+    Then('retry timer is kept in store', () => {
+      expect(store.getDue('2025-01-01T00:01:00Z')).to.have.length(1);
+    });
+
+    let leave;
+    When('definition is recovered and resumed when retry is due', () => {
+      timers.advanceTo('2025-01-01T00:01:00Z');
+      definition = new Definition(context.clone(), { ...options, timers }).recover(state);
+      leave = definition.waitFor('leave');
+      definition.resume();
+    });
+
+    And('expired retry timer fires', () => {
+      expect(timers.advance(0)).to.equal(1);
+    });
+
+    Then('definition completes', () => leave);
+
+    And('timer store is empty', () => {
+      expect(store.size).to.equal(0);
+    });
+  });
+
+  Scenario('Service call times out', () => {
+    let context, definition;
+    Given('a process with a service task with an error boundary event catching timeouts', async () => {
+      const source = `
+      <definitions id="Def_1" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <process id="Process_1" isExecutable="true">
+          <serviceTask id="service" implementation="\${environment.services.hang}" />
+          <boundaryEvent id="catchTimeout" attachedToRef="service">
+            <errorEventDefinition errorRef="Timeout" />
+          </boundaryEvent>
+          <sequenceFlow id="to-end" sourceRef="service" targetRef="end" />
+          <sequenceFlow id="to-fallback" sourceRef="catchTimeout" targetRef="fallback" />
+          <endEvent id="end" />
+          <endEvent id="fallback" />
+        </process>
+        <error id="Timeout" errorCode="ERR_SERVICE_TIMEOUT" />
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    let signal;
+    const options = {
+      extensions: {
+        timeout(activity) {
+          if (activity.type === 'bpmn:ServiceTask') activity.behaviour.timeout = 60000;
+        },
+      },
+      services: {
+        hang(executionContext) {
+          signal = executionContext.signal;
+        },
+      },
+    };
+
+    When('definition is ran with a service call timeout and the service hangs', () => {
+      definition = new Definition(context.clone(), options);
+      definition.run();
+    });
+
+    Then('service is waiting for a timeout timer', () => {
+      const [timer] = definition.environment.timers.executing;
+      expect(timer).to.have.property('delay', 60000);
+      expect(timer).to.have.property('owner').with.property('id', 'service');
+      expect(timer).to.have.property('scope').that.deep.equal({ definitionId: 'Def_1', executionId: definition.executionId });
+    });
+
+    let leave;
+    When('timeout expires', () => {
+      leave = definition.waitFor('leave');
+      const [timer] = definition.environment.timers.executing;
+      definition.environment.timers.clearTimeout(timer);
+      timer.callback();
+    });
+
+    Then('definition completes', () => leave);
+
+    And('timeout was caught by error boundary event', () => {
+      expect(definition.getActivityById('service').counters).to.deep.equal({ taken: 0, discarded: 1 });
+      expect(definition.getActivityById('fallback').counters).to.have.property('taken', 1);
+      expect(definition.getActivityById('end').counters).to.have.property('taken', 0);
+    });
+
+    And('service call was aborted', () => {
+      expect(signal.aborted).to.be.true;
+      expect(signal.reason).to.have.property('code', 'ERR_SERVICE_TIMEOUT');
+    });
+  });
 });
@@ -6,6 +6,8 @@ import CamundaExtension from '../resources/extensions/CamundaExtension.js';
 import { resolveExpression } from '@aircall/expression-parser';
 import { RunError } from '../../src/error/Errors.js';
 import TimerEventDefinition from '../../src/eventDefinitions/TimerEventDefinition.js';
+import { Timers as BuiltinTimers, VirtualTimers } from '../../src/Timers.js';
+import { MemoryTimerStore } from '../../src/TimerStore.js';
 
 const extensions = {
   camunda: CamundaExtension,
@@ -1273,6 +1275,627 @@ Feature('Timers', () => {
     });
   });
 
+  Scenario('timer delay exceeds max setTimeout delay', () => {
+    before(ck.reset);
+
+    let context, definition;
+    const scheduled = [];
+    Given('a user task with a bound timer of thirty days', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL"
+        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+        id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+        <process id="Process_0" isExecutable="true">
+          <userTask id="task" />
+          <boundaryEvent id="bound-timer" attachedToRef="task">
+            <timerEventDefinition>
+              <timeDuration xsi:type="tFormalExpression">P30D</timeDuration>
+            </timerEventDefinition>
+          </boundaryEvent>
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+      definition = new Definition(context, {
+        timers: new BuiltinTimers({
+          setTimeout(callback, delay, ...args) {
+            const ref = { callback, delay, args };
+            scheduled.push(ref);
+            return ref;
+          },
+          clearTimeout(ref) {
+            const idx = scheduled.indexOf(ref);
+            if (idx > -1) scheduled.splice(idx, 1);
+          },
+        }),
+      });
+    });
+
+    let timer;
+    When('definition is ran', () => {
+      ck.freeze(2023, 4, 23);
+      definition.run();
+    });
+
+    Then('bound timer is started with the full delay', () => {
+      [timer] = definition.environment.timers.executing;
+      expect(timer.owner).to.have.property('id', 'bound-timer');
+      expect(timer.delay).to.equal(30 * 24 * 3600 * 1000);
+      expect(timer.expireAt).to.deep.equal(new Date(2023, 5, 22));
+    });
+
+    And('the underlying timeout fits into a 32-bit signed integer', () => {
+      expect(scheduled).to.have.length(1);
+      expect(scheduled[0].delay).to.equal(2147483647);
+    });
+
+    When('the underlying timeout elapses', () => {
+      ck.travel(Date.now() + 2147483647);
+      const ref = scheduled.shift();
+      ref.callback(...ref.args);
+    });
+
+    Then('bound timer is still running with the same reference', () => {
+      expect(definition.environment.timers.executing).to.deep.equal([timer]);
+      expect(timer.remaining).to.equal(timer.expireAt - Date.now());
+      expect(definition.getActivityById('bound-timer').counters).to.have.property('taken', 0);
+    });
+
+    let end;
+    When('the chained timeout elapses at expire time', () => {
+      end = definition.waitFor('leave');
+      ck.travel(timer.expireAt);
+      const ref = scheduled.shift();
+      ref.callback(...ref.args);
+    });
+
+    Then('run completes', () => end);
+
+    And('bound timer was taken', () => {
+      expect(definition.getActivityById('bound-timer').counters).to.have.property('taken', 1);
+      expect(definition.getActivityById('task').counters).to.have.property('discarded', 1);
+    });
+  });
+
+  Scenario('stepping a 90-day SLA with virtual timers', () => {
+    let context, definition, timers;
+    Given('a case with reminders every thirty days and escalation after ninety days', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL"
+        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+        id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+        <process id="Process_0" isExecutable="true">
+          <userTask id="handle-case" />
+          <boundaryEvent id="reminder" attachedToRef="handle-case" cancelActivity="false">
+            <timerEventDefinition>
+              <timeCycle xsi:type="tFormalExpression">R3/P30D</timeCycle>
+            </timerEventDefinition>
+          </boundaryEvent>
+          <boundaryEvent id="escalation" attachedToRef="handle-case">
+            <timerEventDefinition>
+              <timeDuration xsi:type="tFormalExpression">P90DT1M</timeDuration>
+            </timerEventDefinition>
+          </boundaryEvent>
+          <sequenceFlow id="to-escalated" sourceRef="escalation" targetRef="escalated" />
+          <endEvent id="escalated" />
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+      timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      definition = new Definition(context, { timers });
+    });
+
+    const reminders = [];
+    When('definition is ran', () => {
+      definition.on('activity.timeout', (api) => {
+        if (api.id === 'reminder') reminders.push(api.content.stoppedAt.toISOString());
+      });
+      definition.run();
+    });
+
+    Then('timers expire according to virtual clock', () => {
+      const expireAt = timers.executing.map((t) => [t.owner.id, t.expireAt.toISOString()]).sort();
+      expect(expireAt).to.deep.equal([
+        ['escalation', '2025-04-01T00:01:00.000Z'],
+        ['reminder', '2025-01-31T00:00:00.000Z'],
+      ]);
+    });
+
+    When('clock is advanced thirty days', () => {
+      timers.advance(30 * 24 * 3600 * 1000);
+    });
+
+    Then('first reminder is sent at virtual time', () => {
+      expect(reminders).to.deep.equal(['2025-01-31T00:00:00.000Z']);
+      expect(definition.getActivityById('handle-case').status).to.equal('executing');
+    });
+
+    let end;
+    When('clock is advanced to ninety days and one minute', () => {
+      end = definition.waitFor('leave');
+      timers.advanceTo('2025-04-01T00:01:00Z');
+    });
+
+    Then('case is escalated', () => end);
+
+    And('all reminders were sent at virtual time', () => {
+      expect(reminders).to.deep.equal(['2025-01-31T00:00:00.000Z', '2025-03-02T00:00:00.000Z', '2025-04-01T00:00:00.000Z']);
+      expect(definition.getActivityById('escalated').counters).to.have.property('taken', 1);
+    });
+
+    And('no timers are left', () => {
+      expect(timers.executing).to.have.length(0);
+      expect(timers.runAll()).to.equal(0);
+    });
+  });
+
+  Scenario('cron time cycles', () => {
+    let context, definition, timers;
+    Given('a process started by cron on week days with a user task reminded by cron every weekday morning', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL"
+        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+        id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+        <process id="Process_0" isExecutable="true">
+          <startEvent id="start">
+            <timerEventDefinition>
+              <timeCycle xsi:type="tFormalExpression">0 8 * * MON-FRI</timeCycle>
+            </timerEventDefinition>
+          </startEvent>
+          <sequenceFlow id="to-wait" sourceRef="start" targetRef="wait" />
+          <intermediateCatchEvent id="wait">
+            <timerEventDefinition>
+              <timeCycle xsi:type="tFormalExpression">30 0 9 * * *</timeCycle>
+            </timerEventDefinition>
+          </intermediateCatchEvent>
+          <sequenceFlow id="to-task" sourceRef="wait" targetRef="task" />
+          <userTask id="task" />
+          <boundaryEvent id="reminder" attachedToRef="task" cancelActivity="false">
+            <timerEventDefinition>
+              <timeCycle xsi:type="tFormalExpression">0 7 * * 1-5</timeCycle>
+            </timerEventDefinition>
+          </boundaryEvent>
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+      timers = new VirtualTimers({ now: new Date(2025, 0, 3, 9, 0) });
+      definition = new Definition(context, { timers });
+    });
+
+    When('definition is ran on a friday morning', () => {
+      definition.run();
+    });
+
+    Then('start event waits until monday morning', () => {
+      const [timer] = timers.executing;
+      expect(timer.owner).to.have.property('id', 'start');
+      expect(timer.expireAt).to.deep.equal(new Date(2025, 0, 6, 8, 0));
+    });
+
+    When('clock is advanced to monday morning', () => {
+      timers.advanceTo(new Date(2025, 0, 6, 8, 0));
+    });
+
+    Then('intermediate catch event waits until the 30th second past nine', () => {
+      const [timer] = timers.executing;
+      expect(timer.owner).to.have.property('id', 'wait');
+      expect(timer.expireAt).to.deep.equal(new Date(2025, 0, 6, 9, 0, 30));
+    });
+
+    const reminders = [];
+    When('clock is advanced a week', () => {
+      definition.on('activity.timeout', (api) => {
+        if (api.id === 'reminder') reminders.push(api.content.expireAt);
+      });
+      timers.advanceTo(new Date(2025, 0, 13, 7, 0));
+    });
+
+    Then('user task is reminded every week day morning', () => {
+      expect(reminders).to.deep.equal([
+        new Date(2025, 0, 7, 7, 0),
+        new Date(2025, 0, 8, 7, 0),
+        new Date(2025, 0, 9, 7, 0),
+        new Date(2025, 0, 10, 7, 0),
+        new Date(2025, 0, 13, 7, 0),
+      ]);
+    });
+
+    And('next reminder is scheduled to tuesday', () => {
+      const [timer] = timers.executing;
+      expect(timer.owner).to.have.property('id', 'reminder');
+      expect(timer.expireAt).to.deep.equal(new Date(2025, 0, 14, 7, 0));
+    });
+
+    When('user task is signaled', () => {
+      definition.signal({ id: 'task' });
+    });
+
+    Then('run completes', () => {
+      expect(definition.counters).to.have.property('completed', 1);
+      expect(timers.executing).to.have.length(0);
+    });
+  });
+
+  Scenario('approval deadline in business days', () => {
+    let context, definition, timers;
+    Given('an approval with a three day deadline', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL"
+        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+        id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+        <process id="Process_0" isExecutable="true">
+          <userTask id="approve" />
+          <boundaryEvent id="deadline" attachedToRef="approve">
+            <timerEventDefinition>
+              <timeDuration xsi:type="tFormalExpression">P3D</timeDuration>
+            </timerEventDefinition>
+          </boundaryEvent>
+          <sequenceFlow id="to-expired" sourceRef="deadline" targetRef="expired" />
+          <endEvent id="expired" />
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    And('a business calendar with monday as holiday', () => {
+      timers = new VirtualTimers({ now: new Date(2025, 0, 3, 15, 0) });
+      definition = new Definition(context, {
+        timers,
+        businessCalendar: { holidays: ['2025-01-06'] },
+        settings: { businessCalendar: true },
+      });
+    });
+
+    When('definition is ran on a friday afternoon', () => {
+      definition.run();
+    });
+
+    Then('deadline expires on thursday afternoon', () => {
+      const [timer] = timers.executing;
+      expect(timer.owner).to.have.property('id', 'deadline');
+      expect(timer.expireAt).to.deep.equal(new Date(2025, 0, 9, 15, 0));
+    });
+
+    When('clock is advanced to wednesday', () => {
+      timers.advanceTo(new Date(2025, 0, 8, 15, 0));
+    });
+
+    Then('approval is still waiting', () => {
+      expect(definition.getActivityById('approve').status).to.equal('executing');
+    });
+
+    let end;
+    When('clock is advanced to thursday afternoon', () => {
+      end = definition.waitFor('leave');
+      timers.advanceTo(new Date(2025, 0, 9, 15, 0));
+    });
+
+    Then('approval has expired', () => end);
+
+    And('deadline was taken', () => {
+      expect(definition.getActivityById('expired').counters).to.have.property('taken', 1);
+      expect(definition.getActivityById('approve').counters).to.have.property('discarded', 1);
+    });
+  });
+
+  Scenario('timers in time zone', () => {
+    let context, definition, timers;
+    Given('a process with a daily morning reminder cycle and a due date without offset', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL"
+        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+        id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+        <process id="Process_0" isExecutable="true">
+          <userTask id="task" />
+          <boundaryEvent id="reminder" attachedToRef="task" cancelActivity="false">
+            <timerEventDefinition>
+              <timeCycle xsi:type="tFormalExpression">R/2025-03-28T08:00:00/P1D</timeCycle>
+            </timerEventDefinition>
+          </boundaryEvent>
+          <boundaryEvent id="due" attachedToRef="task">
+            <timerEventDefinition>
+              <timeDate xsi:type="tFormalExpression">2025-04-01T17:00:00</timeDate>
+            </timerEventDefinition>
+          </boundaryEvent>
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+      timers = new VirtualTimers({ now: '2025-03-28T12:00:00Z' });
+      definition = new Definition(context, { timers, settings: { timezone: 'Europe/Stockholm' } });
+    });
+
+    const reminders = [];
+    When('definition is ran', () => {
+      definition.on('activity.timeout', (api) => {
+        if (api.id === 'reminder') reminders.push(api.content.expireAt.toISOString());
+      });
+      definition.run();
+    });
+
+    Then('timers are set according to time zone', () => {
+      const timerContent = timers.executing.map((t) => [t.owner.id, t.owner.timezone, t.expireAt.toISOString()]).sort();
+      expect(timerContent).to.deep.equal([
+        ['due', 'Europe/Stockholm', '2025-04-01T15:00:00.000Z'],
+        ['reminder', 'Europe/Stockholm', '2025-03-29T07:00:00.000Z'],
+      ]);
+    });
+
+    let end;
+    When('clock is advanced beyond due date', () => {
+      end = definition.waitFor('leave');
+      timers.advanceTo('2025-04-02T00:00:00Z');
+    });
+
+    Then('run completes', () => end);
+
+    And('reminders were sent at eight in the morning also after daylight saving time started', () => {
+      expect(reminders).to.deep.equal([
+        '2025-03-29T07:00:00.000Z',
+        '2025-03-30T06:00:00.000Z',
+        '2025-03-31T06:00:00.000Z',
+        '2025-04-01T06:00:00.000Z',
+      ]);
+      expect(timers.executing).to.have.length(0);
+    });
+  });
+
+  Scenario('operator fires and reschedules timers', () => {
+    let context, definition, timers;
+    Given('a user task with a reminder cycle and a deadline', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL"
+        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+        id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+        <process id="Process_0" isExecutable="true">
+          <userTask id="task" />
+          <boundaryEvent id="reminder" attachedToRef="task" cancelActivity="false">
+            <timerEventDefinition>
+              <timeCycle xsi:type="tFormalExpression">R3/P1D</timeCycle>
+            </timerEventDefinition>
+          </boundaryEvent>
+          <boundaryEvent id="deadline" attachedToRef="task">
+            <timerEventDefinition>
+              <timeDuration xsi:type="tFormalExpression">P7D</timeDuration>
+            </timerEventDefinition>
+          </boundaryEvent>
+          <sequenceFlow id="to-expired" sourceRef="deadline" targetRef="expired" />
+          <endEvent id="expired" />
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+      timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      definition = new Definition(context, { timers });
+    });
+
+    const reminders = [];
+    When('definition is ran', () => {
+      definition.on('activity.timeout', (api) => {
+        if (api.id === 'reminder') reminders.push(api.content.stoppedAt.toISOString());
+      });
+      definition.run();
+    });
+
+    Then('pending timers can be listed', () => {
+      const pending = definition.getTimers();
+      expect(pending.map((t) => [t.id, t.owner.id, t.content.expireAt.toISOString(), t.content.repeat])).to.deep.equal([
+        ['reminder', 'reminder', '2025-01-02T00:00:00.000Z', 3],
+        ['deadline', 'deadline', '2025-01-08T00:00:00.000Z', undefined],
+      ]);
+    });
+
+    When('operator fires reminder now', () => {
+      definition
+        .getTimers()
+        .find((t) => t.id === 'reminder')
+        .fireTimer();
+    });
+
+    Then('reminder is sent and next reminder is scheduled', () => {
+      expect(reminders).to.deep.equal(['2025-01-01T00:00:00.000Z']);
+      const reminder = definition.getTimers().find((t) => t.id === 'reminder');
+      expect(reminder.content.expireAt.toISOString()).to.equal('2025-01-02T00:00:00.000Z');
+      expect(reminder.content.repeat).to.equal(2);
+    });
+
+    When('operator pushes deadline back with a week through the activity api', () => {
+      definition
+        .getPostponed()
+        .find((api) => api.id === 'deadline')
+        .rescheduleTimer('P14D');
+    });
+
+    Then('deadline is rescheduled', () => {
+      const deadline = definition.getTimers().find((t) => t.id === 'deadline');
+      expect(deadline.content.expireAt.toISOString()).to.equal('2025-01-15T00:00:00.000Z');
+    });
+
+    let state;
+    Given('definition is stopped and state is saved', () => {
+      definition.stop();
+      state = JSON.parse(JSON.stringify(definition.getState()));
+      expect(timers.executing).to.have.length(0);
+    });
+
+    When('definition is recovered and resumed', () => {
+      definition = new Definition(context.clone(), { timers }).recover(state);
+      definition.on('activity.timeout', (api) => {
+        if (api.id === 'reminder') reminders.push(api.content.stoppedAt.toISOString());
+      });
+      definition.resume();
+    });
+
+    Then('rescheduled deadline is kept', () => {
+      const pending = timers.executing.map((t) => [t.owner.id, t.expireAt.toISOString()]).sort();
+      expect(pending).to.deep.equal([
+        ['deadline', '2025-01-15T00:00:00.000Z'],
+        ['reminder', '2025-01-02T00:00:00.000Z'],
+      ]);
+    });
+
+    let end;
+    When('clock is advanced beyond original deadline', () => {
+      end = definition.waitFor('leave');
+      timers.advanceTo('2025-01-10T00:00:00Z');
+    });
+
+    Then('remaining reminders are sent and task is still waiting', () => {
+      expect(reminders).to.deep.equal(['2025-01-01T00:00:00.000Z', '2025-01-02T00:00:00.000Z', '2025-01-03T00:00:00.000Z']);
+      expect(definition.getTimers().map((t) => t.id)).to.deep.equal(['deadline']);
+    });
+
+    When('clock is advanced to rescheduled deadline', () => {
+      timers.advanceTo('2025-01-15T00:00:00Z');
+    });
+
+    Then('deadline expires', () => end);
+
+    And('no timers are pending', () => {
+      expect(definition.getActivityById('expired').counters).to.have.property('taken', 1);
+      expect(definition.getTimers()).to.have.length(0);
+    });
+  });
+
+  Scenario('timer store wakes stopped definitions when timers are due', () => {
+    let context, store, timers;
+    Given('a process with a user task with a deadline and a sub process with a wait timer', async () => {
+      const source = `<?xml version="1.0" encoding="UTF-8"?>
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL"
+        xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+        id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+        <process id="Process_0" isExecutable="true">
+          <userTask id="task" />
+          <boundaryEvent id="deadline" attachedToRef="task">
+            <timerEventDefinition>
+              <timeDuration xsi:type="tFormalExpression">\${environment.variables.deadline}</timeDuration>
+            </timerEventDefinition>
+          </boundaryEvent>
+          <subProcess id="sub">
+            <intermediateCatchEvent id="wait">
+              <timerEventDefinition>
+                <timeDuration xsi:type="tFormalExpression">P3D</timeDuration>
+              </timerEventDefinition>
+            </intermediateCatchEvent>
+          </subProcess>
+        </process>
+      </definitions>`;
+
+      context = await testHelpers.context(source);
+    });
+
+    And('timers with an in-memory timer store', () => {
+      store = new MemoryTimerStore();
+      timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z', store });
+    });
+
+    const definitions = [];
+    When('two definitions with different deadlines are ran', () => {
+      for (const deadline of ['P1D', 'P7D']) {
+        const definition = new Definition(context.clone(), { timers, variables: { deadline } });
+        definition.run();
+        definitions.push(definition);
+      }
+    });
+
+    Then('timers are stored with definition and activity', () => {
+      const [def1, def2] = definitions;
+      expect(
+        store
+          .list()
+          .map(({ definitionId, executionId, activityId, expireAt }) => [definitionId, executionId, activityId, expireAt.toISOString()]),
+      ).to.deep.equal([
+        ['Definitions_1', def1.executionId, 'deadline', '2025-01-02T00:00:00.000Z'],
+        ['Definitions_1', def1.executionId, 'wait', '2025-01-04T00:00:00.000Z'],
+        ['Definitions_1', def2.executionId, 'wait', '2025-01-04T00:00:00.000Z'],
+        ['Definitions_1', def2.executionId, 'deadline', '2025-01-08T00:00:00.000Z'],
+      ]);
+    });
+
+    const states = new Map();
+    Given('definitions are stopped and states are saved', () => {
+      for (const definition of definitions) {
+        definition.stop();
+        states.set(definition.executionId, JSON.parse(JSON.stringify(definition.getState())));
+      }
+      expect(timers.executing).to.have.length(0);
+    });
+
+    Then('timers are kept in store', () => {
+      expect(store.size).to.equal(4);
+    });
+
+    let resumed;
+    function resumeDue() {
+      const due = store.getDue(timers.now());
+      resumed = [];
+      for (const entry of due) store.delete(entry);
+      for (const executionId of new Set(due.map((entry) => entry.executionId))) {
+        const definition = new Definition(context.clone(), { timers }).recover(states.get(executionId));
+        definition.resume();
+        resumed.push(definition);
+      }
+    }
+
+    When('clock passes first deadline and host resumes due definitions', () => {
+      timers.advanceTo('2025-01-02T00:00:00Z');
+      resumeDue();
+    });
+
+    Then('only the definition with the due deadline was resumed', () => {
+      expect(resumed).to.have.length(1);
+      expect(resumed[0].executionId).to.equal(definitions[0].executionId);
+    });
+
+    And('deadline has expired and sub process timer is still stored', () => {
+      const [definition] = resumed;
+      expect(definition.getActivityById('deadline').counters).to.have.property('taken', 1);
+      expect(store.list().map((entry) => [entry.executionId, entry.activityId])).to.deep.equal([
+        [definitions[0].executionId, 'wait'],
+        [definitions[1].executionId, 'wait'],
+        [definitions[1].executionId, 'deadline'],
+      ]);
+    });
+
+    Given('resumed definition is stopped again', () => {
+      const [definition] = resumed;
+      definition.stop();
+      states.set(definition.executionId, JSON.parse(JSON.stringify(definition.getState())));
+    });
+
+    When('clock passes sub process timers and host resumes due definitions', () => {
+      timers.advanceTo('2025-01-04T00:00:00Z');
+      resumeDue();
+    });
+
+    Then('both definitions are resumed', () => {
+      expect(resumed).to.have.length(2);
+    });
+
+    And('first definition completed', () => {
+      expect(resumed[0].counters).to.have.property('completed', 1);
+    });
+
+    And('second definition is waiting for user task with stored deadline', () => {
+      expect(resumed[1].getPostponed().map((api) => api.id)).to.include('task');
+      expect(store.list().map((entry) => [entry.executionId, entry.activityId, entry.expireAt.toISOString()])).to.deep.equal([
+        [definitions[1].executionId, 'deadline', '2025-01-08T00:00:00.000Z'],
+      ]);
+    });
+
+    When('task is signaled', () => {
+      resumed[1].signal({ id: 'task' });
+    });
+
+    Then('deadline is removed from store', () => {
+      expect(resumed[1].counters).to.have.property('completed', 1);
+      expect(store.size).to.equal(0);
+    });
+  });
+
   [null, 'foo', { expireAt: 'bar' }].forEach((parseResult) => {
     Scenario(`override TimerEventDefinition parse function and return unaccepted >${JSON.stringify(parseResult)}<`, () => {
       class ExtendedTimerEventDefinition extends TimerEventDefinition {
@@ -0,0 +1,104 @@
+import Definition from '../../src/definition/Definition.js';
+import testHelpers from '../helpers/testHelpers.js';
+import { MemoryTracer, SpanStatusCode } from '../../src/Tracing.js';
+import { VirtualTimers } from '../../src/Timers.js';
+
+Feature('Tracing', () => {
+  Scenario('Latency of activities and service calls', () => {
+    const source = `
+    <definitions id="orders" xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+      <process id="orderProcess" isExecutable="true">
+        <startEvent id="start" />
+        <sequenceFlow id="to-fulfil" sourceRef="start" targetRef="fulfil" />
+        <subProcess id="fulfil">
+          <serviceTask id="reserve" implementation="\${environment.services.reserve}" />
+          <sequenceFlow id="to-charge" sourceRef="reserve" targetRef="charge" />
+          <serviceTask id="charge" implementation="\${environment.services.charge}" />
+        </subProcess>
+        <boundaryEvent id="fulfilFailed" attachedToRef="fulfil">
+          <errorEventDefinition />
+        </boundaryEvent>
+        <sequenceFlow id="to-done" sourceRef="fulfil" targetRef="done" />
+        <endEvent id="done" />
+        <sequenceFlow id="to-manual" sourceRef="fulfilFailed" targetRef="manual" />
+        <userTask id="manual" />
+      </process>
+    </definitions>`;
+
+    let context, definition, timers, tracer, calls;
+    Given('a definition with services in a sub process and a tracer', async () => {
+      timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      context = await testHelpers.context(source, { timers });
+      tracer = new MemoryTracer();
+      calls = [];
+      definition = new Definition(context, {
+        tracer,
+        services: {
+          reserve(_, next) {
+            calls.push(next);
+          },
+          charge(_, next) {
+            calls.push(next);
+          },
+        },
+      });
+    });
+
+    When('run', () => {
+      definition.run();
+    });
+
+    And('the reserve service responds after 200 milliseconds', () => {
+      timers.advance(200);
+      calls.pop()();
+    });
+
+    And('the charge service fails after 1 second', () => {
+      timers.advance(1000);
+      calls.pop()(new Error('card declined'));
+    });
+
+    Then('the reserve span latency is 200 milliseconds', () => {
+      const [reserve] = tracer.getSpans('reserve');
+      expect(reserve.duration).to.equal(200);
+      expect(reserve.attributes).to.have.property('bpmn.element.type', 'bpmn:ServiceTask');
+      expect(reserve.attributes).to.have.property('bpmn.outcome', 'completed');
+    });
+
+    And('the charge span has failed after 1 second', () => {
+      const [charge] = tracer.getSpans('charge');
+      expect(charge.duration).to.equal(1000);
+      expect(charge.attributes).to.have.property('bpmn.outcome', 'error');
+      expect(charge.status).to.deep.equal({ code: SpanStatusCode.ERROR, message: 'card declined' });
+    });
+
+    And('the service spans are children of the sub process span', () => {
+      const [fulfil] = tracer.getSpans('fulfil');
+      expect(tracer.getSpans('reserve')[0].parentSpanId).to.equal(fulfil.spanId);
+      expect(tracer.getSpans('charge')[0].parentSpanId).to.equal(fulfil.spanId);
+      expect(fulfil.duration).to.equal(1200);
+    });
+
+    And('the manual task span is open', () => {
+      const [manual] = tracer.getSpans('manual');
+      expect(manual.ended).to.be.false;
+      expect(manual.parentSpanId).to.equal(tracer.getSpans('orderProcess')[0].spanId);
+    });
+
+    When('the manual task is signalled', () => {
+      timers.advance(60000);
+      definition.signal({ id: 'manual' });
+    });
+
+    Then('all spans are ended', () => {
+      expect(tracer.spans.every((span) => span.ended)).to.be.true;
+    });
+
+    And('the definition span covers the whole run', () => {
+      const [def] = tracer.getSpans('orders');
+      expect(def.parentSpanId).to.be.undefined;
+      expect(def.duration).to.equal(61200);
+      expect(def.attributes).to.have.property('bpmn.outcome', 'completed');
+    });
+  });
+});
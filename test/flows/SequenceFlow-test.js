@@ -457,6 +457,93 @@ describe('SequenceFlow', () => {
         });
       }).to.throw(Error, /without body is unsupported/i);
     });
+
+    it('uses registered condition language', () => {
+      const environment = new Environment({
+        variables: { vip: true },
+        conditionLanguages: {
+          flag(owner, { body }) {
+            return {
+              execute(message, callback) {
+                return callback(null, !!owner.environment.variables[body]);
+              },
+            };
+          },
+        },
+      });
+
+      const flow = new SequenceFlow(
+        {
+          id: 'flow',
+          type: 'bpmn:SequenceFlow',
+          parent: {},
+          behaviour: {
+            conditionExpression: { language: 'Flag', body: 'vip' },
+          },
+        },
+        { environment },
+      );
+
+      let result;
+      flow.evaluate({ content: { parent: {} } }, (err, value) => {
+        if (err) throw err;
+        result = value;
+      });
+      expect(result).to.be.true;
+    });
+
+    it('script condition returning promise is evaluated when resolved', async () => {
+      const environment = new Environment({
+        scripts: {
+          register() {},
+          getScript() {
+            return {
+              execute(executionContext) {
+                return Promise.resolve(executionContext.content.isOk);
+              },
+            };
+          },
+        },
+      });
+
+      const flow = new SequenceFlow(
+        {
+          id: 'flow',
+          type: 'bpmn:SequenceFlow',
+          parent: {},
+          behaviour: {
+            conditionExpression: { language: 'async', body: 'isOk' },
+          },
+        },
+        { environment },
+      );
+
+      const result = await new Promise((resolve, reject) => {
+        flow.evaluate({ content: { isOk: true, parent: {} } }, (err, value) => (err ? reject(err) : resolve(value)));
+      });
+      expect(result).to.be.true;
+    });
+
+    it('unregistered condition language without script returns activity error', () => {
+      const flow = new SequenceFlow(
+        {
+          id: 'flow',
+          type: 'bpmn:SequenceFlow',
+          parent: {},
+          behaviour: {
+            conditionExpression: { language: 'jsonata', body: 'vip' },
+          },
+        },
+        { environment: new Environment() },
+      );
+
+      let error;
+      flow.evaluate({ content: { parent: {} } }, (err) => {
+        error = err;
+      });
+      expect(error).to.have.property('type', 'ActivityError');
+      expect(error.message).to.equal('Condition language jsonata is unsupported or was not registered for <flow>');
+    });
   });
 
   describe('events', () => {
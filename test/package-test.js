@@ -83,6 +83,20 @@ describe('package exports', () => {
     });
   });
 
+  describe('scripts', () => {
+    it('exports expected', async () => {
+      const modules = await import(resolve(cwd, pkg.exports['./scripts'].import));
+      expect(Object.keys(modules)).to.deep.equal(['JavaScriptScripts']);
+    });
+  });
+
+  describe('file timer store', () => {
+    it('exports expected', async () => {
+      const modules = await import(resolve(cwd, pkg.exports['./file-timer-store'].import));
+      expect(Object.keys(modules)).to.deep.equal(['FileTimerStore']);
+    });
+  });
+
   describe('tasks', () => {
     it('exports expected', async () => {
       const modules = await import(resolve(cwd, pkg.exports['./tasks'].import));
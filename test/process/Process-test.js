@@ -4,6 +4,7 @@ import SignalTask from '../../src/tasks/SignalTask.js';
 import testHelpers from '../helpers/testHelpers.js';
 import { ActivityError } from '../../src/error/Errors.js';
 import { Process } from '../../src/process/Process.js';
+import { VirtualTimers } from '../../src/Timers.js';
 
 describe('Process', () => {
   describe('requirements', () => {
@@ -96,6 +97,127 @@ describe('Process', () => {
     });
   });
 
+  describe('run({ startAt })', () => {
+    const source = `
+    <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL">
+      <process id="theProcess" isExecutable="true">
+        <startEvent id="start" />
+        <sequenceFlow id="flow0" sourceRef="start" targetRef="fork" />
+        <parallelGateway id="fork" />
+        <sequenceFlow id="flow1" sourceRef="fork" targetRef="task1" />
+        <sequenceFlow id="flow2" sourceRef="fork" targetRef="task2" />
+        <userTask id="task1" />
+        <userTask id="task2" />
+        <sequenceFlow id="flow3" sourceRef="task1" targetRef="join" />
+        <sequenceFlow id="flow4" sourceRef="task2" targetRef="join" />
+        <parallelGateway id="join" />
+        <sequenceFlow id="flow5" sourceRef="join" targetRef="end" />
+        <endEvent id="end" />
+      </process>
+    </definitions>`;
+
+    let context, warnings;
+    beforeEach(async () => {
+      warnings = [];
+      context = await testHelpers.context(source, {
+        Logger(scope) {
+          return { ...testHelpers.Logger(scope), warn: (msg) => warnings.push(msg) };
+        },
+      });
+    });
+
+    it('starts at activity instead of start event', () => {
+      const bp = context.getProcessById('theProcess');
+      bp.run({ startAt: ['task2'] });
+
+      expect(bp.getActivityById('start').counters).to.have.property('taken', 0);
+      expect(bp.getActivityById('fork').counters).to.have.property('taken', 0);
+      expect(bp.getPostponed().map((a) => a.id)).to.deep.equal(['task2']);
+    });
+
+    it('starts at multiple activities and completes as a normal run', () => {
+      const bp = context.getProcessById('theProcess');
+      bp.run({ startAt: ['task1', 'task2'] });
+
+      expect(bp.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'task2']);
+
+      bp.signal({ id: 'task1' });
+      bp.signal({ id: 'task2' });
+
+      expect(bp.counters).to.have.property('completed', 1);
+      expect(bp.getActivityById('join').counters).to.have.property('taken', 1);
+      expect(bp.getActivityById('end').counters).to.have.property('taken', 1);
+      expect(warnings).to.have.length(0);
+    });
+
+    it('accepts single activity id', () => {
+      const bp = context.getProcessById('theProcess');
+      bp.run({ startAt: 'end' });
+
+      expect(bp.counters).to.have.property('completed', 1);
+      expect(bp.getActivityById('end').counters).to.have.property('taken', 1);
+      expect(bp.getActivityById('start').counters).to.have.property('taken', 0);
+    });
+
+    it('assigns variables to process environment', () => {
+      const bp = context.getProcessById('theProcess');
+      bp.run({ startAt: ['task1'], variables: { retry: true } });
+
+      expect(bp.environment.variables).to.have.property('retry', true);
+    });
+
+    it('warns about parallel join that can never be satisfied', () => {
+      const bp = context.getProcessById('theProcess');
+      bp.run({ startAt: ['task1'] });
+
+      expect(warnings).to.have.length(1);
+      expect(warnings[0]).to.contain(
+        'parallel join <join> can never be satisfied when starting at <task1>, inbound from <task2> is not reached',
+      );
+    });
+
+    it('does not warn when starting at the parallel join', () => {
+      const bp = context.getProcessById('theProcess');
+      bp.run({ startAt: ['join'] });
+
+      expect(warnings).to.have.length(0);
+      expect(bp.counters).to.have.property('completed', 1);
+    });
+
+    it('started activities are not discarded when another start sequence completes', () => {
+      const bp = context.getProcessById('theProcess');
+      bp.run({ startAt: ['task1', 'end'] });
+
+      expect(bp.getPostponed().map((a) => a.id)).to.deep.equal(['task1']);
+    });
+
+    it('throws if activity is not found in process', () => {
+      const bp = context.getProcessById('theProcess');
+      expect(() => bp.run({ startAt: ['task3'] })).to.throw(/has no activity <task3> to start at/);
+      expect(() => bp.run({ startAt: [] })).to.throw(TypeError, /at least one activity id/);
+      expect(bp.isRunning).to.be.false;
+    });
+
+    it('can be stopped and resumed', () => {
+      const bp = context.getProcessById('theProcess');
+      bp.run({ startAt: ['task1', 'task2'] });
+      bp.stop();
+
+      const recovered = context
+        .clone()
+        .getProcessById('theProcess')
+        .recover(JSON.parse(JSON.stringify(bp.getState())));
+      recovered.resume();
+
+      expect(recovered.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'task2']);
+
+      recovered.signal({ id: 'task1' });
+      recovered.signal({ id: 'task2' });
+
+      expect(recovered.counters).to.have.property('completed', 1);
+    });
+  });
+
   describe('stop()', () => {
     it('when executing sets stopped flag and cancels process broker consumers', () => {
       const bp = new Process({ id: 'theProcess' }, Context());
@@ -899,6 +1021,361 @@ describe('Process', () => {
     });
   });
 
+  describe('modify(instructions)', () => {
+    let context;
+    beforeEach(async () => {
+      context = await multiContext();
+    });
+
+    it('throws if not running', () => {
+      const [bp] = context.getProcesses();
+      expect(() => bp.modify([{ cancel: 'task1' }])).to.throw(/is not running/);
+    });
+
+    it('throws type error if instructions are invalid', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      expect(() => bp.modify()).to.throw(TypeError, /list of instructions/);
+      expect(() => bp.modify([])).to.throw(TypeError, /list of instructions/);
+      expect(() => bp.modify([null])).to.throw(TypeError, /must be an object/);
+      expect(() => bp.modify([{}])).to.throw(TypeError, /one of cancel, startBefore, or startAfter/);
+      expect(() => bp.modify([{ cancel: 'task1', startBefore: 'task2' }])).to.throw(TypeError, /one of cancel/);
+      expect(() => bp.modify([{ startBefore: 1 }])).to.throw(TypeError, /startBefore must be a string/);
+      expect(() => bp.modify([{ startBefore: 'end', variables: 1 }])).to.throw(TypeError, /variables must be an object/);
+      expect(() => bp.modify([{ cancel: 'task1', variables: {} }])).to.throw(TypeError, /cancel does not take variables/);
+
+      expect(bp.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'task2', 'subProcess']);
+    });
+
+    it('cancels running activity by id', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      const [task1] = bp.getPostponed();
+      const result = bp.modify([{ cancel: 'task1' }]);
+
+      expect(result).to.deep.equal([{ cancel: 'task1', executionIds: [task1.executionId] }]);
+      expect(bp.getPostponed().map((a) => a.id)).to.deep.equal(['task2', 'subProcess']);
+      expect(bp.getActivityById('task1').counters).to.have.property('discarded', 1);
+    });
+
+    it('cancels running activity by execution id', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      const [, task2] = bp.getPostponed();
+      bp.modify([{ cancel: task2.executionId }]);
+
+      expect(bp.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'subProcess']);
+    });
+
+    it('cancels running activity in sub process', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      bp.modify([{ cancel: 'task3' }]);
+
+      expect(bp.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'task2']);
+      expect(bp.getActivityById('subProcess').counters).to.have.property('taken', 1);
+    });
+
+    it('starts new token before activity with variables assigned to process environment', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      const [result] = bp.modify([{ startBefore: 'end', variables: { moved: true } }]);
+
+      expect(result).to.have.property('startBefore', 'end');
+      expect(result).to.have.property('executionId').that.is.ok;
+      expect(result.variables).to.deep.equal({ moved: true });
+      expect(bp.environment.variables).to.have.property('moved', true);
+      expect(bp.getActivityById('end').counters).to.have.property('taken', 1);
+      expect(bp.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'task2', 'subProcess']);
+    });
+
+    it('starts new token before activity in running sub process', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      const subProcess = bp.getActivityById('subProcess');
+      const [task3] = subProcess.execution.source.getPostponed();
+
+      const [, result] = bp.modify([{ cancel: 'task3' }, { startBefore: 'task3', variables: { sub: true } }]);
+
+      expect(result.executionId).to.not.equal(task3.executionId);
+      expect(subProcess.isRunning).to.be.true;
+      expect(subProcess.execution.source.execution.environment.variables).to.have.property('sub', true);
+      expect(subProcess.execution.source.getPostponed().map((a) => a.executionId)).to.deep.equal([result.executionId]);
+    });
+
+    it('throws if activity is in sub process that is not running', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      bp.getActivityById('subProcess').execution.source.getPostponed()[0].signal();
+
+      expect(bp.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'task2']);
+      expect(() => bp.modify([{ startBefore: 'task3' }])).to.throw(/<task3> was not found in a running process or sub process/);
+    });
+
+    it('starts new token after activity by taking outbound sequence flow', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      const [result] = bp.modify([{ startAfter: 'task1' }]);
+
+      expect(result).to.have.property('startAfter', 'task1');
+      expect(result).to.have.property('flowId', 'flow4');
+      expect(result).to.have.property('sequenceId').that.is.ok;
+      expect(bp.getActivityById('end').counters).to.have.property('taken', 1);
+    });
+
+    it('throws if starting after activity without exactly one outbound sequence flow', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      expect(() => bp.modify([{ startAfter: 'start' }])).to.throw(/expected one outbound sequence flow but found 3/);
+      expect(() => bp.modify([{ startAfter: 'end' }])).to.throw(/expected one outbound sequence flow but found 0/);
+    });
+
+    it('throws if starting before running activity unless it is cancelled first', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      expect(() => bp.modify([{ startBefore: 'task1' }])).to.throw(/activity is already running/);
+
+      const [task1] = bp.getPostponed();
+      const result = bp.modify([{ cancel: 'task1' }, { startBefore: 'task1' }]);
+
+      expect(result[1].executionId).to.not.equal(task1.executionId);
+      expect(bp.getPostponed().map((a) => a.id)).to.deep.equal(['task2', 'subProcess', 'task1']);
+    });
+
+    it('applies no instruction if one instruction cannot be resolved', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      expect(() => bp.modify([{ cancel: 'task1' }, { startBefore: 'task4' }])).to.throw(
+        /cannot modify process <theProcess>, activity <task4> was not found/,
+      );
+      expect(() => bp.modify([{ cancel: 'task1' }, { cancel: 'end' }])).to.throw(/no running activity matches <end>/);
+
+      expect(bp.getPostponed().map((a) => a.id)).to.deep.equal(['task1', 'task2', 'subProcess']);
+    });
+
+    it('completes process when modification leaves nothing running', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      bp.modify([{ cancel: 'task1' }, { cancel: 'task2' }, { cancel: 'subProcess' }]);
+
+      expect(bp.isRunning).to.be.false;
+      expect(bp.counters).to.have.property('completed', 1);
+    });
+
+    it('publishes modify event with applied instructions', () => {
+      const [bp] = context.getProcesses();
+      const messages = [];
+      bp.broker.subscribeTmp('event', 'process.modify', (_, msg) => messages.push(msg), { noAck: true });
+      bp.run();
+
+      const [task1] = bp.getPostponed();
+      const result = bp.modify([{ cancel: 'task1' }, { startAfter: 'task1' }]);
+
+      expect(messages).to.have.length(1);
+      expect(messages[0].content).to.have.property('id', 'theProcess');
+      expect(messages[0].content).to.have.property('executionId', bp.executionId);
+      expect(messages[0].content).to.have.property('state', 'modify');
+      expect(messages[0].content.modifications).to.deep.equal(result);
+      expect(messages[0].content.modifications[0].executionIds).to.deep.equal([task1.executionId]);
+    });
+  });
+
+  describe('suspend()', () => {
+    const source = `
+    <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <process id="theProcess" isExecutable="true">
+        <startEvent id="start" />
+        <sequenceFlow id="flow1" sourceRef="start" targetRef="timer" />
+        <sequenceFlow id="flow2" sourceRef="start" targetRef="task" />
+        <sequenceFlow id="flow3" sourceRef="start" targetRef="subProcess" />
+        <intermediateCatchEvent id="timer">
+          <timerEventDefinition>
+            <timeDuration xsi:type="tFormalExpression">PT1H</timeDuration>
+          </timerEventDefinition>
+        </intermediateCatchEvent>
+        <userTask id="task" />
+        <subProcess id="subProcess">
+          <intermediateCatchEvent id="subTimer">
+            <timerEventDefinition>
+              <timeDuration xsi:type="tFormalExpression">PT2H</timeDuration>
+            </timerEventDefinition>
+          </intermediateCatchEvent>
+        </subProcess>
+      </process>
+    </definitions>`;
+
+    let context, timers;
+    beforeEach(async () => {
+      timers = new VirtualTimers({ now: '2025-01-01T00:00:00Z' });
+      context = await testHelpers.context(source, { timers });
+    });
+
+    it('throws if not running', () => {
+      const [bp] = context.getProcesses();
+      expect(() => bp.suspend()).to.throw(/is not running/);
+    });
+
+    it('stops execution, reports suspended status, and publishes suspend event', () => {
+      const [bp] = context.getProcesses();
+      const messages = [];
+      bp.broker.subscribeTmp('event', 'process.suspend', (_, msg) => messages.push(msg), { noAck: true });
+      bp.run();
+
+      bp.suspend();
+
+      expect(bp.status).to.equal('suspended');
+      expect(bp.isRunning).to.be.false;
+      expect(bp.stopped).to.be.false;
+      expect(bp.getState()).to.have.property('status', 'suspended');
+      expect(messages).to.have.length(1);
+      expect(messages[0].content).to.have.property('executionId', bp.executionId);
+    });
+
+    it('holds timers while suspended and records remaining time', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      timers.advance(20 * 60000);
+      bp.suspend();
+
+      expect(bp.getTimers().map((api) => [api.id, api.content.remaining])).to.deep.equal([
+        ['timer', 40 * 60000],
+        ['subTimer', 100 * 60000],
+      ]);
+
+      timers.advance(3 * 3600000);
+
+      expect(bp.getTimers().map((api) => api.id)).to.deep.equal(['timer', 'subTimer']);
+      expect(bp.getActivityById('timer').counters).to.have.property('taken', 0);
+    });
+
+    it('unsuspend() restarts held timers with remaining time', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+
+      timers.advance(20 * 60000);
+      bp.suspend();
+      timers.advance(3 * 3600000);
+      bp.unsuspend();
+
+      expect(bp.status).to.equal('executing');
+      expect(bp.isRunning).to.be.true;
+
+      const [timer] = bp.getTimers();
+      expect(timer.content).to.have.property('timeout', 40 * 60000);
+      expect(timer.content.expireAt).to.deep.equal(new Date('2025-01-01T04:00:00Z'));
+
+      timers.advance(40 * 60000 - 1);
+      expect(bp.getActivityById('timer').counters).to.have.property('taken', 0);
+
+      timers.advance(1);
+      expect(bp.getActivityById('timer').counters).to.have.property('taken', 1);
+      expect(bp.getTimers().map((api) => api.id)).to.deep.equal(['subTimer']);
+
+      timers.advance(60 * 60000);
+      expect(bp.getTimers()).to.have.length(0);
+      expect(bp.getActivityById('subProcess').counters).to.have.property('taken', 1);
+    });
+
+    it('queues signals while suspended and delivers them when unsuspended', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+      bp.suspend();
+
+      bp.signal({ id: 'task' });
+
+      expect(bp.getActivityById('task').counters).to.have.property('taken', 0);
+
+      bp.unsuspend();
+
+      expect(bp.getActivityById('task').counters).to.have.property('taken', 1);
+      expect(bp.getPostponed().map((api) => api.id)).to.deep.equal(['timer', 'subProcess']);
+    });
+
+    it('ignores stop while suspended', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+      bp.suspend();
+
+      bp.stop();
+      bp.getApi().stop();
+      bp.unsuspend();
+
+      expect(bp.isRunning).to.be.true;
+      expect(bp.getPostponed().map((api) => api.id)).to.have.members(['timer', 'task', 'subProcess']);
+    });
+
+    it('resume() keeps process suspended', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+      bp.suspend();
+
+      bp.resume();
+
+      expect(bp.status).to.equal('suspended');
+      expect(bp.isRunning).to.be.false;
+    });
+
+    it('recovered suspended process keeps held timers and queued signals', () => {
+      const [bp] = context.getProcesses();
+      bp.run();
+      timers.advance(20 * 60000);
+      bp.suspend();
+      bp.signal({ id: 'task' });
+
+      const state = JSON.parse(JSON.stringify(bp.getState()));
+
+      timers.advance(3 * 3600000);
+
+      const recovered = context.clone().getProcessById('theProcess').recover(state);
+      expect(recovered.status).to.equal('suspended');
+
+      recovered.resume();
+      expect(recovered.status).to.equal('suspended');
+      expect(recovered.isRunning).to.be.false;
+
+      recovered.unsuspend();
+
+      expect(recovered.getActivityById('task').counters).to.have.property('taken', 1);
+
+      timers.advance(40 * 60000);
+      expect(recovered.getActivityById('timer').counters).to.have.property('taken', 1);
+    });
+
+    it('suspend and unsuspend through process api', () => {
+      const [bp] = context.getProcesses();
+      const events = [];
+      bp.broker.subscribeTmp('event', 'process.#', (routingKey) => events.push(routingKey), { noAck: true });
+      bp.run();
+
+      bp.getApi().suspend();
+      expect(bp.status).to.equal('suspended');
+
+      bp.getApi().unsuspend();
+      expect(bp.status).to.equal('executing');
+      expect(events.filter((routingKey) => /suspend/.test(routingKey))).to.deep.equal(['process.suspend', 'process.unsuspend']);
+    });
+
+    it('unsuspend() throws if not suspended', () => {
+      const [bp] = context.getProcesses();
+      expect(() => bp.unsuspend()).to.throw(/is not suspended/);
+      bp.run();
+      expect(() => bp.unsuspend()).to.throw(/is not suspended/);
+    });
+  });
+
   describe('getApi()', () => {
     let context;
     before(async () => {
@@ -1,4 +1,5 @@
-import { generateId, brokerSafeId } from '../src/shared.js';
+import { Broker } from 'smqp';
+import { generateId, brokerSafeId, clearTimer, isSubExecution, subscribeEvents, callWithCallback } from '../src/shared.js';
 
 describe('shared', () => {
   describe('brokerSafeId', () => {
@@ -18,6 +19,107 @@ describe('shared', () => {
     });
   });
 
+  describe('clearTimer', () => {
+    it('stops timer if keep stored and timers has stopTimeout', () => {
+      const calls = [];
+      const timers = {
+        clearTimeout: (ref) => calls.push(['clear', ref]),
+        stopTimeout: (ref) => calls.push(['stop', ref]),
+      };
+
+      clearTimer(timers, 1, true);
+      clearTimer(timers, 2);
+
+      expect(calls).to.deep.equal([
+        ['stop', 1],
+        ['clear', 2],
+      ]);
+    });
+
+    it('clears timer if keep stored but timers lacks stopTimeout', () => {
+      const calls = [];
+      clearTimer({ clearTimeout: (ref) => calls.push(ref) }, 1, true);
+
+      expect(calls).to.deep.equal([1]);
+    });
+  });
+
+  describe('isSubExecution', () => {
+    it('returns true if activity event is published by an execution within the activity', () => {
+      expect(isSubExecution({ id: 'task', parent: { id: 'task' } })).to.be.true;
+      expect(isSubExecution({ id: 'task', parent: { id: 'process' } })).to.be.false;
+      expect(isSubExecution({ id: 'process' })).to.be.false;
+    });
+  });
+
+  describe('subscribeEvents', () => {
+    it('subscribes to events and returns function that cancels subscriptions', () => {
+      const broker = new Broker();
+      broker.assertExchange('event', 'topic', { autoDelete: false, durable: false });
+      const messages = [];
+      const unsubscribe = subscribeEvents(broker, [
+        ['_test-activity', 'activity.#', (routingKey) => messages.push(routingKey)],
+        ['_test-flow', 'flow.*', (routingKey) => messages.push(routingKey)],
+      ]);
+
+      broker.publish('event', 'activity.execution.discard', {});
+      broker.publish('event', 'flow.take', {});
+      unsubscribe();
+      broker.publish('event', 'activity.end', {});
+
+      expect(messages).to.deep.equal(['activity.execution.discard', 'flow.take']);
+      expect(broker.getConsumer('_test-activity')).to.be.undefined;
+    });
+  });
+
+  describe('callWithCallback', () => {
+    it('calls callback when function calls callback', () => {
+      let result;
+      callWithCallback(
+        (value, next) => next(null, value * 2),
+        null,
+        [21],
+        (err, output) => {
+          result = output;
+        },
+      );
+      expect(result).to.equal(42);
+    });
+
+    it('calls callback when returned promise settles', async () => {
+      const results = [];
+      const callback = (...args) => results.push(args);
+      await callWithCallback((value) => Promise.resolve(value * 2), null, [21], callback);
+      await callWithCallback(() => Promise.reject(new Error('boom')), null, [], callback).catch(() => {});
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(results[0]).to.deep.equal([null, 42]);
+      expect(results[1][0]).to.be.instanceOf(Error).with.property('message', 'boom');
+    });
+
+    it('error thrown by callback when returned promise settles is thrown outside of promise', async () => {
+      const queued = [];
+      const queueMicrotask = globalThis.queueMicrotask;
+      globalThis.queueMicrotask = (fn) => queued.push(fn);
+      try {
+        await callWithCallback(
+          () => Promise.resolve(),
+          null,
+          [],
+          () => {
+            throw new Error('callback error');
+          },
+        );
+        await null;
+      } finally {
+        globalThis.queueMicrotask = queueMicrotask;
+      }
+
+      expect(queued).to.have.length(1);
+      expect(queued[0]).to.throw('callback error');
+    });
+  });
+
   describe('generateId', () => {
     it('generates at least 2000 unique ids', () => {
       const ids = [];
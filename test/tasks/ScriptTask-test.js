@@ -185,6 +185,70 @@ describe('ScriptTask', () => {
         .and.match(/Inside/);
     });
 
+    describe('script returns promise', () => {
+      const source = `
+      <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+        <process id="theProcess" isExecutable="true">
+          <scriptTask id="task" scriptFormat="async" />
+        </process>
+      </definitions>`;
+
+      function AsyncScripts(execute) {
+        return {
+          register() {},
+          getScript() {
+            return { execute };
+          },
+        };
+      }
+
+      it('completes when promise resolves', async () => {
+        const context = await testHelpers.context(source, {
+          scripts: AsyncScripts((executionContext) => Promise.resolve(executionContext.content.input * 2)),
+        });
+        const task = context.getActivityById('task');
+
+        const leave = task.waitFor('leave');
+        task.run({ input: 21 });
+
+        const api = await leave;
+        expect(api.content).to.have.property('output', 42);
+      });
+
+      it('errors when promise rejects', async () => {
+        const context = await testHelpers.context(source, {
+          scripts: AsyncScripts(() => Promise.reject(new Error('Rejected'))),
+        });
+        const task = context.getActivityById('task');
+
+        const fail = task.waitFor('leave').catch((err) => err);
+        task.run();
+
+        const err = await fail;
+        expect(err)
+          .to.be.instanceOf(ActivityError)
+          .and.match(/Rejected/);
+      });
+
+      it('completes once if script also calls callback', async () => {
+        const context = await testHelpers.context(source, {
+          scripts: AsyncScripts((_, next) => {
+            next(null, 1);
+            return Promise.resolve(2);
+          }),
+        });
+        const task = context.getActivityById('task');
+
+        const leave = task.waitFor('leave');
+        task.run();
+
+        const api = await leave;
+        expect(api.content).to.have.property('output', 1);
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(task.counters).to.have.property('taken', 1);
+      });
+    });
+
     it('can access services', async () => {
       const source = `
       <?xml version="1.0" encoding="UTF-8"?>
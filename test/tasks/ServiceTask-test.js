@@ -1,9 +1,10 @@
 import JsExtension from '../resources/extensions/JsExtension.js';
 import nock from 'nock';
 import got from 'got';
-import ServiceTask from '../../src/tasks/ServiceTask.js';
+import ServiceTask, { ServiceTaskBehaviour } from '../../src/tasks/ServiceTask.js';
 import testHelpers from '../helpers/testHelpers.js';
-import { ActivityError } from '../../src/error/Errors.js';
+import { ActivityError, BpmnError } from '../../src/error/Errors.js';
+import { Timers } from '../../src/Timers.js';
 
 describe('ServiceTask', () => {
   describe('behaviour', () => {
@@ -530,6 +531,699 @@ describe('ServiceTask', () => {
     });
   });
 
+  describe('async service', () => {
+    const source = `
+    <?xml version="1.0" encoding="UTF-8"?>
+    <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <process id="theProcess" isExecutable="true">
+        <serviceTask id="serviceTask" implementation="\${environment.services.get}" />
+        <boundaryEvent id="catchError" attachedToRef="serviceTask">
+          <errorEventDefinition errorRef="NotFound" />
+        </boundaryEvent>
+      </process>
+      <error id="NotFound" errorCode="404" />
+    </definitions>`;
+
+    it('completes with resolved value as output, as callback arguments', async () => {
+      const context = await testHelpers.context(source);
+      context.environment.addService('get', async (executionContext) => {
+        await new Promise((resolve) => setImmediate(resolve));
+        return { input: executionContext.content.input };
+      });
+
+      const task = context.getActivityById('serviceTask');
+      const leave = task.waitFor('leave');
+      task.run({ input: 1 });
+
+      const api = await leave;
+      expect(api.content.output).to.deep.equal([{ input: 1 }]);
+    });
+
+    it('rejected error is published as execution error', async () => {
+      const context = await testHelpers.context(source);
+      context.environment.addService('get', () => Promise.reject(new Error('Unexpected')));
+
+      const task = context.getActivityById('serviceTask');
+      const fail = task.waitFor('leave').catch((err) => err);
+      task.run();
+
+      const err = await fail;
+      expect(err)
+        .to.be.instanceOf(ActivityError)
+        .and.match(/Unexpected/);
+    });
+
+    it('rejected BpmnError is caught by error boundary event', async () => {
+      const context = await testHelpers.context(source);
+      context.environment.addService('get', (executionContext) =>
+        Promise.reject(new executionContext.BpmnError('Not found', { errorCode: 404 })),
+      );
+
+      const task = context.getActivityById('serviceTask');
+      const catchError = context.getActivityById('catchError');
+      const leave = catchError.waitFor('leave');
+      catchError.activate();
+      task.run();
+
+      const api = await leave;
+      expect(api.content.output).to.have.property('code', '404');
+      expect(task.counters).to.have.property('discarded', 1);
+    });
+
+    it('completes once if service also calls callback', async () => {
+      const context = await testHelpers.context(source);
+      context.environment.addService('get', (_, callback) => {
+        callback(null, 1);
+        return Promise.resolve(2);
+      });
+
+      const task = context.getActivityById('serviceTask');
+      const leave = task.waitFor('leave');
+      task.run();
+
+      const api = await leave;
+      expect(api.content.output).to.deep.equal([1]);
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(task.counters).to.have.property('taken', 1);
+    });
+
+    it('service behaviour execute returning promise completes task', async () => {
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            Service: function Service() {
+              return {
+                execute() {
+                  return Promise.resolve('async');
+                },
+              };
+            },
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      const leave = task.waitFor('leave');
+      task.run();
+
+      const api = await leave;
+      expect(api.content.output).to.equal('async');
+    });
+  });
+
+  describe('retry', () => {
+    function FlakyService(failures, calls = []) {
+      return function Service() {
+        return {
+          execute(executeMessage, callback) {
+            calls.push(executeMessage);
+            if (calls.length <= failures) return callback(new Error(`Failure ${calls.length}`));
+            callback(null, calls.length);
+          },
+        };
+      };
+    }
+
+    it('retries failed service until it completes', async () => {
+      const calls = [];
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: { maxAttempts: 3, delay: 1 },
+            Service: FlakyService(2, calls),
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      const retries = [];
+      task.broker.subscribeTmp('event', 'activity.retry', (_, msg) => retries.push(msg), { noAck: true });
+
+      const leave = task.waitFor('leave');
+      task.run();
+      const api = await leave;
+
+      expect(api.content).to.have.property('output', 3);
+      expect(calls).to.have.length(3);
+      expect(calls[1].content.retry).to.have.property('attempt', 2);
+      expect(calls[2].content.retry).to.have.property('attempt', 3);
+
+      expect(retries).to.have.length(2);
+      expect(retries[0].content.retry).to.include({ attempt: 2, maxAttempts: 3, delay: 1 });
+      expect(retries[0].content.error).to.be.instanceOf(ActivityError).with.property('message', 'Failure 1');
+    });
+
+    it('errors when max attempts are exhausted', async () => {
+      const calls = [];
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: { maxAttempts: 2, delay: 1 },
+            Service: FlakyService(2, calls),
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      const fail = task.waitFor('leave').catch((err) => err);
+      task.run();
+      const err = await fail;
+
+      expect(err).to.be.instanceOf(ActivityError).with.property('message', 'Failure 2');
+      expect(calls).to.have.length(2);
+    });
+
+    it('removes retry attempt from state when max attempts are exhausted', async () => {
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: { maxAttempts: 2, delay: 1 },
+            Service: FlakyService(2),
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      const fail = task.waitFor('leave').catch((err) => err);
+      task.run();
+      await fail;
+
+      expect(task.getState().execution).to.not.have.property('retry');
+    });
+
+    it('uses retry policy from environment settings', async () => {
+      const calls = [];
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            Service: FlakyService(1, calls),
+          },
+        },
+        testHelpers.emptyContext(null, { settings: { retry: { maxAttempts: 2, delay: 1 } } }),
+      );
+
+      const leave = task.waitFor('leave');
+      task.run();
+      await leave;
+
+      expect(calls).to.have.length(2);
+    });
+
+    it('activity retry false disables environment retry policy', async () => {
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: false,
+            Service: FlakyService(1),
+          },
+        },
+        testHelpers.emptyContext(null, { settings: { retry: { maxAttempts: 2, delay: 1 } } }),
+      );
+
+      const fail = task.waitFor('leave').catch((err) => err);
+      task.run();
+      expect(await fail).to.have.property('message', 'Failure 1');
+    });
+
+    it('does not retry BpmnError by default', async () => {
+      let calls = 0;
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: { maxAttempts: 3, delay: 1 },
+            Service: function Service() {
+              return {
+                execute(_, callback) {
+                  calls++;
+                  callback(new BpmnError('Not found', { errorCode: '404' }));
+                },
+              };
+            },
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      const fail = task.waitFor('leave').catch((err) => err);
+      task.run();
+      expect(await fail).to.have.property('code', '404');
+      expect(calls).to.equal(1);
+    });
+
+    it('retryable predicate decides if error is retried', async () => {
+      const retryable = [];
+      const calls = [];
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: {
+              maxAttempts: 5,
+              delay: 1,
+              retryable(err, attempt) {
+                retryable.push([err.message, attempt]);
+                return attempt < 2;
+              },
+            },
+            Service: FlakyService(5, calls),
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      const fail = task.waitFor('leave').catch((err) => err);
+      task.run();
+      expect(await fail).to.have.property('message', 'Failure 2');
+      expect(retryable).to.deep.equal([
+        ['Failure 1', 1],
+        ['Failure 2', 2],
+      ]);
+    });
+
+    it('exponential backoff doubles delay up to max delay', async () => {
+      const delays = [];
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: { maxAttempts: 5, delay: 1, backoff: 'exponential', maxDelay: 3 },
+            Service: FlakyService(4),
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+      task.broker.subscribeTmp('event', 'activity.retry', (_, msg) => delays.push(msg.content.retry.delay), { noAck: true });
+
+      const leave = task.waitFor('leave');
+      task.run();
+      await leave;
+
+      expect(delays).to.deep.equal([1, 2, 3, 3]);
+    });
+
+    it('retry is scheduled with environment timers', () => {
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: { maxAttempts: 2, delay: 60000 },
+            Service: FlakyService(1),
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      task.run();
+
+      const [timer] = task.environment.timers.executing;
+      expect(timer).to.have.property('delay', 60000);
+      expect(timer.owner).to.have.property('retry').with.property('attempt', 2);
+
+      task.stop();
+      expect(task.environment.timers.executing).to.have.length(0);
+    });
+
+    it('discard clears retry timer', () => {
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: { maxAttempts: 2, delay: 60000 },
+            Service: FlakyService(1),
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      task.run();
+      task.getApi().discard();
+
+      expect(task.environment.timers.executing).to.have.length(0);
+      expect(task.counters).to.have.property('discarded', 1);
+    });
+
+    it('attempt is kept in state and retry continues after recover and resume', async () => {
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: { maxAttempts: 3, delay: 60000 },
+            Service: FlakyService(1),
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      task.run();
+      task.stop();
+
+      const state = JSON.parse(JSON.stringify(task.getState()));
+      const [retry] = Object.values(state.execution.retry);
+      expect(retry).to.have.property('attempt', 2);
+
+      const calls = [];
+      const recovered = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: { maxAttempts: 3, delay: 60000 },
+            Service: FlakyService(0, calls),
+          },
+        },
+        testHelpers.emptyContext(null, {
+          timers: new Timers({
+            setTimeout() {},
+            clearTimeout() {},
+          }),
+        }),
+      ).recover(state);
+
+      recovered.resume();
+
+      const [timer] = recovered.environment.timers.executing;
+      expect(timer, 'resumed retry timer').to.be.ok;
+      expect(timer.delay).to.be.above(59000).and.at.most(60000);
+
+      const leave = recovered.waitFor('leave');
+      timer.callback();
+      await leave;
+
+      expect(calls).to.have.length(1);
+      expect(calls[0].content.retry).to.have.property('attempt', 2);
+      expect(recovered.counters).to.have.property('taken', 1);
+    });
+
+    it('throws if retry backoff is invalid', () => {
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            retry: { backoff: 'linear' },
+            Service: FlakyService(1),
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      expect(() => task.run()).to.throw(TypeError, /backoff linear/);
+    });
+  });
+
+  describe('timeout and cancellation', () => {
+    const source = `
+    <?xml version="1.0" encoding="UTF-8"?>
+    <definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+      <process id="theProcess" isExecutable="true">
+        <serviceTask id="serviceTask" implementation="\${environment.services.get}" />
+        <boundaryEvent id="catchTimeout" attachedToRef="serviceTask">
+          <errorEventDefinition errorRef="Timeout" />
+        </boundaryEvent>
+        <boundaryEvent id="timerEvent" attachedToRef="serviceTask">
+          <timerEventDefinition>
+            <timeDuration xsi:type="tFormalExpression">PT1M</timeDuration>
+          </timerEventDefinition>
+        </boundaryEvent>
+      </process>
+      <error id="Timeout" errorCode="ERR_SERVICE_TIMEOUT" />
+    </definitions>`;
+
+    function HangingService(calls) {
+      return function Service() {
+        return {
+          execute(executeMessage, callback) {
+            calls.push({ executeMessage, callback });
+          },
+        };
+      };
+    }
+
+    function SignalAwareService(calls) {
+      return function Service() {
+        return {
+          execute(executeMessage, callback) {
+            calls.push({ signal: executeMessage.signal, callback });
+            executeMessage.signal.addEventListener('abort', () => callback(executeMessage.signal.reason));
+          },
+        };
+      };
+    }
+
+    it('passes abort signal to service', () => {
+      const calls = [];
+      const task = ServiceTask({ id: 'service', behaviour: { Service: HangingService(calls) } }, testHelpers.emptyContext());
+
+      task.run();
+
+      expect(calls).to.have.length(1);
+      expect(calls[0].executeMessage.signal).to.be.instanceOf(AbortSignal).with.property('aborted', false);
+    });
+
+    it('passes abort signal with execute message as is', () => {
+      const calls = [];
+      const task = ServiceTask({ id: 'service', behaviour: { Service: HangingService(calls) } }, testHelpers.emptyContext());
+      const behaviour = new ServiceTaskBehaviour(task);
+
+      const executeMessage = {
+        fields: { routingKey: 'execute.start' },
+        content: { id: 'service', executionId: 'service_1' },
+        properties: {},
+        ack() {},
+      };
+      behaviour.execute(executeMessage);
+
+      expect(calls[0].executeMessage).to.equal(executeMessage);
+      expect(calls[0].executeMessage.ack).to.be.a('function');
+      expect(calls[0].executeMessage.signal).to.be.instanceOf(AbortSignal);
+    });
+
+    it('passes abort signal to service function execution scope', async () => {
+      const context = await testHelpers.context(source);
+      let signal;
+      context.environment.addService('get', (executionContext, next) => {
+        signal = executionContext.signal;
+        next(null, true);
+      });
+
+      const task = context.getActivityById('serviceTask');
+      const leave = task.waitFor('leave');
+      task.run();
+      await leave;
+
+      expect(signal).to.be.instanceOf(AbortSignal).with.property('aborted', false);
+    });
+
+    it('aborts signal when stopped', () => {
+      const calls = [];
+      const task = ServiceTask({ id: 'service', behaviour: { Service: HangingService(calls) } }, testHelpers.emptyContext());
+
+      task.run();
+      task.stop();
+
+      const { signal } = calls[0].executeMessage;
+      expect(signal.aborted).to.be.true;
+      expect(signal.reason).to.have.property('name', 'AbortError');
+      expect(signal.reason.message).to.match(/stopped/);
+    });
+
+    it('aborts signal when discarded', () => {
+      const calls = [];
+      const task = ServiceTask({ id: 'service', behaviour: { Service: HangingService(calls) } }, testHelpers.emptyContext());
+
+      task.run();
+      task.getApi().discard();
+
+      const { signal } = calls[0].executeMessage;
+      expect(signal.aborted).to.be.true;
+      expect(signal.reason.message).to.match(/discarded/);
+      expect(task.counters).to.have.property('discarded', 1);
+    });
+
+    it('ignores signal aware service failing when stopped, recover and resume', () => {
+      const calls = [];
+      const task = ServiceTask(
+        { id: 'service', behaviour: { retry: { maxAttempts: 2, delay: 1 }, Service: SignalAwareService(calls) } },
+        testHelpers.emptyContext(),
+      );
+
+      task.run();
+      task.stop();
+
+      expect(calls[0].signal.aborted).to.be.true;
+      expect(task.counters).to.deep.equal({ taken: 0, discarded: 0 });
+
+      const state = JSON.parse(JSON.stringify(task.getState()));
+      expect(state.execution).to.not.have.property('retry');
+
+      const recovered = ServiceTask(
+        { id: 'service', behaviour: { retry: { maxAttempts: 2, delay: 1 }, Service: SignalAwareService(calls) } },
+        testHelpers.emptyContext(),
+      ).recover(state);
+
+      recovered.resume();
+      expect(calls).to.have.length(2);
+      expect(calls[1].signal.aborted).to.be.false;
+
+      calls[1].callback(null, 'resumed');
+      expect(recovered.counters).to.deep.equal({ taken: 1, discarded: 0 });
+    });
+
+    it('ignores signal aware service failing when discarded', () => {
+      const calls = [];
+      const task = ServiceTask({ id: 'service', behaviour: { Service: SignalAwareService(calls) } }, testHelpers.emptyContext());
+
+      task.run();
+      task.getApi().discard();
+
+      expect(calls[0].signal.aborted).to.be.true;
+      expect(task.counters).to.deep.equal({ taken: 0, discarded: 1 });
+    });
+
+    it('aborts signal when interrupted by boundary event', async () => {
+      const context = await testHelpers.context(source);
+      let signal;
+      context.environment.addService('get', (executionContext) => {
+        signal = executionContext.signal;
+      });
+
+      const task = context.getActivityById('serviceTask');
+      const timerEvent = context.getActivityById('timerEvent');
+      timerEvent.activate();
+      task.run();
+
+      const [timer] = context.environment.timers.executing.filter((t) => t.owner.id === 'timerEvent');
+      context.environment.timers.clearTimeout(timer);
+      const leave = task.waitFor('leave');
+      timer.callback();
+      await leave;
+
+      expect(signal.aborted).to.be.true;
+      expect(task.counters).to.have.property('discarded', 1);
+    });
+
+    it('ignores service completing after timeout', async () => {
+      const calls = [];
+      const task = ServiceTask({ id: 'service', behaviour: { timeout: 10, Service: HangingService(calls) } }, testHelpers.emptyContext());
+
+      const fail = task.waitFor('leave').catch((err) => err);
+      task.run();
+      await fail;
+
+      calls[0].callback(null, 'late');
+
+      expect(task.counters).to.deep.equal({ taken: 0, discarded: 1 });
+    });
+
+    it('times out service with error code', async () => {
+      const calls = [];
+      const task = ServiceTask({ id: 'service', behaviour: { timeout: 10, Service: HangingService(calls) } }, testHelpers.emptyContext());
+
+      const fail = task.waitFor('leave').catch((err) => err);
+      task.run();
+      const err = await fail;
+
+      expect(err).to.be.instanceOf(ActivityError).with.property('code', 'ERR_SERVICE_TIMEOUT');
+      expect(err).to.have.property('name', 'TimeoutError');
+      expect(err.message).to.match(/timed out after 10ms/);
+
+      const { signal } = calls[0].executeMessage;
+      expect(signal.aborted).to.be.true;
+      expect(signal.reason).to.have.property('code', 'ERR_SERVICE_TIMEOUT');
+    });
+
+    it('clears timeout when service completes', () => {
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            timeout: 60000,
+            Service: function Service() {
+              return {
+                execute(_, callback) {
+                  callback(null, true);
+                },
+              };
+            },
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      task.run();
+
+      expect(task.counters).to.have.property('taken', 1);
+      expect(task.environment.timers.executing).to.have.length(0);
+    });
+
+    it('clears timeout when stopped', () => {
+      const task = ServiceTask({ id: 'service', behaviour: { timeout: 60000, Service: HangingService([]) } }, testHelpers.emptyContext());
+
+      task.run();
+      expect(task.environment.timers.executing).to.have.length(1);
+
+      task.stop();
+      expect(task.environment.timers.executing).to.have.length(0);
+    });
+
+    it('timeout error is caught by error boundary event with matching error code', async () => {
+      const context = await testHelpers.context(source);
+      let signal;
+      context.environment.addService('get', (executionContext) => {
+        signal = executionContext.signal;
+      });
+
+      const task = context.getActivityById('serviceTask');
+      task.behaviour.timeout = 10;
+      const catchTimeout = context.getActivityById('catchTimeout');
+      catchTimeout.activate();
+
+      const leave = catchTimeout.waitFor('leave');
+      task.run();
+      const api = await leave;
+
+      expect(api.content.output).to.have.property('code', 'ERR_SERVICE_TIMEOUT');
+      expect(catchTimeout.counters).to.have.property('taken', 1);
+      expect(task.counters).to.have.property('discarded', 1);
+      expect(signal.aborted).to.be.true;
+    });
+
+    it('retries timed out service if retry policy applies', async () => {
+      const calls = [];
+      const task = ServiceTask(
+        {
+          id: 'service',
+          behaviour: {
+            timeout: 10,
+            retry: { maxAttempts: 2, delay: 1 },
+            Service: function Service() {
+              return {
+                execute(executeMessage, callback) {
+                  calls.push(executeMessage);
+                  if (calls.length > 1) callback(null, calls.length);
+                },
+              };
+            },
+          },
+        },
+        testHelpers.emptyContext(),
+      );
+
+      const leave = task.waitFor('leave');
+      task.run();
+      const api = await leave;
+
+      expect(api.content.output).to.equal(2);
+      expect(calls[0].signal.aborted).to.be.true;
+      expect(calls[1].signal.aborted).to.be.false;
+    });
+  });
+
   describe('extensions', () => {
     it('supports saving output in variable', async () => {
       const source = `
@@ -0,0 +1,83 @@
+import { assertTimeZone, fromWallTime, fromZonedParts, getWallTime, getZonedParts } from '../src/timezone.js';
+
+describe('timezone', () => {
+  describe('getZonedParts(date, timeZone)', () => {
+    it('returns wall clock parts in time zone', () => {
+      expect(getZonedParts(new Date('2025-01-05T23:30:15.123Z'), 'Europe/Stockholm')).to.deep.equal({
+        year: 2025,
+        month: 1,
+        day: 6,
+        hour: 0,
+        minute: 30,
+        second: 15,
+        millisecond: 123,
+        weekday: 1,
+      });
+    });
+
+    it('returns local parts without time zone', () => {
+      const date = new Date(2025, 0, 6, 0, 30);
+      expect(getZonedParts(date)).to.include({ year: 2025, month: 1, day: 6, hour: 0, minute: 30, weekday: 1 });
+    });
+  });
+
+  describe('fromZonedParts(parts, timeZone)', () => {
+    it('returns date from wall clock parts in time zone', () => {
+      expect(fromZonedParts({ year: 2025, month: 1, day: 3, hour: 12 }, 'Europe/Stockholm')).to.deep.equal(
+        new Date('2025-01-03T11:00:00Z'),
+      );
+      expect(fromZonedParts({ year: 2025, month: 7, day: 3, hour: 12 }, 'Europe/Stockholm')).to.deep.equal(
+        new Date('2025-07-03T10:00:00Z'),
+      );
+      expect(fromZonedParts({ year: 2025, month: 7, day: 3, hour: 12 }, 'America/New_York')).to.deep.equal(
+        new Date('2025-07-03T16:00:00Z'),
+      );
+    });
+
+    it('returns date on daylight saving time transition day', () => {
+      expect(fromZonedParts({ year: 2025, month: 3, day: 30, hour: 12 }, 'Europe/Stockholm')).to.deep.equal(
+        new Date('2025-03-30T10:00:00Z'),
+      );
+      expect(fromZonedParts({ year: 2025, month: 10, day: 26, hour: 12 }, 'Europe/Stockholm')).to.deep.equal(
+        new Date('2025-10-26T11:00:00Z'),
+      );
+    });
+
+    it('skipped wall clock time is moved forward by gap', () => {
+      expect(fromZonedParts({ year: 2025, month: 3, day: 30, hour: 2, minute: 30 }, 'Europe/Stockholm')).to.deep.equal(
+        new Date('2025-03-30T01:30:00Z'),
+      );
+    });
+
+    it('ambiguous wall clock time resolves to earlier date', () => {
+      expect(fromZonedParts({ year: 2025, month: 10, day: 26, hour: 2, minute: 30 }, 'Europe/Stockholm')).to.deep.equal(
+        new Date('2025-10-26T00:30:00Z'),
+      );
+    });
+
+    it('returns local date without time zone', () => {
+      expect(fromZonedParts({ year: 2025, month: 1, day: 3, hour: 12 })).to.deep.equal(new Date(2025, 0, 3, 12));
+    });
+  });
+
+  describe('getWallTime(date, timeZone) and fromWallTime(wallTime, timeZone)', () => {
+    it('converts to and from wall clock time expressed as UTC', () => {
+      const wallTime = getWallTime(new Date('2025-07-03T16:00:00Z'), 'America/New_York');
+      expect(new Date(wallTime).toISOString()).to.equal('2025-07-03T12:00:00.000Z');
+      expect(fromWallTime(wallTime, 'America/New_York')).to.deep.equal(new Date('2025-07-03T16:00:00Z'));
+    });
+  });
+
+  describe('assertTimeZone(timeZone)', () => {
+    it('passes valid or undefined time zone', () => {
+      assertTimeZone('Europe/Stockholm');
+      assertTimeZone('UTC');
+      assertTimeZone();
+    });
+
+    it('throws RangeError if time zone is invalid', () => {
+      expect(() => assertTimeZone('Europe/Gothenburg')).to.throw(RangeError, 'Invalid time zone Europe/Gothenburg');
+      expect(() => assertTimeZone('')).to.throw(RangeError);
+    });
+  });
+});
@@ -9,6 +9,8 @@ import {
   MessageElement,
   ConditionalEventDefinition,
   TimerEventDefinition,
+  JavaScriptScripts,
+  FileTimerStore,
 } from './types.js';
 
 declare module 'bpmn-elements' {
@@ -99,3 +101,11 @@ declare module 'bpmn-elements/tasks' {
   export var SubProcessBehaviour: IActivityBehaviour;
   export var TaskBehaviour: IActivityBehaviour;
 }
+
+declare module 'bpmn-elements/scripts' {
+  export { JavaScriptScripts };
+}
+
+declare module 'bpmn-elements/file-timer-store' {
+  export { FileTimerStore };
+}
@@ -140,13 +140,74 @@ declare interface IExtension {
   deactivate(message: ElementBrokerMessage): void;
 }
 
+/**
+ * Condition language factory
+ * @param owner Sequence flow or conditional event definition
+ * @param condition Condition with language and body
+ */
+declare type ConditionLanguageFactory = (
+  owner: SequenceFlow | ConditionalEventDefinition,
+  condition: { language?: string; body?: string; [x: string]: any },
+) => ICondition | ISequenceFlowCondition;
+
+declare interface ICompiledExpression {
+  expression: string;
+  evaluate(context?: any, expressionFnContext?: any): any;
+}
+
 declare interface IExpressions {
   resolveExpression(templatedString: string, context?: any, expressionFnContext?: any): any;
+  isExpression?(text: string): boolean;
+  hasExpression?(text: string): boolean;
+  compile?(templatedString: string): ICompiledExpression;
+  /** named functions callable without prefix */
+  functions?: Record<string, CallableFunction>;
+  registerFunction?(name: string, fn: CallableFunction): void;
+}
+
+declare interface ExpressionsOptions {
+  /** Max number of compiled expressions to keep, defaults to 1000, 0 disables cache */
+  cacheSize?: number;
+  /** Named functions callable without prefix, added to the standard functions */
+  functions?: Record<string, CallableFunction>;
+}
+
+declare function Expressions(options?: ExpressionsOptions): Required<IExpressions>;
+
+declare interface IFeelExpressions extends Required<IExpressions> {
+  language: 'feel';
+}
+
+declare function FeelExpressions(options?: ExpressionsOptions): IFeelExpressions;
+
+declare interface RetryPolicyOptions {
+  /** Max number of attempts, including the first, defaults to 3 */
+  maxAttempts?: number;
+  /** Backoff strategy, defaults to fixed */
+  backoff?: 'fixed' | 'exponential';
+  /** Delay in milliseconds before the first retry, defaults to 1000 */
+  delay?: number;
+  /** Exponential backoff multiplier, defaults to 2 */
+  factor?: number;
+  /** Max delay in milliseconds */
+  maxDelay?: number;
+  /**
+   * Decide if failed attempt should be retried, defaults to retry all but BpmnError
+   * @param err Attempt error
+   * @param attempt Failed attempt number, starting at 1
+   */
+  retryable?(err: Error, attempt: number): boolean;
 }
 
 declare interface EnvironmentSettings {
   /** true returns dummy service function for service task if not found */
   enableDummyService?: boolean;
+  /** service task retry policy, can be overridden per activity with behaviour retry */
+  retry?: RetryPolicyOptions | false;
+  /** IANA time zone used to evaluate timer dates without offset and cron expressions, defaults to local time */
+  timezone?: string;
+  /** true counts timer durations in working time according to environment business calendar, can be overridden per timer with behaviour businessCalendar */
+  businessCalendar?: boolean;
   /** true forces activity runs to go forward in steps, defaults to false */
   step?: boolean;
   /** strict mode, see documentation, defaults to false */
@@ -168,12 +229,22 @@ declare interface EnvironmentOptions {
   services?: Record<string, CallableFunction>;
   Logger?: LoggerFactory;
   timers?: ITimers;
+  /** business calendar or business calendar options */
+  businessCalendar?: IBusinessCalendar | BusinessCalendarOptions;
   scripts?: IScripts;
   extensions?: Record<string, Extension>;
   /**
    * optional override expressions handler
    */
   expressions?: IExpressions;
+  /**
+   * optional named expression functions, callable without prefix in expressions
+   */
+  functions?: Record<string, CallableFunction>;
+  /**
+   * optional condition languages, key is language and value is a condition factory
+   */
+  conditionLanguages?: Record<string, ConditionLanguageFactory>;
 }
 
 declare type startActivityFilterOptions = {
@@ -197,6 +268,7 @@ declare const enum ProcessRunStatus {
   Entered = 'entered',
   Start = 'start',
   Executing = 'executing',
+  Suspended = 'suspended',
   Errored = 'errored',
   End = 'end',
   Discarded = 'discarded',
@@ -272,6 +344,7 @@ declare interface DefinitionExecution {
   getRunningProcesses(): Process[];
   getExecutableProcesses(): Process[];
   getPostponed(filterFn?: filterPostponed): Api<ElementBase>[];
+  modify(instructions: ModifyInstruction[]): ModifyResult[];
 }
 
 declare interface ActivityExecution {
@@ -305,9 +378,25 @@ declare interface Api<T> extends ElementBrokerMessage {
   fail(error: Error): void;
   signal(message?: signalMessage, options?: any): void;
   stop(): void;
+  /**
+   * Fire waiting timer now
+   * @param message optional message forwarded in timeout event content
+   */
+  fireTimer(message?: signalMessage, options?: any): void;
+  /**
+   * Reschedule waiting timer
+   * @param reschedule expire at date, milliseconds from now, ISO8601 date, or ISO8601 duration from now
+   */
+  rescheduleTimer(reschedule: Date | number | string, options?: any): void;
+  /** Suspend process */
+  suspend(): void;
+  /** Unsuspend suspended process */
+  unsuspend(): void;
   resolveExpression(expression: string): any;
   sendApiMessage(action: string, content?: signalMessage, options?: any): void;
   getPostponed(...args: any[]): any[];
+  /** Get pending timers of api owner */
+  getTimers(): Api<Activity>[];
   createMessage(content?: Record<string, any>): any;
   getExecuting(): Api<T>[];
 }
@@ -333,10 +422,13 @@ interface ExecutionScope {
    */
   resolveExpression: (expression: string) => any;
   ActivityError: ActivityError;
+  /** Service call abort signal, only present when calling services */
+  signal?: AbortSignal;
 }
 
 declare interface Script {
-  execute(executionContext: ExecutionScope, callback: CallableFunction): void;
+  /** Execute script, call callback or return promise when completed */
+  execute(executionContext: ExecutionScope, callback: CallableFunction): void | Promise<any>;
 }
 
 declare abstract class MessageElement {
@@ -360,12 +452,17 @@ declare class Environment {
   extensions: Record<string, IExtension>;
   scripts: IScripts;
   timers: ITimers;
+  businessCalendar?: IBusinessCalendar;
   Logger: LoggerFactory;
   get settings(): EnvironmentSettings;
   get variables(): Record<string, any>;
   get output(): Record<string, any>;
   set services(arg: any);
   get services(): any;
+  get functions(): Record<string, CallableFunction>;
+  get conditionLanguages(): Record<string, ConditionLanguageFactory>;
+  /** Definition id and execution id of running definition, set on process environments and passed on to clones */
+  get definitionScope(): TimerScope | undefined;
   getState(): EnvironmentState;
   recover(state?: EnvironmentState): Environment;
   clone(overrideOptions?: EnvironmentOptions): Environment;
@@ -375,6 +472,14 @@ declare class Environment {
   getScript(language: string, identifier: { id: string; [x: string]: any }): Script;
   getServiceByName(serviceName: string): CallableFunction;
   resolveExpression(expression: string, message?: ElementBrokerMessage, expressionFnContext?: any): any;
+  compileExpression(expression: string, language?: string): ICompiledExpression;
+  getExpressions(language?: string): IExpressions;
+  /** Register named expression function, not registered with the environment it was cloned from unless a custom expressions handler is shared by clones */
+  registerFunction(name: string, fn: CallableFunction): void;
+  /** Current date according to timers clock */
+  now(): Date;
+  addConditionLanguage(language: string, createCondition: ConditionLanguageFactory): void;
+  getConditionLanguage(language: string): ConditionLanguageFactory | undefined;
   addService(name: string, fn: CallableFunction): void;
 }
 
@@ -486,11 +591,45 @@ declare interface DefinitionState extends ElementState {
   counters: completedCounters;
   environment: EnvironmentState;
   execution?: DefinitionExecutionState;
+  history?: ExecutionHistoryState;
 }
 
 declare type runCallback = (err: Error, definitionApi: Api<Definition>) => void;
+
+declare interface ProcessRunOptions {
+  /** Activity id or ids to start at instead of start events */
+  startAt?: string | string[];
+  /** Variables assigned to process environment when started at activities */
+  variables?: Record<string, any>;
+  [x: string]: any;
+}
+
+declare interface DefinitionRunOptions extends ProcessRunOptions {
+  /** Run a specific process, also non-executable */
+  processId?: string;
+}
+
+declare interface DefinitionOptions extends EnvironmentOptions {
+  /** Record activity and sequence flow transitions, not passed to environment */
+  history?: boolean | ExecutionHistory;
+  /** Open a span per definition run, process execution, and activity execution, not passed to environment */
+  tracer?: Tracer | Tracing;
+  /** Aggregate runtime metrics per element, not passed to environment */
+  metrics?: MetricsCollector;
+  /** Collect activity and sequence flow coverage, not passed to environment */
+  coverage?: CoverageCollector;
+}
+
 declare class Definition extends Element<Definition> {
-  constructor(context: ContextInstance, options?: EnvironmentOptions);
+  constructor(context: ContextInstance, options?: DefinitionOptions);
+  /** Execution history, if enabled */
+  readonly history?: ExecutionHistory;
+  /** Tracing, if enabled */
+  readonly tracing?: Tracing;
+  /** Metrics collector, if enabled */
+  readonly metrics?: MetricsCollector;
+  /** Coverage collector, if enabled */
+  readonly coverage?: CoverageCollector;
   get counters(): completedCounters;
   get execution(): DefinitionExecution;
   get executionId(): string;
@@ -499,13 +638,28 @@ declare class Definition extends Element<Definition> {
   get stopped(): boolean;
   get activityStatus(): ActivityStatus;
   run(): Definition;
-  run(runContent: Record<string, any>): Definition;
-  run(runContent: Record<string, any>, callback: runCallback): Definition;
+  run(runContent: DefinitionRunOptions): Definition;
+  run(runContent: DefinitionRunOptions, callback: runCallback): Definition;
   run(callback: runCallback): Definition;
   getState(): DefinitionState;
   recover(state?: DefinitionState): Definition;
   resume(): void;
   resume(callback: (err: Error, definitionApi: Api<Definition>) => void): void;
+  /**
+   * Run definition as promised
+   * @returns definition output when run completes or is stopped
+   */
+  runAsync(runContent?: DefinitionRunOptions): Promise<Record<string, any>>;
+  /**
+   * Resume definition as promised
+   * @returns definition output when run completes or is stopped
+   */
+  resumeAsync(): Promise<Record<string, any>>;
+  /**
+   * Iterate events, ends when definition leaves or stops, throws on error
+   * @param eventName event name or routing key pattern, defaults to all events
+   */
+  events(eventName?: string): AsyncIterableIterator<Api<ElementBase>>;
   shake(startId?: string): object;
   getProcesses(): Process[];
   /** get processes marked with isExecutable=true */
@@ -515,10 +669,17 @@ declare class Definition extends Element<Definition> {
   getActivityById(childId: string): Activity;
   getElementById<T>(elementId: string): Element<T>;
   getPostponed(filterFn?: filterPostponed): Api<ElementBase>[];
+  /** Get pending timers in running processes */
+  getTimers(): Api<Activity>[];
   /** Send delegated signal message */
   signal(message: any): void;
   cancelActivity(message: any): void;
   sendMessage(message: any): void;
+  /**
+   * Modify running processes
+   * @throws if an instruction is invalid or does not match a running process, no instruction is applied
+   */
+  modify(instructions: ModifyInstruction[]): ModifyResult[];
 }
 
 declare class Process extends Element<Process> {
@@ -534,7 +695,7 @@ declare class Process extends Element<Process> {
   get status(): ProcessRunStatus | undefined;
   get activityStatus(): ActivityStatus;
   init(useAsExecutionId?: string): void;
-  run(runContent?: Record<string, any>): void;
+  run(runContent?: ProcessRunOptions): void;
   getState(): ProcessState;
   recover(state?: ProcessState): Process;
   shake(startId?: string): void;
@@ -547,6 +708,48 @@ declare class Process extends Element<Process> {
   getSequenceFlows(): SequenceFlow[];
   getLaneById(laneId: string): Lane | undefined;
   getPostponed(filterFn: filterPostponed): Api<ElementBase>[];
+  /** Get pending timers */
+  getTimers(): Api<Activity>[];
+  /**
+   * Modify running process
+   * @throws if an instruction is invalid or does not match, no instruction is applied
+   */
+  modify(instructions: ModifyInstruction[]): ModifyResult[];
+  /**
+   * Suspend running process, holds timers with remaining time and stops execution
+   * @throws if process is not running
+   */
+  suspend(): void;
+  /**
+   * Unsuspend suspended process, resumes execution and restarts held timers with remaining time
+   * @throws if process is not suspended
+   */
+  unsuspend(): void;
+}
+
+declare interface ModifyInstruction {
+  /** Activity id or execution id of running activity to cancel */
+  cancel?: string;
+  /** Start activity */
+  startBefore?: string;
+  /** Take single outbound sequence flow of activity */
+  startAfter?: string;
+  /** Variables assigned to process or sub process environment before start */
+  variables?: Record<string, any>;
+}
+
+declare interface ModifyResult {
+  cancel?: string;
+  /** Cancelled activity execution ids */
+  executionIds?: string[];
+  startBefore?: string;
+  /** Started activity execution id */
+  executionId?: string;
+  startAfter?: string;
+  /** Taken sequence flow id */
+  flowId?: string;
+  sequenceId?: string;
+  variables?: Record<string, any>;
 }
 
 declare interface ProcessExecution {
@@ -563,6 +766,7 @@ declare interface ProcessExecution {
   get activityStatus(): ActivityStatus;
   execute(executeMessage: ElementBrokerMessage): void;
   getPostponed(filterFn: filterPostponed): Api<ElementBase>[];
+  modify(instructions: ModifyInstruction[]): ModifyResult[];
   getActivities(): Activity[];
   getActivityById<T>(activityId: string): T;
   getSequenceFlows(): SequenceFlow[];
@@ -659,13 +863,26 @@ declare interface Timer {
   readonly owner?: any;
   /** Timer Id */
   readonly timerId: string;
-  /** Timeout, return from setTimeout */
+  /** Expire date */
+  readonly expireAt: Date;
+  /** Milliseconds remaining until timer expires */
+  readonly remaining: number;
+  /** Timeout, return from setTimeout, delays exceeding max setTimeout delay are chained and the ref is replaced */
   readonly timerRef: any;
+  /** Definition scope if registered with scope */
+  readonly scope?: TimerScope;
   [x: string]: any;
 }
 
+declare interface TimerScope {
+  definitionId: string;
+  /** Definition execution id */
+  executionId: string;
+}
+
 declare interface RegisteredTimer {
   owner?: any;
+  scope?: TimerScope;
   get setTimeout(): wrappedSetTimeout;
   get clearTimeout(): wrappedClearTimeout;
 }
@@ -673,15 +890,345 @@ declare interface RegisteredTimer {
 declare interface ITimers {
   get setTimeout(): wrappedSetTimeout;
   get clearTimeout(): wrappedClearTimeout;
-  register(owner?: any): RegisteredTimer;
+  /** Optional stop timer without removing it from timer store, falls back to clearTimeout */
+  stopTimeout?(ref: Timer): void;
+  register(owner?: any, scope?: TimerScope): RegisteredTimer;
+  /** Optional current time in milliseconds, used as environment clock */
+  now?(): number | Date;
   [x: string]: any;
 }
 
+declare interface TimerStoreEntry {
+  definitionId: string;
+  /** Definition execution id */
+  executionId: string;
+  activityId: string;
+  /** Timer owner execution id, unique per timer */
+  timerExecutionId: string;
+  expireAt: Date;
+}
+
+declare interface ITimerStore {
+  /** Add or replace timer */
+  set(entry: TimerStoreEntry): any;
+  /** Delete timer */
+  delete(entry: TimerStoreEntry): any;
+}
+
+declare class MemoryTimerStore implements ITimerStore {
+  constructor(entries?: TimerStoreEntry[]);
+  /** Number of stored timers */
+  get size(): number;
+  set(entry: TimerStoreEntry): void;
+  delete(entry: Pick<TimerStoreEntry, 'timerExecutionId'>): boolean;
+  /**
+   * Get timers that are due
+   * @param now defaults to current time
+   * @returns due timers ordered by expire at
+   */
+  getDue(now?: Date | number | string): TimerStoreEntry[];
+  /** List timers ordered by expire at */
+  list(): TimerStoreEntry[];
+  clear(): void;
+}
+
+declare interface ExecutionHistoryRecord {
+  sequence: number;
+  /** Environment clock date */
+  timestamp: Date;
+  elementType: 'activity' | 'flow';
+  id: string;
+  type: string;
+  name?: string;
+  /** Transition, e.g. enter, start, wait, end, discard, error, or take */
+  state: string;
+  /** Activity execution id */
+  executionId?: string;
+  /** Sequence flow source id */
+  sourceId?: string;
+  /** Sequence flow target id */
+  targetId?: string;
+  /** Sequence flow take or discard sequence id */
+  sequenceId?: string;
+  /** Parent chain, nearest parent first */
+  parents: { id: string; type: string; executionId?: string }[];
+  input?: any;
+  output?: any;
+  error?: { name?: string; message?: string; code?: string };
+}
+
+declare interface ExecutionHistoryFilter {
+  id?: string;
+  executionId?: string;
+  elementType?: 'activity' | 'flow';
+  state?: string | string[];
+  /** Records at or after date */
+  from?: Date | number | string;
+  /** Records at or before date */
+  to?: Date | number | string;
+  /** Records with a parent with execution id */
+  parentExecutionId?: string;
+}
+
+declare interface ExecutionHistoryState {
+  sequence: number;
+  records: ExecutionHistoryRecord[];
+}
+
+declare class ExecutionHistory {
+  constructor(state?: ExecutionHistoryState);
+  /** Number of records */
+  get size(): number;
+  /**
+   * Attach to definition
+   * @throws if already attached
+   */
+  attach(definition: Definition): ExecutionHistory;
+  detach(): void;
+  /** Get records in recorded order */
+  query(filter?: ExecutionHistoryFilter): ExecutionHistoryRecord[];
+  getActivityHistory(activityId: string): ExecutionHistoryRecord[];
+  /** Get records in time range, both dates are inclusive */
+  getByTimeRange(from?: Date | number | string, to?: Date | number | string): ExecutionHistoryRecord[];
+  getByState(state: string | string[]): ExecutionHistoryRecord[];
+  clear(): void;
+  getState(): ExecutionHistoryState;
+  recover(state?: ExecutionHistoryState): ExecutionHistory;
+}
+
+declare interface SpanOptions {
+  startTime?: Date;
+  attributes?: Record<string, string | number | boolean>;
+}
+
+declare interface SpanStatus {
+  /** 0 unset, 1 ok, 2 error */
+  code: number;
+  message?: string;
+}
+
+declare interface Span {
+  setAttribute(key: string, value: string | number | boolean): any;
+  setStatus(status: SpanStatus): any;
+  recordException(exception: any): void;
+  end(endTime?: Date): void;
+}
+
+declare interface Tracer<S extends Span = Span> {
+  /**
+   * Start span
+   * @param name element id
+   * @param options start time and attributes
+   * @param parent parent span, undefined for definition span
+   */
+  startSpan(name: string, options: SpanOptions, parent?: S): S;
+}
+
+declare class Tracing {
+  /** @throws {TypeError} if tracer lacks startSpan */
+  constructor(tracer: Tracer);
+  /**
+   * Attach to definition
+   * @throws if already attached
+   */
+  attach(definition: Definition): Tracing;
+  /** Stop tracing, open spans are left as is */
+  detach(): void;
+}
+
+declare interface MemorySpan extends Span {
+  readonly name: string;
+  readonly spanId: string;
+  /** Root span id */
+  readonly traceId: string;
+  readonly parentSpanId?: string;
+  readonly startTime: Date;
+  readonly endTime?: Date;
+  /** Milliseconds between start and end */
+  readonly duration?: number;
+  readonly ended: boolean;
+  readonly attributes: Record<string, string | number | boolean>;
+  readonly status: SpanStatus;
+  readonly exceptions: any[];
+  setAttributes(attributes: Record<string, string | number | boolean>): MemorySpan;
+  spanContext(): { traceId: string; spanId: string };
+  isRecording(): boolean;
+}
+
+declare class MemoryTracer implements Tracer<MemorySpan> {
+  /** Started spans in start order */
+  get spans(): MemorySpan[];
+  startSpan(name: string, options?: SpanOptions, parent?: MemorySpan): MemorySpan;
+  getSpans(name: string): MemorySpan[];
+  clear(): void;
+}
+
+declare interface MetricsHistogram {
+  /** Number of observations */
+  count: number;
+  /** Sum of observations in milliseconds */
+  sum: number;
+  /** Cumulative buckets, upper bound in milliseconds */
+  buckets: { le: number; count: number }[];
+}
+
+declare interface ElementMetricsBase {
+  definitionId: string;
+  id: string;
+  type: string;
+  name?: string;
+}
+
+declare interface ElementMetrics extends ElementMetricsBase {
+  executions: number;
+  completed: number;
+  discarded: number;
+  errors: number;
+  /** Currently active executions */
+  active: number;
+  /** Time between enter and leave, or error */
+  executionTime: MetricsHistogram;
+}
+
+declare interface ActivityMetrics extends ElementMetrics {
+  /** Time between wait and end, discard, error, or leave */
+  waitTime: MetricsHistogram;
+}
+
+declare interface FlowMetrics extends ElementMetricsBase {
+  taken: number;
+  discarded: number;
+}
+
+declare interface Metrics {
+  definitions: ElementMetrics[];
+  processes: ElementMetrics[];
+  activities: ActivityMetrics[];
+  flows: FlowMetrics[];
+}
+
+declare interface MetricsCollectorOptions {
+  /** Histogram bucket upper bounds in milliseconds */
+  buckets?: number[];
+}
+
+declare interface PrometheusFormatOptions {
+  /** Metric name prefix, defaults to bpmn */
+  prefix?: string;
+}
+
+declare class MetricsCollector {
+  /** @throws {TypeError} if buckets are not a list of positive numbers */
+  constructor(options?: MetricsCollectorOptions);
+  /** Attach to definition, attaching to an attached definition is ignored, runs of the definition are collected until detached */
+  attach(definition: Definition): MetricsCollector;
+  /**
+   * Detach from definition
+   * @param definition detach from all definitions if omitted
+   */
+  detach(definition?: Definition): void;
+  /** Get metrics snapshot */
+  getMetrics(): Metrics;
+  /** Format metrics in Prometheus text exposition format */
+  toPrometheus(options?: PrometheusFormatOptions): string;
+  /** Reset counters and histograms, active gauges are kept */
+  reset(): void;
+}
+
+/** Format metrics snapshot in Prometheus text exposition format */
+declare function formatPrometheus(metrics: Partial<Metrics>, options?: PrometheusFormatOptions): string;
+
+declare interface CoverageSummary {
+  total: number;
+  covered: number;
+  /** Percent covered with two decimals, 100 if total is 0 */
+  percent: number;
+}
+
+declare interface ActivityCoverage {
+  id: string;
+  type: string;
+  name?: string;
+  /** Process or sub process id */
+  parentId?: string;
+  /** Boundary event attached to activity id */
+  attachedToId?: string;
+  taken: number;
+  discarded: number;
+  /** Taken at least once */
+  covered: boolean;
+}
+
+declare interface SequenceFlowCoverage {
+  id: string;
+  type: string;
+  name?: string;
+  /** Process or sub process id */
+  parentId?: string;
+  sourceId: string;
+  targetId: string;
+  taken: number;
+  discarded: number;
+  /** Taken at least once */
+  covered: boolean;
+}
+
+declare interface Coverage {
+  definitionId: string;
+  runs: number;
+  summary: {
+    activities: CoverageSummary;
+    sequenceFlows: CoverageSummary;
+    /** Sequence flows going out from gateways */
+    gatewayBranches: CoverageSummary;
+    boundaryEvents: CoverageSummary;
+  };
+  activities: ActivityCoverage[];
+  sequenceFlows: SequenceFlowCoverage[];
+}
+
+declare class CoverageCollector {
+  /** @throws {TypeError} if context is missing */
+  constructor(context: ContextInstance);
+  /** Number of definition runs */
+  get runs(): number;
+  /**
+   * Attach to definition, attaching to an attached definition is ignored, runs of the definition are collected until detached
+   * @throws if definition id differs from context id
+   */
+  attach(definition: Definition): CoverageCollector;
+  /**
+   * Detach from definition
+   * @param definition detach from all definitions if omitted
+   */
+  detach(definition?: Definition): void;
+  getCoverage(): Coverage;
+  toJSON(): Coverage;
+  /** Format coverage as text summary */
+  toText(): string;
+  reset(): void;
+}
+
+/** Format coverage as text summary */
+declare function formatCoverageText(coverage: Coverage): string;
+
+declare class FileTimerStore extends MemoryTimerStore {
+  /**
+   * @param filePath JSON file path, timers are read from file if it exists
+   */
+  constructor(filePath: string);
+  readonly filePath: string;
+}
+
 declare interface TimersOptions {
   /** Defaults to builtin setTimeout */
   setTimeout?: typeof setTimeout;
   /** Defaults to builtin clearTimeout */
   clearTimeout?: typeof clearTimeout;
+  /** Max delay accepted by setTimeout, longer delays are chained, defaults to 2147483647 */
+  maxDelay?: number;
+  /** Timer store, timers registered with scope are reported to store */
+  store?: ITimerStore;
   [x: string]: any;
 }
 
@@ -691,7 +1238,85 @@ declare class Timers implements ITimers {
   get executing(): Timer[];
   get setTimeout(): wrappedSetTimeout;
   get clearTimeout(): wrappedClearTimeout;
-  register(owner?: any): RegisteredTimer;
+  /** Stop timer without removing it from timer store */
+  stopTimeout(ref: Timer): void;
+  /** Current time in milliseconds */
+  now(): number;
+  register(owner?: any, scope?: TimerScope): RegisteredTimer;
+}
+
+declare interface VirtualTimersOptions {
+  /** Clock start date, defaults to current date */
+  now?: Date | number | string;
+  store?: ITimerStore;
+}
+
+declare class VirtualTimers extends Timers {
+  constructor(options?: VirtualTimersOptions);
+  /** Virtual clock time in milliseconds */
+  now(): number;
+  /**
+   * Advance clock and fire timers that expire on the way
+   * @param ms milliseconds to advance
+   * @returns number of fired timers
+   */
+  advance(ms: number): number;
+  /**
+   * Advance clock to date and fire timers that expire on the way
+   * @returns number of fired timers
+   */
+  advanceTo(date: Date | number | string): number;
+  /**
+   * Fire timers until there are no more timers
+   * @param limit max number of timers to fire, defaults to 1000
+   * @returns number of fired timers
+   */
+  runAll(limit?: number): number;
+}
+
+declare interface BusinessCalendarWorkingHours {
+  /** Start time, HH:mm */
+  from: string;
+  /** End time, HH:mm */
+  to: string;
+}
+
+declare interface BusinessCalendarOptions {
+  /** Working periods per working day, defaults to 08:00-17:00 */
+  workingHours?: BusinessCalendarWorkingHours[];
+  /** Working weekdays where 0 is sunday, defaults to monday to friday */
+  weekdays?: number[];
+  /** Non-working dates, YYYY-MM-DD string or date */
+  holidays?: (string | Date)[];
+  /** IANA time zone, defaults to environment settings timezone or local time */
+  timezone?: string;
+}
+
+declare interface IBusinessCalendar {
+  /**
+   * Add duration in working time
+   * @param from date to count from
+   * @param duration ISO8601 duration or milliseconds
+   * @returns expire date
+   */
+  addDuration(from: Date | number, duration: string | number): Date;
+}
+
+declare class BusinessCalendar implements IBusinessCalendar {
+  constructor(options?: BusinessCalendarOptions);
+  timezone?: string;
+  weekdays: Set<number>;
+  /** Working periods in minutes from midnight */
+  workingHours: { from: number; to: number }[];
+  /** Holiday dates, YYYY-MM-DD */
+  holidays: Set<string>;
+  /** Working milliseconds per working day */
+  get workingDayLength(): number;
+  addDuration(from: Date | number, duration: string | number): Date;
+  isWorkingDay(date: Date | number): boolean;
+  isWorkingTime(date: Date | number): boolean;
+  /** Get date if working time, otherwise the start of the next working period */
+  nextWorkingTime(date: Date | number): Date;
 }
 
 declare interface IScripts {
@@ -699,6 +1324,20 @@ declare interface IScripts {
   getScript(language: string, identifier: { id: string; [x: string]: any }): Script;
 }
 
+declare interface JavaScriptScriptsOptions {
+  /** Max number of milliseconds to run a script synchronously, also between awaits in scripts with top-level await, defaults to 5000, 0 disables timeout */
+  timeout?: number;
+  /** Globals added to the script context, e.g. console */
+  globals?: Record<string, any>;
+}
+
+declare class JavaScriptScripts implements IScripts {
+  constructor(options?: JavaScriptScriptsOptions);
+  options: JavaScriptScriptsOptions;
+  register(element: any): Script | undefined;
+  getScript(language: string, identifier: { id: string; [x: string]: any }): Script;
+}
+
 declare class Activity extends Element<Activity> {
   constructor(behaviour: IActivityBehaviour, activityDef: SerializableElement, context: ContextInstance);
   get Behaviour(): IActivityBehaviour;
@@ -718,6 +1357,8 @@ declare class Activity extends Element<Activity> {
   get isMultiInstance(): boolean;
   get isThrowing(): boolean;
   get isForCompensation(): boolean;
+  /** Parallel gateway with more than one inbound sequence flow */
+  get isParallelJoin(): boolean;
   get triggeredByEvent(): boolean;
   get attachedTo(): Activity;
   get eventDefinitions(): EventDefinition[];
@@ -736,6 +1377,8 @@ declare class Activity extends Element<Activity> {
     callback: (err: Error, evaluationResult: any) => void,
   ): void;
   getState(): ActivityState | undefined;
+  /** Get pending activity timers */
+  getTimers(): Api<Activity>[];
 }
 
 declare class ActivityError extends Error {